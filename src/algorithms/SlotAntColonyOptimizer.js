@@ -2,7 +2,10 @@
 
 import IOptimizer from '../core/IOptimizer.js';
 import { cloneSlotTeams } from '../utils/teamSlotUtils.js';
-import { evaluateSlotSolution } from '../utils/slotEvaluationUtils.js';
+import { getSlotEvaluator } from '../utils/slotEvaluationUtils.js';
+import { canPlaceOnTeam, createLockedTeams, repairSlotConstraints } from '../utils/slotConstraintUtils.js';
+import { createYieldTimer, isOptimizationStopped, reportProgress } from '../utils/optimizationControl.js';
+import { getTeamComposition, getTeamSize, getPositionTotals } from '../utils/configHelpers.js';
 
 /**
  * Slot-Based Ant Colony Optimizer
@@ -40,6 +43,8 @@ class SlotAntColonyOptimizer extends IOptimizer {
      * @param {Object} problemContext.playerPool - PlayerPool instance
      * @param {Array<string>} problemContext.positions - Available positions
      * @param {Object} problemContext.positionWeights - Position weights
+     * @param {Object|null} problemContext.constraints - Normalized constraints (pairings and locks)
+     * @param {function(): number} problemContext.random - Random source (defaults to Math.random)
      * @returns {Promise<Array<Array<{playerId, position}>>>} Best solution found
      */
     async solve(problemContext) {
@@ -48,8 +53,11 @@ class SlotAntColonyOptimizer extends IOptimizer {
             teamCount,
             playerPool,
             positions,
-            positionWeights
+            positionWeights,
+            constraints = null,
+            random = Math.random
         } = problemContext;
+        const evaluate = getSlotEvaluator(problemContext);
 
         try {
             // Initialize pheromone matrix: Map<playerId, Array<pheromone per team>>
@@ -62,7 +70,11 @@ class SlotAntColonyOptimizer extends IOptimizer {
             let globalBest = null;
             let globalBestScore = Infinity;
 
+            const yieldTimer = createYieldTimer();
             for (let iter = 0; iter < this.config.iterations; iter++) {
+                // Stop sending ants when cancelled or out of time
+                if (isOptimizationStopped(problemContext)) break;
+
                 this.stats.iterations = iter + 1;
                 const iterationSolutions = [];
 
@@ -73,10 +85,12 @@ class SlotAntColonyOptimizer extends IOptimizer {
                         teamCount,
                         playerPool,
                         pheromones,
-                        positionWeights
+                        positionWeights,
+                        constraints,
+                        random
                     );
 
-                    const score = evaluateSlotSolution(solution, playerPool, positionWeights, composition);
+                    const score = evaluate(solution);
                     iterationSolutions.push({ solution, score });
 
                     if (score < globalBestScore) {
@@ -119,14 +133,23 @@ class SlotAntColonyOptimizer extends IOptimizer {
                     });
                 }
 
-                // Yield control periodically
-                if (iter % 10 === 0) await new Promise(resolve => setTimeout(resolve, 1));
+                // Report progress and yield control periodically
+                if (yieldTimer.isDue()) {
+                    reportProgress(problemContext, {
+                        iteration: iter + 1,
+                        totalIterations: this.config.iterations,
+                        currentScore: Math.min(...iterationSolutions.map(s => s.score)),
+                        bestScore: globalBestScore,
+                        bestSolution: globalBest
+                    });
+                    await yieldTimer.yield();
+                }
             }
 
             // If no solution found, create a fallback
             if (!globalBest) {
                 const { createRandomSlotSolution } = await import('../utils/slotSolutionGenerators.js');
-                globalBest = createRandomSlotSolution(composition, teamCount, playerPool);
+                globalBest = createRandomSlotSolution(composition, teamCount, playerPool, constraints, random);
             }
 
             return globalBest;
@@ -141,34 +164,38 @@ class SlotAntColonyOptimizer extends IOptimizer {
      * @param {number} teamCount - Number of teams
      * @param {Object} playerPool - PlayerPool instance
      * @param {Map} pheromones - Pheromone matrix
+     * @param {Object} positionWeights - Position weights
+     * @param {Object|null} constraints - Normalized constraints (pairings and locks)
+     * @param {function(): number} random - Random source
      * @returns {Array<Array<{playerId, position}>>} Constructed solution
      */
-    constructAntSolution(composition, teamCount, playerPool, pheromones, positionWeights = {}) {
-        const teams = Array.from({ length: teamCount }, () => []);
-        const usedIds = new Set();
+    constructAntSolution(composition, teamCount, playerPool, pheromones, positionWeights = {}, constraints = null, random = Math.random) {
+        // Locked players are placed before any ant decision
+        const { teams, usedIds } = createLockedTeams(composition, teamCount, playerPool, constraints);
 
-        // Pre-calculate target strength per team (total / teamCount)
+        // Pre-calculate target strength per team, in proportion to its size
         const totalStrength = playerPool.getAllPlayers().reduce((sum, p) => {
             const bestPos = p.positions?.[0];
             if (!bestPos) return sum;
-            const rating = p.ratings?.[bestPos] || 1500;
+            const rating = playerPool.getPlayerRating(p.id, bestPos);
             const weight = positionWeights[bestPos] || 1.0;
             return sum + rating * weight;
         }, 0);
-        const targetStrength = totalStrength / teamCount;
+        const teamSizes = Array.from({ length: teamCount }, (_, teamIdx) => getTeamSize(composition, teamIdx));
+        const totalSlots = teamSizes.reduce((sum, size) => sum + size, 0) || 1;
+        const targetStrengths = teamSizes.map(size => totalStrength * size / totalSlots);
 
         // Sort positions by scarcity: scarcer positions first to avoid running out of players
-        const positionOrder = Object.entries(composition)
-            .filter(([, count]) => count && count > 0)
-            .map(([pos, count]) => {
-                const totalNeeded = count * teamCount;
+        const positionOrder = Object.entries(getPositionTotals(composition, teamCount))
+            .filter(([, totalNeeded]) => totalNeeded > 0)
+            .map(([pos, totalNeeded]) => {
                 const available = playerPool.getPlayerIdsForPosition(pos).length;
                 const scarcity = available / totalNeeded; // Lower = scarcer
-                return [pos, count, scarcity];
+                return [pos, scarcity];
             })
-            .sort((a, b) => a[2] - b[2]); // Scarce positions first
+            .sort((a, b) => a[1] - b[1]); // Scarce positions first
 
-        positionOrder.forEach(([position, neededCount]) => {
+        positionOrder.forEach(([position]) => {
             // Get available player IDs for this position, prefer specialists
             let availablePlayerIds = playerPool.getPlayerIdsForPosition(position)
                 .filter(id => !usedIds.has(id));
@@ -181,27 +208,34 @@ class SlotAntColonyOptimizer extends IOptimizer {
             });
 
             for (let teamIdx = 0; teamIdx < teamCount; teamIdx++) {
-                for (let slot = 0; slot < neededCount; slot++) {
+                const neededCount = getTeamComposition(composition, teamIdx)[position] || 0;
+                for (let slot = teams[teamIdx].filter(s => s.position === position).length; slot < neededCount; slot++) {
                     // Refresh available list (some may have been used for other teams)
                     availablePlayerIds = availablePlayerIds.filter(id => !usedIds.has(id));
                     if (availablePlayerIds.length === 0) break;
 
+                    // Respect pairing constraints; if nobody fits, repair afterwards
+                    const placeableIds = availablePlayerIds.filter(id =>
+                        canPlaceOnTeam(constraints, id, teamIdx, teams, position));
+                    const candidateIds = placeableIds.length > 0 ? placeableIds : availablePlayerIds;
+
                     // Calculate probabilities based on pheromones and balance heuristic
                     const probabilities = this.calculateAntProbabilities(
-                        availablePlayerIds,
+                        candidateIds,
                         teamIdx,
                         position,
                         playerPool,
                         pheromones,
                         teams,
                         positionWeights,
-                        targetStrength
+                        targetStrengths[teamIdx]
                     );
 
                     // Select player based on probabilities
                     const selectedPlayerId = this.rouletteWheelSelection(
-                        availablePlayerIds,
-                        probabilities
+                        candidateIds,
+                        probabilities,
+                        random
                     );
 
                     // Add slot to team
@@ -214,7 +248,7 @@ class SlotAntColonyOptimizer extends IOptimizer {
             }
         });
 
-        return teams;
+        return repairSlotConstraints(teams, constraints, playerPool);
     }
 
     /**
@@ -286,15 +320,16 @@ class SlotAntColonyOptimizer extends IOptimizer {
      * Roulette wheel selection
      * @param {Array<number>} playerIds - Available player IDs
      * @param {Array<number>} probabilities - Selection probabilities
+     * @param {function(): number} random - Random source
      * @returns {number} Selected player ID
      */
-    rouletteWheelSelection(playerIds, probabilities) {
-        const random = Math.random();
+    rouletteWheelSelection(playerIds, probabilities, random = Math.random) {
+        const threshold = random();
         let cumulative = 0;
 
         for (let i = 0; i < playerIds.length; i++) {
             cumulative += probabilities[i];
-            if (random <= cumulative) {
+            if (threshold <= cumulative) {
                 return playerIds[i];
             }
         }
@@ -2,7 +2,10 @@
 
 import IOptimizer from '../core/IOptimizer.js';
 import { createSmartSlotSolution } from '../utils/slotSolutionGenerators.js';
-import { evaluateSlotSolution } from '../utils/slotEvaluationUtils.js';
+import { getSlotEvaluator } from '../utils/slotEvaluationUtils.js';
+import { canPlaceOnTeam, createLockedTeams } from '../utils/slotConstraintUtils.js';
+import { createYieldTimer, isOptimizationStopped, reportProgress } from '../utils/optimizationControl.js';
+import { getTeamComposition, isPositionRange, getPositionRange } from '../utils/configHelpers.js';
 
 /**
  * Slot-Based Constraint Programming Optimizer
@@ -14,6 +17,10 @@ import { evaluateSlotSolution } from '../utils/slotEvaluationUtils.js';
  * 1. Each player assigned exactly once (AllDifferent)
  * 2. Each team has correct position composition
  * 3. Players only assigned to positions they can play
+ * 4. Pairing constraints (keepTogether / keepApart), checked on assignment
+ * 5. Locked players, pinned as single-value domains
+ * 6. Position ranges: beyond each position's minimum, a team's remaining
+ *    slots are flexible and take any player whose position still has room
  *
  * Forward checking: after each assignment, prune domains of future variables
  * by removing the assigned player. If any future variable's domain becomes
@@ -44,16 +51,25 @@ class SlotConstraintProgrammingOptimizer extends IOptimizer {
             composition,
             teamCount,
             playerPool,
-            positionWeights
+            positionWeights,
+            constraints = null,
+            compositionRanges = null,
+            random = Math.random
         } = problemContext;
+        const evaluate = getSlotEvaluator(problemContext);
 
         try {
             const attempts = Math.min(5, Math.ceil(this.config.maxBacktracks / 3000));
             let bestSolution = null;
             let bestScore = Infinity;
 
+            const yieldTimer = createYieldTimer();
             for (let attempt = 0; attempt < attempts; attempt++) {
-                const variables = this.buildCPVariables(composition, teamCount, playerPool);
+                // No further attempts when cancelled or out of time
+                if (isOptimizationStopped(problemContext)) break;
+
+                this.stats.iterations++;
+                const variables = this.buildCPVariables(composition, teamCount, playerPool, constraints, compositionRanges);
 
                 // Sort by MRV (smallest domain first) for first attempt;
                 // add randomization for subsequent attempts
@@ -62,8 +78,8 @@ class SlotConstraintProgrammingOptimizer extends IOptimizer {
                 } else {
                     // Partially randomize while keeping scarce positions early
                     variables.sort((a, b) => {
-                        const da = a.domain.length + Math.random() * 3;
-                        const db = b.domain.length + Math.random() * 3;
+                        const da = a.domain.length + random() * 3;
+                        const db = b.domain.length + random() * 3;
                         return da - db;
                     });
                 }
@@ -71,72 +87,156 @@ class SlotConstraintProgrammingOptimizer extends IOptimizer {
                 const attemptStats = { backtracks: 0, conflicts: 0, pruned: 0 };
 
                 const solution = await this.backtrackWithFC(
-                    variables, teamCount, playerPool, positionWeights, attemptStats
+                    variables, teamCount, playerPool, positionWeights, attemptStats, constraints, problemContext
                 );
 
                 this.stats.backtracks += attemptStats.backtracks;
                 this.stats.conflicts += attemptStats.conflicts;
                 this.stats.pruned += attemptStats.pruned;
 
-                if (solution) {
-                    const score = evaluateSlotSolution(solution, playerPool, positionWeights, composition);
-                    if (score < bestScore) {
-                        bestSolution = solution;
-                        bestScore = score;
-                        this.stats.improvements++;
-                    }
+                const score = solution
+                    ? evaluate(solution)
+                    : Infinity;
+                if (score < bestScore) {
+                    bestSolution = solution;
+                    bestScore = score;
+                    this.stats.improvements++;
                 }
 
-                if (attempt % 2 === 0) await new Promise(resolve => setTimeout(resolve, 1));
+                // Attempts are few and slow, so report after each one
+                reportProgress(problemContext, {
+                    iteration: attempt + 1,
+                    totalIterations: attempts,
+                    currentScore: score,
+                    bestScore,
+                    bestSolution
+                });
+
+                if (yieldTimer.isDue()) await yieldTimer.yield();
             }
 
             if (!bestSolution) {
-                bestSolution = createSmartSlotSolution(composition, teamCount, playerPool);
+                bestSolution = createSmartSlotSolution(composition, teamCount, playerPool, false, constraints, random);
             }
 
             return bestSolution;
         } catch (error) {
-            return createSmartSlotSolution(composition, teamCount, playerPool);
+            return createSmartSlotSolution(composition, teamCount, playerPool, false, constraints, random);
         }
     }
 
     /**
-     * Build CP variables with initial domains
+     * Build CP variables with initial domains.
+     * Each locked player gets one slot of their team with a single-value
+     * domain and is removed from every other domain.
+     * With position ranges, each ranged position gets fixed slots for its
+     * minimum (or its locked players), and the rest of the team becomes
+     * flexible slots whose domain is every player of a position with room;
+     * the position is chosen on assignment, leaving room for the team's
+     * fixed slots that are still open.
      */
-    buildCPVariables(composition, teamCount, playerPool) {
+    buildCPVariables(composition, teamCount, playerPool, constraints = null, compositionRanges = null) {
         const variables = [];
+        const { teams: lockedTeams, usedIds: lockedIds } = createLockedTeams(composition, teamCount, playerPool, constraints);
 
         for (let teamIdx = 0; teamIdx < teamCount; teamIdx++) {
-            Object.entries(composition).forEach(([position, count]) => {
-                for (let slot = 0; slot < count; slot++) {
-                    const eligiblePlayerIds = playerPool.getPlayerIdsForPosition(position);
-                    variables.push({
+            const teamRanges = compositionRanges ? getTeamComposition(compositionRanges, teamIdx) : {};
+            const fixedSlots = [];
+            const flexibleRanges = {};
+            let flexibleSlots = 0;
+
+            Object.entries(getTeamComposition(composition, teamIdx)).forEach(([position, count]) => {
+                const lockedSlots = lockedTeams[teamIdx].filter(s => s.position === position);
+                let fixedCount = count;
+
+                if (isPositionRange(teamRanges[position])) {
+                    const range = getPositionRange(teamRanges[position]);
+                    fixedCount = Math.min(count, Math.max(range.min, lockedSlots.length));
+                    flexibleSlots += count - fixedCount;
+                    if (range.max > fixedCount) flexibleRanges[position] = range;
+                }
+
+                for (let slot = 0; slot < fixedCount; slot++) {
+                    const eligiblePlayerIds = slot < lockedSlots.length
+                        ? [lockedSlots[slot].playerId]
+                        : playerPool.getPlayerIdsForPosition(position).filter(id => !lockedIds.has(id));
+                    fixedSlots.push({
                         teamIndex: teamIdx,
                         position: position,
+                        flexible: false,
                         domain: [...eligiblePlayerIds],
                         assignment: null
                     });
                 }
             });
+
+            variables.push(...fixedSlots);
+            if (flexibleSlots === 0) continue;
+
+            const flexibleIds = new Set();
+            Object.keys(flexibleRanges).forEach(position => {
+                playerPool.getPlayerIdsForPosition(position).forEach(id => {
+                    if (!lockedIds.has(id)) flexibleIds.add(id);
+                });
+            });
+            for (let slot = 0; slot < flexibleSlots; slot++) {
+                variables.push({
+                    teamIndex: teamIdx,
+                    position: null,
+                    flexible: true,
+                    ranges: flexibleRanges,
+                    fixedSlots,
+                    domain: [...flexibleIds],
+                    assignment: null
+                });
+            }
         }
 
         return variables;
     }
 
+    /**
+     * Position a player takes in a flexible slot: their best-rated position
+     * that the team still has room for under its range, counting open fixed slots
+     * @returns {string|null} Position, or null if none has room
+     */
+    pickFlexiblePosition(variable, playerId, team, playerPool) {
+        let best = null;
+        let bestRating = -Infinity;
+
+        Object.entries(variable.ranges).forEach(([position, range]) => {
+            if (!playerPool.canPlayPosition(playerId, position)) return;
+            const taken = team.filter(s => s.position === position).length +
+                variable.fixedSlots.filter(v => v.position === position && v.assignment === null).length;
+            if (taken >= range.max) return;
+
+            const rating = playerPool.getPlayerRating(playerId, position);
+            if (rating > bestRating) {
+                best = position;
+                bestRating = rating;
+            }
+        });
+
+        return best;
+    }
+
     /**
      * Backtracking with forward checking.
      * After each assignment, removes the assigned player from all future
      * variables' domains. If any domain becomes empty → fail-fast.
+     * Values that would break a pairing constraint count as conflicts.
+     * Gives up (returns null) when the run is cancelled or out of time.
      */
-    async backtrackWithFC(variables, teamCount, playerPool, positionWeights, stats) {
+    async backtrackWithFC(variables, teamCount, playerPool, positionWeights, stats, constraints = null, problemContext = {}) {
         const teams = Array.from({ length: teamCount }, () => []);
         const domainStack = []; // Stack of domain snapshots for undo
+        const yieldTimer = createYieldTimer();
 
         const solve = async (varIndex) => {
             if (varIndex >= variables.length) {
                 return true; // All assigned
             }
-            if (stats.backtracks > this.config.maxBacktracks) {
+            if (stats.backtracks > this.config.maxBacktracks || isOptimizationStopped(problemContext)) {
                 return false;
             }
 
@@ -148,11 +248,20 @@ class SlotConstraintProgrammingOptimizer extends IOptimizer {
             );
 
             for (const playerId of orderedDomain) {
+                const position = variable.flexible
+                    ? this.pickFlexiblePosition(variable, playerId, teams[variable.teamIndex], playerPool)
+                    : variable.position;
+
+                if (!position || !canPlaceOnTeam(constraints, playerId, variable.teamIndex, teams, position)) {
+                    stats.conflicts++;
+                    continue;
+                }
+
                 // Assign
                 variable.assignment = playerId;
                 teams[variable.teamIndex].push({
                     playerId: playerId,
-                    position: variable.position
+                    position
                 });
 
                 // Forward check: prune future domains
@@ -174,8 +283,8 @@ class SlotConstraintProgrammingOptimizer extends IOptimizer {
                 teams[variable.teamIndex].pop();
                 stats.backtracks++;
 
-                if (stats.backtracks % 1000 === 0) {
-                    await new Promise(resolve => setTimeout(resolve, 1));
+                if (yieldTimer.isDue()) {
+                    await yieldTimer.yield();
                 }
             }
 
@@ -234,8 +343,6 @@ class SlotConstraintProgrammingOptimizer extends IOptimizer {
      */
     orderDomainByBalance(variable, teams, playerPool, positionWeights) {
         const teamIdx = variable.teamIndex;
-        const position = variable.position;
-        const weight = positionWeights[position] || 1.0;
 
         // Current team strengths
         const strengths = teams.map(team =>
@@ -248,10 +355,19 @@ class SlotConstraintProgrammingOptimizer extends IOptimizer {
         const avgStrength = strengths.reduce((a, b) => a + b, 0) / teams.length;
         const myStrength = strengths[teamIdx];
 
+        // Flexible slots are rated at the player's best position with room
+        const weightedRating = (playerId) => {
+            const position = variable.flexible
+                ? this.pickFlexiblePosition(variable, playerId, teams[teamIdx], playerPool)
+                : variable.position;
+            if (!position) return 0;
+            return playerPool.getPlayerRating(playerId, position) * (positionWeights[position] || 1.0);
+        };
+
         // Score each candidate: lower distance from average = better
         return [...variable.domain].sort((a, b) => {
-            const rA = playerPool.getPlayerRating(a, position) * weight;
-            const rB = playerPool.getPlayerRating(b, position) * weight;
+            const rA = weightedRating(a);
+            const rB = weightedRating(b);
             const distA = Math.abs(myStrength + rA - avgStrength);
             const distB = Math.abs(myStrength + rB - avgStrength);
             return distA - distB;
@@ -1,10 +1,13 @@
 // src/algorithms/SlotGeneticAlgorithmOptimizer.js
 
 import IOptimizer from '../core/IOptimizer.js';
-import { cloneSlotTeams, validateAllSlotTeamsComposition } from '../utils/teamSlotUtils.js';
+import { cloneSlotTeams, validateAllSlotTeamsComposition, hasRoomForPosition } from '../utils/teamSlotUtils.js';
 import { performUniversalSlotSwap } from '../utils/slotSwapOperations.js';
 import { createRandomSlotSolution } from '../utils/slotSolutionGenerators.js';
-import { evaluateSlotSolution } from '../utils/slotEvaluationUtils.js';
+import { getSlotEvaluator } from '../utils/slotEvaluationUtils.js';
+import { countConstraintViolations } from '../utils/slotConstraintUtils.js';
+import { createYieldTimer, isOptimizationStopped, reportProgress } from '../utils/optimizationControl.js';
+import { getTeamComposition, getCompositionPositions, getTeamSize, getPositionRange } from '../utils/configHelpers.js';
 
 /**
  * Slot-Based Genetic Algorithm Optimizer
@@ -36,6 +39,9 @@ class SlotGeneticAlgorithmOptimizer extends IOptimizer {
      * @param {Object} problemContext.playerPool - PlayerPool instance
      * @param {Array<string>} problemContext.positions - Available positions
      * @param {Object} problemContext.positionWeights - Position weights
+     * @param {Object|null} problemContext.constraints - Normalized constraints (pairings and locks)
+     * @param {Object|Array<Object>|null} problemContext.compositionRanges - Composition with {min, max} position ranges (optional)
+     * @param {function(): number} problemContext.random - Random source (defaults to Math.random)
      * @returns {Promise<Array<Array<{playerId, position}>>>} Best solution found
      */
     async solve(problemContext) {
@@ -45,8 +51,12 @@ class SlotGeneticAlgorithmOptimizer extends IOptimizer {
             teamCount,
             playerPool,
             positions,
-            positionWeights
+            positionWeights,
+            constraints = null,
+            compositionRanges = null,
+            random = Math.random
         } = problemContext;
+        const evaluate = getSlotEvaluator(problemContext);
 
         try {
             // Initialize population
@@ -54,19 +64,23 @@ class SlotGeneticAlgorithmOptimizer extends IOptimizer {
 
             // Fill population to required size with diverse solutions
             while (population.length < this.config.populationSize) {
-                population.push(createRandomSlotSolution(composition, teamCount, playerPool));
+                population.push(createRandomSlotSolution(composition, teamCount, playerPool, constraints, random));
             }
 
             let bestScore = Infinity;
             let stagnationCount = 0;
 
+            const yieldTimer = createYieldTimer();
             for (let gen = 0; gen < this.config.generationCount; gen++) {
+                // Cancelled or out of time: the current population still holds the elite
+                if (isOptimizationStopped(problemContext)) break;
+
                 this.stats.generations = gen + 1;
 
                 // Evaluate all individuals
                 const scored = population.map(individual => ({
                     teams: individual,
-                    score: evaluateSlotSolution(individual, playerPool, positionWeights, composition)
+                    score: evaluate(individual)
                 })).sort((a, b) => a.score - b.score);
 
                 // Track improvements
@@ -83,21 +97,24 @@ class SlotGeneticAlgorithmOptimizer extends IOptimizer {
 
                 // Generate offspring
                 while (newPopulation.length < this.config.populationSize) {
-                    const parent1 = this.tournamentSelection(scored, this.config.tournamentSize);
+                    const parent1 = this.tournamentSelection(scored, this.config.tournamentSize, random);
 
-                    if (Math.random() < this.config.crossoverRate) {
-                        const parent2 = this.tournamentSelection(scored, this.config.tournamentSize);
-                        const child = this.slotCrossover(parent1, parent2, composition, playerPool);
+                    if (random() < this.config.crossoverRate) {
+                        const parent2 = this.tournamentSelection(scored, this.config.tournamentSize, random);
+                        const child = this.slotCrossover(parent1, parent2, composition, playerPool, random, compositionRanges);
 
-                        // Reject children with invalid composition
-                        const compositionValid = validateAllSlotTeamsComposition(child, composition).isValid;
+                        // Reject children with invalid composition (outside the ranges, if any),
+                        // the wrong team sizes or broken pairing constraints
+                        const childValid = validateAllSlotTeamsComposition(child, compositionRanges || composition).isValid &&
+                            child.every((team, teamIdx) => team.length === getTeamSize(composition, teamIdx)) &&
+                            countConstraintViolations(child, constraints) === 0;
 
                         // Diversity check: avoid adding very similar solutions
-                        if (compositionValid && this.isDiverse(child, newPopulation)) {
+                        if (childValid && this.isDiverse(child, newPopulation, random)) {
                             newPopulation.push(child);
                         } else {
-                            // Invalid composition or too similar — create a valid random solution
-                            newPopulation.push(createRandomSlotSolution(composition, teamCount, playerPool));
+                            // Invalid child or too similar — create a valid random solution
+                            newPopulation.push(createRandomSlotSolution(composition, teamCount, playerPool, constraints, random));
                         }
                     } else {
                         newPopulation.push(cloneSlotTeams(parent1));
@@ -118,11 +135,11 @@ class SlotGeneticAlgorithmOptimizer extends IOptimizer {
 
                 // Apply mutation to non-elite individuals
                 for (let i = this.config.elitismCount; i < newPopulation.length; i++) {
-                    if (Math.random() < currentMutationRate) {
+                    if (random() < currentMutationRate) {
                         // Apply multiple swaps when stagnating for more diversity
                         const swapCount = stagnationCount > 10 ? 3 : 1;
                         for (let s = 0; s < swapCount; s++) {
-                            performUniversalSlotSwap(newPopulation[i], positions, playerPool, this.adaptiveParams);
+                            performUniversalSlotSwap(newPopulation[i], positions, playerPool, this.adaptiveParams, constraints, random, compositionRanges);
                         }
                     }
                 }
@@ -131,21 +148,30 @@ class SlotGeneticAlgorithmOptimizer extends IOptimizer {
                 if (stagnationCount >= this.config.maxStagnation) {
                     const replacementCount = Math.ceil(newPopulation.length / 2);
                     for (let i = newPopulation.length - replacementCount; i < newPopulation.length; i++) {
-                        newPopulation[i] = createRandomSlotSolution(composition, teamCount, playerPool);
+                        newPopulation[i] = createRandomSlotSolution(composition, teamCount, playerPool, constraints, random);
                     }
                     stagnationCount = 0;
                 }
 
                 population = newPopulation;
 
-                // Yield control periodically
-                if (gen % 10 === 0) await new Promise(resolve => setTimeout(resolve, 1));
+                // Report progress and yield control periodically
+                if (yieldTimer.isDue()) {
+                    reportProgress(problemContext, {
+                        iteration: gen + 1,
+                        totalIterations: this.config.generationCount,
+                        currentScore: scored[0].score,
+                        bestScore,
+                        bestSolution: scored[0].teams
+                    });
+                    await yieldTimer.yield();
+                }
             }
 
             // Return best solution
             return population.map(ind => ({
                 teams: ind,
-                score: evaluateSlotSolution(ind, playerPool, positionWeights, composition)
+                score: evaluate(ind)
             }))
             .sort((a, b) => a.score - b.score)[0].teams;
         } catch (error) {
@@ -157,9 +183,10 @@ class SlotGeneticAlgorithmOptimizer extends IOptimizer {
      * Check if a solution is sufficiently diverse from existing population
      * @param {Array<Array<{playerId, position}>>} solution - Solution to check
      * @param {Array<Array<Array<{playerId, position}>>>} population - Current population
+     * @param {function(): number} random - Random source
      * @returns {boolean} True if solution is diverse enough
      */
-    isDiverse(solution, population) {
+    isDiverse(solution, population, random = Math.random) {
         if (population.length === 0) return true;
 
         // Sample a few individuals from population to compare
@@ -167,7 +194,7 @@ class SlotGeneticAlgorithmOptimizer extends IOptimizer {
         let minDifference = Infinity;
 
         for (let i = 0; i < sampleSize; i++) {
-            const idx = Math.floor(Math.random() * population.length);
+            const idx = Math.floor(random() * population.length);
             const difference = this.calculateSolutionDifference(solution, population[idx]);
             minDifference = Math.min(minDifference, difference);
         }
@@ -207,12 +234,13 @@ class SlotGeneticAlgorithmOptimizer extends IOptimizer {
      * Tournament selection
      * @param {Array<{teams, score}>} scoredPopulation - Population with scores
      * @param {number} size - Tournament size
+     * @param {function(): number} random - Random source
      * @returns {Array<Array<{playerId, position}>>} Selected individual
      */
-    tournamentSelection(scoredPopulation, size) {
+    tournamentSelection(scoredPopulation, size, random = Math.random) {
         let best = null;
         for (let i = 0; i < size; i++) {
-            const idx = Math.floor(Math.random() * scoredPopulation.length);
+            const idx = Math.floor(random() * scoredPopulation.length);
             if (!best || scoredPopulation[idx].score < best.score) {
                 best = scoredPopulation[idx];
             }
@@ -223,27 +251,33 @@ class SlotGeneticAlgorithmOptimizer extends IOptimizer {
     /**
      * Position-level crossover: for each position, inherit from one parent.
      * This preserves valid composition by construction — no fallback needed.
+     * With composition ranges a team inherits up to the position's maximum,
+     * so children can take either parent's position mix.
      *
      * @param {Array<Array<{playerId, position}>>} parent1 - First parent
      * @param {Array<Array<{playerId, position}>>} parent2 - Second parent
      * @param {Object} composition - Position composition
      * @param {Object} playerPool - PlayerPool instance
+     * @param {function(): number} random - Random source
+     * @param {Object|Array<Object>|null} compositionRanges - Composition with {min, max} position ranges (optional)
      * @returns {Array<Array<{playerId, position}>>} Child solution
      */
-    slotCrossover(parent1, parent2, composition, playerPool) {
+    slotCrossover(parent1, parent2, composition, playerPool, random = Math.random, compositionRanges = null) {
+        const limits = compositionRanges || composition;
         const child = Array.from({ length: parent1.length }, () => []);
         const usedIds = new Set();
 
         // For each position: take from one parent
-        for (const [position, count] of Object.entries(composition)) {
-            if (!count) continue;
-            const source = Math.random() < 0.5 ? parent1 : parent2;
+        for (const position of getCompositionPositions(limits)) {
+            const source = random() < 0.5 ? parent1 : parent2;
 
             for (let teamIdx = 0; teamIdx < source.length; teamIdx++) {
+                const teamLimits = getTeamComposition(limits, teamIdx);
+                const teamSize = getTeamSize(composition, teamIdx);
                 const slots = source[teamIdx].filter(s => s.position === position);
                 for (const slot of slots) {
                     if (!usedIds.has(slot.playerId) &&
-                        child[teamIdx].filter(s => s.position === position).length < count) {
+                        hasRoomForPosition(child[teamIdx], teamLimits, position, teamSize)) {
                         child[teamIdx].push({ playerId: slot.playerId, position });
                         usedIds.add(slot.playerId);
                     }
@@ -252,58 +286,64 @@ class SlotGeneticAlgorithmOptimizer extends IOptimizer {
         }
 
         // Fill missing slots from the other parent or pool
-        this._fillMissingSlots(child, composition, playerPool, usedIds);
+        this._fillMissingSlots(child, composition, playerPool, usedIds, compositionRanges);
 
         return child;
     }
 
     /**
      * Fill any missing slots in the child solution.
-     * Tries to find unused players that can fill needed positions.
+     * Tries to find unused players that can fill needed positions: position
+     * minimums first, then (with ranges) any position below its maximum.
      */
-    _fillMissingSlots(child, composition, playerPool, usedIds) {
+    _fillMissingSlots(child, composition, playerPool, usedIds, compositionRanges = null) {
+        const limits = compositionRanges || composition;
+
         // Collect all unused player IDs, specialists first
         const allPlayers = playerPool.getAllPlayers();
         const unusedPlayers = allPlayers
             .filter(p => !usedIds.has(p.id))
             .sort((a, b) => (a.positions?.length || 1) - (b.positions?.length || 1));
 
-        for (const player of unusedPlayers) {
-            if (!player.positions) continue;
-            let placed = false;
-
-            for (const position of player.positions) {
-                const neededCount = composition[position] || 0;
-                if (neededCount === 0) continue;
-
-                for (let i = 0; i < child.length; i++) {
-                    const currentCount = child[i].filter(s => s.position === position).length;
-                    if (currentCount < neededCount) {
-                        child[i].push({ playerId: player.id, position });
-                        usedIds.add(player.id);
-                        placed = true;
-                        break;
+        for (const bound of ['min', 'max']) {
+            for (const player of unusedPlayers) {
+                if (!player.positions || usedIds.has(player.id)) continue;
+                let placed = false;
+
+                for (const position of player.positions) {
+                    for (let i = 0; i < child.length; i++) {
+                        const teamLimits = getTeamComposition(limits, i);
+                        const neededCount = getPositionRange(teamLimits[position])[bound];
+                        const currentCount = child[i].filter(s => s.position === position).length;
+                        if (currentCount < neededCount &&
+                            hasRoomForPosition(child[i], teamLimits, position, getTeamSize(composition, i))) {
+                            child[i].push({ playerId: player.id, position });
+                            usedIds.add(player.id);
+                            placed = true;
+                            break;
+                        }
                     }
+                    if (placed) break;
                 }
-                if (placed) break;
             }
+        }
 
-            // Last resort: add to smallest team
-            if (!placed) {
-                const teamSize = Object.values(composition).reduce((sum, c) => sum + c, 0);
-                let smallestIdx = -1;
-                let smallestSize = Infinity;
-                for (let i = 0; i < child.length; i++) {
-                    if (child[i].length < teamSize && child[i].length < smallestSize) {
-                        smallestSize = child[i].length;
-                        smallestIdx = i;
-                    }
-                }
-                if (smallestIdx >= 0) {
-                    child[smallestIdx].push({ playerId: player.id, position: player.positions[0] });
-                    usedIds.add(player.id);
+        // Last resort: add players nobody could place to the smallest team
+        for (const player of unusedPlayers) {
+            if (!player.positions || usedIds.has(player.id)) continue;
+
+            let smallestIdx = -1;
+            let smallestSize = Infinity;
+            for (let i = 0; i < child.length; i++) {
+                if (child[i].length < getTeamSize(composition, i) && child[i].length < smallestSize) {
+                    smallestSize = child[i].length;
+                    smallestIdx = i;
                 }
             }
+            if (smallestIdx >= 0) {
+                child[smallestIdx].push({ playerId: player.id, position: player.positions[0] });
+                usedIds.add(player.id);
+            }
         }
     }
 
@@ -1,10 +1,18 @@
 // src/algorithms/SlotHybridOptimizer.js
 
 import IOptimizer from '../core/IOptimizer.js';
-import { cloneSlotTeams, hashSlotSolution, validateAllSlotTeamsComposition } from '../utils/teamSlotUtils.js';
+import {
+    cloneSlotTeams,
+    hashSlotSolution,
+    validateAllSlotTeamsComposition,
+    hasRoomForPosition
+} from '../utils/teamSlotUtils.js';
 import { performUniversalSlotSwap, performAdaptiveSlotSwap } from '../utils/slotSwapOperations.js';
-import { evaluateSlotSolution } from '../utils/slotEvaluationUtils.js';
+import { getSlotEvaluator } from '../utils/slotEvaluationUtils.js';
 import { createRandomSlotSolution } from '../utils/slotSolutionGenerators.js';
+import { countConstraintViolations } from '../utils/slotConstraintUtils.js';
+import { createYieldTimer, isOptimizationStopped, reportProgress } from '../utils/optimizationControl.js';
+import { getTeamComposition, getTeamSize, getPositionRange } from '../utils/configHelpers.js';
 
 /**
  * Slot-Based Hybrid Optimizer
@@ -56,6 +64,9 @@ class SlotHybridOptimizer extends IOptimizer {
      * @param {Object} problemContext.playerPool - PlayerPool instance
      * @param {Array<string>} problemContext.positions - Available positions
      * @param {Object} problemContext.positionWeights - Position weights
+     * @param {Object|null} problemContext.constraints - Normalized constraints (pairings and locks)
+     * @param {Object|Array<Object>|null} problemContext.compositionRanges - Composition with {min, max} position ranges (optional)
+     * @param {function(): number} problemContext.random - Random source (defaults to Math.random)
      * @returns {Promise<Array<Array<{playerId, position}>>>} Best solution found
      */
     async solve(problemContext) {
@@ -67,6 +78,7 @@ class SlotHybridOptimizer extends IOptimizer {
             positions,
             positionWeights
         } = problemContext;
+        const evaluate = getSlotEvaluator(problemContext);
 
         try {
             // Handle initial solution (single solution or population)
@@ -81,7 +93,7 @@ class SlotHybridOptimizer extends IOptimizer {
             }
 
             let bestSolution = cloneSlotTeams(currentSolution);
-            let bestScore = evaluateSlotSolution(bestSolution, playerPool, positionWeights, composition);
+            let bestScore = evaluate(bestSolution);
 
             // Phase 1: Genetic Algorithm - Global Exploration
             const phase1Result = await this.phase1GeneticAlgorithm(
@@ -135,7 +147,8 @@ class SlotHybridOptimizer extends IOptimizer {
      * Phase 1: Genetic Algorithm for global exploration
      */
     async phase1GeneticAlgorithm(problemContext, initialSolution, initialScore) {
-        const { composition, teamCount, playerPool, positions, positionWeights } = problemContext;
+        const { composition, teamCount, playerPool, positions, positionWeights, constraints = null, compositionRanges = null, random = Math.random } = problemContext;
+        const evaluate = getSlotEvaluator(problemContext);
         const config = this.config.phase1 || {
             populationSize: 15,
             generations: 100,
@@ -148,19 +161,23 @@ class SlotHybridOptimizer extends IOptimizer {
         // Initialize population
         let population = [cloneSlotTeams(initialSolution)];
         while (population.length < config.populationSize) {
-            population.push(createRandomSlotSolution(composition, teamCount, playerPool));
+            population.push(createRandomSlotSolution(composition, teamCount, playerPool, constraints, random));
         }
 
         let bestSolution = cloneSlotTeams(initialSolution);
         let bestScore = initialScore;
 
+        const yieldTimer = createYieldTimer();
         for (let gen = 0; gen < config.generations; gen++) {
+            // Cancelled or out of time: later phases stop immediately too
+            if (isOptimizationStopped(problemContext)) break;
+
             this.stats.phase1Iterations++;
 
             // Evaluate population
             const scored = population.map(individual => ({
                 teams: individual,
-                score: evaluateSlotSolution(individual, playerPool, positionWeights, composition)
+                score: evaluate(individual)
             })).sort((a, b) => a.score - b.score);
 
             // Track best
@@ -175,17 +192,20 @@ class SlotHybridOptimizer extends IOptimizer {
             const newPopulation = scored.slice(0, config.elitismCount).map(s => cloneSlotTeams(s.teams));
 
             while (newPopulation.length < config.populationSize) {
-                const parent1 = this.tournamentSelection(scored, config.tournamentSize);
+                const parent1 = this.tournamentSelection(scored, config.tournamentSize, random);
 
-                if (Math.random() < config.crossoverRate) {
-                    const parent2 = this.tournamentSelection(scored, config.tournamentSize);
-                    const child = this.slotCrossover(parent1, parent2, composition, playerPool);
+                if (random() < config.crossoverRate) {
+                    const parent2 = this.tournamentSelection(scored, config.tournamentSize, random);
+                    const child = this.slotCrossover(parent1, parent2, composition, playerPool, random, compositionRanges);
 
-                    // Reject children with invalid composition
-                    if (validateAllSlotTeamsComposition(child, composition).isValid) {
+                    // Reject children with invalid composition (outside the ranges, if any),
+                    // the wrong team sizes or broken pairing constraints
+                    if (validateAllSlotTeamsComposition(child, compositionRanges || composition).isValid &&
+                        child.every((team, teamIdx) => team.length === getTeamSize(composition, teamIdx)) &&
+                        countConstraintViolations(child, constraints) === 0) {
                         newPopulation.push(child);
                     } else {
-                        newPopulation.push(createRandomSlotSolution(composition, teamCount, playerPool));
+                        newPopulation.push(createRandomSlotSolution(composition, teamCount, playerPool, constraints, random));
                     }
                 } else {
                     newPopulation.push(cloneSlotTeams(parent1));
@@ -194,17 +214,25 @@ class SlotHybridOptimizer extends IOptimizer {
 
             // Mutation
             for (let i = config.elitismCount; i < newPopulation.length; i++) {
-                if (Math.random() < config.mutationRate) {
+                if (random() < config.mutationRate) {
                     // More random swaps during exploration
-                    performUniversalSlotSwap(newPopulation[i], positions, playerPool, this.adaptiveParams);
+                    performUniversalSlotSwap(newPopulation[i], positions, playerPool, this.adaptiveParams, constraints, random, compositionRanges);
                 }
             }
 
             population = newPopulation;
 
-            // Periodic yield
-            if (gen % 20 === 0) {
-                await new Promise(resolve => setTimeout(resolve, 1));
+            // Periodic progress report and yield
+            if (yieldTimer.isDue()) {
+                reportProgress(problemContext, {
+                    phase: 'Genetic Algorithm',
+                    iteration: gen + 1,
+                    totalIterations: config.generations,
+                    currentScore: scored[0].score,
+                    bestScore,
+                    bestSolution
+                });
+                await yieldTimer.yield();
             }
         }
 
@@ -215,7 +243,8 @@ class SlotHybridOptimizer extends IOptimizer {
      * Phase 2: Tabu Search for focused exploitation
      */
     async phase2TabuSearch(problemContext, initialSolution, initialScore) {
-        const { composition, playerPool, positions, positionWeights } = problemContext;
+        const { composition, playerPool, positions, positionWeights, constraints = null, compositionRanges = null, random = Math.random } = problemContext;
+        const evaluate = getSlotEvaluator(problemContext);
         const config = this.config.phase2 || {
             iterations: 3000,
             tabuTenure: 50,
@@ -231,7 +260,11 @@ class SlotHybridOptimizer extends IOptimizer {
         const tabuList = new Set();
         let iterationsSinceImprovement = 0;
 
+        const yieldTimer = createYieldTimer();
         for (let iter = 0; iter < config.iterations; iter++) {
+            // Stop when cancelled or out of time
+            if (isOptimizationStopped(problemContext)) break;
+
             this.stats.phase2Iterations++;
 
             // Generate neighborhood using adaptive swaps
@@ -241,10 +274,10 @@ class SlotHybridOptimizer extends IOptimizer {
 
             for (let n = 0; n < config.neighborhoodSize; n++) {
                 const neighbor = cloneSlotTeams(currentSolution);
-                performAdaptiveSlotSwap(neighbor, positions, playerPool, this.adaptiveParams);
+                performAdaptiveSlotSwap(neighbor, positions, playerPool, this.adaptiveParams, constraints, random);
 
                 const hash = hashSlotSolution(neighbor);
-                const score = evaluateSlotSolution(neighbor, playerPool, positionWeights, composition);
+                const score = evaluate(neighbor);
                 const isTabu = tabuList.has(hash);
 
                 if (!isTabu) {
@@ -290,16 +323,24 @@ class SlotHybridOptimizer extends IOptimizer {
             // Diversification if stuck
             if (iterationsSinceImprovement > config.diversificationFrequency) {
                 for (let i = 0; i < 5; i++) {
-                    performUniversalSlotSwap(currentSolution, positions, playerPool, this.adaptiveParams);
+                    performUniversalSlotSwap(currentSolution, positions, playerPool, this.adaptiveParams, constraints, random, compositionRanges);
                 }
-                currentScore = evaluateSlotSolution(currentSolution, playerPool, positionWeights, composition);
+                currentScore = evaluate(currentSolution);
                 iterationsSinceImprovement = 0;
                 tabuList.clear();
             }
 
-            // Periodic yield
-            if (iter % 100 === 0) {
-                await new Promise(resolve => setTimeout(resolve, 1));
+            // Periodic progress report and yield
+            if (yieldTimer.isDue()) {
+                reportProgress(problemContext, {
+                    phase: 'Tabu Search',
+                    iteration: iter + 1,
+                    totalIterations: config.iterations,
+                    currentScore,
+                    bestScore,
+                    bestSolution
+                });
+                await yieldTimer.yield();
             }
         }
 
@@ -310,7 +351,8 @@ class SlotHybridOptimizer extends IOptimizer {
      * Phase 3: Local Search for final polishing
      */
     async phase3LocalSearch(problemContext, initialSolution, initialScore) {
-        const { playerPool, positions, positionWeights } = problemContext;
+        const { playerPool, positions, positionWeights, constraints = null, random = Math.random } = problemContext;
+        const evaluate = getSlotEvaluator(problemContext);
         const config = this.config.phase3 || {
             iterations: 1000,
             neighborhoodSize: 10
@@ -319,7 +361,11 @@ class SlotHybridOptimizer extends IOptimizer {
         let currentSolution = cloneSlotTeams(initialSolution);
         let currentScore = initialScore;
 
+        const yieldTimer = createYieldTimer();
         for (let iter = 0; iter < config.iterations; iter++) {
+            // Stop when cancelled or out of time
+            if (isOptimizationStopped(problemContext)) break;
+
             this.stats.phase3Iterations++;
 
             let improved = false;
@@ -329,9 +375,9 @@ class SlotHybridOptimizer extends IOptimizer {
                 const neighbor = cloneSlotTeams(currentSolution);
 
                 // Very focused adaptive swaps for final polishing
-                performAdaptiveSlotSwap(neighbor, positions, playerPool, this.adaptiveParams);
+                performAdaptiveSlotSwap(neighbor, positions, playerPool, this.adaptiveParams, constraints, random);
 
-                const neighborScore = evaluateSlotSolution(neighbor, playerPool, positionWeights, composition);
+                const neighborScore = evaluate(neighbor);
 
                 if (neighborScore < currentScore) {
                     currentSolution = neighbor;
@@ -348,9 +394,17 @@ class SlotHybridOptimizer extends IOptimizer {
                 break;
             }
 
-            // Periodic yield
-            if (iter % 50 === 0) {
-                await new Promise(resolve => setTimeout(resolve, 1));
+            // Periodic progress report and yield
+            if (yieldTimer.isDue()) {
+                reportProgress(problemContext, {
+                    phase: 'Local Search',
+                    iteration: iter + 1,
+                    totalIterations: config.iterations,
+                    currentScore,
+                    bestScore: currentScore,
+                    bestSolution: currentSolution
+                });
+                await yieldTimer.yield();
             }
         }
 
@@ -360,10 +414,10 @@ class SlotHybridOptimizer extends IOptimizer {
     /**
      * Tournament selection for genetic algorithm
      */
-    tournamentSelection(scoredPopulation, tournamentSize) {
+    tournamentSelection(scoredPopulation, tournamentSize, random = Math.random) {
         const tournament = [];
         for (let i = 0; i < tournamentSize; i++) {
-            const idx = Math.floor(Math.random() * scoredPopulation.length);
+            const idx = Math.floor(random() * scoredPopulation.length);
             tournament.push(scoredPopulation[idx]);
         }
         tournament.sort((a, b) => a.score - b.score);
@@ -372,14 +426,17 @@ class SlotHybridOptimizer extends IOptimizer {
 
     /**
      * Slot-based crossover - combine two parent solutions
+     * Missing slots are filled up to the position minimums first, then (with
+     * composition ranges) up to the maximums until the team is complete.
      */
-    slotCrossover(parent1, parent2, composition, playerPool) {
+    slotCrossover(parent1, parent2, composition, playerPool, random = Math.random, compositionRanges = null) {
+        const limits = compositionRanges || composition;
         const child = [];
         const usedIds = new Set();
 
         // Take teams alternately from parents
         for (let i = 0; i < parent1.length; i++) {
-            const sourceParent = Math.random() < 0.5 ? parent1 : parent2;
+            const sourceParent = random() < 0.5 ? parent1 : parent2;
             const sourceTeam = sourceParent[i];
 
             const childTeam = [];
@@ -407,43 +464,43 @@ class SlotHybridOptimizer extends IOptimizer {
             return (playerA?.positions?.length || 1) - (playerB?.positions?.length || 1);
         });
 
-        remainingIds.forEach(playerId => {
+        ['min', 'max'].forEach(bound => remainingIds.forEach(playerId => {
             const player = playerPool.getPlayer(playerId);
-            if (!player || !player.positions || player.positions.length === 0) return;
-
-            let placed = false;
+            if (!player || !player.positions || player.positions.length === 0 || usedIds.has(playerId)) return;
 
             // Try ALL positions the player can play, not just the first one
             for (const position of player.positions) {
-                const neededCount = composition[position] || 0;
-                if (neededCount === 0) continue;
-
                 for (let i = 0; i < child.length; i++) {
+                    const teamLimits = getTeamComposition(limits, i);
+                    const neededCount = getPositionRange(teamLimits[position])[bound];
                     const currentCount = child[i].filter(s => s.position === position).length;
-                    if (currentCount < neededCount) {
+                    if (currentCount < neededCount &&
+                        hasRoomForPosition(child[i], teamLimits, position, getTeamSize(composition, i))) {
                         child[i].push({ playerId, position });
-                        placed = true;
-                        break;
+                        usedIds.add(playerId);
+                        return;
                     }
                 }
-                if (placed) break;
             }
+        }));
+
+        remainingIds.forEach(playerId => {
+            const player = playerPool.getPlayer(playerId);
+            if (!player || !player.positions || player.positions.length === 0 || usedIds.has(playerId)) return;
 
             // Last resort: add to smallest incomplete team
-            if (!placed) {
-                const teamSize = Object.values(composition).reduce((sum, c) => sum + c, 0);
-                let smallestTeam = null;
-                let smallestSize = Infinity;
-                for (let i = 0; i < child.length; i++) {
-                    if (child[i].length < teamSize && child[i].length < smallestSize) {
-                        smallestSize = child[i].length;
-                        smallestTeam = child[i];
-                    }
-                }
-                if (smallestTeam) {
-                    smallestTeam.push({ playerId, position: player.positions[0] });
+            let smallestTeam = null;
+            let smallestSize = Infinity;
+            for (let i = 0; i < child.length; i++) {
+                if (child[i].length < getTeamSize(composition, i) && child[i].length < smallestSize) {
+                    smallestSize = child[i].length;
+                    smallestTeam = child[i];
                 }
             }
+            if (smallestTeam) {
+                smallestTeam.push({ playerId, position: player.positions[0] });
+                usedIds.add(playerId);
+            }
         });
 
         return child;
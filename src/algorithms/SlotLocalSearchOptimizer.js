@@ -3,7 +3,8 @@
 import IOptimizer from '../core/IOptimizer.js';
 import { cloneSlotTeams } from '../utils/teamSlotUtils.js';
 import { performUniversalSlotSwap, performAdaptiveSlotSwap } from '../utils/slotSwapOperations.js';
-import { evaluateSlotSolution } from '../utils/slotEvaluationUtils.js';
+import { getSlotEvaluator } from '../utils/slotEvaluationUtils.js';
+import { createYieldTimer, isOptimizationStopped, reportProgress } from '../utils/optimizationControl.js';
 
 /**
  * Slot-Based Local Search Optimizer
@@ -34,6 +35,9 @@ class SlotLocalSearchOptimizer extends IOptimizer {
      * @param {Array<string>} problemContext.positions - Available positions
      * @param {Object} problemContext.playerPool - PlayerPool instance
      * @param {Object} problemContext.positionWeights - Position weights
+     * @param {Object|null} problemContext.constraints - Normalized constraints (pairings and locks)
+     * @param {Object|Array<Object>|null} problemContext.compositionRanges - Composition with {min, max} position ranges (optional)
+     * @param {function(): number} problemContext.random - Random source (defaults to Math.random)
      * @returns {Promise<Array<Array<{playerId, position}>>>} Best solution found
      */
     async solve(problemContext) {
@@ -42,14 +46,22 @@ class SlotLocalSearchOptimizer extends IOptimizer {
             composition,
             positions,
             playerPool,
-            positionWeights
+            positionWeights,
+            constraints = null,
+            compositionRanges = null,
+            random = Math.random
         } = problemContext;
+        const evaluate = getSlotEvaluator(problemContext);
 
         try {
             let current = cloneSlotTeams(initialSolution);
-            let currentScore = evaluateSlotSolution(current, playerPool, positionWeights, composition);
+            let currentScore = evaluate(current);
 
+            const yieldTimer = createYieldTimer();
             for (let iter = 0; iter < this.config.iterations; iter++) {
+                // Keep the current solution when cancelled or out of time
+                if (isOptimizationStopped(problemContext)) break;
+
                 this.stats.iterations = iter + 1;
 
                 // Create neighbor by making one swap
@@ -58,13 +70,13 @@ class SlotLocalSearchOptimizer extends IOptimizer {
 
                 // Use adaptive swap 70% of the time for better balance improvements
                 // Use random swap 30% of the time for exploration
-                if (Math.random() < 0.7) {
-                    performAdaptiveSlotSwap(neighbor, positions, playerPool, this.adaptiveParams);
+                if (random() < 0.7) {
+                    performAdaptiveSlotSwap(neighbor, positions, playerPool, this.adaptiveParams, constraints, random);
                 } else {
-                    performUniversalSlotSwap(neighbor, positions, playerPool, this.adaptiveParams);
+                    performUniversalSlotSwap(neighbor, positions, playerPool, this.adaptiveParams, constraints, random, compositionRanges);
                 }
 
-                const neighborScore = evaluateSlotSolution(neighbor, playerPool, positionWeights, composition);
+                const neighborScore = evaluate(neighbor);
 
                 // Accept only improvements (greedy hill climbing)
                 if (neighborScore < currentScore) {
@@ -73,8 +85,17 @@ class SlotLocalSearchOptimizer extends IOptimizer {
                     this.stats.improvements++;
                 }
 
-                // Yield control periodically
-                if (iter % 100 === 0) await new Promise(resolve => setTimeout(resolve, 1));
+                // Report progress and yield control periodically
+                if (yieldTimer.isDue()) {
+                    reportProgress(problemContext, {
+                        iteration: iter + 1,
+                        totalIterations: this.config.iterations,
+                        currentScore,
+                        bestScore: currentScore,
+                        bestSolution: current
+                    });
+                    await yieldTimer.yield();
+                }
             }
 
             return current;
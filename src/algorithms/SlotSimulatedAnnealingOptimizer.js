@@ -3,7 +3,8 @@
 import IOptimizer from '../core/IOptimizer.js';
 import { cloneSlotTeams } from '../utils/teamSlotUtils.js';
 import { performUniversalSlotSwap, performAdaptiveSlotSwap } from '../utils/slotSwapOperations.js';
-import { evaluateSlotSolution } from '../utils/slotEvaluationUtils.js';
+import { getSlotEvaluator } from '../utils/slotEvaluationUtils.js';
+import { createYieldTimer, isOptimizationStopped, reportProgress } from '../utils/optimizationControl.js';
 
 /**
  * Slot-Based Simulated Annealing Optimizer
@@ -41,6 +42,9 @@ class SlotSimulatedAnnealingOptimizer extends IOptimizer {
      * @param {Array<string>} problemContext.positions - Available positions
      * @param {Object} problemContext.playerPool - PlayerPool instance
      * @param {Object} problemContext.positionWeights - Position weights
+     * @param {Object|null} problemContext.constraints - Normalized constraints (pairings and locks)
+     * @param {Object|Array<Object>|null} problemContext.compositionRanges - Composition with {min, max} position ranges (optional)
+     * @param {function(): number} problemContext.random - Random source (defaults to Math.random)
      * @returns {Promise<Array<Array<{playerId, position}>>>} Best solution found
      */
     async solve(problemContext) {
@@ -49,18 +53,26 @@ class SlotSimulatedAnnealingOptimizer extends IOptimizer {
             composition,
             positions,
             playerPool,
-            positionWeights
+            positionWeights,
+            constraints = null,
+            compositionRanges = null,
+            random = Math.random
         } = problemContext;
+        const evaluate = getSlotEvaluator(problemContext);
 
         try {
             let current = cloneSlotTeams(initialSolution);
             let best = cloneSlotTeams(current);
-            let currentScore = evaluateSlotSolution(current, playerPool, positionWeights, composition);
+            let currentScore = evaluate(current);
             let bestScore = currentScore;
             let temp = this.config.initialTemperature;
             let iterationSinceImprovement = 0;
 
+            const yieldTimer = createYieldTimer();
             for (let iter = 0; iter < this.config.iterations; iter++) {
+                // Stop cooling early when cancelled or out of time
+                if (isOptimizationStopped(problemContext)) break;
+
                 this.stats.iterations = iter + 1;
                 this.stats.temperature = temp;
 
@@ -75,20 +87,20 @@ class SlotSimulatedAnnealingOptimizer extends IOptimizer {
                 // Low temperature -> more exploitation (adaptive swaps)
                 const adaptiveProbability = 0.3 + (1 - normalizedTemp) * 0.5; // 0.3 to 0.8
 
-                if (Math.random() < adaptiveProbability) {
-                    performAdaptiveSlotSwap(neighbor, positions, playerPool, this.adaptiveParams);
+                if (random() < adaptiveProbability) {
+                    performAdaptiveSlotSwap(neighbor, positions, playerPool, this.adaptiveParams, constraints, random);
                 } else {
-                    performUniversalSlotSwap(neighbor, positions, playerPool, this.adaptiveParams);
+                    performUniversalSlotSwap(neighbor, positions, playerPool, this.adaptiveParams, constraints, random, compositionRanges);
                 }
 
-                const neighborScore = evaluateSlotSolution(neighbor, playerPool, positionWeights, composition);
+                const neighborScore = evaluate(neighbor);
                 const delta = neighborScore - currentScore;
 
                 // Track if we found an improvement
                 let foundImprovement = false;
 
                 // Accept if better, or probabilistically if worse
-                if (delta < 0 || Math.random() < Math.exp(-delta / temp)) {
+                if (delta < 0 || random() < Math.exp(-delta / temp)) {
                     current = neighbor;
                     currentScore = neighborScore;
 
@@ -122,8 +134,18 @@ class SlotSimulatedAnnealingOptimizer extends IOptimizer {
                     iterationSinceImprovement = 0;
                 }
 
-                // Yield control periodically
-                if (iter % 5000 === 0) await new Promise(resolve => setTimeout(resolve, 1));
+                // Report progress and yield control periodically
+                if (yieldTimer.isDue()) {
+                    reportProgress(problemContext, {
+                        iteration: iter + 1,
+                        totalIterations: this.config.iterations,
+                        currentScore,
+                        bestScore,
+                        temperature: temp,
+                        bestSolution: best
+                    });
+                    await yieldTimer.yield();
+                }
             }
 
             return best;
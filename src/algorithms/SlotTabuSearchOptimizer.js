@@ -3,7 +3,8 @@
 import IOptimizer from '../core/IOptimizer.js';
 import { cloneSlotTeams, hashSlotSolution } from '../utils/teamSlotUtils.js';
 import { performUniversalSlotSwap, performAdaptiveSlotSwap } from '../utils/slotSwapOperations.js';
-import { evaluateSlotSolution } from '../utils/slotEvaluationUtils.js';
+import { getSlotEvaluator } from '../utils/slotEvaluationUtils.js';
+import { createYieldTimer, isOptimizationStopped, reportProgress } from '../utils/optimizationControl.js';
 
 /**
  * Slot-Based Tabu Search Optimizer
@@ -38,6 +39,9 @@ class SlotTabuSearchOptimizer extends IOptimizer {
      * @param {Array<string>} problemContext.positions - Available positions
      * @param {Object} problemContext.playerPool - PlayerPool instance
      * @param {Object} problemContext.positionWeights - Position weights
+     * @param {Object|null} problemContext.constraints - Normalized constraints (pairings and locks)
+     * @param {Object|Array<Object>|null} problemContext.compositionRanges - Composition with {min, max} position ranges (optional)
+     * @param {function(): number} problemContext.random - Random source (defaults to Math.random)
      * @returns {Promise<Array<Array<{playerId, position}>>>} Best solution found
      */
     async solve(problemContext) {
@@ -46,19 +50,28 @@ class SlotTabuSearchOptimizer extends IOptimizer {
             composition,
             positions,
             playerPool,
-            positionWeights
+            positionWeights,
+            constraints = null,
+            compositionRanges = null,
+            random = Math.random
         } = problemContext;
+        const evaluate = getSlotEvaluator(problemContext);
 
         try {
             let current = cloneSlotTeams(initialSolution);
             let best = cloneSlotTeams(current);
-            let bestScore = evaluateSlotSolution(best, playerPool, positionWeights, composition);
+            let bestScore = evaluate(best);
+            let currentScore = bestScore;
 
             const tabuSet = new Set(); // O(1) lookup
             const tabuQueue = []; // FIFO removal
             let iterationSinceImprovement = 0;
 
+            const yieldTimer = createYieldTimer();
             for (let iter = 0; iter < this.config.iterations; iter++) {
+                // Cancelled or out of time: return the best solution found so far
+                if (isOptimizationStopped(problemContext)) break;
+
                 this.stats.iterations = iter + 1;
 
                 // Generate neighborhood
@@ -70,7 +83,10 @@ class SlotTabuSearchOptimizer extends IOptimizer {
                     positionWeights,
                     this.config.neighborCount,
                     iter,
-                    iterationSinceImprovement
+                    iterationSinceImprovement,
+                    constraints,
+                    random,
+                    compositionRanges
                 );
 
                 let bestNeighbor = null;
@@ -81,7 +97,7 @@ class SlotTabuSearchOptimizer extends IOptimizer {
                 // Find best neighbor (considering tabu list and aspiration criterion)
                 for (const neighbor of neighbors) {
                     const hash = hashSlotSolution(neighbor);
-                    const score = evaluateSlotSolution(neighbor, playerPool, positionWeights, composition);
+                    const score = evaluate(neighbor);
                     const isTabu = tabuSet.has(hash);
 
                     // Track best non-tabu neighbor as fallback
@@ -106,7 +122,7 @@ class SlotTabuSearchOptimizer extends IOptimizer {
 
                 if (bestNeighbor) {
                     current = bestNeighbor;
-                    const currentScore = bestNeighborScore;
+                    currentScore = bestNeighborScore;
                     const currentHash = hashSlotSolution(current);
 
                     // Add to tabu set and queue
@@ -138,7 +154,7 @@ class SlotTabuSearchOptimizer extends IOptimizer {
                     // Perform multiple swaps for strong diversification
                     const swapCount = Math.max(2, Math.floor(current[0].length / 4));
                     for (let i = 0; i < swapCount; i++) {
-                        performUniversalSlotSwap(current, positions, playerPool, this.adaptiveParams);
+                        performUniversalSlotSwap(current, positions, playerPool, this.adaptiveParams, constraints, random, compositionRanges);
                     }
                     // Partially clear tabu structures (keep 50%)
                     const keepCount = Math.floor(this.config.tabuTenure / 2);
@@ -153,13 +169,22 @@ class SlotTabuSearchOptimizer extends IOptimizer {
                 if (iterationSinceImprovement > 500) {
                     current = cloneSlotTeams(best);
                     for (let i = 0; i < 5; i++) {
-                        performUniversalSlotSwap(current, positions, playerPool, this.adaptiveParams);
+                        performUniversalSlotSwap(current, positions, playerPool, this.adaptiveParams, constraints, random, compositionRanges);
                     }
                     iterationSinceImprovement = 0;
                 }
 
-                // Yield control periodically
-                if (iter % 500 === 0) await new Promise(resolve => setTimeout(resolve, 1));
+                // Report progress and yield control periodically
+                if (yieldTimer.isDue()) {
+                    reportProgress(problemContext, {
+                        iteration: iter + 1,
+                        totalIterations: this.config.iterations,
+                        currentScore,
+                        bestScore,
+                        bestSolution: best
+                    });
+                    await yieldTimer.yield();
+                }
             }
 
             return best;
@@ -178,9 +203,12 @@ class SlotTabuSearchOptimizer extends IOptimizer {
      * @param {number} size - Neighborhood size
      * @param {number} iter - Current iteration (for adaptive behavior)
      * @param {number} iterationSinceImprovement - Iterations without improvement
+     * @param {Object|null} constraints - Normalized constraints (pairings and locks)
+     * @param {function(): number} random - Random source
+     * @param {Object|Array<Object>|null} compositionRanges - Composition with {min, max} position ranges (optional)
      * @returns {Array<Array<Array<{playerId, position}>>>} Array of neighbor solutions
      */
-    generateNeighborhood(teams, composition, positions, playerPool, positionWeights, size, iter = 0, iterationSinceImprovement = 0) {
+    generateNeighborhood(teams, composition, positions, playerPool, positionWeights, size, iter = 0, iterationSinceImprovement = 0, constraints = null, random = Math.random, compositionRanges = null) {
         const iterationProgress = iter / this.config.iterations;
         const isStagnating = iterationSinceImprovement > 100;
 
@@ -191,10 +219,10 @@ class SlotTabuSearchOptimizer extends IOptimizer {
             // Increase randomness when stagnating
             const adaptiveProbability = isStagnating ? 0.4 : 0.6;
 
-            if (Math.random() < adaptiveProbability) {
-                performAdaptiveSlotSwap(neighbor, positions, playerPool, this.adaptiveParams);
+            if (random() < adaptiveProbability) {
+                performAdaptiveSlotSwap(neighbor, positions, playerPool, this.adaptiveParams, constraints, random);
             } else {
-                performUniversalSlotSwap(neighbor, positions, playerPool, this.adaptiveParams);
+                performUniversalSlotSwap(neighbor, positions, playerPool, this.adaptiveParams, constraints, random, compositionRanges);
             }
 
             return neighbor;
@@ -21,11 +21,21 @@ class IOptimizer {
      *
      * @param {Object} problemContext - Context containing:
      *   - initialSolution: Array of slot-based teams or array of solutions
-     *   - composition: Position composition requirements (e.g., {S: 1, OH: 2, MB: 2})
+     *   - composition: Position composition requirements (e.g., {S: 1, OH: 2, MB: 2}),
+     *     or an array with one composition per team when team sizes differ
      *   - teamCount: Number of teams to create
      *   - playerPool: PlayerPool instance (single source of truth)
      *   - positions: Array of position keys (e.g., ['S', 'OH', 'MB'])
      *   - positionWeights: Position weights for evaluation (e.g., {S: 1.2, OH: 1.0})
+     *   - constraints: Normalized pairing constraints and locks, or null (see slotConstraintUtils.js);
+     *     solutions must not add keepTogether/keepApart or lock violations
+     *   - random: Random source returning floats in [0, 1) (see random.js); use it
+     *     instead of Math.random so seeded runs are reproducible
+     *   - signal / deadline: Optional AbortSignal and deadline timestamp; poll
+     *     isOptimizationStopped(problemContext) (see optimizationControl.js) and
+     *     return the best solution so far instead of throwing
+     *   - onProgress / algorithmName: Optional progress listener; call
+     *     reportProgress(problemContext, {...}) at yield points, spaced with createYieldTimer()
      * @returns {Promise<Array>} Best slot-based solution found (array of slot-based teams)
      */
     async solve(problemContext) {
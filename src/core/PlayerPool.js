@@ -10,16 +10,34 @@
  * - Team Structure: Array<{playerId, position}> - lightweight references
  * - No duplicate player objects in memory
  * - Physically impossible to have duplicate player IDs in teams
+ * - Missing ratings are imputed with a configurable strategy (see ratingUtils.js)
  */
 
+import { normalizeMissingRatings, getKnownRating, imputeRating, getRatingDeviation } from '../utils/ratingUtils.js';
+
 class PlayerPool {
-    constructor(players = []) {
+    /**
+     * @param {Array<Object>} players - Players to add
+     * @param {Object} options - Pool options
+     * @param {string|Object} options.missingRatings - Strategy for missing position ratings
+     *   (default: 1500, see normalizeMissingRatings)
+     */
+    constructor(players = [], options = {}) {
         // Single source of truth: ID -> Player object
         this.players = new Map();
 
         // Quick lookup: Position -> Array of player IDs
         this.playersByPosition = new Map();
 
+        // Imputed ratings ("playerId|position" -> rating) and pool averages per position,
+        // filled on first use and cleared when players are added
+        this.missingRatings = normalizeMissingRatings(options.missingRatings);
+        this.imputedRatings = new Map();
+        this.positionAverages = new Map();
+
+        // Lets uncertainty calculations skip pools without any rating deviations
+        this.hasDeviations = false;
+
         // Add all players
         players.forEach(player => this.addPlayer(player));
     }
@@ -35,6 +53,11 @@ class PlayerPool {
 
         // Store in main pool
         this.players.set(player.id, player);
+        this.imputedRatings.clear();
+        this.positionAverages.clear();
+        if (player.ratingDeviations && typeof player.ratingDeviations === 'object') {
+            this.hasDeviations = true;
+        }
 
         // Index by positions
         if (player.positions && Array.isArray(player.positions)) {
@@ -90,12 +113,74 @@ class PlayerPool {
      * Get player's rating for a position
      * @param {number} playerId - Player ID
      * @param {string} position - Position code
-     * @returns {number} Rating or default 1500
+     * @returns {number} Rating, or an imputed rating when the player has none for the position
      */
     getPlayerRating(playerId, position) {
         const player = this.getPlayer(playerId);
-        if (!player) return 1500;
-        return player.ratings?.[position] || 1500;
+        if (!player) return this.missingRatings.default;
+
+        const rating = getKnownRating(player, position);
+        return rating !== undefined ? rating : this.getImputedRating(player, position);
+    }
+
+    /**
+     * Get a player's rating deviation (uncertainty) for a position
+     * @param {number} playerId - Player ID
+     * @param {string} position - Position code
+     * @returns {number} Deviation, 0 for players without one
+     */
+    getRatingDeviation(playerId, position) {
+        return this.hasDeviations ? getRatingDeviation(this.getPlayer(playerId), position) : 0;
+    }
+
+    /**
+     * Check whether any player carries rating deviations
+     * @returns {boolean} True if at least one player has ratingDeviations
+     */
+    hasRatingDeviations() {
+        return this.hasDeviations;
+    }
+
+    /**
+     * Check whether a player's rating for a position is imputed
+     * @param {number} playerId - Player ID
+     * @param {string} position - Position code
+     * @returns {boolean} True if the player has no rating of their own for the position
+     */
+    isRatingImputed(playerId, position) {
+        return getKnownRating(this.getPlayer(playerId), position) === undefined;
+    }
+
+    /**
+     * Imputed rating of a player without a rating for a position (cached)
+     * @param {Object} player - Player object
+     * @param {string} position - Position code
+     * @returns {number} Imputed rating
+     */
+    getImputedRating(player, position) {
+        const key = `${player.id}|${position}`;
+        if (!this.imputedRatings.has(key)) {
+            const rating = imputeRating(player, position, this.missingRatings, pos => this.getPositionAverage(pos));
+            this.imputedRatings.set(key, rating);
+        }
+        return this.imputedRatings.get(key);
+    }
+
+    /**
+     * Average known rating of a position over the pool (cached)
+     * @param {string} position - Position code
+     * @returns {number|undefined} Average, or undefined when nobody has a rating for it
+     */
+    getPositionAverage(position) {
+        if (!this.positionAverages.has(position)) {
+            const ratings = this.getAllPlayers()
+                .map(player => getKnownRating(player, position))
+                .filter(rating => rating !== undefined);
+            this.positionAverages.set(position, ratings.length > 0
+                ? ratings.reduce((sum, rating) => sum + rating, 0) / ratings.length
+                : undefined);
+        }
+        return this.positionAverages.get(position);
     }
 
     /**
@@ -134,6 +219,23 @@ class PlayerPool {
         return teams.map(team => this.resolveTeam(team));
     }
 
+    /**
+     * Serialize the pool for transfer to a worker (structured-clone friendly)
+     * @returns {{players: Array<Object>, missingRatings: Object}} Plain player data and rating settings
+     */
+    toJSON() {
+        return { players: this.getAllPlayers(), missingRatings: this.missingRatings };
+    }
+
+    /**
+     * Rebuild a pool from toJSON() output
+     * @param {{players: Array<Object>, missingRatings: Object}} data - Serialized pool
+     * @returns {PlayerPool} New PlayerPool instance
+     */
+    static fromJSON(data) {
+        return new PlayerPool(data.players, { missingRatings: data.missingRatings });
+    }
+
     /**
      * Create a team slot
      * @param {number} playerId - Player ID
@@ -1,20 +1,72 @@
 // Slot-Based Team Optimizer Service
 // Complete architectural overhaul to eliminate duplicate player issues
 
-import SlotGeneticAlgorithmOptimizer from '../algorithms/SlotGeneticAlgorithmOptimizer.js';
-import SlotTabuSearchOptimizer from '../algorithms/SlotTabuSearchOptimizer.js';
-import SlotSimulatedAnnealingOptimizer from '../algorithms/SlotSimulatedAnnealingOptimizer.js';
 import SlotLocalSearchOptimizer from '../algorithms/SlotLocalSearchOptimizer.js';
-import SlotAntColonyOptimizer from '../algorithms/SlotAntColonyOptimizer.js';
 
 import PlayerPool from './PlayerPool.js';
+import { runOptimizerJob, OPTIMIZER_CLASSES } from './optimizerJobs.js';
+import WorkerPool from '../workers/WorkerPool.js';
 import { generateInitialSlotSolutions } from '../utils/slotSolutionGenerators.js';
-import { getTeamSize } from '../utils/configHelpers.js';
+import {
+    createSlotObjective,
+    calculateSlotTeamBalance,
+    pairTeamsByStrength,
+    normalizeMatchups,
+    getSlotEvaluator,
+    resolveObjectiveWeights,
+    DEFAULT_OBJECTIVE_WEIGHTS
+} from '../utils/slotEvaluationUtils.js';
+import {
+    getTeamSize,
+    getTeamComposition,
+    getTeamCompositions,
+    getCompositionPositions,
+    distributeTeamCompositions,
+    hasPositionRanges,
+    getRangedTeamSize,
+    resolvePositionRanges,
+    getConfigTeamSize
+} from '../utils/configHelpers.js';
 import { hasDuplicatePlayerIds, validateAllSlotTeamsComposition } from '../utils/teamSlotUtils.js';
+import {
+    buildSlotConstraints,
+    countConstraintViolations,
+    validateSlotConstraints
+} from '../utils/slotConstraintUtils.js';
+import { calculateAttributeBalance, normalizeBalanceAttributes } from '../utils/attributeBalanceUtils.js';
+import { calculatePreferenceSatisfaction } from '../utils/positionPreferenceUtils.js';
+import {
+    normalizeTeammateHistory,
+    recordTeammates,
+    calculateTeammateRepeats,
+    getPairKey
+} from '../utils/teammateHistoryUtils.js';
+import { BENCH_POSITION, normalizeBenchOption, addBenchSlots, addBenchPosition } from '../utils/benchUtils.js';
+import { createRandom, forkRandom, deriveSeed } from '../utils/random.js';
+import { createDeadline, getStopReason, yieldToEventLoop } from '../utils/optimizationControl.js';
 
 import ValidationService from '../services/ValidationService.js';
 import SolutionOrganizer from '../services/SolutionOrganizer.js';
 
+/**
+ * Built-in algorithms by name, with the config flag that enables them by default.
+ * The names are the keys accepted by options.algorithms.
+ */
+const BUILT_IN_ALGORITHMS = {
+    geneticAlgorithm: 'useGeneticAlgorithm',
+    tabuSearch: 'useTabuSearch',
+    simulatedAnnealing: 'useSimulatedAnnealing',
+    hybrid: 'useHybrid',
+    antColony: 'useAntColony',
+    constraintProgramming: 'useConstraintProgramming'
+};
+
+const INITIAL_SOLUTION_MODES = ['single', 'population', 'none'];
+
+// optimizeTeamCount(): balance spreads closer than this (0.5% of the average
+// team strength) count as equal, and the option leaving fewer players out wins
+const BALANCE_SPREAD_TOLERANCE = 0.005;
+
 /**
  * Slot-Based Team Optimizer Service
  *
@@ -40,8 +92,13 @@ class SlotTeamOptimizerService {
             throw new Error('Invalid activity configuration');
         }
 
+        if (customEvaluationFn !== null && typeof customEvaluationFn !== 'function') {
+            throw new Error('customEvaluationFn must be a function');
+        }
+        this.customEvaluationFn = customEvaluationFn;
+
         this.activityConfig = activityConfig;
-        this.teamSize = getTeamSize(activityConfig.defaultComposition);
+        this.teamSize = getConfigTeamSize(activityConfig) || 0;
 
         // Configuration
         this.config = {
@@ -50,12 +107,18 @@ class SlotTeamOptimizerService {
             useSimulatedAnnealing: true,
             useLocalSearch: true,
             useAntColony: true,
+            useHybrid: true,
+            useConstraintProgramming: true,
+            useWorkers: false,     // Run each algorithm in its own worker thread
+            maxWorkers: null,      // Worker limit (default: number of cores)
+            // Weight of each named objective component (see slotEvaluationUtils.js);
+            // optimized by every algorithm and reported as variant.scoreComponents
+            objectiveWeights: { ...DEFAULT_OBJECTIVE_WEIGHTS },
+            // Team strength counts each player as rating - uncertaintyFactor * deviation
+            // (0 = expected strength, 1-2 = pessimistic); see options.uncertaintyFactor
+            uncertaintyFactor: 0,
             adaptiveParameters: {
                 strongWeakSwapProbability: 0.6,
-                positionBalanceWeight: 0.3,
-                varianceWeight: 0.5,
-                fairnessWeight: 0.4,
-                consistencyWeight: 0.3,
                 positionWeights: activityConfig.positionWeights
             }
         };
@@ -98,37 +161,236 @@ class SlotTeamOptimizerService {
                 elitistWeight: 2.0,
                 alpha: 1.0,
                 beta: 2.0
+            },
+            hybrid: {
+                phase1: {  // Genetic Algorithm: global exploration
+                    populationSize: 15,
+                    generations: 100,
+                    mutationRate: 0.3,
+                    crossoverRate: 0.7,
+                    elitismCount: 2,
+                    tournamentSize: 3
+                },
+                phase2: {  // Tabu Search: focused exploitation
+                    iterations: 3000,
+                    tabuTenure: 50,
+                    neighborhoodSize: 15,
+                    diversificationFrequency: 500
+                },
+                phase3: {  // Local Search: final polishing
+                    iterations: 1000,
+                    neighborhoodSize: 10
+                }
+            },
+            constraintProgramming: {
+                maxBacktracks: 15000  // Shared by up to 5 restarts (one per 3000 backtracks)
             }
         };
 
+        // Custom optimizers added with registerOptimizer(): name -> registration
+        this.customOptimizers = new Map();
+
         this.solutionOrganizer = new SolutionOrganizer(activityConfig);
         this.algorithmStats = {};
     }
 
+    /**
+     * Register a custom optimizer to run alongside the built-in algorithms.
+     * Its solutions are ranked with all other candidates and its statistics
+     * appear in the result under its name.
+     * @param {string} name - Unique algorithm name (statistics key and options.algorithms key)
+     * @param {typeof IOptimizer} OptimizerClass - IOptimizer subclass, created as new OptimizerClass(config, adaptiveParameters)
+     * @param {Object} options - Registration options
+     * @param {Object} options.config - Algorithm configuration (default: {})
+     * @param {boolean} options.enabled - Run when options.algorithms does not say otherwise (default: true)
+     * @param {string} options.displayName - Name used in progress events and variant.algorithm (default: name)
+     * @param {string} options.initialSolution - 'single' (one random start, default), 'population' (all starts) or 'none'
+     * @returns {SlotTeamOptimizerService} This service, for chaining
+     */
+    registerOptimizer(name, OptimizerClass, options = {}) {
+        if (typeof name !== 'string' || name.length === 0) {
+            throw new Error('Optimizer name must be a non-empty string');
+        }
+        if (name in BUILT_IN_ALGORITHMS || this.customOptimizers.has(name)) {
+            throw new Error(`Optimizer "${name}" is already registered`);
+        }
+        if (typeof OptimizerClass !== 'function' || typeof OptimizerClass.prototype?.solve !== 'function') {
+            throw new Error(`Optimizer "${name}" must be a class implementing solve()`);
+        }
+
+        const initialSolution = options.initialSolution || 'single';
+        if (!INITIAL_SOLUTION_MODES.includes(initialSolution)) {
+            throw new Error(`Invalid initialSolution "${initialSolution}" for optimizer "${name}"`);
+        }
+
+        this.customOptimizers.set(name, {
+            OptimizerClass,
+            config: options.config || {},
+            enabled: options.enabled !== false,
+            displayName: options.displayName || name,
+            initialSolution
+        });
+
+        return this;
+    }
+
+    /**
+     * Remove a custom optimizer
+     * @param {string} name - Name passed to registerOptimizer()
+     * @returns {boolean} True if an optimizer was removed
+     */
+    unregisterOptimizer(name) {
+        return this.customOptimizers.delete(name);
+    }
+
+    /**
+     * Get the names of all algorithms that can be selected with options.algorithms
+     * @returns {Array<string>} Built-in names followed by registered names
+     */
+    getAlgorithmNames() {
+        return [...Object.keys(BUILT_IN_ALGORITHMS), ...this.customOptimizers.keys()];
+    }
+
+    /**
+     * Resolve which algorithms run for one optimize() call
+     * @param {Array<string>|Object|undefined} selection - options.algorithms: a list of names
+     *   to run, or a map of name -> boolean overriding the defaults
+     * @returns {Set<string>} Names of the algorithms to run
+     */
+    resolveEnabledAlgorithms(selection) {
+        const names = this.getAlgorithmNames();
+        const isEnabledByDefault = (name) => name in BUILT_IN_ALGORITHMS
+            ? Boolean(this.config[BUILT_IN_ALGORITHMS[name]])
+            : this.customOptimizers.get(name).enabled;
+
+        if (!selection) {
+            return new Set(names.filter(isEnabledByDefault));
+        }
+
+        const requested = Array.isArray(selection) ? selection : Object.keys(selection);
+        const unknown = requested.filter(name => !names.includes(name));
+        if (unknown.length > 0) {
+            throw new Error(`Unknown optimization algorithm: ${unknown.join(', ')}`);
+        }
+
+        if (Array.isArray(selection)) {
+            return new Set(selection);
+        }
+        return new Set(names.filter(name => name in selection ? Boolean(selection[name]) : isEnabledByDefault(name)));
+    }
+
     /**
      * Main optimization entry point
-     * @param {Object} composition - Position composition requirements
+     * @param {Object|Array<Object>} composition - Position composition requirements, shared by
+     *   all teams or one per team (e.g. [{S: 1, OH: 3}, {S: 1, OH: 2}] for teams of 4 and 3).
+     *   Entries may be {min, max} ranges (e.g. {MB: {min: 1, max: 2}}); the optimizers then choose the mix
      * @param {number} teamCount - Number of teams to create
      * @param {Array} players - Available players
+     * @param {Object} options - Optimization options
+     * @param {number} options.variantCount - Number of distinct variants to return (default: 1)
+     * @param {number} options.teamSize - Players per team for compositions with ranges
+     *   (default: activityConfig.teamSize)
+     * @param {boolean} options.unevenTeams - When there are too few players for a shared composition,
+     *   shrink the last teams by one player each instead of failing (e.g. 23 players -> 8/8/7)
+     * @param {number|string|Object} options.bench - Seat surplus players as substitutes: bench slots per
+     *   team, 'auto' (all surplus players) or {size, weight}; weight is the bench position weight (default 0.5)
+     * @param {Array<Array<number|string>>} options.keepTogether - Groups of player IDs that must share a team
+     * @param {Array<Array<number|string>>} options.keepApart - Groups of player IDs that must be on different teams
+     * @param {Object|Map} options.locks - Player ID -> team index (0-based), or -> {team, position}
+     * @param {Array<{field, value, min, max}>} options.quotas - Per-team min/max count of players with an attribute value
+     * @param {number|string} options.seed - Seed for reproducible runs (default: unseeded Math.random)
+     * @param {AbortSignal} options.signal - Aborts the run; the best solutions found so far are returned
+     * @param {number} options.timeLimitMs - Wall-clock budget in milliseconds for the whole run
+     * @param {Function} options.onProgress - Called periodically by every optimizer with
+     *   {algorithm, iteration, totalIterations, currentScore, bestScore, temperature, bestSolution, bestTeams}
+     * @param {Array<string>|Object} options.algorithms - Algorithms to run: a list of names, or a map of
+     *   name -> boolean overriding the config flags (see getAlgorithmNames())
+     * @param {Object} options.objectiveWeights - Objective component weights for this run,
+     *   merged over config.objectiveWeights (e.g. {fairness: 0, depth: 0.2})
+     * @param {number} options.uncertaintyFactor - Balance pessimistic strengths, rating minus this many
+     *   rating deviations per player (default: config.uncertaintyFactor, 0 = expected strength)
+     * @param {Map|Object|TeammateHistoryStore} options.teammateHistory - Pair key -> times already teammates; repeated
+     *   pairs are penalized by the teammateRepeat objective component (see teammateHistoryUtils.js)
+     * @param {boolean} options.matches - Multi-court mode: teams play each other in pairs (one match
+     *   per court), and the matchBalance component keeps every pairing close instead of the spread over
+     *   all teams; needs an even team count. Variants list the pairings as matches
+     * @param {Array<Array<number>|Object>} options.matchups - Fixed match-up graph for a known schedule,
+     *   e.g. [[0, 1], [2, 3]] or {teams: [0, 1], weight: 2}; matchBalance scores the strength differences
+     *   along these edges instead of the global spread, and team indices are kept in the results
+     * @param {string|Object} options.missingRatings - Strategy for missing position ratings:
+     *   'default', 'otherPositions', 'poolAverage' or {strategy, default, positionDefaults, discount}
+     *   (default: activityConfig.missingRatings, else 1500; see ratingUtils.js)
      * @returns {Promise<Object>} Optimization result
      */
     async optimize(composition, teamCount, players, options = {}) {
         const variantCount = options.variantCount || 1;
 
+        // Uneven teams and bench slots change the composition and player list
+        const inputPlayers = players;
+        const problem = this.prepareProblem(composition, teamCount, players, options);
+        const { bench, compositionRanges } = problem;
+        composition = problem.composition;
+        players = problem.players;
+
         // Validate input
-        const validation = this.validationService.validate(composition, teamCount, players);
+        const validation = this.validationService.validate(composition, teamCount, players, options);
         if (!validation.isValid) {
             throw new Error(validation.errors.map(e => e.message).join(', '));
         }
 
-        // Create PlayerPool - single source of truth
-        const playerPool = new PlayerPool(players);
+        // Built-in and registered algorithms selected for this run
+        const enabledAlgorithms = this.resolveEnabledAlgorithms(options.algorithms);
+
+        // Teams paired into matches, or a fixed match-up graph (checked by validate()):
+        // close matchups replace the global spread, unless weighted explicitly
+        const matches = Boolean(options.matches);
+        const matchups = normalizeMatchups(options.matchups);
+
+        // Objective weights for this run (throws on unknown components)
+        const objectiveWeights = resolveObjectiveWeights({
+            ...this.config.objectiveWeights,
+            ...(matches || matchups ? { difference: 0, standardDeviation: 0 } : {}),
+            ...options.objectiveWeights
+        });
+
+        // Expected (0) or pessimistic (> 0) team strengths; checked by validate()
+        const uncertaintyFactor = options.uncertaintyFactor ?? this.config.uncertaintyFactor;
+
+        // Earlier teammates as a Map (null when none; throws on invalid counts)
+        const teammateHistory = normalizeTeammateHistory(options.teammateHistory);
+
+        // Hard pairing constraints, locks and quotas (null when none are given)
+        const constraints = buildSlotConstraints(options, players);
+
+        // Single random source for the run; seeded runs are reproducible
+        const random = createRandom(options.seed);
+
+        // Cancellation and time budget; optimizers return their best so far when hit
+        const signal = options.signal || null;
+        const deadline = createDeadline(options.timeLimitMs);
+
+        // Create PlayerPool - single source of truth (throws on an invalid missing-rating strategy)
+        const playerPool = new PlayerPool(players, {
+            missingRatings: options.missingRatings ?? this.activityConfig.missingRatings
+        });
+
+        const positions = getCompositionPositions(composition);
+        const positionWeights = bench
+            ? { ...this.activityConfig.positionWeights, [BENCH_POSITION]: bench.weight }
+            : this.activityConfig.positionWeights;
+        const balanceAttributes = this.activityConfig.balanceAttributes || null;
 
-        const positions = Object.keys(composition).filter(pos => composition[pos] > 0);
-        const positionWeights = this.activityConfig.positionWeights;
+        // One objective for optimizing, ranking and reporting
+        const objective = createSlotObjective(
+            {
+                playerPool, positionWeights, composition, balanceAttributes,
+                uncertaintyFactor, teammateHistory, matches, matchups
+            },
+            objectiveWeights
+        );
 
         // Generate initial slot-based solutions
-        const initialSolutions = generateInitialSlotSolutions(composition, teamCount, playerPool);
+        const initialSolutions = generateInitialSlotSolutions(composition, teamCount, playerPool, constraints, random);
 
         // Verify no duplicates in initial solutions (sanity check)
         initialSolutions.forEach((solution, idx) => {
@@ -141,27 +403,50 @@ class SlotTeamOptimizerService {
         // Create problem context for all optimizers
         const problemContext = {
             composition,
+            compositionRanges,
             teamCount,
             playerPool,
             positions,
-            positionWeights
+            positionWeights,
+            constraints,
+            random,
+            signal,
+            deadline,
+            objectiveWeights,
+            uncertaintyFactor,
+            teammateHistory,
+            matches,
+            matchups,
+            balanceAttributes,
+            evaluate: this.createCustomObjective(objective, playerPool, positionWeights, composition),
+            onProgress: this.createProgressListener(options.onProgress, playerPool)
         };
 
         // Run algorithms in parallel — collect ALL candidate solutions
         const { results, algorithmNames, stats: algorithmRunStats } = await this.runOptimizationAlgorithms(
             initialSolutions,
-            problemContext
+            problemContext,
+            enabledAlgorithms
         );
         Object.assign(localStats, algorithmRunStats);
+        localStats.stopReason = getStopReason(problemContext);
 
         // Evaluate all candidates with the TRUE objective (no perturbation)
-        const { evaluateSlotSolution } = await import('../utils/slotEvaluationUtils.js');
-        const scores = results.map(r => evaluateSlotSolution(r, playerPool, positionWeights, composition));
+        const evaluate = getSlotEvaluator(problemContext);
+        const scores = results.map(r => evaluate(r));
 
-        // Rank candidates by score (best first)
+        // Rank candidates by score (best first); candidates that break a
+        // pairing constraint or lock always rank behind feasible ones
+        // Candidates that leave slots empty only count when nothing better exists
         const ranked = results
-            .map((result, idx) => ({ result, score: scores[idx], algorithm: algorithmNames[idx] }))
-            .sort((a, b) => a.score - b.score);
+            .map((result, idx) => ({
+                result,
+                score: scores[idx],
+                unfilled: !validateAllSlotTeamsComposition(result, compositionRanges || composition).isValid,
+                violations: countConstraintViolations(result, constraints),
+                algorithm: algorithmNames[idx]
+            }))
+            .sort((a, b) => (a.unfilled - b.unfilled) || (a.violations - b.violations) || (a.score - b.score));
 
         // Deduplicate: keep only candidates with unique team compositions
         const seen = new Set();
@@ -185,7 +470,9 @@ class SlotTeamOptimizerService {
             );
             const localSearchContext = {
                 ...problemContext,
-                initialSolution: candidate.result
+                initialSolution: candidate.result,
+                random: forkRandom(random),
+                algorithmName: 'Local Search'
             };
             let refined = await optimizer.solve(localSearchContext);
 
@@ -194,19 +481,37 @@ class SlotTeamOptimizerService {
                 refined = candidate.result;
             }
 
-            // Validate composition
-            const compositionValidation = validateAllSlotTeamsComposition(refined, composition);
-            if (!compositionValidation.isValid) {
-                const fallbackSolution = generateInitialSlotSolutions(composition, teamCount, playerPool)[0];
+            // Validate composition (within ranges, if any), pairing constraints, locks and quotas
+            const fillsComposition = (solution) =>
+                validateAllSlotTeamsComposition(solution, compositionRanges || composition).isValid;
+            const isFeasible = (solution) =>
+                fillsComposition(solution) && countConstraintViolations(solution, constraints) === 0;
+
+            if (!isFeasible(refined)) {
+                const fallbackSolution = generateInitialSlotSolutions(
+                    composition, teamCount, playerPool, constraints, localSearchContext.random
+                )[0];
                 const fallbackRefined = await optimizer.solve({
-                    ...problemContext,
+                    ...localSearchContext,
                     initialSolution: fallbackSolution
                 });
-                const fallbackValidation = validateAllSlotTeamsComposition(fallbackRefined, composition);
-                refined = fallbackValidation.isValid ? fallbackRefined : fallbackSolution;
+
+                // Leftover constraint violations are reported in constraintValidation,
+                // but teams that do not fill the composition are never returned
+                const filled = [fallbackRefined, refined, fallbackSolution].filter(fillsComposition);
+                if (filled.length === 0) {
+                    throw new Error(`Could not build ${teamCount} teams that fill the composition with the given players`);
+                }
+                refined = filled.find(isFeasible) || filled.reduce((best, solution) =>
+                    countConstraintViolations(solution, constraints) < countConstraintViolations(best, constraints)
+                        ? solution : best);
             }
 
-            return { refined, algorithm: candidate.algorithm, stats: optimizer.getStatistics() };
+            return {
+                refined,
+                algorithm: candidate.algorithm,
+                stats: optimizer.getStatistics()
+            };
         }));
 
         localStats.localSearch = refinedVariants[0]?.stats || {};
@@ -214,16 +519,68 @@ class SlotTeamOptimizerService {
         // Build final results
         const { calculateTeamBalance } = await import('../utils/evaluationUtils.js');
 
+        // Locked team indices, per-team compositions and match-up graph edges must survive the final strength sort
+        const preserveTeamOrder = Array.isArray(composition) || Boolean(matchups) ||
+            Boolean(constraints && constraints.locks.size > 0);
+
+        // Report the caller's player objects, not the bench-enabled copies
+        const inputPlayersById = new Map(inputPlayers.map(player => [player.id, player]));
+        const hasPreferences = players.some(player => Array.isArray(player.positionPreferences));
+
         const variants = refinedVariants.map(({ refined, algorithm }) => {
-            const resolvedTeams = playerPool.resolveTeams(refined);
-            const { teams, unusedPlayers } = this.solutionOrganizer.prepareFinalSolution(resolvedTeams, players);
-            const balance = calculateTeamBalance(teams, this.activityConfig.positionWeights);
+            let resolvedTeams = playerPool.resolveTeams(refined);
+            if (bench) {
+                resolvedTeams = resolvedTeams.map(team => team.map(player => ({
+                    ...inputPlayersById.get(player.id),
+                    assignedPosition: player.assignedPosition,
+                    positionRating: player.positionRating
+                })));
+            }
+            const { teams, unusedPlayers, lineups } = this.solutionOrganizer.prepareFinalSolution(
+                resolvedTeams, inputPlayers, { preserveTeamOrder }
+            );
+            const balance = calculateTeamBalance(teams, positionWeights);
+            const finalSlots = teams.map(team => team.map(p => ({ playerId: p.id, position: p.assignedPosition })));
 
             return {
                 teams,
                 balance,
                 unusedPlayers,
+                // Starters and substitutes per team, in final team order
+                lineups: bench ? lineups : null,
+                // The optimized score; components are only known for the built-in objective
+                score: evaluate(refined),
+                scoreComponents: this.customEvaluationFn ? null : objective.breakdown(refined).components,
+                // Per-attribute counts/averages, in final team order
+                attributeBalance: balanceAttributes
+                    ? calculateAttributeBalance(finalSlots, playerPool, normalizeBalanceAttributes(balanceAttributes)).attributes
+                    : null,
+                // Team strength deviations and the strengths that were balanced, when players have deviations
+                ratingUncertainty: playerPool.hasRatingDeviations()
+                    ? this.summarizeUncertainty(finalSlots, playerPool, positionWeights, uncertaintyFactor)
+                    : null,
+                // Pairings of the final teams into matches (one court each), or the match-up graph's edges
+                matches: matches || matchups ? this.createMatches(balance.adjustedStrengths, matchups) : null,
+                // Pairs who were teammates before, with their earlier count
+                teammateRepeats: teammateHistory
+                    ? calculateTeammateRepeats(finalSlots, teammateHistory)
+                    : null,
+                // Assignments scored with an imputed rating, in final team order
+                imputedRatings: finalSlots.flatMap((team, teamIdx) => team
+                    .filter(slot => playerPool.isRatingImputed(slot.playerId, slot.position))
+                    .map(slot => ({
+                        team: teamIdx,
+                        playerId: slot.playerId,
+                        position: slot.position,
+                        rating: playerPool.getPlayerRating(slot.playerId, slot.position)
+                    }))),
+                // Players at their 1st/2nd/... choice position, when players rank positions
+                preferenceSatisfaction: hasPreferences
+                    ? calculatePreferenceSatisfaction(finalSlots, playerPool)
+                    : null,
                 validation,
+                // Checked on the final teams so reported team numbers match the output
+                constraintValidation: validateSlotConstraints(teams, constraints),
                 algorithm: `${algorithm} + Local Search (Slot-Based)`,
                 statistics: localStats
             };
@@ -244,97 +601,405 @@ class SlotTeamOptimizerService {
     }
 
     /**
-     * Run all enabled optimization algorithms in parallel
-     * @param {Array<Array<Array<{playerId, position}>>>} initialSolutions - Initial slot-based solutions
-     * @param {Object} problemContext - Problem context with playerPool
-     * @returns {Promise<Object>} Results and algorithm names
+     * Choose the number of teams automatically.
+     * Every team count in [minTeams, maxTeams] is checked with ValidationService (after
+     * unevenTeams and bench are applied); the feasible ones are optimized one after another
+     * and ranked by balanceSpread, the spread of (size-adjusted) team strengths as a
+     * fraction of the average team strength; near-ties go to the option leaving fewer players out.
+     * A team count whose settings or run throw is rejected with the error message as its reason.
+     * @param {Object} composition - Composition shared by all teams
+     * @param {Array} players - Available players
+     * @param {Object} options - optimize() options, applied to every run, plus:
+     * @param {number} options.minTeams - Smallest team count to try (default: 2)
+     * @param {number} options.maxTeams - Largest team count to try (default: as many as players allow)
+     * @param {number} options.minTeamSize - Smallest allowed team; below the composition size
+     *   this enables unevenTeams (default: composition size)
+     * @param {number} options.maxTeamSize - Largest allowed team, bench included (default: no limit)
+     * @returns {Promise<Object>} {teamCount, variants} of the best option, alternatives
+     *   [{teamCount, teamSizes, unusedPlayerCount, balanceSpread, variants}] best first, and
+     *   rejected [{teamCount, reasons}]
      */
-    async runOptimizationAlgorithms(initialSolutions, problemContext) {
-        const algorithmPromises = [];
-        const algorithmNames = [];
-        const stats = {};
+    async optimizeTeamCount(composition, players, options = {}) {
+        if (Array.isArray(composition)) {
+            throw new Error('Automatic team count needs one composition shared by all teams');
+        }
 
-        const getRandomInitialSolution = () => {
-            return initialSolutions[Math.floor(Math.random() * initialSolutions.length)];
+        const teamSize = hasPositionRanges(composition)
+            ? getRangedTeamSize(composition, options.teamSize ?? this.activityConfig.teamSize)
+            : getTeamSize(composition);
+        const { minTeams = 2, minTeamSize = teamSize, maxTeamSize = Infinity } = options;
+        const maxTeams = options.maxTeams ?? Math.floor(players.length / Math.max(1, minTeamSize));
+        const runOptions = { ...options, unevenTeams: options.unevenTeams || minTeamSize < teamSize };
+
+        const alternatives = [];
+        const rejected = [];
+
+        for (let teamCount = Math.max(1, minTeams); teamCount <= maxTeams; teamCount++) {
+            // Settings that cannot work for this team count (ranges, bench, uneven split) only rule it out
+            let problem;
+            try {
+                problem = this.prepareProblem(composition, teamCount, players, runOptions);
+            } catch (error) {
+                rejected.push({ teamCount, reasons: [error.message] });
+                continue;
+            }
+            const teamSizes = getTeamCompositions(problem.composition, teamCount).map(c => getTeamSize(c));
+
+            const reasons = this.validationService
+                .validate(problem.composition, teamCount, problem.players, runOptions)
+                .errors.map(e => e.message);
+            if (Math.min(...teamSizes) < minTeamSize) {
+                reasons.push(`Teams would have only ${Math.min(...teamSizes)} players (minimum ${minTeamSize})`);
+            }
+            if (Math.max(...teamSizes) > maxTeamSize) {
+                reasons.push(`Teams would have ${Math.max(...teamSizes)} players (maximum ${maxTeamSize})`);
+            }
+            if (reasons.length > 0) {
+                rejected.push({ teamCount, reasons });
+                continue;
+            }
+
+            let variants;
+            try {
+                variants = await this.optimize(composition, teamCount, players, runOptions);
+            } catch (error) {
+                rejected.push({ teamCount, reasons: [error.message] });
+                continue;
+            }
+            const { difference, average } = variants[0].balance;
+
+            alternatives.push({
+                teamCount,
+                teamSizes,
+                unusedPlayerCount: variants[0].unusedPlayers.length,
+                balanceSpread: average > 0 ? difference / average : 0,
+                variants
+            });
+        }
+
+        if (alternatives.length === 0) {
+            const details = rejected.map(({ teamCount, reasons }) => `${teamCount} teams: ${reasons.join(', ')}`);
+            throw new Error(`No feasible team count between ${minTeams} and ${maxTeams}` +
+                (details.length > 0 ? ` (${details.join('; ')})` : ''));
+        }
+
+        // Near-equal balance: prefer the option that leaves fewer players out
+        alternatives.sort((a, b) =>
+            Math.abs(a.balanceSpread - b.balanceSpread) > BALANCE_SPREAD_TOLERANCE
+                ? a.balanceSpread - b.balanceSpread
+                : a.unusedPlayerCount - b.unusedPlayerCount
+        );
+
+        return {
+            teamCount: alternatives[0].teamCount,
+            variants: alternatives[0].variants,
+            alternatives,
+            rejected
         };
+    }
 
-        // Genetic Algorithm
-        if (this.config.useGeneticAlgorithm) {
-            const optimizer = new SlotGeneticAlgorithmOptimizer(
-                this.algorithmConfigs.geneticAlgorithm,
-                this.config.adaptiveParameters
-            );
-            const context = { ...problemContext, initialSolution: initialSolutions };
-            algorithmPromises.push(
-                optimizer.solve(context).then(result => {
-                    stats.geneticAlgorithm = optimizer.getStatistics();
-                    return result;
-                })
-            );
-            algorithmNames.push('Genetic Algorithm');
+    /**
+     * Plan several rounds of balanced teams in which players meet as many
+     * different teammates as possible. Rounds are optimized one after another,
+     * each with the teammates of all earlier rounds as options.teammateHistory,
+     * so the teammateRepeat objective component steers away from repeated pairs.
+     * @param {Object|Array<Object>} composition - Position composition, shared or one per team
+     * @param {number} teamCount - Number of teams per round
+     * @param {Array} players - Available players
+     * @param {Object} options - optimize() options, applied to every round, plus:
+     * @param {number} options.rounds - Number of rounds (default: 4)
+     * @param {Map|Object} options.teammateHistory - Teammates from before this plan (default: none)
+     * @returns {Promise<Object>} rounds [{round, teams, balance, unusedPlayers, score,
+     *   repeatedPairs}], diversity (see summarizeTeammateDiversity) and teammateHistory,
+     *   the given history plus all planned rounds
+     */
+    async planRotation(composition, teamCount, players, options = {}) {
+        const { rounds: roundCount = 4, teammateHistory: initialHistory, ...runOptions } = options;
+        if (!Number.isInteger(roundCount) || roundCount < 1) {
+            throw new Error(`Rounds must be a positive integer, got ${roundCount}`);
         }
 
-        // Tabu Search (Multi-Start) — each start returns a separate candidate
-        if (this.config.useTabuSearch) {
-            const startCount = Math.min(3, initialSolutions.length);
+        const teammateHistory = normalizeTeammateHistory(initialHistory) || new Map();
 
-            for (let i = 0; i < startCount; i++) {
-                const optimizer = new SlotTabuSearchOptimizer(
-                    this.algorithmConfigs.tabuSearch,
-                    this.config.adaptiveParameters
-                );
-                const context = { ...problemContext, initialSolution: getRandomInitialSolution() };
-                algorithmPromises.push(
-                    optimizer.solve(context).then(result => {
-                        stats[`tabuSearch_${i}`] = optimizer.getStatistics();
-                        return result;
-                    })
-                );
-                algorithmNames.push(`Tabu Search #${i + 1}`);
-            }
+        // One seed per round, so a seeded plan is reproducible but rounds differ
+        const random = createRandom(options.seed);
+        const rounds = [];
+
+        for (let round = 1; round <= roundCount; round++) {
+            const [variant] = await this.optimize(composition, teamCount, players, {
+                ...runOptions,
+                seed: deriveSeed(random),
+                variantCount: 1,
+                teammateHistory
+            });
+
+            rounds.push({
+                round,
+                teams: variant.teams,
+                balance: variant.balance,
+                unusedPlayers: variant.unusedPlayers,
+                score: variant.score,
+                // Pairs on the same team again, counted against all earlier rounds
+                repeatedPairs: variant.teammateRepeats ? variant.teammateRepeats.pairs.length : 0
+            });
+            recordTeammates(teammateHistory, variant.teams);
         }
 
-        // Simulated Annealing
-        if (this.config.useSimulatedAnnealing) {
-            const optimizer = new SlotSimulatedAnnealingOptimizer(
-                this.algorithmConfigs.simulatedAnnealing,
-                this.config.adaptiveParameters
-            );
-            const context = { ...problemContext, initialSolution: getRandomInitialSolution() };
-            algorithmPromises.push(
-                optimizer.solve(context).then(result => {
-                    stats.simulatedAnnealing = optimizer.getStatistics();
-                    return result;
-                })
+        return {
+            rounds,
+            diversity: this.summarizeTeammateDiversity(rounds),
+            teammateHistory
+        };
+    }
+
+    /**
+     * Measure how many different teammates players had over planned rounds
+     * @param {Array<{teams: Array<Array<Object>>}>} rounds - Rounds of resolved teams
+     * @returns {{distinctTeammates: Object, averageDistinctTeammates: number, minDistinctTeammates: number,
+     *   pairsTogether: number, repeatedPairs: number, possiblePairs: number, coverage: number}}
+     *   Distinct teammates per player ID, pairs that shared a team at least once / more than
+     *   once, and coverage, the share of all pairs of participating players that were teammates
+     */
+    summarizeTeammateDiversity(rounds) {
+        const teammates = new Map();
+        const pairCounts = new Map();
+
+        rounds.forEach(({ teams }) => teams.forEach(team => {
+            team.forEach(player => {
+                if (!teammates.has(player.id)) teammates.set(player.id, new Set());
+            });
+            for (let i = 0; i < team.length; i++) {
+                for (let j = i + 1; j < team.length; j++) {
+                    teammates.get(team[i].id).add(team[j].id);
+                    teammates.get(team[j].id).add(team[i].id);
+                    const key = getPairKey(team[i].id, team[j].id);
+                    pairCounts.set(key, (pairCounts.get(key) || 0) + 1);
+                }
+            }
+        }));
+
+        const counts = [...teammates.values()].map(set => set.size);
+        const possiblePairs = teammates.size * (teammates.size - 1) / 2;
+
+        return {
+            distinctTeammates: Object.fromEntries([...teammates].map(([id, set]) => [id, set.size])),
+            averageDistinctTeammates: counts.length > 0 ? counts.reduce((sum, count) => sum + count, 0) / counts.length : 0,
+            minDistinctTeammates: counts.length > 0 ? Math.min(...counts) : 0,
+            pairsTogether: pairCounts.size,
+            repeatedPairs: [...pairCounts.values()].filter(count => count > 1).length,
+            possiblePairs,
+            coverage: possiblePairs > 0 ? pairCounts.size / possiblePairs : 0
+        };
+    }
+
+    /**
+     * Apply the composition-changing options of optimize() for one team count
+     * @param {Object|Array<Object>} composition - Position composition, shared or one per team
+     * @param {number} teamCount - Number of teams to create
+     * @param {Array} players - Available players
+     * @param {Object} options - Optimization options (teamSize, unevenTeams, bench)
+     * @returns {{composition: Object|Array<Object>, compositionRanges: Object|Array<Object>|null,
+     *   players: Array, bench: Object|null}} Exact composition and players to optimize with, the
+     *   position ranges if any, and the normalized bench settings (throws on invalid settings)
+     */
+    prepareProblem(composition, teamCount, players, options = {}) {
+        // Position ranges: start from an exact mix the optimizers may change within the ranges
+        let compositionRanges = null;
+        if (hasPositionRanges(composition)) {
+            if (options.unevenTeams) {
+                throw new Error('unevenTeams cannot be combined with position ranges');
+            }
+            const teamSize = getRangedTeamSize(
+                getTeamComposition(composition, 0), options.teamSize ?? this.activityConfig.teamSize
             );
-            algorithmNames.push('Simulated Annealing');
+            const rangeValidation = this.validationService.validatePositionRanges(composition, teamCount, teamSize);
+            if (!rangeValidation.isValid) {
+                throw new Error(rangeValidation.errors.map(e => e.message).join(', '));
+            }
+            compositionRanges = composition;
+            composition = resolvePositionRanges(composition, teamCount, players, teamSize);
         }
 
-        // Ant Colony Optimization (constructive, provides diversity)
-        if (this.config.useAntColony) {
-            const optimizer = new SlotAntColonyOptimizer(this.algorithmConfigs.antColony);
-            algorithmPromises.push(
-                optimizer.solve(problemContext).then(result => {
-                    stats.antColony = optimizer.getStatistics();
-                    return result;
-                })
-            );
-            algorithmNames.push('Ant Colony');
+        // Spread a player shortfall over the teams; yields per-team compositions
+        if (options.unevenTeams) {
+            composition = distributeTeamCompositions(composition, teamCount, players);
+        }
+
+        // Bench mode: extra BENCH slots that every player can fill
+        const bench = normalizeBenchOption(options.bench);
+        if (bench) {
+            composition = addBenchSlots(composition, teamCount, players.length, bench.size);
+            players = addBenchPosition(players);
+
+            // Final teams are checked against the ranges, so they carry the bench size too
+            if (compositionRanges) {
+                compositionRanges = getTeamCompositions(composition, teamCount).map((teamComposition, teamIdx) => ({
+                    ...getTeamComposition(compositionRanges, teamIdx),
+                    [BENCH_POSITION]: teamComposition[BENCH_POSITION] || 0
+                }));
+            }
+        }
+
+        return { composition, compositionRanges, players, bench };
+    }
+
+    /**
+     * Pair final teams into matches, closest strengths together, or list the match-up graph's edges
+     * @param {Array<number>} strengths - Size-adjusted strengths of the final teams
+     * @param {Array<{teams: Array<number>, weight: number}>|null} matchups - Normalized match-up graph
+     * @returns {Array<{match: number, court: number|null, teams: Array<number>, strengths: Array<number>,
+     *   difference: number, weight: number}>} Matches in order; paired matches are strongest first on
+     *   courts 1, 2, ..., graph edges keep their given order and have no court
+     */
+    createMatches(strengths, matchups = null) {
+        const edges = matchups || pairTeamsByStrength(strengths).map(teams => ({ teams, weight: 1 }));
+        return edges.map(({ teams, weight }, idx) => ({
+            match: idx + 1,
+            court: matchups ? null : idx + 1,
+            teams,
+            strengths: teams.map(teamIdx => strengths[teamIdx]),
+            difference: Math.abs(strengths[teams[0]] - strengths[teams[1]]),
+            weight
+        }));
+    }
+
+    /**
+     * Summarize rating uncertainty of final teams
+     * @param {Array<Array<{playerId, position}>>} teams - Final slot teams
+     * @param {Object} playerPool - PlayerPool instance
+     * @param {Object} positionWeights - Position weights
+     * @param {number} uncertaintyFactor - Pessimism used for the strengths
+     * @returns {{teamDeviations: Array<number>, spread: number, strengths: Array<number>, uncertaintyFactor: number}}
+     *   Per-team strength deviation, its spread, and the (pessimistic) strengths that were balanced
+     */
+    summarizeUncertainty(teams, playerPool, positionWeights, uncertaintyFactor) {
+        const balance = calculateSlotTeamBalance(teams, playerPool, positionWeights, uncertaintyFactor);
+        return {
+            teamDeviations: balance.teamUncertainties,
+            spread: balance.uncertaintySpread,
+            strengths: balance.teamStrengths,
+            uncertaintyFactor
+        };
+    }
+
+    /**
+     * Build the slot-level objective from the customEvaluationFn given to the constructor.
+     * The function is called as customEvaluationFn(teams, context) with slot-based teams
+     * and context = {playerPool, composition, positionWeights, evaluateDefault}.
+     * @param {Object} objective - Built-in objective (see createSlotObjective), used as evaluateDefault
+     * @param {Object} playerPool - PlayerPool instance
+     * @param {Object} positionWeights - Position weights
+     * @param {Object} composition - Position composition
+     * @returns {Function|null} Objective for problemContext.evaluate, or null for the built-in one
+     */
+    createCustomObjective(objective, playerPool, positionWeights, composition) {
+        if (!this.customEvaluationFn) return null;
+
+        const context = {
+            playerPool,
+            composition,
+            positionWeights,
+            evaluateDefault: objective.evaluate
+        };
+        return (teams) => this.customEvaluationFn(teams, context);
+    }
+
+    /**
+     * Wrap a user progress callback so it also receives the best solution
+     * resolved to player objects, ready to render as a live lineup.
+     * @param {Function|undefined} onProgress - User progress callback
+     * @param {Object} playerPool - PlayerPool instance
+     * @returns {Function|null} Listener for problemContext.onProgress, or null
+     */
+    createProgressListener(onProgress, playerPool) {
+        if (typeof onProgress !== 'function') return null;
+
+        return (progress) => onProgress({
+            ...progress,
+            bestTeams: progress.bestSolution ? playerPool.resolveTeams(progress.bestSolution) : null
+        });
+    }
+
+    /**
+     * Run all enabled optimization algorithms in parallel.
+     * Every algorithm gets its own seed drawn from problemContext.random before
+     * any of them starts, so seeded runs do not depend on scheduling order and
+     * give the same result inline and in workers.
+     * @param {Array<Array<Array<{playerId, position}>>>} initialSolutions - Initial slot-based solutions
+     * @param {Object} problemContext - Problem context with playerPool
+     * @param {Set<string>} enabledAlgorithms - Algorithms to run (default: resolved from config)
+     * @returns {Promise<Object>} Results and algorithm names
+     */
+    async runOptimizationAlgorithms(initialSolutions, problemContext, enabledAlgorithms = this.resolveEnabledAlgorithms()) {
+        const jobs = this.createOptimizationJobs(initialSolutions, problemContext, enabledAlgorithms);
+        const stats = {};
+
+        if (jobs.length === 0) {
+            throw new Error('No optimization algorithms enabled');
         }
 
-        // Wait for all algorithms to complete
-        const results = await Promise.allSettled(algorithmPromises);
+        const optimizerClasses = { ...OPTIMIZER_CLASSES };
+        this.customOptimizers.forEach((entry, name) => {
+            optimizerClasses[name] = entry.OptimizerClass;
+        });
+        const runInline = (job) => runOptimizerJob(job, problemContext, optimizerClasses);
+
+        // Each optimizer runs synchronously up to its first yield, so starting them
+        // all at once would hold off an abort until every one had started
+        const runInlineJobs = async (inlineJobs) => {
+            const pending = [];
+            for (const job of inlineJobs) {
+                pending.push(Promise.allSettled([runInline(job)]).then(([result]) => result));
+                await yieldToEventLoop();
+            }
+            return Promise.all(pending);
+        };
+
+        // Workers pay a startup cost per job, so they are opt-in. A custom
+        // objective is a function and cannot be sent to a worker.
+        let results;
+        if (this.config.useWorkers && !problemContext.evaluate && await WorkerPool.isSupported()) {
+            // Registered classes cannot be sent to a worker, so they run inline
+            const workerJobs = jobs.filter(job => !job.custom);
+            const inlineJobs = jobs.filter(job => job.custom);
+            const pool = new WorkerPool(this.config.maxWorkers);
+            const [workerResults, inlineResults] = await Promise.all([
+                pool.runJobs(workerJobs, problemContext),
+                runInlineJobs(inlineJobs)
+            ]);
+
+            // Restore job order so candidate ranking matches inline runs
+            const settled = new Map();
+            workerJobs.forEach((job, idx) => settled.set(job, workerResults[idx]));
+            inlineJobs.forEach((job, idx) => settled.set(job, inlineResults[idx]));
+            results = jobs.map(job => settled.get(job));
+            stats.executionMode = 'workers';
+        } else {
+            results = await runInlineJobs(jobs);
+            stats.executionMode = 'inline';
+        }
 
         // Extract successful results
         const successfulResults = [];
         const successfulNames = [];
 
         results.forEach((result, idx) => {
-            if (result.status === 'fulfilled') {
-                successfulResults.push(result.value);
-                successfulNames.push(algorithmNames[idx]);
-            } else {
+            if (result.status !== 'fulfilled') return;
+
+            const job = jobs[idx];
+            const { solution } = result.value;
+            stats[job.statsKey] = result.value.stats;
+
+            // Registered optimizers are not trusted to return complete teams
+            if (job.custom && !this.isValidCandidate(
+                solution, problemContext.composition, problemContext.teamCount, problemContext.compositionRanges
+            )) {
+                stats[job.statsKey] = { ...result.value.stats, rejected: 'Solution does not fill the composition' };
+                return;
             }
+
+            successfulResults.push(solution);
+            successfulNames.push(job.name);
         });
 
         if (successfulResults.length === 0) {
@@ -348,6 +1013,144 @@ class SlotTeamOptimizerService {
         };
     }
 
+    /**
+     * Build one optimizer job per enabled algorithm (see optimizerJobs.js)
+     * @param {Array<Array<Array<{playerId, position}>>>} initialSolutions - Initial slot-based solutions
+     * @param {Object} problemContext - Problem context (its random source seeds the jobs)
+     * @param {Set<string>} enabledAlgorithms - Algorithms to run
+     * @returns {Array<Object>} Optimizer jobs
+     */
+    createOptimizationJobs(initialSolutions, problemContext, enabledAlgorithms) {
+        const jobs = [];
+        const random = problemContext.random || Math.random;
+        const adaptiveParams = this.config.adaptiveParameters;
+
+        const getRandomInitialSolution = () => {
+            return initialSolutions[Math.floor(random() * initialSolutions.length)];
+        };
+
+        // Genetic Algorithm
+        if (enabledAlgorithms.has('geneticAlgorithm')) {
+            jobs.push({
+                algorithm: 'geneticAlgorithm',
+                name: 'Genetic Algorithm',
+                statsKey: 'geneticAlgorithm',
+                config: this.algorithmConfigs.geneticAlgorithm,
+                adaptiveParams,
+                initialSolution: initialSolutions,
+                seed: deriveSeed(random)
+            });
+        }
+
+        // Tabu Search (Multi-Start) — each start returns a separate candidate
+        if (enabledAlgorithms.has('tabuSearch')) {
+            const startCount = Math.min(3, initialSolutions.length);
+
+            for (let i = 0; i < startCount; i++) {
+                jobs.push({
+                    algorithm: 'tabuSearch',
+                    name: `Tabu Search #${i + 1}`,
+                    statsKey: `tabuSearch_${i}`,
+                    config: this.algorithmConfigs.tabuSearch,
+                    adaptiveParams,
+                    initialSolution: getRandomInitialSolution(),
+                    seed: deriveSeed(random)
+                });
+            }
+        }
+
+        // Simulated Annealing
+        if (enabledAlgorithms.has('simulatedAnnealing')) {
+            jobs.push({
+                algorithm: 'simulatedAnnealing',
+                name: 'Simulated Annealing',
+                statsKey: 'simulatedAnnealing',
+                config: this.algorithmConfigs.simulatedAnnealing,
+                adaptiveParams,
+                initialSolution: getRandomInitialSolution(),
+                seed: deriveSeed(random)
+            });
+        }
+
+        // Hybrid (GA -> Tabu -> Local Search on a single start)
+        if (enabledAlgorithms.has('hybrid')) {
+            jobs.push({
+                algorithm: 'hybrid',
+                name: 'Hybrid',
+                statsKey: 'hybrid',
+                config: this.algorithmConfigs.hybrid,
+                adaptiveParams,
+                initialSolution: getRandomInitialSolution(),
+                seed: deriveSeed(random)
+            });
+        }
+
+        // Ant Colony Optimization (constructive, provides diversity)
+        if (enabledAlgorithms.has('antColony')) {
+            jobs.push({
+                algorithm: 'antColony',
+                name: 'Ant Colony',
+                statsKey: 'antColony',
+                config: this.algorithmConfigs.antColony,
+                seed: deriveSeed(random)
+            });
+        }
+
+        // Constraint Programming (constructive, builds from scratch)
+        if (enabledAlgorithms.has('constraintProgramming')) {
+            jobs.push({
+                algorithm: 'constraintProgramming',
+                name: 'Constraint Programming',
+                statsKey: 'constraintProgramming',
+                config: this.algorithmConfigs.constraintProgramming,
+                seed: deriveSeed(random)
+            });
+        }
+
+        // Registered optimizers run after the built-ins, so adding one never
+        // changes the seeds (and results) of the built-in algorithms
+        this.customOptimizers.forEach((entry, name) => {
+            if (!enabledAlgorithms.has(name)) return;
+
+            let initialSolution;
+            if (entry.initialSolution === 'population') {
+                initialSolution = initialSolutions;
+            } else if (entry.initialSolution === 'single') {
+                initialSolution = getRandomInitialSolution();
+            }
+
+            jobs.push({
+                algorithm: name,
+                name: entry.displayName,
+                statsKey: name,
+                config: entry.config,
+                adaptiveParams,
+                initialSolution,
+                seed: deriveSeed(random),
+                custom: true
+            });
+        });
+
+        return jobs;
+    }
+
+    /**
+     * Check that a solution has the right number of complete teams and no duplicates
+     * @param {*} solution - Solution returned by an optimizer
+     * @param {Object|Array<Object>} composition - Exact position composition
+     * @param {number} teamCount - Expected number of teams
+     * @param {Object|Array<Object>|null} compositionRanges - Position ranges, if any; the position
+     *   mix is then checked against the ranges and only the team sizes against composition
+     * @returns {boolean} True if the solution can be ranked as a candidate
+     */
+    isValidCandidate(solution, composition, teamCount, compositionRanges = null) {
+        return Array.isArray(solution) &&
+            solution.length === teamCount &&
+            solution.every((team, teamIdx) => Array.isArray(team) && team.length === getTeamSize(composition, teamIdx)) &&
+            !hasDuplicatePlayerIds(solution) &&
+            validateAllSlotTeamsComposition(solution, compositionRanges || composition).isValid;
+    }
+
     /**
      * Reset algorithm statistics
      */
@@ -0,0 +1,110 @@
+/**
+ * Optimizer Jobs
+ *
+ * A job describes a single optimizer run using plain data only, so the same job
+ * can run inline on the main thread or be posted to a worker (see WorkerPool).
+ *
+ * Job shape:
+ *   {
+ *     algorithm: 'tabuSearch',      // key in OPTIMIZER_CLASSES
+ *     name: 'Tabu Search #2',       // display name, reported as progress.algorithm
+ *     statsKey: 'tabuSearch_1',     // key in the run statistics
+ *     config: {...},                // algorithm configuration
+ *     adaptiveParams: {...},        // adaptive swap parameters
+ *     initialSolution: [...],       // slot-based solution(s), optional
+ *     seed: 123456 | null,          // seed for the job's random source (null = Math.random)
+ *     custom: true                  // registered optimizer; must run inline
+ *   }
+ */
+
+import SlotGeneticAlgorithmOptimizer from '../algorithms/SlotGeneticAlgorithmOptimizer.js';
+import SlotTabuSearchOptimizer from '../algorithms/SlotTabuSearchOptimizer.js';
+import SlotSimulatedAnnealingOptimizer from '../algorithms/SlotSimulatedAnnealingOptimizer.js';
+import SlotLocalSearchOptimizer from '../algorithms/SlotLocalSearchOptimizer.js';
+import SlotAntColonyOptimizer from '../algorithms/SlotAntColonyOptimizer.js';
+import SlotHybridOptimizer from '../algorithms/SlotHybridOptimizer.js';
+import SlotConstraintProgrammingOptimizer from '../algorithms/SlotConstraintProgrammingOptimizer.js';
+
+import PlayerPool from './PlayerPool.js';
+import { createRandom } from '../utils/random.js';
+
+/**
+ * Optimizer classes by job algorithm key
+ */
+export const OPTIMIZER_CLASSES = {
+    geneticAlgorithm: SlotGeneticAlgorithmOptimizer,
+    tabuSearch: SlotTabuSearchOptimizer,
+    simulatedAnnealing: SlotSimulatedAnnealingOptimizer,
+    localSearch: SlotLocalSearchOptimizer,
+    antColony: SlotAntColonyOptimizer,
+    hybrid: SlotHybridOptimizer,
+    constraintProgramming: SlotConstraintProgrammingOptimizer
+};
+
+/**
+ * Run one optimizer job
+ * @param {Object} job - Optimizer job (see module doc)
+ * @param {Object} problemContext - Shared problem context (playerPool, composition, ...)
+ * @param {Object} optimizerClasses - Optimizer classes by algorithm key (default: built-ins)
+ * @returns {Promise<{solution: Array, stats: Object}>} Best solution and optimizer statistics
+ */
+export async function runOptimizerJob(job, problemContext, optimizerClasses = OPTIMIZER_CLASSES) {
+    const Optimizer = optimizerClasses[job.algorithm];
+    if (!Optimizer) {
+        throw new Error(`Unknown optimizer: ${job.algorithm}`);
+    }
+
+    const optimizer = new Optimizer(job.config, job.adaptiveParams);
+    const solution = await optimizer.solve({
+        ...problemContext,
+        initialSolution: job.initialSolution,
+        random: createRandom(job.seed),
+        algorithmName: job.name
+    });
+
+    return { solution, stats: optimizer.getStatistics() };
+}
+
+/**
+ * Strip a problem context down to data that survives structured cloning.
+ * Functions (random, onProgress) and the AbortSignal are re-created on the
+ * worker side; optimizers rebuild the objective from objectiveWeights.
+ * @param {Object} problemContext - Problem context
+ * @returns {Object} Serializable problem data
+ */
+export function serializeProblemContext(problemContext) {
+    const {
+        composition, compositionRanges, teamCount, playerPool, positions, positionWeights,
+        objectiveWeights, uncertaintyFactor, teammateHistory, matches, matchups, balanceAttributes,
+        constraints, deadline
+    } = problemContext;
+
+    return {
+        composition,
+        compositionRanges,
+        teamCount,
+        playerPool: playerPool.toJSON(),
+        positions,
+        positionWeights,
+        objectiveWeights,
+        uncertaintyFactor,
+        teammateHistory,
+        matches,
+        matchups,
+        balanceAttributes,
+        constraints,
+        deadline
+    };
+}
+
+/**
+ * Rebuild a problem context from serializeProblemContext() output
+ * @param {Object} data - Serializable problem data
+ * @returns {Object} Problem context with a PlayerPool instance
+ */
+export function deserializeProblemContext(data) {
+    return {
+        ...data,
+        playerPool: PlayerPool.fromJSON(data.playerPool)
+    };
+}
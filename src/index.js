@@ -16,6 +16,12 @@ export { default as IOptimizer } from './core/IOptimizer.js';
 export { default as ValidationService } from './services/ValidationService.js';
 export { default as EvaluationService } from './services/EvaluationService.js';
 export { default as SolutionOrganizer } from './services/SolutionOrganizer.js';
+export { default as RatingService } from './services/RatingService.js';
+export { default as TeammateHistoryStore } from './services/TeammateHistoryStore.js';
+export { default as ScheduleService } from './services/ScheduleService.js';
+
+// Workers
+export { default as WorkerPool } from './workers/WorkerPool.js';
 
 // Algorithms - Slot-based (v2.0)
 export { default as GeneticAlgorithmOptimizer } from './algorithms/SlotGeneticAlgorithmOptimizer.js';
@@ -32,5 +38,10 @@ export * from './utils/solutionUtils.js';
 export * from './utils/slotSwapOperations.js';
 export * from './utils/teamSlotUtils.js';
 export * from './utils/slotEvaluationUtils.js';
+export * from './utils/slotConstraintUtils.js';
 export * from './utils/configHelpers.js';
+export * from './utils/benchUtils.js';
+export * from './utils/teammateHistoryUtils.js';
+export * from './utils/random.js';
+export * from './utils/optimizationControl.js';
 export { default as WarningTracker, warningTracker } from './utils/warningTracker.js';
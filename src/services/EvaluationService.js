@@ -1,38 +1,46 @@
 /**
  * EvaluationService - Handles solution evaluation and scoring
- * Evaluates team balance, strength distribution, and position-level fairness
- * Enhanced with advanced metrics: fairness, consistency, depth, and role balance
+ * Scores resolved teams with the same named-component objective the optimizers
+ * minimize (see createSlotObjective), so reported scores match optimized ones.
+ * Advanced metrics (fairness, consistency, depth, role balance) are available
+ * for reporting via getDetailedEvaluation().
  */
 
-import { calculateSimpleTeamStrength } from '../utils/evaluationUtils.js';
+import PlayerPool from '../core/PlayerPool.js';
+import { calculateSimpleTeamStrength, getPlayerRating } from '../utils/evaluationUtils.js';
+import { createSlotObjective, resolveObjectiveWeights } from '../utils/slotEvaluationUtils.js';
 import {
     calculateFairnessMetric,
     calculateConsistencyMetric,
-    calculateDepthMetric,
-    calculateRoleBalanceMetric,
-    calculateAdvancedMetrics,
-    calculateCombinedAdvancedScore
+    calculateAdvancedMetrics
 } from '../utils/advancedMetrics.js';
 import { hashSolution } from '../utils/solutionUtils.js';
 
 class EvaluationService {
     /**
      * @param {Object} activityConfig - Activity-specific configuration
-     * @param {Object} adaptiveParameters - Adaptive parameters for evaluation
-     * @param {Function} customEvaluationFn - Optional custom evaluation function
+     * @param {Object} adaptiveParameters - Evaluation parameters (objectiveWeights, uncertaintyFactor,
+     *   teammateHistory, matches, matchups, cache settings)
+     * @param {Function} customEvaluationFn - Optional slot-level objective, called as
+     *   customEvaluationFn(slotTeams, {playerPool, composition, positionWeights, evaluateDefault})
      */
     constructor(activityConfig, adaptiveParameters = {}, customEvaluationFn = null) {
         this.activityConfig = activityConfig;
         this.adaptiveParameters = {
-            // Basic weights
-            varianceWeight: 0.5,
-            positionBalanceWeight: 0.3,
+            // Objective component weights, merged over DEFAULT_OBJECTIVE_WEIGHTS
+            objectiveWeights: {},
 
-            // Advanced metrics weights
-            fairnessWeight: 0.4,
-            consistencyWeight: 0.3,
-            depthWeight: 0.1,
-            roleBalanceWeight: 0.2,
+            // Rating deviations subtracted from each player's rating (0 = expected strength)
+            uncertaintyFactor: 0,
+
+            // Earlier teammates (pair key -> count, see teammateHistoryUtils.js)
+            teammateHistory: null,
+
+            // Score the closest pairing of teams into matches (see pairTeamsByStrength)
+            matches: false,
+
+            // Fixed match-up graph ([teamA, teamB] edges, see normalizeMatchups)
+            matchups: null,
 
             // Advanced metrics options
             useAdvancedMetrics: true,
@@ -46,6 +54,9 @@ class EvaluationService {
         };
         this.customEvaluationFn = customEvaluationFn;
 
+        // Validate weights up front rather than on the first evaluation
+        resolveObjectiveWeights(this.adaptiveParameters.objectiveWeights);
+
         // Cache for composition (set by optimizer)
         this.composition = null;
 
@@ -57,18 +68,11 @@ class EvaluationService {
 
     /**
      * Evaluate solution quality (lower is better)
-     * Uses position-weighted ratings for more accurate team balance
-     * Enhanced with advanced metrics when enabled
-     * @param {Array} teams - Solution to evaluate
+     * Uses the shared slot objective, or the custom evaluation function if provided
+     * @param {Array} teams - Resolved teams to evaluate
      * @returns {number} Quality score (lower is better)
      */
     evaluateSolution(teams) {
-        // Use custom evaluation function if provided
-        if (this.customEvaluationFn) {
-            return this.customEvaluationFn(teams, this);
-        }
-
-        // Default evaluation
         if (!teams || !Array.isArray(teams) || teams.length === 0) {
             return Infinity;
         }
@@ -83,56 +87,17 @@ class EvaluationService {
             this.cacheMisses++;
         }
 
-        // Calculate team strengths using weighted ratings
-        const teamStrengths = teams.map(team => {
-            if (!Array.isArray(team)) return 0;
-            return calculateSimpleTeamStrength(team, this.activityConfig.positionWeights);
-        });
-
-        // Check for invalid strengths
-        if (teamStrengths.some(isNaN)) {
-            return Infinity;
-        }
-
-        // Overall team balance (difference between strongest and weakest)
-        const balance = Math.max(...teamStrengths) - Math.min(...teamStrengths);
-
-        // Variance in team strengths (penalizes uneven distribution)
-        const avg = teamStrengths.reduce((a, b) => a + b, 0) / teamStrengths.length;
-        const variance = teamStrengths.reduce((sum, s) => sum + Math.pow(s - avg, 2), 0) / teamStrengths.length;
-
-        // Position-level balance with position weights applied
-        const positionImbalance = this.calculatePositionImbalance(teams);
+        const { slotTeams, playerPool } = this.toSlotTeams(teams);
+        const objective = this.createObjective(playerPool);
 
-        // Base score: balance + variance penalty + position imbalance penalty
-        let score = balance +
-                    Math.sqrt(variance) * this.adaptiveParameters.varianceWeight +
-                    positionImbalance * this.adaptiveParameters.positionBalanceWeight;
-
-        // Add advanced metrics if enabled
-        if (this.adaptiveParameters.useAdvancedMetrics && this.composition) {
-            const advancedMetrics = calculateAdvancedMetrics(
-                teams,
-                this.composition,
-                this.activityConfig.positionWeights,
-                {
-                    topPlayerPercent: this.adaptiveParameters.topPlayerPercent,
-                    includeFairness: this.adaptiveParameters.fairnessWeight > 0,
-                    includeConsistency: this.adaptiveParameters.consistencyWeight > 0,
-                    includeDepth: this.adaptiveParameters.depthWeight > 0,
-                    includeRoleBalance: this.adaptiveParameters.roleBalanceWeight > 0
-                }
-            );
-
-            const advancedScore = calculateCombinedAdvancedScore(advancedMetrics, {
-                fairnessWeight: this.adaptiveParameters.fairnessWeight,
-                consistencyWeight: this.adaptiveParameters.consistencyWeight,
-                depthWeight: this.adaptiveParameters.depthWeight,
-                roleBalanceWeight: this.adaptiveParameters.roleBalanceWeight
-            });
-
-            score += advancedScore;
-        }
+        const score = this.customEvaluationFn
+            ? this.customEvaluationFn(slotTeams, {
+                playerPool,
+                composition: this.composition,
+                positionWeights: this.activityConfig.positionWeights,
+                evaluateDefault: objective.evaluate
+            })
+            : objective.evaluate(slotTeams);
 
         // Store in cache if enabled
         if (this.adaptiveParameters.enableCache) {
@@ -154,6 +119,46 @@ class EvaluationService {
         return score;
     }
 
+    /**
+     * Create the slot objective for a pool built from resolved teams
+     * @param {PlayerPool} playerPool - Pool of the evaluated players
+     * @returns {Object} Objective (see createSlotObjective)
+     */
+    createObjective(playerPool) {
+        return createSlotObjective({
+            playerPool,
+            positionWeights: this.activityConfig.positionWeights,
+            composition: this.composition,
+            topPlayerPercent: this.adaptiveParameters.topPlayerPercent,
+            balanceAttributes: this.activityConfig.balanceAttributes,
+            uncertaintyFactor: this.adaptiveParameters.uncertaintyFactor,
+            teammateHistory: this.adaptiveParameters.teammateHistory,
+            matches: this.adaptiveParameters.matches,
+            matchups: this.adaptiveParameters.matchups
+        }, this.adaptiveParameters.objectiveWeights);
+    }
+
+    /**
+     * Convert resolved teams to slot-based teams plus a matching PlayerPool.
+     * Each player's rating at the assigned position is taken from the resolved
+     * player, so scores match what the player objects show.
+     * @param {Array<Array<Object>>} teams - Resolved teams
+     * @returns {{slotTeams: Array, playerPool: PlayerPool}} Slot teams and pool
+     */
+    toSlotTeams(teams) {
+        const players = [];
+        const slotTeams = teams.map(team => team.map(player => {
+            const position = player.assignedPosition || player.positions?.[0];
+            players.push({
+                ...player,
+                ratings: { ...player.ratings, [position]: getPlayerRating(player) }
+            });
+            return { playerId: player.id, position };
+        }));
+
+        return { slotTeams, playerPool: new PlayerPool(players) };
+    }
+
     /**
      * Clear evaluation cache
      */
@@ -219,18 +224,25 @@ class EvaluationService {
      * @param {Object} newParameters - New parameters to merge
      */
     updateParameters(newParameters) {
+        if (newParameters.objectiveWeights) {
+            resolveObjectiveWeights(newParameters.objectiveWeights);
+        }
         this.adaptiveParameters = {
             ...this.adaptiveParameters,
             ...newParameters
         };
+
+        // Cached scores were computed with the old weights
+        this.clearCache();
     }
 
     /**
      * Set composition for advanced metrics calculation
-     * @param {Object} composition - Position composition
+     * @param {Object|Array<Object>} composition - Position composition, shared or one per team
      */
     setComposition(composition) {
         this.composition = composition;
+        this.clearCache();
     }
 
     /**
@@ -253,8 +265,16 @@ class EvaluationService {
         const variance = teamStrengths.reduce((sum, s) => sum + Math.pow(s - avg, 2), 0) / teamStrengths.length;
         const positionImbalance = this.calculatePositionImbalance(teams);
 
+        // Per-component breakdown of the built-in objective (null with a custom function)
+        let components = null;
+        if (!this.customEvaluationFn) {
+            const { slotTeams, playerPool } = this.toSlotTeams(teams);
+            components = this.createObjective(playerPool).breakdown(slotTeams).components;
+        }
+
         const evaluation = {
             score: this.evaluateSolution(teams),
+            components,
             balance,
             variance,
             standardDeviation: Math.sqrt(variance),
@@ -0,0 +1,217 @@
+/**
+ * RatingService - Updates player ratings from match results
+ * Takes the resolved teams returned by optimize() and a match result, and
+ * updates each player's rating for the position they played (assignedPosition).
+ *
+ * Two systems are supported:
+ * - elo: every player of a team moves by the same amount, K * (actual - expected),
+ *   with team ratings taken as the average of their players
+ * - glicko: Glicko-1 per player against the opposing team as one composite
+ *   opponent; also updates ratingDeviations, so uncertain players move faster
+ *
+ * Bench players (see benchUtils.js) did not play and are left unchanged.
+ */
+
+import { BENCH_POSITION } from '../utils/benchUtils.js';
+import { DEFAULT_RATING, getKnownRating, getRatingDeviation } from '../utils/ratingUtils.js';
+
+const RATING_SYSTEMS = ['elo', 'glicko'];
+
+// Glicko scale constant q = ln(10) / 400
+const GLICKO_Q = Math.LN10 / 400;
+
+class RatingService {
+    /**
+     * @param {Object} options - Rating options
+     * @param {string} options.system - 'elo' (default) or 'glicko'
+     * @param {number} options.kFactor - Elo K-factor (default: 32)
+     * @param {number} options.defaultDeviation - Glicko deviation of players without one (default: 350)
+     * @param {number} options.minDeviation - Glicko deviations never drop below this (default: 30)
+     */
+    constructor(options = {}) {
+        this.options = {
+            system: 'elo',
+            kFactor: 32,
+            defaultDeviation: 350,
+            minDeviation: 30,
+            ...options
+        };
+
+        if (!RATING_SYSTEMS.includes(this.options.system)) {
+            throw new Error(`Unknown rating system "${this.options.system}", expected one of: ${RATING_SYSTEMS.join(', ')}`);
+        }
+        for (const name of ['kFactor', 'defaultDeviation', 'minDeviation']) {
+            if (!Number.isFinite(this.options[name]) || this.options[name] <= 0) {
+                throw new Error(`${name} must be a positive number, got ${this.options[name]}`);
+            }
+        }
+    }
+
+    /**
+     * Update ratings after a match
+     * @param {Array<Array<Object>>} teams - Resolved teams (e.g. variant.teams from optimize())
+     * @param {Object} result - Match result: {winner: teamIdx}, {draw: true} or {scores: [25, 21]}
+     * @param {Array<Object>|null} players - All players; when given, players who did not
+     *   play are returned unchanged alongside the updated ones (default: only the teams' players)
+     * @returns {{players: Array<Object>, changes: Array<Object>}} New player objects (without
+     *   assignedPosition/positionRating) and {playerId, position, before, after,
+     *   deviationBefore, deviationAfter} for every updated player
+     */
+    updateRatings(teams, result, players = null) {
+        const outcomes = this.getPairOutcomes(teams.length, result);
+
+        // Players who played, with their rating and deviation at the assigned position
+        const lineups = teams.map(team => team
+            .filter(player => player.assignedPosition && player.assignedPosition !== BENCH_POSITION)
+            .map(player => ({
+                player,
+                position: player.assignedPosition,
+                rating: player.positionRating ?? getKnownRating(player, player.assignedPosition) ?? DEFAULT_RATING,
+                deviation: getRatingDeviation(player, player.assignedPosition) || this.options.defaultDeviation
+            })));
+
+        const updates = this.options.system === 'glicko'
+            ? this.calculateGlickoUpdates(lineups, outcomes)
+            : this.calculateEloUpdates(lineups, outcomes);
+
+        const changes = [];
+        const updatedById = new Map();
+        updates.forEach(({ entry, rating, deviation }) => {
+            const { player, position } = entry;
+            const { assignedPosition, positionRating, ...basePlayer } = player;
+
+            const updated = { ...basePlayer, ratings: { ...player.ratings, [position]: rating } };
+            if (this.options.system === 'glicko') {
+                updated.ratingDeviations = { ...player.ratingDeviations, [position]: deviation };
+            }
+
+            updatedById.set(player.id, updated);
+            changes.push({
+                playerId: player.id,
+                position,
+                before: entry.rating,
+                after: rating,
+                deviationBefore: this.options.system === 'glicko' ? entry.deviation : null,
+                deviationAfter: this.options.system === 'glicko' ? deviation : null
+            });
+        });
+
+        // Everyone else is returned as a plain player, ready for a new PlayerPool
+        const strip = ({ assignedPosition, positionRating, ...player }) => player;
+        const source = players || teams.flat();
+        const nextPlayers = source.map(player => updatedById.get(player.id) || strip(player));
+
+        return { players: nextPlayers, changes };
+    }
+
+    /**
+     * Turn a match result into outcomes between pairs of teams
+     * @param {number} teamCount - Number of teams that played
+     * @param {Object} result - {winner}, {draw} or {scores}
+     * @returns {Array<{i: number, j: number, score: number}>} Score of team i against team j
+     *   (1 win, 0.5 draw, 0 loss); pairs without a known outcome are left out
+     */
+    getPairOutcomes(teamCount, result) {
+        if (teamCount < 2) {
+            throw new Error('A match needs at least two teams');
+        }
+        if (!result || typeof result !== 'object') {
+            throw new Error('Match result must be {winner}, {draw} or {scores}');
+        }
+
+        if (Array.isArray(result.scores)) {
+            if (result.scores.length !== teamCount || !result.scores.every(Number.isFinite)) {
+                throw new Error(`Expected ${teamCount} numeric scores, got ${JSON.stringify(result.scores)}`);
+            }
+        } else if (!result.draw && !(Number.isInteger(result.winner) && result.winner >= 0 && result.winner < teamCount)) {
+            throw new Error(`Winner must be a team index from 0 to ${teamCount - 1}, got ${result.winner}`);
+        }
+
+        const outcomes = [];
+        for (let i = 0; i < teamCount; i++) {
+            for (let j = i + 1; j < teamCount; j++) {
+                if (Array.isArray(result.scores)) {
+                    const [a, b] = [result.scores[i], result.scores[j]];
+                    outcomes.push({ i, j, score: a > b ? 1 : a < b ? 0 : 0.5 });
+                } else if (result.draw) {
+                    outcomes.push({ i, j, score: 0.5 });
+                } else if (result.winner === i || result.winner === j) {
+                    // Only games against the winner are known; the losers did not meet
+                    outcomes.push({ i, j, score: result.winner === i ? 1 : 0 });
+                }
+            }
+        }
+
+        return outcomes;
+    }
+
+    /**
+     * Elo: team rating is the average player rating; each player of a team
+     * gets the team's change, averaged over the teams it was compared with
+     */
+    calculateEloUpdates(lineups, outcomes) {
+        const teamRatings = lineups.map(lineup =>
+            lineup.reduce((sum, entry) => sum + entry.rating, 0) / (lineup.length || 1));
+        const deltas = lineups.map(() => 0);
+        const games = lineups.map(() => 0);
+
+        outcomes.forEach(({ i, j, score }) => {
+            const expected = 1 / (1 + 10 ** ((teamRatings[j] - teamRatings[i]) / 400));
+            deltas[i] += this.options.kFactor * (score - expected);
+            deltas[j] -= this.options.kFactor * (score - expected);
+            games[i]++;
+            games[j]++;
+        });
+
+        return lineups.flatMap((lineup, teamIdx) => lineup.map(entry => ({
+            entry,
+            rating: entry.rating + (games[teamIdx] > 0 ? deltas[teamIdx] / games[teamIdx] : 0),
+            deviation: entry.deviation
+        })));
+    }
+
+    /**
+     * Glicko-1: each player plays the opposing teams, each one a composite
+     * opponent with the average rating and root-mean-square deviation of its players
+     */
+    calculateGlickoUpdates(lineups, outcomes) {
+        const composites = lineups.map(lineup => ({
+            rating: lineup.reduce((sum, entry) => sum + entry.rating, 0) / (lineup.length || 1),
+            deviation: Math.sqrt(lineup.reduce((sum, entry) => sum + entry.deviation ** 2, 0) / (lineup.length || 1))
+        }));
+
+        // Games of each team: opponent index and score
+        const games = lineups.map(() => []);
+        outcomes.forEach(({ i, j, score }) => {
+            games[i].push({ opponent: j, score });
+            games[j].push({ opponent: i, score: 1 - score });
+        });
+
+        const g = deviation => 1 / Math.sqrt(1 + 3 * GLICKO_Q ** 2 * deviation ** 2 / Math.PI ** 2);
+
+        return lineups.flatMap((lineup, teamIdx) => lineup.map(entry => {
+            if (games[teamIdx].length === 0) {
+                return { entry, rating: entry.rating, deviation: entry.deviation };
+            }
+
+            let varianceInverse = 0;
+            let improvement = 0;
+            games[teamIdx].forEach(({ opponent, score }) => {
+                const { rating, deviation } = composites[opponent];
+                const gOpponent = g(deviation);
+                const expected = 1 / (1 + 10 ** (-gOpponent * (entry.rating - rating) / 400));
+                varianceInverse += GLICKO_Q ** 2 * gOpponent ** 2 * expected * (1 - expected);
+                improvement += gOpponent * (score - expected);
+            });
+
+            const precision = 1 / entry.deviation ** 2 + varianceInverse;
+            return {
+                entry,
+                rating: entry.rating + GLICKO_Q / precision * improvement,
+                deviation: Math.max(this.options.minDeviation, Math.sqrt(1 / precision))
+            };
+        }));
+    }
+}
+
+export default RatingService;
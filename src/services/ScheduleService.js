@@ -0,0 +1,269 @@
+/**
+ * ScheduleService - Builds match schedules for optimized teams
+ * Takes optimize() output and produces a round-robin, double round-robin,
+ * single-elimination or double-elimination schedule. Teams are seeded by
+ * strength (seed 1 = strongest, from calculateTeamBalance), byes go to the
+ * top seeds, and each round's matches are spread over the available courts.
+ *
+ * Match sides are participants:
+ *   { team: 2 }          // index into the optimized teams
+ *   { winnerOf: 'M3' }   // decided by an earlier match
+ *   { loserOf: 'M3' }    // double elimination: dropped into the losers bracket
+ */
+
+import { calculateTeamBalance } from '../utils/evaluationUtils.js';
+
+const SCHEDULE_FORMATS = ['roundRobin', 'doubleRoundRobin', 'singleElimination', 'doubleElimination'];
+
+class ScheduleService {
+    /**
+     * @param {Object} activityConfig - Activity-specific configuration (position weights for seeding)
+     */
+    constructor(activityConfig) {
+        this.activityConfig = activityConfig;
+    }
+
+    /**
+     * Create a schedule
+     * @param {Object|Array} result - A variant from optimize() ({teams, balance}), or resolved teams
+     * @param {Object} options - Schedule options
+     * @param {string} options.format - One of SCHEDULE_FORMATS (default: 'roundRobin')
+     * @param {number|Array<string>} options.courts - Number of courts, or court names
+     *   (default: one court per match of the busiest round)
+     * @returns {{format: string, seeds: Array<{team: number, seed: number, strength: number}>,
+     *   rounds: Array<{round: number, bracket: string, matches: Array, byes: Array<number>}>}}
+     *   Seeding and rounds in playing order; every match is {id, home, away, court, slot}
+     *   plus ifNecessary for a double-elimination final reset
+     */
+    createSchedule(result, options = {}) {
+        const { format = 'roundRobin', courts = null } = options;
+        if (!SCHEDULE_FORMATS.includes(format)) {
+            throw new Error(`Unknown schedule format "${format}", expected one of: ${SCHEDULE_FORMATS.join(', ')}`);
+        }
+
+        const teams = Array.isArray(result) ? result : result?.teams;
+        if (!Array.isArray(teams) || teams.length < 2) {
+            throw new Error('A schedule needs at least two teams');
+        }
+
+        const seeds = this.seedTeams(teams, Array.isArray(result) ? null : result.balance);
+        const seededTeams = seeds.map(({ team }) => team);
+
+        let rounds;
+        if (format === 'roundRobin' || format === 'doubleRoundRobin') {
+            rounds = createRoundRobinRounds(seededTeams, format === 'doubleRoundRobin');
+        } else {
+            rounds = createEliminationRounds(seededTeams, format === 'doubleElimination');
+        }
+
+        return { format, seeds, rounds: assignMatches(rounds, courts) };
+    }
+
+    /**
+     * Seed teams by strength, strongest first
+     * @param {Array<Array<Object>>} teams - Resolved teams
+     * @param {Object|null} balance - variant.balance, reused when given
+     * @returns {Array<{team: number, seed: number, strength: number}>} Teams in seed order
+     */
+    seedTeams(teams, balance = null) {
+        const strengths = balance?.adjustedStrengths?.length === teams.length
+            ? balance.adjustedStrengths
+            : calculateTeamBalance(teams, this.activityConfig.positionWeights).adjustedStrengths;
+
+        return strengths
+            .map((strength, team) => ({ team, strength }))
+            .sort((a, b) => (b.strength - a.strength) || (a.team - b.team))
+            .map((entry, idx) => ({ team: entry.team, seed: idx + 1, strength: entry.strength }));
+    }
+}
+
+/**
+ * Circle method: the first team stays, the others rotate; an odd team count
+ * gets a bye slot. The second leg of a double round robin swaps home and away.
+ */
+function createRoundRobinRounds(seededTeams, double) {
+    const slots = seededTeams.length % 2 === 0 ? [...seededTeams] : [...seededTeams, null];
+    const rounds = [];
+
+    for (let r = 0; r < slots.length - 1; r++) {
+        const matches = [];
+        const byes = [];
+        for (let i = 0; i < slots.length / 2; i++) {
+            let [home, away] = [slots[i], slots[slots.length - 1 - i]];
+            if (home === null || away === null) {
+                byes.push(home ?? away);
+                continue;
+            }
+            // Alternate the fixed team's home games
+            if (i === 0 && r % 2 === 1) [home, away] = [away, home];
+            matches.push({ home: { team: home }, away: { team: away } });
+        }
+        rounds.push({ bracket: 'league', matches, byes });
+        slots.splice(1, 0, slots.pop());
+    }
+
+    if (double) {
+        const secondLeg = rounds.map(({ bracket, matches, byes }) => ({
+            bracket,
+            matches: matches.map(({ home, away }) => ({ home: away, away: home })),
+            byes
+        }));
+        rounds.push(...secondLeg);
+    }
+
+    return rounds;
+}
+
+/**
+ * Bracket order of seeds, e.g. 8 -> [1, 8, 4, 5, 2, 7, 3, 6], so the top
+ * seeds can only meet in the last rounds
+ */
+function getBracketOrder(size) {
+    let order = [1];
+    while (order.length < size) {
+        const total = order.length * 2 + 1;
+        order = order.flatMap(seed => [seed, total - seed]);
+    }
+    return order;
+}
+
+/**
+ * Build a full bracket of 2^k slots, then drop matches against empty slots
+ * (byes) and resolve references to them
+ */
+function createEliminationRounds(seededTeams, double) {
+    let size = 2;
+    while (size < seededTeams.length) size *= 2;
+    const roundCount = Math.log2(size);
+
+    const rounds = [];
+    let nextKey = 0;
+    const addRound = (bracket, sides, extra = {}) => {
+        const matches = sides.map(([home, away]) => ({ key: `k${nextKey++}`, home, away, ...extra }));
+        rounds.push({ bracket, matches });
+        return matches;
+    };
+
+    // Winners bracket round 1: seeds beyond the team count are empty slots
+    const order = getBracketOrder(size).map(seed => (seed <= seededTeams.length ? { team: seededTeams[seed - 1] } : null));
+    let winners = addRound('winners', pairUp(order));
+
+    // Losers bracket (double elimination): round 1 losers play each other, then every
+    // later winners round drops its losers in (minor rounds) and survivors play down
+    // (major rounds). Rounds are added in playing order, interleaved with the winners bracket.
+    let survivors = null;
+    if (double) {
+        survivors = roundCount > 1
+            ? addRound('losers', pairUp(winners.map(m => ({ loserOf: m.key })))).map(m => ({ winnerOf: m.key }))
+            : [{ loserOf: winners[0].key }];
+    }
+
+    for (let r = 1; r < roundCount; r++) {
+        winners = addRound('winners', pairUp(winners.map(m => ({ winnerOf: m.key }))));
+        if (!double) continue;
+
+        const dropped = winners.map(m => ({ loserOf: m.key }));
+        // Reverse every other drop to avoid immediate rematches
+        if (r % 2 === 1) dropped.reverse();
+        survivors = addRound('losers', survivors.map((survivor, i) => [survivor, dropped[i]]))
+            .map(m => ({ winnerOf: m.key }));
+        if (r < roundCount - 1) {
+            survivors = addRound('losers', pairUp(survivors)).map(m => ({ winnerOf: m.key }));
+        }
+    }
+
+    if (double) {
+        const [final] = addRound('final', [[{ winnerOf: winners[0].key }, survivors[0]]]);
+        // Played only if the losers bracket champion wins the first final
+        addRound('final', [[{ winnerOf: final.key }, { loserOf: final.key }]], { ifNecessary: true });
+    }
+
+    return resolveByes(rounds);
+}
+
+/**
+ * Pair consecutive entries: [a, b, c, d] -> [[a, b], [c, d]]
+ */
+function pairUp(entries) {
+    const pairs = [];
+    for (let i = 0; i < entries.length; i += 2) {
+        pairs.push([entries[i], entries[i + 1]]);
+    }
+    return pairs;
+}
+
+/**
+ * Remove matches with an empty side: the other side advances (a bye) and
+ * nobody drops to the losers bracket. Rounds are in playing order, so one
+ * pass resolves every reference.
+ */
+function resolveByes(rounds) {
+    const removed = new Map();
+    const resolve = (side) => {
+        if (side && side.winnerOf && removed.has(side.winnerOf)) return removed.get(side.winnerOf).winner;
+        if (side && side.loserOf && removed.has(side.loserOf)) return null;
+        return side;
+    };
+
+    return rounds
+        .map(({ bracket, matches }) => {
+            const byes = [];
+            const played = matches.filter(match => {
+                match.home = resolve(match.home);
+                match.away = resolve(match.away);
+                if (match.home && match.away) return true;
+
+                const winner = match.home || match.away;
+                removed.set(match.key, { winner });
+                if (winner && winner.team !== undefined) byes.push(winner.team);
+                return false;
+            });
+            return { bracket, matches: played, byes };
+        })
+        .filter(round => round.matches.length > 0);
+}
+
+/**
+ * Number rounds and matches in playing order, replace internal keys with
+ * match IDs and spread each round over the courts (slot = time slot in the round)
+ */
+function assignMatches(rounds, courts) {
+    const courtNames = Array.isArray(courts) ? courts : null;
+    const courtCount = courtNames ? courtNames.length : courts;
+    if (courtCount !== null && !(Number.isInteger(courtCount) && courtCount > 0)) {
+        throw new Error(`Courts must be a positive integer or a list of names, got ${courts}`);
+    }
+
+    const ids = new Map();
+    let matchNumber = 0;
+    rounds.forEach(round => round.matches.forEach(match => {
+        if (match.key) ids.set(match.key, `M${++matchNumber}`);
+        else match.id = `M${++matchNumber}`;
+    }));
+
+    const toId = (side) => {
+        if (side.winnerOf) return { winnerOf: ids.get(side.winnerOf) };
+        if (side.loserOf) return { loserOf: ids.get(side.loserOf) };
+        return side;
+    };
+
+    return rounds.map(({ bracket, matches, byes }, roundIdx) => ({
+        round: roundIdx + 1,
+        bracket,
+        matches: matches.map((match, matchIdx) => {
+            const court = courtCount ? matchIdx % courtCount : matchIdx;
+            const scheduled = {
+                id: match.id || ids.get(match.key),
+                home: toId(match.home),
+                away: toId(match.away),
+                court: courtNames ? courtNames[court] : court + 1,
+                slot: courtCount ? Math.floor(matchIdx / courtCount) + 1 : 1
+            };
+            if (match.ifNecessary) scheduled.ifNecessary = true;
+            return scheduled;
+        }),
+        byes
+    }));
+}
+
+export default ScheduleService;
@@ -6,6 +6,8 @@
 
 import { calculateSimpleTeamStrength } from '../utils/evaluationUtils.js';
 import { sortTeamByPosition, getUnusedPlayers } from '../utils/solutionUtils.js';
+import { splitLineup } from '../utils/benchUtils.js';
+import { DEFAULT_RATING } from '../utils/ratingUtils.js';
 
 class SolutionOrganizer {
     /**
@@ -46,11 +48,15 @@ class SolutionOrganizer {
      * This method only handles sorting and organization.
      * @param {Array} teams - Resolved teams (after PlayerPool.resolveTeams)
      * @param {Array} allPlayers - All available players
-     * @returns {Object} Organized solution
+     * @param {Object} options - Organization options
+     * @param {boolean} options.preserveTeamOrder - Keep team indices (e.g. when players are locked to teams)
+     * @returns {Object} Organized solution: teams, unusedPlayers and per-team lineups ({starters, bench})
      */
-    prepareFinalSolution(teams, allPlayers) {
-        // Sort teams by strength (strongest first)
-        this.sortTeamsByStrength(teams);
+    prepareFinalSolution(teams, allPlayers, options = {}) {
+        // Sort teams by strength (strongest first) unless team indices are meaningful
+        if (!options.preserveTeamOrder) {
+            this.sortTeamsByStrength(teams);
+        }
 
         // Sort players within teams by position order
         this.sortPlayersInTeams(teams);
@@ -60,7 +66,9 @@ class SolutionOrganizer {
 
         return {
             teams,
-            unusedPlayers
+            unusedPlayers,
+            // Starters vs substitutes; bench is empty unless bench slots were used
+            lineups: teams.map(team => splitLineup(team))
         };
     }
 
@@ -80,7 +88,7 @@ class SolutionOrganizer {
             if (!positionRatings[position]) {
                 positionRatings[position] = [];
             }
-            positionRatings[position].push(player.positionRating || 1500);
+            positionRatings[position].push(player.positionRating ?? DEFAULT_RATING);
         });
 
         const statistics = {
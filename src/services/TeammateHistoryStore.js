@@ -0,0 +1,187 @@
+/**
+ * TeammateHistoryStore - Remembers who played with whom across sessions
+ * Keeps a decayed weight per pair of players: every recorded session first
+ * multiplies all weights by the decay factor, then adds 1 per pair for each
+ * team set the pair shared. Pairs from a month ago therefore matter less than
+ * last week's. The store (or getHistory()) is passed to optimize() as
+ * options.teammateHistory, the input of the teammateRepeat objective component.
+ *
+ * The store is serializable: toJSON() gives plain JSON keyed by player ID,
+ *
+ *   { version: 1, decay: 0.75, sessionCount: 3, pairs: { "3": { "7": 1.75 } } }
+ *
+ * and TeammateHistoryStore.fromJSON() restores it.
+ */
+
+import { getPairKey } from '../utils/teammateHistoryUtils.js';
+
+const STORE_VERSION = 1;
+
+class TeammateHistoryStore {
+    /**
+     * @param {Object} options - Store options
+     * @param {number} options.decay - Weight kept per recorded session, in (0, 1] (default: 0.75)
+     * @param {number} options.minWeight - Pairs below this weight are forgotten (default: 0.01)
+     */
+    constructor(options = {}) {
+        this.options = {
+            decay: 0.75,
+            minWeight: 0.01,
+            ...options
+        };
+
+        if (!Number.isFinite(this.options.decay) || this.options.decay <= 0 || this.options.decay > 1) {
+            throw new Error(`Decay must be a number in (0, 1], got ${this.options.decay}`);
+        }
+        if (!Number.isFinite(this.options.minWeight) || this.options.minWeight < 0) {
+            throw new Error(`minWeight must be a non-negative number, got ${this.options.minWeight}`);
+        }
+
+        // Pair key -> {playerIds: [a, b], weight}
+        this.pairs = new Map();
+        this.sessionCount = 0;
+    }
+
+    /**
+     * Record one finalized session
+     * @param {Array<Array<Array<Object>>>} teamSets - Team sets played in the session, e.g.
+     *   [variant.teams] for one game or plan.rounds.map(round => round.teams) for a rotation;
+     *   teams may be resolved (players with id) or slot-based ({playerId, position})
+     * @returns {TeammateHistoryStore} This store, for chaining
+     */
+    recordSession(teamSets) {
+        if (!Array.isArray(teamSets) || !teamSets.every(teams => Array.isArray(teams) && teams.every(Array.isArray))) {
+            throw new Error('A session must be a list of team sets (arrays of teams)');
+        }
+
+        this.applyDecay();
+
+        teamSets.forEach(teams => teams.forEach(team => {
+            const ids = team.map(member => member.playerId ?? member.id);
+            for (let i = 0; i < ids.length; i++) {
+                for (let j = i + 1; j < ids.length; j++) {
+                    this.addWeight(ids[i], ids[j], 1);
+                }
+            }
+        }));
+
+        this.sessionCount++;
+        return this;
+    }
+
+    /**
+     * Multiply all weights by the decay factor and forget negligible pairs
+     */
+    applyDecay() {
+        this.pairs.forEach((pair, key) => {
+            pair.weight *= this.options.decay;
+            if (pair.weight < this.options.minWeight) {
+                this.pairs.delete(key);
+            }
+        });
+    }
+
+    /**
+     * Add weight to a pair
+     * @param {number|string} playerIdA - First player ID
+     * @param {number|string} playerIdB - Second player ID
+     * @param {number} weight - Weight to add
+     */
+    addWeight(playerIdA, playerIdB, weight) {
+        const key = getPairKey(playerIdA, playerIdB);
+        const pair = this.pairs.get(key);
+        if (pair) {
+            pair.weight += weight;
+        } else {
+            this.pairs.set(key, { playerIds: [playerIdA, playerIdB], weight });
+        }
+    }
+
+    /**
+     * Get the decayed weight of a pair
+     * @param {number|string} playerIdA - First player ID
+     * @param {number|string} playerIdB - Second player ID
+     * @returns {number} Weight (0 for players who never shared a team)
+     */
+    getWeight(playerIdA, playerIdB) {
+        return this.pairs.get(getPairKey(playerIdA, playerIdB))?.weight || 0;
+    }
+
+    /**
+     * Get a player's former teammates, most recent/frequent first
+     * @param {number|string} playerId - Player ID
+     * @returns {Array<{playerId: number|string, weight: number}>} Teammates with their weights
+     */
+    getTeammates(playerId) {
+        const teammates = [];
+        this.pairs.forEach(({ playerIds: [a, b], weight }) => {
+            if (String(a) === String(playerId)) teammates.push({ playerId: b, weight });
+            else if (String(b) === String(playerId)) teammates.push({ playerId: a, weight });
+        });
+        return teammates.sort((x, y) => y.weight - x.weight);
+    }
+
+    /**
+     * Get the history in the form optimize() takes as options.teammateHistory
+     * @returns {Map<string, number>} Pair key -> weight
+     */
+    getHistory() {
+        return new Map([...this.pairs].map(([key, { weight }]) => [key, weight]));
+    }
+
+    /**
+     * Serialize the store to plain JSON keyed by player ID
+     * @returns {{version: number, decay: number, minWeight: number, sessionCount: number, pairs: Object}}
+     *   Store data; pairs maps player ID -> teammate ID -> weight, each pair listed once
+     */
+    toJSON() {
+        const pairs = {};
+        this.pairs.forEach(({ playerIds: [a, b], weight }) => {
+            if (!pairs[a]) pairs[a] = {};
+            pairs[a][b] = weight;
+        });
+
+        return {
+            version: STORE_VERSION,
+            decay: this.options.decay,
+            minWeight: this.options.minWeight,
+            sessionCount: this.sessionCount,
+            pairs
+        };
+    }
+
+    /**
+     * Restore a store from toJSON() output (or its JSON string)
+     * Player IDs come back as strings, the way JSON keys are stored; pair
+     * keys match either way, so optimize() finds the same pairs.
+     * @param {Object|string} data - Serialized store
+     * @param {Object} options - Options overriding the serialized ones (e.g. a new decay)
+     * @returns {TeammateHistoryStore} Restored store
+     */
+    static fromJSON(data, options = {}) {
+        const parsed = typeof data === 'string' ? JSON.parse(data) : data;
+        if (!parsed || parsed.version !== STORE_VERSION || typeof parsed.pairs !== 'object') {
+            throw new Error(`Unsupported teammate history data (expected version ${STORE_VERSION})`);
+        }
+
+        const saved = {};
+        if (parsed.decay !== undefined) saved.decay = parsed.decay;
+        if (parsed.minWeight !== undefined) saved.minWeight = parsed.minWeight;
+
+        const store = new TeammateHistoryStore({ ...saved, ...options });
+        store.sessionCount = parsed.sessionCount || 0;
+
+        Object.entries(parsed.pairs).forEach(([a, teammates]) => {
+            Object.entries(teammates).forEach(([b, weight]) => {
+                if (typeof weight !== 'number' || !Number.isFinite(weight) || weight < 0) {
+                    throw new Error(`Invalid teammate history weight for ${a} and ${b}: ${weight}`);
+                }
+                store.addWeight(a, b, weight);
+            });
+        });
+
+        return store;
+    }
+}
+
+export default TeammateHistoryStore;
@@ -1,8 +1,23 @@
 /**
  * ValidationService - Handles all validation logic for team optimization
- * Validates input parameters, player availability, and composition requirements
+ * Validates input parameters, player availability, composition requirements,
+ * pairing constraints, locks, balance attributes and position preferences
  */
 
+import { buildSlotConstraints } from '../utils/slotConstraintUtils.js';
+import { ATTRIBUTE_TYPES, normalizeBalanceAttributes, getPlayerAttribute } from '../utils/attributeBalanceUtils.js';
+import { BENCH_POSITION } from '../utils/benchUtils.js';
+import { normalizeMissingRatings } from '../utils/ratingUtils.js';
+import { normalizeMatchups } from '../utils/slotEvaluationUtils.js';
+import {
+    getTeamSize,
+    getTeamComposition,
+    getTeamCompositions,
+    getPositionTotals,
+    getCompositionPositions,
+    getPositionRange
+} from '../utils/configHelpers.js';
+
 class ValidationService {
     /**
      * @param {Object} activityConfig - Activity-specific configuration
@@ -14,26 +29,43 @@ class ValidationService {
     /**
      * Enhanced validation of input parameters
      * Checks if there are enough players for each position and overall
-     * @param {Object} composition - Position composition (e.g., {MB: 2, S: 1, ...})
+     * @param {Object|Array<Object>} composition - Position composition (e.g., {MB: 2, S: 1, ...}),
+     *   or one composition per team
      * @param {number} teamCount - Number of teams to create
      * @param {Array} players - Available players
+     * @param {Object} options - Optimization options (keepTogether, keepApart, locks, quotas)
      * @returns {Object} Validation result with isValid, errors, and warnings
      */
-    validate(composition, teamCount, players) {
+    validate(composition, teamCount, players, options = {}) {
         const errors = [];
         const warnings = [];
         let totalNeeded = 0;
 
-        // Validate composition and check player availability for each position
-        Object.entries(composition).forEach(([position, count]) => {
-            if (count > 0) {
-                const needed = count * teamCount;
-                const available = players.filter(p =>
-                    p.positions && Array.isArray(p.positions) && p.positions.includes(position)
-                ).length;
+        if (Array.isArray(composition) && composition.length !== teamCount) {
+            errors.push({
+                message: `Got ${composition.length} team compositions for ${teamCount} teams`
+            });
+        }
+
+        // A player locked to a position can only fill that position
+        const lockedPositions = new Map();
+        buildSlotConstraints(options, players)?.locks.forEach((lock, playerId) => {
+            if (lock.position) lockedPositions.set(playerId, lock.position);
+        });
 
+        // Validate composition and check player availability for each position
+        Object.entries(getPositionTotals(composition, teamCount)).forEach(([position, needed]) => {
+            if (needed > 0) {
                 totalNeeded += needed;
 
+                // Anyone can sit on the bench; the total player count covers bench slots
+                if (position === BENCH_POSITION) return;
+
+                const available = players.filter(p => lockedPositions.has(p.id)
+                    ? lockedPositions.get(p.id) === position
+                    : p.positions && Array.isArray(p.positions) && p.positions.includes(position)
+                ).length;
+
                 if (available < needed) {
                     const positionName = this.activityConfig.positions?.[position] || position;
                     errors.push({
@@ -70,6 +102,28 @@ class ValidationService {
             });
         }
 
+        // Multi-court mode pairs every team with an opponent
+        if (options.matches && teamCount % 2 !== 0) {
+            errors.push({
+                message: `Match mode needs an even number of teams, got ${teamCount}`
+            });
+        }
+        errors.push(...this.validateMatchups(teamCount, options));
+
+        // Validate pairing constraints and locks before solving
+        const constraintValidation = this.validateConstraints(composition, teamCount, players, options);
+        errors.push(...constraintValidation.errors);
+
+        const attributeValidation = this.validateBalanceAttributes(teamCount, players);
+        errors.push(...attributeValidation.errors);
+        warnings.push(...attributeValidation.warnings);
+
+        const preferenceValidation = this.validatePositionPreferences(players);
+        errors.push(...preferenceValidation.errors);
+        warnings.push(...preferenceValidation.warnings);
+
+        errors.push(...this.validateRatingDeviations(players, options).errors);
+
         return {
             isValid: errors.length === 0,
             errors,
@@ -80,6 +134,535 @@ class ValidationService {
         };
     }
 
+    /**
+     * Validate a fixed match-up graph (options.matchups)
+     * @param {number} teamCount - Number of teams to create
+     * @param {Object} options - Optimization options (matches, matchups)
+     * @returns {Array<{message: string}>} Errors
+     */
+    validateMatchups(teamCount, options = {}) {
+        let matchups;
+        try {
+            matchups = normalizeMatchups(options.matchups);
+        } catch (error) {
+            return [{ message: error.message }];
+        }
+        if (!matchups) return [];
+
+        const errors = [];
+        if (options.matches) {
+            errors.push({ message: 'Use either matches (automatic pairing) or matchups (fixed pairings), not both' });
+        }
+        matchups.forEach(({ teams }) => {
+            const outOfRange = teams.filter(teamIdx => teamIdx >= teamCount);
+            if (outOfRange.length > 0) {
+                errors.push({
+                    message: `Matchup [${teams.join(', ')}] references team index ${outOfRange[0]}, ` +
+                        `but only indices 0-${teamCount - 1} exist (${teamCount} teams)`
+                });
+            }
+        });
+        return errors;
+    }
+
+    /**
+     * Validate pairing constraints (keepTogether / keepApart), locks and quotas
+     * Reports combinations that cannot be satisfied by any team assignment:
+     * unknown players, players required to be both together and apart,
+     * groups that do not fit in one team, keepApart groups larger
+     * than the number of teams, locks that conflict with either, and
+     * quotas the player pool cannot fill.
+     * @param {Object|Array<Object>} composition - Position composition, shared or one per team
+     * @param {number} teamCount - Number of teams to create
+     * @param {Array} players - Available players
+     * @param {Object} options - Optimization options (keepTogether, keepApart, locks, quotas)
+     * @returns {Object} Validation result with isValid and errors
+     */
+    validateConstraints(composition, teamCount, players, options = {}) {
+        const errors = [];
+        const constraints = buildSlotConstraints(options, players);
+
+        if (!constraints) {
+            return { isValid: true, errors };
+        }
+
+        const playersById = new Map(players.map(p => [p.id, p]));
+        const describe = (id) => playersById.get(id)?.name || id;
+
+        // Unknown player IDs
+        const referencedIds = new Set([
+            ...constraints.keepTogether.flat(),
+            ...constraints.keepApart.flat()
+        ]);
+        referencedIds.forEach(id => {
+            if (!playersById.has(id)) {
+                errors.push({
+                    playerId: id,
+                    message: `Pairing constraint references unknown player ${id}`
+                });
+            }
+        });
+
+        // Players that must be both together and apart
+        constraints.apartPairs.forEach(([a, b]) => {
+            const groupA = constraints.togetherGroupOf.get(a);
+            if (groupA !== undefined && groupA === constraints.togetherGroupOf.get(b)) {
+                errors.push({
+                    playerIds: [a, b],
+                    message: `${describe(a)} and ${describe(b)} cannot be kept both together and apart`
+                });
+            }
+        });
+
+        // keepApart groups need one team per member
+        constraints.keepApart.forEach(group => {
+            if (group.length > teamCount) {
+                errors.push({
+                    playerIds: group,
+                    message: `Cannot keep ${group.length} players apart with only ${teamCount} teams`
+                });
+            }
+        });
+
+        // keepTogether groups must fit into a single team's composition
+        const teamSize = getTeamSize(composition);
+        constraints.togetherGroups.forEach(group => {
+            const members = group.filter(id => playersById.has(id));
+            const names = members.map(describe).join(', ');
+
+            if (members.length > teamSize) {
+                errors.push({
+                    playerIds: members,
+                    message: `Cannot keep ${members.length} players together in teams of ${teamSize}: ${names}`
+                });
+            } else if (!getTeamCompositions(composition, teamCount).some(teamComposition =>
+                this.canGroupShareTeam(members.map(id => playersById.get(id)), teamComposition))) {
+                errors.push({
+                    playerIds: members,
+                    message: `Players cannot be kept together, their positions do not fit one team: ${names}`
+                });
+            }
+        });
+
+        errors.push(...this.validateLocks(composition, teamCount, playersById, constraints));
+        errors.push(...this.validateQuotas(composition, teamCount, players, constraints));
+
+        return {
+            isValid: errors.length === 0,
+            errors
+        };
+    }
+
+    /**
+     * Validate per-team attribute quotas against the player pool
+     * Only players who can fill a position of the composition count: each
+     * quota needs min × teamCount matching players, and enough non-matching
+     * players to fill the rest of the teams when the maximum is reached.
+     * @param {Object|Array<Object>} composition - Position composition, shared or one per team
+     * @param {number} teamCount - Number of teams to create
+     * @param {Array} players - Available players
+     * @param {Object} constraints - Normalized constraints
+     * @returns {Array} Errors
+     */
+    validateQuotas(composition, teamCount, players, constraints) {
+        const errors = [];
+        const teamSizes = Array.from({ length: teamCount }, (_, teamIdx) => getTeamSize(composition, teamIdx));
+        const smallestTeam = Math.min(...teamSizes);
+        const positions = getCompositionPositions(composition);
+        const eligible = players.filter(p =>
+            Array.isArray(p.positions) && p.positions.some(pos => positions.includes(pos))
+        );
+
+        constraints.quotas.forEach(quota => {
+            const { label, min, max } = quota;
+
+            if (!Number.isInteger(min) || min < 0 || !(Number.isInteger(max) || max === Infinity) || max < min) {
+                errors.push({
+                    quota: label,
+                    message: `Invalid quota for ${label}: min ${min}, max ${max}`
+                });
+                return;
+            }
+
+            if (min > smallestTeam) {
+                errors.push({
+                    quota: label,
+                    message: `Quota for ${label} needs ${min} players per team, but the smallest team only has ${smallestTeam}`
+                });
+                return;
+            }
+
+            const matching = eligible.filter(p => quota.playerIds.has(p.id)).length;
+            if (matching < min * teamCount) {
+                errors.push({
+                    quota: label,
+                    needed: min * teamCount,
+                    available: matching,
+                    message: `Not enough players with ${label}: need ${min} per team (${min * teamCount}), have ${matching}`
+                });
+            }
+
+            const othersNeeded = teamSizes.reduce((sum, size) => sum + size - Math.min(max, size), 0);
+            const others = eligible.length - matching;
+            if (others < othersNeeded) {
+                errors.push({
+                    quota: label,
+                    needed: othersNeeded,
+                    available: others,
+                    message: `At most ${max} players per team may have ${label}, but only ${others} other players are available (need ${othersNeeded})`
+                });
+            }
+
+            // Locked players already count towards their team's quota
+            const lockedPerTeam = new Map();
+            constraints.locks.forEach((lock, playerId) => {
+                if (quota.playerIds.has(playerId)) {
+                    lockedPerTeam.set(lock.team, (lockedPerTeam.get(lock.team) || 0) + 1);
+                }
+            });
+            lockedPerTeam.forEach((count, team) => {
+                if (count > max) {
+                    errors.push({
+                        quota: label,
+                        message: `${count} players with ${label} are locked to team ${team + 1}, but at most ${max} are allowed`
+                    });
+                }
+            });
+        });
+
+        return errors;
+    }
+
+    /**
+     * Validate player locks against the composition and pairing constraints
+     * @param {Object|Array<Object>} composition - Position composition, shared or one per team
+     * @param {number} teamCount - Number of teams to create
+     * @param {Map} playersById - Available players by ID
+     * @param {Object} constraints - Normalized constraints
+     * @returns {Array} Validation errors
+     */
+    validateLocks(composition, teamCount, playersById, constraints) {
+        const errors = [];
+        const describe = (id) => playersById.get(id)?.name || id;
+        const lockedPerTeam = new Map();
+
+        constraints.locks.forEach((lock, playerId) => {
+            const player = playersById.get(playerId);
+            if (!player) {
+                errors.push({
+                    playerId,
+                    message: `Lock references unknown player ${playerId}`
+                });
+                return;
+            }
+
+            if (!Number.isInteger(lock.team) || lock.team < 0 || lock.team >= teamCount) {
+                errors.push({
+                    playerId,
+                    message: `${describe(playerId)} is locked to team ${Number.isInteger(lock.team) ? lock.team + 1 : lock.team}, ` +
+                        `but only teams 1-${teamCount} exist`
+                });
+                return;
+            }
+
+            const teamComposition = getTeamComposition(composition, lock.team);
+            const playable = (player.positions || []).filter(pos => (teamComposition[pos] || 0) > 0);
+            if (lock.position && !playable.includes(lock.position)) {
+                errors.push({
+                    playerId,
+                    message: `${describe(playerId)} cannot be locked to position ${lock.position}`
+                });
+                return;
+            }
+            if (playable.length === 0) {
+                errors.push({
+                    playerId,
+                    message: `${describe(playerId)} is locked but plays no position in the composition`
+                });
+                return;
+            }
+
+            if (!lockedPerTeam.has(lock.team)) lockedPerTeam.set(lock.team, []);
+            lockedPerTeam.get(lock.team).push(player);
+        });
+
+        // Locked players of one team must fit into its slots
+        lockedPerTeam.forEach((teamPlayers, teamIdx) => {
+            const teamComposition = getTeamComposition(composition, teamIdx);
+            const positionLocked = {};
+            teamPlayers.forEach(player => {
+                const position = constraints.locks.get(player.id).position;
+                if (position) positionLocked[position] = (positionLocked[position] || 0) + 1;
+            });
+
+            const overfull = Object.entries(positionLocked).find(([pos, count]) => count > (teamComposition[pos] || 0));
+            if (overfull) {
+                errors.push({
+                    team: teamIdx,
+                    message: `Too many players locked to ${overfull[0]} on team ${teamIdx + 1}: ${overfull[1]} > ${teamComposition[overfull[0]] || 0}`
+                });
+            } else if (!this.canGroupShareTeam(teamPlayers.map(player => {
+                // Players locked to a position can only take a slot of that position
+                const position = constraints.locks.get(player.id).position;
+                return position ? { ...player, positions: [position] } : player;
+            }), teamComposition)) {
+                errors.push({
+                    team: teamIdx,
+                    message: `Players locked to team ${teamIdx + 1} do not fit its composition: ${teamPlayers.map(p => describe(p.id)).join(', ')}`
+                });
+            }
+        });
+
+        // keepTogether members locked to different teams
+        constraints.togetherGroups.forEach(group => {
+            const lockedTeams = new Set(group.filter(id => constraints.locks.has(id)).map(id => constraints.locks.get(id).team));
+            if (lockedTeams.size > 1) {
+                errors.push({
+                    playerIds: group,
+                    message: `Players kept together are locked to different teams: ${group.map(describe).join(', ')}`
+                });
+            }
+        });
+
+        // keepApart pairs locked to the same team
+        constraints.apartPairs.forEach(([a, b]) => {
+            const lockA = constraints.locks.get(a);
+            const lockB = constraints.locks.get(b);
+            if (lockA && lockB && lockA.team === lockB.team) {
+                errors.push({
+                    playerIds: [a, b],
+                    message: `${describe(a)} and ${describe(b)} are kept apart but locked to the same team`
+                });
+            }
+        });
+
+        return errors;
+    }
+
+    /**
+     * Check whether a group of players can fill distinct slots of one team
+     * (bipartite matching of players to position slots).
+     * @param {Array} groupPlayers - Players that must share a team
+     * @param {Object} composition - Composition of one team
+     * @returns {boolean} True if every player gets a slot they can play
+     */
+    canGroupShareTeam(groupPlayers, composition) {
+        const slots = [];
+        Object.entries(composition).forEach(([position, count]) => {
+            for (let i = 0; i < count; i++) slots.push(position);
+        });
+
+        const slotOwner = new Array(slots.length).fill(-1);
+
+        const assign = (playerIdx, visited) => {
+            const positions = groupPlayers[playerIdx].positions || [];
+            for (let s = 0; s < slots.length; s++) {
+                if (visited[s] || !positions.includes(slots[s])) continue;
+                visited[s] = true;
+                if (slotOwner[s] === -1 || assign(slotOwner[s], visited)) {
+                    slotOwner[s] = playerIdx;
+                    return true;
+                }
+            }
+            return false;
+        };
+
+        return groupPlayers.every((_, idx) => assign(idx, new Array(slots.length).fill(false)));
+    }
+
+    /**
+     * Validate {min, max} position ranges against a fixed team size
+     * @param {Object|Array<Object>} composition - Composition with ranges, shared or one per team
+     * @param {number} teamCount - Number of teams to create
+     * @param {number|null} teamSize - Players per team
+     * @returns {Object} Validation result with isValid and errors
+     */
+    validatePositionRanges(composition, teamCount, teamSize) {
+        const errors = [];
+
+        if (!Number.isInteger(teamSize) || teamSize <= 0) {
+            errors.push({ message: 'Position ranges need a team size (options.teamSize or activityConfig.teamSize)' });
+            return { isValid: false, errors };
+        }
+
+        const compositions = Array.isArray(composition) ? composition : [composition];
+        compositions.forEach((teamComposition, idx) => {
+            const prefix = Array.isArray(composition) ? `Team ${idx + 1}: ` : '';
+            let minTotal = 0;
+            let maxTotal = 0;
+
+            Object.entries(teamComposition).forEach(([position, count]) => {
+                const { min, max } = getPositionRange(count);
+                const positionName = this.activityConfig.positions?.[position] || position;
+                if (!Number.isInteger(min) || min < 0 || !(Number.isInteger(max) || max === Infinity) || max < min) {
+                    errors.push({
+                        position,
+                        message: `${prefix}Invalid range for ${positionName}: ${min}-${max}`
+                    });
+                }
+                minTotal += min;
+                maxTotal += max;
+            });
+
+            if (minTotal > teamSize) {
+                errors.push({ message: `${prefix}Position minimums add up to ${minTotal}, more than the team size of ${teamSize}` });
+            }
+            if (maxTotal < teamSize) {
+                errors.push({ message: `${prefix}Position maximums add up to ${maxTotal}, fewer than the team size of ${teamSize}` });
+            }
+        });
+
+        if (Array.isArray(composition) && composition.length !== teamCount) {
+            errors.push({ message: `Got ${composition.length} team compositions for ${teamCount} teams` });
+        }
+
+        return { isValid: errors.length === 0, errors };
+    }
+
+    /**
+     * Check player data against the configured balance attributes
+     * Numeric attributes need numeric values. Missing values and categorical
+     * values held by fewer players than there are teams cannot be balanced,
+     * so they only produce warnings.
+     * @param {number} teamCount - Number of teams to create
+     * @param {Array} players - Available players
+     * @returns {Object} Validation result with errors and warnings
+     */
+    validateBalanceAttributes(teamCount, players) {
+        const errors = [];
+        const warnings = [];
+
+        normalizeBalanceAttributes(this.activityConfig.balanceAttributes).forEach(({ name, field, type }) => {
+            const valueCounts = new Map();
+            let missing = 0;
+
+            players.forEach(player => {
+                const value = getPlayerAttribute(player, field);
+                if (value === undefined || value === null) {
+                    missing++;
+                    return;
+                }
+
+                if (type === 'numeric' && (typeof value !== 'number' || !Number.isFinite(value))) {
+                    errors.push({
+                        attribute: name,
+                        playerId: player.id,
+                        message: `Player ${player.name || player.id} has a non-numeric ${name}: ${value}`
+                    });
+                    return;
+                }
+
+                if (type === 'categorical') {
+                    valueCounts.set(value, (valueCounts.get(value) || 0) + 1);
+                }
+            });
+
+            if (missing > 0) {
+                warnings.push({
+                    attribute: name,
+                    message: `${missing} player(s) have no ${name} and are ignored when balancing it`
+                });
+            }
+
+            valueCounts.forEach((count, value) => {
+                if (count < teamCount) {
+                    warnings.push({
+                        attribute: name,
+                        value,
+                        message: `Only ${count} player(s) with ${name} "${value}" for ${teamCount} teams, some teams will have none`
+                    });
+                }
+            });
+        });
+
+        return { errors, warnings };
+    }
+
+    /**
+     * Check player position preferences
+     * Preferences must be a list of position codes. Listed positions the
+     * player cannot play are never assigned, so they only produce warnings.
+     * @param {Array} players - Available players
+     * @returns {Object} Validation result with errors and warnings
+     */
+    validatePositionPreferences(players) {
+        const errors = [];
+        const warnings = [];
+
+        players.forEach(player => {
+            const preferences = player.positionPreferences;
+            if (preferences === undefined || preferences === null) return;
+
+            const name = player.name || player.id;
+            if (!Array.isArray(preferences) || preferences.some(pos => typeof pos !== 'string')) {
+                errors.push({
+                    playerId: player.id,
+                    message: `Player ${name} has invalid positionPreferences: expected a list of positions`
+                });
+                return;
+            }
+
+            if (new Set(preferences).size !== preferences.length) {
+                errors.push({
+                    playerId: player.id,
+                    message: `Player ${name} lists a position more than once in positionPreferences`
+                });
+            }
+
+            const unplayable = preferences.filter(pos => !(player.positions || []).includes(pos));
+            if (unplayable.length > 0) {
+                warnings.push({
+                    playerId: player.id,
+                    message: `Player ${name} prefers positions they cannot play: ${unplayable.join(', ')}`
+                });
+            }
+        });
+
+        return { errors, warnings };
+    }
+
+    /**
+     * Check rating deviations and the uncertainty factor
+     * Deviations must be non-negative numbers; a player without one for a
+     * position counts as exactly rated there.
+     * @param {Array} players - Available players
+     * @param {Object} options - Optimization options (uncertaintyFactor)
+     * @returns {Object} Validation result with errors
+     */
+    validateRatingDeviations(players, options = {}) {
+        const errors = [];
+
+        if (options.uncertaintyFactor !== undefined &&
+            (typeof options.uncertaintyFactor !== 'number' || !Number.isFinite(options.uncertaintyFactor) || options.uncertaintyFactor < 0)) {
+            errors.push({ message: `uncertaintyFactor must be a non-negative number, got ${options.uncertaintyFactor}` });
+        }
+
+        players.forEach(player => {
+            const deviations = player.ratingDeviations;
+            if (deviations === undefined || deviations === null) return;
+
+            const name = player.name || player.id;
+            if (typeof deviations !== 'object' || Array.isArray(deviations)) {
+                errors.push({
+                    playerId: player.id,
+                    message: `Player ${name} has invalid ratingDeviations: expected position -> deviation`
+                });
+                return;
+            }
+
+            const invalid = Object.entries(deviations)
+                .filter(([, deviation]) => typeof deviation !== 'number' || !Number.isFinite(deviation) || deviation < 0);
+            if (invalid.length > 0) {
+                errors.push({
+                    playerId: player.id,
+                    message: `Player ${name} has invalid rating deviations for: ${invalid.map(([pos]) => pos).join(', ')}`
+                });
+            }
+        });
+
+        return { errors };
+    }
+
     /**
      * Validate activity configuration structure
      * @param {Object} activityConfig - Activity configuration to validate
@@ -118,6 +701,37 @@ class ValidationService {
             return false;
         }
 
+        // Validate optional teamSize (fixed team size for compositions with ranges)
+        if (activityConfig.teamSize !== undefined &&
+            (!Number.isInteger(activityConfig.teamSize) || activityConfig.teamSize <= 0)) {
+            return false;
+        }
+
+        // Validate optional balanceAttributes
+        if (activityConfig.balanceAttributes !== undefined) {
+            if (!activityConfig.balanceAttributes || typeof activityConfig.balanceAttributes !== 'object') {
+                return false;
+            }
+            for (const definition of Object.values(activityConfig.balanceAttributes)) {
+                if (!definition || !ATTRIBUTE_TYPES.includes(definition.type)) {
+                    return false;
+                }
+                if (definition.weight !== undefined &&
+                    (typeof definition.weight !== 'number' || !Number.isFinite(definition.weight) || definition.weight < 0)) {
+                    return false;
+                }
+            }
+        }
+
+        // Validate optional missingRatings strategy
+        if (activityConfig.missingRatings !== undefined) {
+            try {
+                normalizeMissingRatings(activityConfig.missingRatings);
+            } catch {
+                return false;
+            }
+        }
+
         return true;
     }
 
@@ -4,6 +4,7 @@
  */
 
 import { getPlayerRating, calculateTeamStrength } from './evaluationUtils.js';
+import { getTeamComposition, getPositionTotals } from './configHelpers.js';
 
 /**
  * Calculate fairness metric - measures how evenly top players are distributed
@@ -82,7 +83,8 @@ export function calculateFairnessMetric(teams, positionWeights = {}, topPlayerPe
  * Calculate consistency metric - measures stability of position-level balance within teams
  * Lower is better (0 = perfect consistency)
  * @param {Array} teams - Array of teams
- * @param {Object} composition - Position composition (e.g., { S: 1, OPP: 1, OH: 2, MB: 2, L: 1 })
+ * @param {Object|Array<Object>} composition - Position composition (e.g., { S: 1, OPP: 1, OH: 2, MB: 2, L: 1 }),
+ *   or one per team; teams without a position are left out of its variance
  * @param {Object} positionWeights - Position weights for rating calculation
  * @returns {Object} Consistency metrics
  */
@@ -96,17 +98,18 @@ export function calculateConsistencyMetric(teams, composition, positionWeights =
         };
     }
 
-    const positions = Object.keys(composition);
+    const totals = getPositionTotals(composition, teams.length);
+    const positions = Object.keys(totals);
     const positionVariances = {};
     const positionDetails = {};
 
     // For each position, calculate how consistent the strength is across teams
     positions.forEach(position => {
-        const requiredCount = composition[position];
-        if (requiredCount === 0) return;
+        if (totals[position] === 0) return;
 
-        // Get average strength at this position for each team
-        const positionStrengthsByTeam = teams.map(team => {
+        // Get average strength at this position for each team that has it
+        const teamsWithPosition = teams.filter((_, idx) => getTeamComposition(composition, idx)[position] > 0);
+        const positionStrengthsByTeam = teamsWithPosition.map(team => {
             const playersAtPos = team.filter(p => p.assignedPosition === position);
 
             if (playersAtPos.length === 0) return 0;
@@ -120,10 +123,10 @@ export function calculateConsistencyMetric(teams, composition, positionWeights =
         });
 
         // Calculate variance of position strength across teams
-        const avgStrength = positionStrengthsByTeam.reduce((a, b) => a + b, 0) / teams.length;
+        const avgStrength = positionStrengthsByTeam.reduce((a, b) => a + b, 0) / teamsWithPosition.length;
         const variance = positionStrengthsByTeam.reduce((sum, strength) => {
             return sum + Math.pow(strength - avgStrength, 2);
-        }, 0) / teams.length;
+        }, 0) / teamsWithPosition.length;
 
         const weight = positionWeights[position] || 1.0;
 
@@ -165,7 +168,7 @@ export function calculateConsistencyMetric(teams, composition, positionWeights =
  * Calculate depth metric - measures team depth (how strong are backup players)
  * Higher is better
  * @param {Array} teams - Array of teams
- * @param {Object} composition - Position composition
+ * @param {Object|Array<Object>} composition - Position composition, shared or one per team
  * @param {Object} positionWeights - Position weights
  * @returns {Object} Depth metrics
  */
@@ -178,8 +181,8 @@ export function calculateDepthMetric(teams, composition, positionWeights = {}) {
         };
     }
 
-    const teamDepths = teams.map(team => {
-        const positions = Object.keys(composition);
+    const teamDepths = teams.map((team, teamIdx) => {
+        const positions = Object.keys(getTeamComposition(composition, teamIdx));
         let depthSum = 0;
         let positionCount = 0;
 
@@ -4,20 +4,28 @@
  *
  * DUPLICATE PREVENTION: All swap operations validate that no duplicate players
  * are created. If a swap would create a duplicate, it is automatically reverted.
+ *
+ * PAIRING CONSTRAINTS: Swaps that would add a keepTogether/keepApart or lock violation
+ * (see slotConstraintUtils.js) are reverted the same way.
+ *
+ * RANDOMNESS: Randomized swaps take an optional random source (see random.js).
  */
 
 import { calculateTeamStrength, getPlayerRating } from './evaluationUtils.js';
 import { calculateFairnessMetric, calculateConsistencyMetric } from './advancedMetrics.js';
 import { hasDuplicatePlayers } from './solutionUtils.js';
+import { countConstraintViolations } from './slotConstraintUtils.js';
+import { getPositionTotals } from './configHelpers.js';
 
 /**
  * Perform a fairness-driven swap - balances distribution of top players
  * @param {Array} teams - Array of teams
  * @param {Array} positions - Available positions
  * @param {Object} adaptiveParams - Adaptive parameters
+ * @param {Object|null} constraints - Normalized pairing constraints (optional)
  * @returns {boolean} Whether swap was performed
  */
-export function performFairnessSwap(teams, positions, adaptiveParams) {
+export function performFairnessSwap(teams, positions, adaptiveParams, constraints = null) {
     if (teams.length < 2) return false;
 
     const positionWeights = adaptiveParams.positionWeights || {};
@@ -86,11 +94,12 @@ export function performFairnessSwap(teams, positions, adaptiveParams) {
                 // Perform swap
                 const p1 = teams[richestTeamIdx][idx1];
                 const p2 = teams[poorestTeamIdx][idx2];
+                const violationsBefore = countConstraintViolations(teams, constraints);
 
                 [teams[richestTeamIdx][idx1], teams[poorestTeamIdx][idx2]] = [p2, p1];
 
-                // CRITICAL: Validate no duplicates were created
-                if (hasDuplicatePlayers(teams)) {
+                // CRITICAL: Validate no duplicates or constraint violations were created
+                if (hasDuplicatePlayers(teams) || countConstraintViolations(teams, constraints) > violationsBefore) {
                     // Revert swap
                     [teams[richestTeamIdx][idx1], teams[poorestTeamIdx][idx2]] = [p1, p2];
                 } else {
@@ -108,9 +117,10 @@ export function performFairnessSwap(teams, positions, adaptiveParams) {
  * @param {Array} teams - Array of teams
  * @param {Object} composition - Position composition
  * @param {Object} adaptiveParams - Adaptive parameters
+ * @param {Object|null} constraints - Normalized pairing constraints (optional)
  * @returns {boolean} Whether swap was performed
  */
-export function performConsistencySwap(teams, composition, adaptiveParams) {
+export function performConsistencySwap(teams, composition, adaptiveParams, constraints = null) {
     if (teams.length < 2) return false;
 
     const positionWeights = adaptiveParams.positionWeights || {};
@@ -168,11 +178,12 @@ export function performConsistencySwap(teams, composition, adaptiveParams) {
         // Perform swap
         const p1 = teams[strongestTeamIdx][idx1];
         const p2 = teams[weakestTeamIdx][idx2];
+        const violationsBefore = countConstraintViolations(teams, constraints);
 
         [teams[strongestTeamIdx][idx1], teams[weakestTeamIdx][idx2]] = [p2, p1];
 
-        // CRITICAL: Validate no duplicates were created
-        if (hasDuplicatePlayers(teams)) {
+        // CRITICAL: Validate no duplicates or constraint violations were created
+        if (hasDuplicatePlayers(teams) || countConstraintViolations(teams, constraints) > violationsBefore) {
             // Revert swap
             [teams[strongestTeamIdx][idx1], teams[weakestTeamIdx][idx2]] = [p1, p2];
             return false;
@@ -188,9 +199,11 @@ export function performConsistencySwap(teams, composition, adaptiveParams) {
  * @param {Array} teams - Array of teams
  * @param {Array} positions - Available positions
  * @param {Object} adaptiveParams - Adaptive parameters
+ * @param {Object|null} constraints - Normalized pairing constraints (optional)
+ * @param {function(): number} random - Random source (optional, defaults to Math.random)
  * @returns {boolean} Whether swap was performed
  */
-export function performChainSwap(teams, positions, adaptiveParams) {
+export function performChainSwap(teams, positions, adaptiveParams, constraints = null, random = Math.random) {
     if (teams.length < 3) return false;
 
     const positionWeights = adaptiveParams.positionWeights || {};
@@ -198,19 +211,19 @@ export function performChainSwap(teams, positions, adaptiveParams) {
     // Select 3 random teams
     const teamIndices = [];
     while (teamIndices.length < 3) {
-        const idx = Math.floor(Math.random() * teams.length);
+        const idx = Math.floor(random() * teams.length);
         if (!teamIndices.includes(idx)) {
             teamIndices.push(idx);
         }
     }
 
     // Select a random position
-    const position = positions[Math.floor(Math.random() * positions.length)];
+    const position = positions[Math.floor(random() * positions.length)];
 
     // Get players at this position from each team
     const playersAtPos = teamIndices.map(idx => {
         const players = teams[idx].filter(p => p.assignedPosition === position);
-        return players.length > 0 ? players[Math.floor(Math.random() * players.length)] : null;
+        return players.length > 0 ? players[Math.floor(random() * players.length)] : null;
     });
 
     // Check if all teams have players at this position
@@ -233,13 +246,15 @@ export function performChainSwap(teams, positions, adaptiveParams) {
         return false; // Cannot swap same players
     }
 
+    const violationsBefore = countConstraintViolations(teams, constraints);
+
     // Perform circular swap
     teams[teamIndices[0]][indices[0]] = player2;
     teams[teamIndices[1]][indices[1]] = player0;
     teams[teamIndices[2]][indices[2]] = player1;
 
-    // CRITICAL: Validate no duplicates were created
-    if (hasDuplicatePlayers(teams)) {
+    // CRITICAL: Validate no duplicates or constraint violations were created
+    if (hasDuplicatePlayers(teams) || countConstraintViolations(teams, constraints) > violationsBefore) {
         // Revert circular swap
         teams[teamIndices[0]][indices[0]] = player0;
         teams[teamIndices[1]][indices[1]] = player1;
@@ -256,13 +271,14 @@ export function performChainSwap(teams, positions, adaptiveParams) {
  * @param {Array} teams - Array of teams
  * @param {Object} composition - Position composition
  * @param {Object} adaptiveParams - Adaptive parameters
+ * @param {Object|null} constraints - Normalized pairing constraints (optional)
  * @returns {boolean} Whether swap was performed
  */
-export function performWeaknessTargetedSwap(teams, composition, adaptiveParams) {
+export function performWeaknessTargetedSwap(teams, composition, adaptiveParams, constraints = null) {
     if (teams.length < 2) return false;
 
     const positionWeights = adaptiveParams.positionWeights || {};
-    const positions = Object.keys(composition);
+    const positions = Object.keys(getPositionTotals(composition, teams.length));
 
     // For each team, identify weakest position
     const teamWeaknesses = teams.map((team, teamIdx) => {
@@ -332,11 +348,12 @@ export function performWeaknessTargetedSwap(teams, composition, adaptiveParams)
         // Perform swap
         const p1 = teams[weakestTeam.teamIdx][idx1];
         const p2 = teams[strongestTeam.teamIdx][idx2];
+        const violationsBefore = countConstraintViolations(teams, constraints);
 
         [teams[weakestTeam.teamIdx][idx1], teams[strongestTeam.teamIdx][idx2]] = [p2, p1];
 
-        // CRITICAL: Validate no duplicates were created
-        if (hasDuplicatePlayers(teams)) {
+        // CRITICAL: Validate no duplicates or constraint violations were created
+        if (hasDuplicatePlayers(teams) || countConstraintViolations(teams, constraints) > violationsBefore) {
             // Revert swap
             [teams[weakestTeam.teamIdx][idx1], teams[strongestTeam.teamIdx][idx2]] = [p1, p2];
             return false;
@@ -353,25 +370,27 @@ export function performWeaknessTargetedSwap(teams, composition, adaptiveParams)
  * @param {Array} teams - Array of teams
  * @param {Array} positions - Available positions
  * @param {Object} adaptiveParams - Adaptive parameters
+ * @param {Object|null} constraints - Normalized pairing constraints (optional)
+ * @param {function(): number} random - Random source (optional, defaults to Math.random)
  * @returns {boolean} Whether swap was performed
  */
-export function performBalancedMultiSwap(teams, positions, adaptiveParams) {
+export function performBalancedMultiSwap(teams, positions, adaptiveParams, constraints = null, random = Math.random) {
     if (teams.length < 2 || positions.length < 2) return false;
 
     const positionWeights = adaptiveParams.positionWeights || {};
 
     // Select two random teams
-    const t1 = Math.floor(Math.random() * teams.length);
-    let t2 = Math.floor(Math.random() * teams.length);
+    const t1 = Math.floor(random() * teams.length);
+    let t2 = Math.floor(random() * teams.length);
     while (t2 === t1 && teams.length > 1) {
-        t2 = Math.floor(Math.random() * teams.length);
+        t2 = Math.floor(random() * teams.length);
     }
 
     // Select two different positions
-    const pos1 = positions[Math.floor(Math.random() * positions.length)];
-    let pos2 = positions[Math.floor(Math.random() * positions.length)];
+    const pos1 = positions[Math.floor(random() * positions.length)];
+    let pos2 = positions[Math.floor(random() * positions.length)];
     while (pos2 === pos1 && positions.length > 1) {
-        pos2 = positions[Math.floor(Math.random() * positions.length)];
+        pos2 = positions[Math.floor(random() * positions.length)];
     }
 
     // Find players at these positions
@@ -386,10 +405,10 @@ export function performBalancedMultiSwap(teams, positions, adaptiveParams) {
     }
 
     // Select random players
-    const player1Pos1 = team1Pos1Players[Math.floor(Math.random() * team1Pos1Players.length)];
-    const player1Pos2 = team1Pos2Players[Math.floor(Math.random() * team1Pos2Players.length)];
-    const player2Pos1 = team2Pos1Players[Math.floor(Math.random() * team2Pos1Players.length)];
-    const player2Pos2 = team2Pos2Players[Math.floor(Math.random() * team2Pos2Players.length)];
+    const player1Pos1 = team1Pos1Players[Math.floor(random() * team1Pos1Players.length)];
+    const player1Pos2 = team1Pos2Players[Math.floor(random() * team1Pos2Players.length)];
+    const player2Pos1 = team2Pos1Players[Math.floor(random() * team2Pos1Players.length)];
+    const player2Pos2 = team2Pos2Players[Math.floor(random() * team2Pos2Players.length)];
 
     // CRITICAL FIX: Ensure we don't select the same player twice (multi-position players)
     if (player1Pos1.id === player1Pos2.id || player2Pos1.id === player2Pos2.id) {
@@ -412,13 +431,14 @@ export function performBalancedMultiSwap(teams, positions, adaptiveParams) {
     const p1Pos2 = teams[t1][idx1Pos2];
     const p2Pos1 = teams[t2][idx2Pos1];
     const p2Pos2 = teams[t2][idx2Pos2];
+    const violationsBefore = countConstraintViolations(teams, constraints);
 
     // Perform double swap: t1.pos1 <-> t2.pos1, t1.pos2 <-> t2.pos2
     [teams[t1][idx1Pos1], teams[t2][idx2Pos1]] = [p2Pos1, p1Pos1];
     [teams[t1][idx1Pos2], teams[t2][idx2Pos2]] = [p2Pos2, p1Pos2];
 
-    // CRITICAL: Validate no duplicates were created
-    if (hasDuplicatePlayers(teams)) {
+    // CRITICAL: Validate no duplicates or constraint violations were created
+    if (hasDuplicatePlayers(teams) || countConstraintViolations(teams, constraints) > violationsBefore) {
         // Revert both swaps
         [teams[t1][idx1Pos1], teams[t2][idx2Pos1]] = [p1Pos1, p2Pos1];
         [teams[t1][idx1Pos2], teams[t2][idx2Pos2]] = [p1Pos2, p2Pos2];
@@ -435,14 +455,16 @@ export function performBalancedMultiSwap(teams, positions, adaptiveParams) {
  * @param {Object} composition - Position composition
  * @param {Object} adaptiveParams - Adaptive parameters
  * @param {Object} context - Optional context for adaptive selection (phase, temperature, iteration, etc.)
+ * @param {Object|null} constraints - Normalized pairing constraints (optional)
+ * @param {function(): number} random - Random source (optional, defaults to Math.random)
  * @returns {void}
  */
-export function performIntelligentSwap(teams, positions, composition, adaptiveParams, context = {}) {
+export function performIntelligentSwap(teams, positions, composition, adaptiveParams, context = {}, constraints = null, random = Math.random) {
     // Adaptive strategy selection based on context
     const { phase = 'exploration', temperature = 1.0, iterationProgress = 0 } = context;
 
     // Choose swap strategy based on phase and probability distribution
-    const rand = Math.random();
+    const rand = random();
 
     // Adjust probabilities based on phase
     let fairnessThreshold = 0.25;
@@ -468,27 +490,27 @@ export function performIntelligentSwap(teams, positions, composition, adaptivePa
 
     if (rand < fairnessThreshold && composition) {
         // Fairness-driven swap
-        const success = performFairnessSwap(teams, positions, adaptiveParams);
+        const success = performFairnessSwap(teams, positions, adaptiveParams, constraints);
         if (!success) {
             // Fallback to weakness-targeted
-            performWeaknessTargetedSwap(teams, composition, adaptiveParams);
+            performWeaknessTargetedSwap(teams, composition, adaptiveParams, constraints);
         }
     } else if (rand < consistencyThreshold && composition) {
         // Consistency-driven swap
-        const success = performConsistencySwap(teams, composition, adaptiveParams);
+        const success = performConsistencySwap(teams, composition, adaptiveParams, constraints);
         if (!success) {
             // Fallback to balanced multi-swap
-            performBalancedMultiSwap(teams, positions, adaptiveParams);
+            performBalancedMultiSwap(teams, positions, adaptiveParams, constraints, random);
         }
     } else if (rand < weaknessThreshold && composition) {
         // Weakness-targeted swap
-        performWeaknessTargetedSwap(teams, composition, adaptiveParams);
+        performWeaknessTargetedSwap(teams, composition, adaptiveParams, constraints);
     } else if (rand < chainThreshold) {
         // Chain swap
-        performChainSwap(teams, positions, adaptiveParams);
+        performChainSwap(teams, positions, adaptiveParams, constraints, random);
     } else {
         // Balanced multi-swap
-        performBalancedMultiSwap(teams, positions, adaptiveParams);
+        performBalancedMultiSwap(teams, positions, adaptiveParams, constraints, random);
     }
 }
 
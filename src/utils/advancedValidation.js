@@ -5,6 +5,7 @@
 
 import { validateTeamComposition, validateAllTeamsComposition, validatePlayerPosition } from './solutionUtils.js';
 import { getPlayerRating, calculateTeamStrength } from './evaluationUtils.js';
+import { getTeamComposition, getPositionTotals } from './configHelpers.js';
 
 /**
  * Validate that no player appears in multiple teams
@@ -90,20 +91,20 @@ export function validateTeamBalance(teams, positionWeights = {}, maxBalanceDiffe
 /**
  * Validate position distribution across teams
  * @param {Array} teams - Array of teams
- * @param {Object} composition - Position composition
+ * @param {Object|Array<Object>} composition - Position composition, shared or one per team
  * @param {Object} positionWeights - Position weights
  * @returns {Object} Validation result
  */
 export function validatePositionDistribution(teams, composition, positionWeights = {}) {
     const errors = [];
     const warnings = [];
-    const positions = Object.keys(composition);
+    const totals = getPositionTotals(composition, teams.length);
+    const positions = Object.keys(totals);
 
     positions.forEach(position => {
-        const requiredCount = composition[position];
-        if (requiredCount === 0) return;
+        if (totals[position] === 0) return;
 
-        // Get average strength at this position for each team
+        // Get average strength at this position for each team that has it
         const teamStrengthsAtPos = teams.map((team, idx) => {
             const playersAtPos = team.filter(p => p.assignedPosition === position);
             const totalRating = playersAtPos.reduce((sum, p) => {
@@ -111,7 +112,7 @@ export function validatePositionDistribution(teams, composition, positionWeights
             }, 0);
             const avgRating = playersAtPos.length > 0 ? totalRating / playersAtPos.length : 0;
             return { teamIdx: idx, avgRating, count: playersAtPos.length };
-        });
+        }).filter(({ teamIdx }) => getTeamComposition(composition, teamIdx)[position] > 0);
 
         // Check for significant imbalance at this position
         const avgRatings = teamStrengthsAtPos.map(t => t.avgRating);
@@ -0,0 +1,132 @@
+/**
+ * Attribute Balance Utilities
+ *
+ * Soft balancing of arbitrary player fields (gender, age, experience, ...)
+ * declared in the activity config:
+ *
+ *   balanceAttributes: {
+ *       gender: { type: 'categorical' },                   // even count of each value per team
+ *       experience: { type: 'numeric', field: 'years' },   // even average per team
+ *       age: { type: 'numeric', field: 'profile.age', weight: 5 }
+ *   }
+ *
+ * `field` defaults to the attribute name and may be a dotted path. Players
+ * without a value are ignored for that attribute. Penalties are in counts
+ * (categorical) or field units (numeric) and multiplied by the attribute's
+ * weight; the sum is the `attributeBalance` objective component.
+ */
+
+export const ATTRIBUTE_TYPES = ['categorical', 'numeric'];
+
+const DEFAULT_ATTRIBUTE_WEIGHTS = {
+    categorical: 100,  // One player of imbalance weighs like 100 rating points
+    numeric: 10
+};
+
+/**
+ * Normalize the balanceAttributes config into a list
+ * @param {Object|null} balanceAttributes - Attribute name -> {type, field, weight}
+ * @returns {Array<{name: string, field: string, type: string, weight: number}>} Attributes
+ */
+export function normalizeBalanceAttributes(balanceAttributes) {
+    if (!balanceAttributes) return [];
+
+    return Object.entries(balanceAttributes).map(([name, definition]) => ({
+        name,
+        field: definition.field || name,
+        type: definition.type,
+        weight: definition.weight ?? DEFAULT_ATTRIBUTE_WEIGHTS[definition.type]
+    }));
+}
+
+/**
+ * Read a (possibly dotted) field from a player
+ * @param {Object} player - Player object
+ * @param {string} field - Field name or dotted path (e.g. 'profile.age')
+ * @returns {*} Field value, or undefined
+ */
+export function getPlayerAttribute(player, field) {
+    if (!player) return undefined;
+    if (!field.includes('.')) return player[field];
+
+    return field.split('.').reduce((value, key) => (value == null ? undefined : value[key]), player);
+}
+
+/**
+ * Calculate attribute balance of slot-based teams
+ * @param {Array<Array<{playerId, position}>>} teams - Slot-based teams
+ * @param {Object} playerPool - PlayerPool instance
+ * @param {Array<Object>} attributes - Normalized attributes (see normalizeBalanceAttributes)
+ * @returns {{penalty: number, attributes: Object}} Weighted total penalty and per-attribute breakdown
+ */
+export function calculateAttributeBalance(teams, playerPool, attributes) {
+    const breakdown = {};
+    let penalty = 0;
+
+    for (const attribute of attributes) {
+        const result = attribute.type === 'categorical'
+            ? calculateCategoricalBalance(teams, playerPool, attribute)
+            : calculateNumericBalance(teams, playerPool, attribute);
+
+        result.contribution = result.penalty * attribute.weight;
+        penalty += result.contribution;
+        breakdown[attribute.name] = result;
+    }
+
+    return { penalty, attributes: breakdown };
+}
+
+/**
+ * Count each value per team. The penalty is the spread (max - min count)
+ * beyond what the totals force: 5 women on 2 teams can at best split 3/2.
+ */
+function calculateCategoricalBalance(teams, playerPool, { type, field, weight }) {
+    const counts = teams.map(() => ({}));
+    const totals = {};
+
+    teams.forEach((team, teamIdx) => {
+        team.forEach(slot => {
+            const value = getPlayerAttribute(playerPool.getPlayer(slot.playerId), field);
+            if (value === undefined || value === null) return;
+            counts[teamIdx][value] = (counts[teamIdx][value] || 0) + 1;
+            totals[value] = (totals[value] || 0) + 1;
+        });
+    });
+
+    const spread = {};
+    let penalty = 0;
+
+    Object.keys(totals).forEach(value => {
+        const teamCounts = counts.map(teamCount => teamCount[value] || 0);
+        spread[value] = Math.max(...teamCounts) - Math.min(...teamCounts);
+
+        const unavoidable = totals[value] % teams.length === 0 ? 0 : 1;
+        penalty += Math.max(0, spread[value] - unavoidable);
+    });
+
+    return { type, field, weight, teams: counts, spread, penalty };
+}
+
+/**
+ * Average the field per team; the penalty is the spread of team averages.
+ * Teams with no values for the field are left out of the spread.
+ */
+function calculateNumericBalance(teams, playerPool, { type, field, weight }) {
+    const averages = teams.map(team => {
+        let sum = 0;
+        let count = 0;
+        team.forEach(slot => {
+            const value = getPlayerAttribute(playerPool.getPlayer(slot.playerId), field);
+            if (typeof value === 'number' && Number.isFinite(value)) {
+                sum += value;
+                count++;
+            }
+        });
+        return count > 0 ? sum / count : null;
+    });
+
+    const known = averages.filter(avg => avg !== null);
+    const spread = known.length > 1 ? Math.max(...known) - Math.min(...known) : 0;
+
+    return { type, field, weight, teams: averages, spread, penalty: spread };
+}
@@ -0,0 +1,123 @@
+/**
+ * Bench Utilities
+ *
+ * Bench mode turns surplus players into substitutes instead of leaving them
+ * unused. The bench is modelled as one more position, BENCH_POSITION, that
+ * every player can fill at their best rating:
+ *
+ *   options.bench = { size: 2, weight: 0.5 }   // 2 substitutes per team
+ *   options.bench = 'auto'                      // every surplus player is benched
+ *
+ * Bench slots are added to the composition, so all optimizers, constraints
+ * and quotas handle substitutes like any other slot, and the bench weight
+ * (a position weight) decides how much bench strength counts in the balance.
+ */
+
+import { getTeamSize, getTeamCompositions } from './configHelpers.js';
+import { getKnownRating, getRatingDeviation } from './ratingUtils.js';
+
+export const BENCH_POSITION = 'BENCH';
+
+export const DEFAULT_BENCH_WEIGHT = 0.5;
+
+/**
+ * Normalize options.bench
+ * @param {number|string|Object|undefined} bench - Bench size per team, 'auto', or {size, weight}
+ * @returns {{size: number|string, weight: number}|null} Bench settings, or null when disabled
+ */
+export function normalizeBenchOption(bench) {
+    if (bench === undefined || bench === null || bench === false) return null;
+
+    const { size = 'auto', weight = DEFAULT_BENCH_WEIGHT } =
+        typeof bench === 'object' ? bench : { size: bench === true ? 'auto' : bench };
+
+    if (size !== 'auto' && !(Number.isInteger(size) && size >= 0)) {
+        throw new Error(`Bench size must be a non-negative integer or 'auto', got ${size}`);
+    }
+    // Position weights of 0 fall back to 1.0 in the evaluators, so require a positive weight
+    if (!Number.isFinite(weight) || weight <= 0) {
+        throw new Error(`Bench weight must be a positive number, got ${weight}`);
+    }
+
+    return { size, weight };
+}
+
+/**
+ * Copy players so each of them can also fill a bench slot.
+ * The bench rating (and rating deviation) is the one of the player's best
+ * rated position; players without any rating get none, so the pool's
+ * missing-rating strategy applies.
+ * @param {Array} players - Available players
+ * @returns {Array} Player copies with BENCH_POSITION added
+ */
+export function addBenchPosition(players) {
+    return players.map(player => {
+        const positions = Array.isArray(player.positions) ? player.positions : [];
+        const rated = positions.filter(pos => getKnownRating(player, pos) !== undefined);
+        const best = rated.reduce((bestPos, pos) =>
+            (bestPos === null || getKnownRating(player, pos) > getKnownRating(player, bestPos) ? pos : bestPos), null);
+
+        const benchPlayer = {
+            ...player,
+            positions: [...positions, BENCH_POSITION],
+            ratings: best !== null
+                ? { ...player.ratings, [BENCH_POSITION]: getKnownRating(player, best) }
+                : { ...player.ratings }
+        };
+        if (best !== null && getRatingDeviation(player, best) > 0) {
+            benchPlayer.ratingDeviations = { ...player.ratingDeviations, [BENCH_POSITION]: getRatingDeviation(player, best) };
+        }
+        return benchPlayer;
+    });
+}
+
+/**
+ * Add bench slots to a composition.
+ * With size 'auto' the surplus players are spread so team rosters differ by
+ * at most one, filling the smallest rosters first; the result is then one
+ * composition per team when the bench sizes differ.
+ * @param {Object|Array<Object>} composition - Starter composition, shared or one per team
+ * @param {number} teamCount - Number of teams
+ * @param {number} playerCount - Number of available players
+ * @param {number|string} size - Bench slots per team, or 'auto'
+ * @returns {Object|Array<Object>} Composition including BENCH_POSITION slots
+ */
+export function addBenchSlots(composition, teamCount, playerCount, size) {
+    if (size !== 'auto') {
+        if (size === 0) return composition;
+        return Array.isArray(composition)
+            ? composition.map(teamComposition => ({ ...teamComposition, [BENCH_POSITION]: size }))
+            : { ...composition, [BENCH_POSITION]: size };
+    }
+
+    const compositions = getTeamCompositions(composition, teamCount);
+    const rosterSizes = compositions.map(teamComposition => getTeamSize(teamComposition));
+    const benchSizes = new Array(teamCount).fill(0);
+
+    let surplus = playerCount - rosterSizes.reduce((sum, rosterSize) => sum + rosterSize, 0);
+    while (surplus > 0 && teamCount > 0) {
+        const smallest = rosterSizes.indexOf(Math.min(...rosterSizes));
+        rosterSizes[smallest]++;
+        benchSizes[smallest]++;
+        surplus--;
+    }
+
+    if (!Array.isArray(composition) && benchSizes.every(benchSize => benchSize === benchSizes[0])) {
+        return benchSizes[0] > 0 ? { ...composition, [BENCH_POSITION]: benchSizes[0] } : composition;
+    }
+    return compositions.map((teamComposition, teamIdx) =>
+        benchSizes[teamIdx] > 0 ? { ...teamComposition, [BENCH_POSITION]: benchSizes[teamIdx] } : teamComposition
+    );
+}
+
+/**
+ * Split a resolved team into starters and substitutes
+ * @param {Array<Object>} team - Resolved team (players with assignedPosition)
+ * @returns {{starters: Array<Object>, bench: Array<Object>}} Starters and bench players
+ */
+export function splitLineup(team) {
+    return {
+        starters: team.filter(player => player.assignedPosition !== BENCH_POSITION),
+        bench: team.filter(player => player.assignedPosition === BENCH_POSITION)
+    };
+}
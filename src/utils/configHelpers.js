@@ -2,13 +2,261 @@
  
 /**
  * Calculate team size from composition
- * @param {Object} composition - Position composition (e.g., { S: 1, OH: 2, MB: 2, L: 1 })
+ * A composition is either one object shared by all teams or an array with
+ * one object per team (for unequal team sizes).
+ * @param {Object|Array<Object>} composition - Position composition (e.g., { S: 1, OH: 2, MB: 2, L: 1 })
+ * @param {number|null} teamIdx - Team index for per-team compositions (default: the largest team)
  * @returns {number} Team size
  */
-export function getTeamSize(composition) {
-    return Object.values(composition).reduce((sum, count) => sum + count, 0);
+export function getTeamSize(composition, teamIdx = null) {
+    if (Array.isArray(composition)) {
+        if (teamIdx !== null) return getTeamSize(composition[teamIdx] || {});
+        return Math.max(0, ...composition.map(teamComposition => getTeamSize(teamComposition)));
+    }
+    return Object.values(composition).reduce((sum, count) => sum + (count || 0), 0);
 }
- 
+
+/**
+ * Get the composition of one team
+ * @param {Object|Array<Object>} composition - Shared or per-team composition
+ * @param {number} teamIdx - Team index
+ * @returns {Object} Composition of that team ({} for a missing team)
+ */
+export function getTeamComposition(composition, teamIdx) {
+    return Array.isArray(composition) ? (composition[teamIdx] || {}) : composition;
+}
+
+/**
+ * Expand a composition into one composition per team
+ * @param {Object|Array<Object>} composition - Shared or per-team composition
+ * @param {number} teamCount - Number of teams
+ * @returns {Array<Object>} Composition of each team
+ */
+export function getTeamCompositions(composition, teamCount) {
+    return Array.from({ length: teamCount }, (_, teamIdx) => getTeamComposition(composition, teamIdx));
+}
+
+/**
+ * Total number of players needed per position over all teams
+ * @param {Object|Array<Object>} composition - Shared or per-team composition
+ * @param {number} teamCount - Number of teams
+ * @returns {Object} Position -> players needed
+ */
+export function getPositionTotals(composition, teamCount) {
+    const totals = {};
+    getTeamCompositions(composition, teamCount).forEach(teamComposition => {
+        Object.entries(teamComposition).forEach(([position, count]) => {
+            totals[position] = (totals[position] || 0) + (count || 0);
+        });
+    });
+    return totals;
+}
+
+/**
+ * Positions needed by at least one team
+ * @param {Object|Array<Object>} composition - Shared or per-team composition
+ * @returns {Array<string>} Position codes
+ */
+export function getCompositionPositions(composition) {
+    const compositions = Array.isArray(composition) ? composition : [composition];
+    const positions = new Set();
+    compositions.forEach(teamComposition => {
+        Object.entries(teamComposition || {}).forEach(([position, count]) => {
+            if (getPositionRange(count).max > 0) positions.add(position);
+        });
+    });
+    return [...positions];
+}
+
+/**
+ * Shrink a shared composition to the available players, e.g. 23 players
+ * for 3 teams of 8 become teams of 8/8/7. Slots are removed one team at a
+ * time starting with the last team, so sizes differ by at most one; each
+ * removed slot is taken from the position with the fewest spare players,
+ * skipping positions whose removal would leave players without a slot
+ * they can play (checked by matching players to the remaining slots).
+ * @param {Object} composition - Shared position composition
+ * @param {number} teamCount - Number of teams
+ * @param {Array} players - Available players
+ * @returns {Object|Array<Object>} The composition unchanged if there are
+ *   enough players, otherwise one composition per team (throws when the
+ *   players cannot fill any such split)
+ */
+export function distributeTeamCompositions(composition, teamCount, players) {
+    const positions = getCompositionPositions(composition);
+    const eligible = players.filter(p => Array.isArray(p.positions) && p.positions.some(pos => positions.includes(pos)));
+    let shortfall = getTeamSize(composition) * teamCount - eligible.length;
+
+    if (Array.isArray(composition) || shortfall <= 0) return composition;
+
+    const compositions = getTeamCompositions(composition, teamCount).map(teamComposition => ({ ...teamComposition }));
+    const totals = getPositionTotals(compositions, teamCount);
+    const available = {};
+    positions.forEach(position => {
+        available[position] = eligible.filter(p => p.positions.includes(position)).length;
+    });
+
+    // Players who fit the full composition must still fit after every removal
+    const placeable = countPlaceablePlayers(eligible, totals);
+    const keepsPlayersPlaced = position => {
+        totals[position]--;
+        const fits = countPlaceablePlayers(eligible, totals) >= placeable;
+        totals[position]++;
+        return fits;
+    };
+
+    for (let teamIdx = teamCount - 1; shortfall > 0; teamIdx = (teamIdx - 1 + teamCount) % teamCount) {
+        const teamComposition = compositions[teamIdx];
+        const candidates = positions
+            .filter(position => teamComposition[position] > 0)
+            .sort((a, b) => ((available[a] - totals[a]) - (available[b] - totals[b])) ||
+                (teamComposition[b] - teamComposition[a]));
+        if (candidates.length === 0) break;
+
+        const position = candidates.find(keepsPlayersPlaced);
+        if (!position) {
+            throw new Error(`Cannot split ${eligible.length} players into ${teamCount} uneven teams ` +
+                'so that every player gets a position they can play');
+        }
+
+        teamComposition[position]--;
+        totals[position]--;
+        shortfall--;
+    }
+
+    return compositions;
+}
+
+/**
+ * Count how many players can be given a slot they can play at the same time
+ * (maximum bipartite matching of players to position slots)
+ * @param {Array} players - Players with positions
+ * @param {Object} totals - Position -> number of slots
+ * @returns {number} Players that fit
+ */
+function countPlaceablePlayers(players, totals) {
+    const holders = {};
+    Object.keys(totals).forEach(position => { holders[position] = []; });
+
+    const place = (playerIdx, visited) => {
+        for (const position of players[playerIdx].positions) {
+            if (!holders[position] || visited.has(position)) continue;
+            visited.add(position);
+            if (holders[position].length < totals[position]) {
+                holders[position].push(playerIdx);
+                return true;
+            }
+            for (let k = 0; k < holders[position].length; k++) {
+                if (place(holders[position][k], visited)) {
+                    holders[position][k] = playerIdx;
+                    return true;
+                }
+            }
+        }
+        return false;
+    };
+
+    return players.filter((_, idx) => place(idx, new Set())).length;
+}
+
+/**
+ * Check whether a composition entry is a {min, max} range rather than an exact count
+ * @param {number|Object} count - Composition entry
+ * @returns {boolean} True for a range
+ */
+export function isPositionRange(count) {
+    return count !== null && typeof count === 'object';
+}
+
+/**
+ * Read a composition entry as a range (exact counts become {min: n, max: n})
+ * @param {number|Object} count - Composition entry
+ * @returns {{min: number, max: number}} Allowed number of players
+ */
+export function getPositionRange(count) {
+    if (isPositionRange(count)) {
+        return { min: count.min ?? 0, max: count.max ?? Infinity };
+    }
+    return { min: count || 0, max: count || 0 };
+}
+
+/**
+ * Check whether any team of a composition uses position ranges
+ * @param {Object|Array<Object>} composition - Shared or per-team composition
+ * @returns {boolean} True if at least one entry is a range
+ */
+export function hasPositionRanges(composition) {
+    const compositions = Array.isArray(composition) ? composition : [composition];
+    return compositions.some(teamComposition => Object.values(teamComposition || {}).some(isPositionRange));
+}
+
+/**
+ * Team size of a ranged composition: the given size, or the only possible
+ * size when the minimums and maximums add up to the same number
+ * @param {Object} composition - Composition of one team, may contain ranges
+ * @param {number|null} teamSize - Fixed team size (optional)
+ * @returns {number|null} Team size, or null when it cannot be determined
+ */
+export function getRangedTeamSize(composition, teamSize = null) {
+    if (teamSize !== null && teamSize !== undefined) return teamSize;
+
+    const ranges = Object.values(composition).map(getPositionRange);
+    const minSize = ranges.reduce((sum, range) => sum + range.min, 0);
+    const maxSize = ranges.reduce((sum, range) => sum + range.max, 0);
+    return minSize === maxSize ? minSize : null;
+}
+
+/**
+ * Pick exact position counts within the ranges of a composition, as a
+ * starting mix the optimizers may change later. Every position starts at
+ * its minimum; teams are then filled round-robin, one slot at a time, from
+ * the position with the most spare players.
+ * @param {Object|Array<Object>} composition - Composition with {min, max} ranges, shared or one per team
+ * @param {number} teamCount - Number of teams
+ * @param {Array} players - Available players
+ * @param {number} teamSize - Players per team
+ * @returns {Object|Array<Object>} Exact composition; shared when every team gets the same mix
+ */
+export function resolvePositionRanges(composition, teamCount, players, teamSize) {
+    const teamRanges = getTeamCompositions(composition, teamCount).map(teamComposition =>
+        Object.fromEntries(Object.entries(teamComposition).map(([position, count]) => [position, getPositionRange(count)]))
+    );
+    const compositions = teamRanges.map(ranges =>
+        Object.fromEntries(Object.entries(ranges).map(([position, range]) => [position, range.min]))
+    );
+
+    const totals = getPositionTotals(compositions, teamCount);
+    const available = {};
+    Object.keys(totals).forEach(position => {
+        available[position] = players.filter(p => Array.isArray(p.positions) && p.positions.includes(position)).length;
+    });
+
+    let filled = false;
+    while (!filled) {
+        filled = true;
+        compositions.forEach((teamComposition, teamIdx) => {
+            if (getTeamSize(teamComposition) >= teamSize) return;
+
+            const candidates = Object.keys(teamComposition)
+                .filter(position => teamComposition[position] < teamRanges[teamIdx][position].max);
+            if (candidates.length === 0) return;
+
+            const position = candidates.reduce((best, candidate) =>
+                available[candidate] - totals[candidate] > available[best] - totals[best] ? candidate : best
+            );
+            teamComposition[position]++;
+            totals[position]++;
+            filled = false;
+        });
+    }
+
+    const key = teamComposition => JSON.stringify(teamComposition);
+    if (!Array.isArray(composition) && compositions.every(teamComposition => key(teamComposition) === key(compositions[0]))) {
+        return compositions[0];
+    }
+    return compositions;
+}
+
 /**
  * Validate activity configuration
  * @param {Object} config - Activity configuration
@@ -43,9 +291,12 @@ export function validateActivityConfig(config) {
 /**
  * Get team size from config
  * @param {Object} config - Activity configuration
- * @returns {number} Team size
+ * @returns {number|null} Team size (null for ranges without config.teamSize)
  */
 export function getConfigTeamSize(config) {
+    if (hasPositionRanges(config.defaultComposition)) {
+        return getRangedTeamSize(config.defaultComposition, config.teamSize);
+    }
     return getTeamSize(config.defaultComposition);
 }
 
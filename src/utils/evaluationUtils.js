@@ -10,6 +10,9 @@
  * during optimization ({playerId, position}).
  */
 
+import { adjustStrengthsForTeamSize } from './slotEvaluationUtils.js';
+import { DEFAULT_RATING, getKnownRating } from './ratingUtils.js';
+
 /**
  * Get player's rating (for resolved team player)
  * @param {Object} player - Resolved player object with assignedPosition and positionRating
@@ -19,7 +22,7 @@
 export function getPlayerRating(player, position = null) {
     // If position is explicitly provided, use it
     if (position) {
-        return player.ratings?.[position] || 1500;
+        return getKnownRating(player, position) ?? DEFAULT_RATING;
     }
 
     // For resolved players, use the already-calculated positionRating
@@ -29,12 +32,12 @@ export function getPlayerRating(player, position = null) {
 
     // Fallback: calculate from ratings and assignedPosition
     const assignedPos = player.assignedPosition || player.positions?.[0];
-    if (assignedPos && player.ratings?.[assignedPos]) {
-        return player.ratings[assignedPos];
+    if (assignedPos && getKnownRating(player, assignedPos) !== undefined) {
+        return getKnownRating(player, assignedPos);
     }
 
     // Default rating
-    return 1500;
+    return DEFAULT_RATING;
 }
 
 /**
@@ -136,12 +139,13 @@ export function calculateTeamStrengthDetailed(team, positionWeights = {}) {
  * Calculate team balance metrics (for resolved teams)
  * @param {Array<Array<Object>>} teams - Array of resolved teams
  * @param {Object} positionWeights - Position weights from config
- * @returns {{teamStrengths: Array, average: number, standardDeviation: number, difference: number}}
+ * @returns {{teamStrengths: Array, adjustedStrengths: Array, average: number, standardDeviation: number, difference: number}}
  */
 export function calculateTeamBalance(teams, positionWeights = {}) {
     if (!Array.isArray(teams) || teams.length === 0) {
         return {
             teamStrengths: [],
+            adjustedStrengths: [],
             average: 0,
             standardDeviation: 0,
             difference: 0,
@@ -153,19 +157,22 @@ export function calculateTeamBalance(teams, positionWeights = {}) {
     const teamStrengths = teams.map(team =>
         calculateSimpleTeamStrength(team, positionWeights)
     );
+    // Uneven teams are compared per capita (see adjustStrengthsForTeamSize)
+    const adjustedStrengths = adjustStrengthsForTeamSize(teamStrengths, teams.map(team => team.length));
 
-    const average = teamStrengths.reduce((sum, strength) => sum + strength, 0) / teamStrengths.length;
+    const average = adjustedStrengths.reduce((sum, strength) => sum + strength, 0) / adjustedStrengths.length;
 
-    const squaredDiffs = teamStrengths.map(strength => Math.pow(strength - average, 2));
-    const variance = squaredDiffs.reduce((sum, diff) => sum + diff, 0) / teamStrengths.length;
+    const squaredDiffs = adjustedStrengths.map(strength => Math.pow(strength - average, 2));
+    const variance = squaredDiffs.reduce((sum, diff) => sum + diff, 0) / adjustedStrengths.length;
     const standardDeviation = Math.sqrt(variance);
 
-    const maxStrength = Math.max(...teamStrengths);
-    const minStrength = Math.min(...teamStrengths);
+    const maxStrength = Math.max(...adjustedStrengths);
+    const minStrength = Math.min(...adjustedStrengths);
     const difference = maxStrength - minStrength;
 
     return {
         teamStrengths,
+        adjustedStrengths,
         average,
         standardDeviation,
         difference,
@@ -0,0 +1,121 @@
+/**
+ * Optimization Control Utilities
+ *
+ * Cooperative cancellation and progress reporting for long-running optimizers.
+ * The service puts an optional AbortSignal and an absolute deadline into
+ * problemContext; optimizers poll isOptimizationStopped() in their main loop
+ * and return their best solution so far instead of throwing.
+ * Optimizers also call reportProgress() at their yield points, which forwards
+ * to problemContext.onProgress when a listener is registered. Yield points are
+ * spaced by time (see createYieldTimer()), since an iteration costs anywhere
+ * from microseconds to milliseconds depending on the algorithm and problem.
+ */
+
+import { cloneSlotTeams } from './teamSlotUtils.js';
+
+/**
+ * Longest stretch (ms) an optimizer runs before it yields to the event loop.
+ * An abort fires from the event loop, so this bounds how late it is noticed.
+ */
+export const YIELD_INTERVAL_MS = 20;
+
+/**
+ * Convert a time budget into an absolute deadline
+ * @param {number|undefined} timeLimitMs - Wall-clock budget in milliseconds
+ * @returns {number|null} Deadline timestamp (ms since epoch), or null for no limit
+ */
+export function createDeadline(timeLimitMs) {
+    if (timeLimitMs === undefined || timeLimitMs === null || !Number.isFinite(timeLimitMs)) {
+        return null;
+    }
+    return Date.now() + Math.max(0, timeLimitMs);
+}
+
+/**
+ * Get the reason an optimization run has to stop
+ * @param {Object} problemContext - Problem context
+ * @param {AbortSignal|null} problemContext.signal - Abort signal (optional)
+ * @param {number|null} problemContext.deadline - Deadline timestamp (optional)
+ * @returns {'aborted'|'timeLimit'|null} Stop reason, or null to keep going
+ */
+export function getStopReason(problemContext) {
+    if (!problemContext) return null;
+
+    const { signal, deadline } = problemContext;
+    if (signal && signal.aborted) return 'aborted';
+    if (deadline && Date.now() >= deadline) return 'timeLimit';
+    return null;
+}
+
+/**
+ * Check whether an optimization run was cancelled or ran out of time
+ * @param {Object} problemContext - Problem context with optional signal/deadline
+ * @returns {boolean} True if the optimizer should return its best solution now
+ */
+export function isOptimizationStopped(problemContext) {
+    return getStopReason(problemContext) !== null;
+}
+
+/**
+ * Create a timer for an optimizer's yield points. isDue() is true on the first
+ * call and then whenever intervalMs have passed since the last yield().
+ * @param {number} intervalMs - Minimum time between yields (default: YIELD_INTERVAL_MS)
+ * @returns {{isDue: function(): boolean, yield: function(): Promise<void>}} Yield timer
+ */
+export function createYieldTimer(intervalMs = YIELD_INTERVAL_MS) {
+    let lastYield = -Infinity;
+
+    return {
+        isDue: () => Date.now() - lastYield >= intervalMs,
+        async yield() {
+            await yieldToEventLoop();
+            lastYield = Date.now();
+        }
+    };
+}
+
+/**
+ * Let pending events (timers, messages, an abort) run before continuing.
+ * A message round-trip is used where available: in Node, a chain of 1ms
+ * timeouts can keep the caller's own timers waiting for several rounds.
+ * @returns {Promise<void>} Resolves on a later event loop turn
+ */
+export function yieldToEventLoop() {
+    if (typeof MessageChannel !== 'function') {
+        return new Promise(resolve => setTimeout(resolve, 0));
+    }
+    return new Promise(resolve => {
+        const channel = new MessageChannel();
+        channel.port1.onmessage = () => {
+            channel.port1.close();
+            resolve();
+        };
+        channel.port2.postMessage(null);
+    });
+}
+
+/**
+ * Report optimizer progress to problemContext.onProgress (no-op without a listener).
+ * The best solution is cloned, so listeners may keep it while the optimizer
+ * keeps mutating its own copy.
+ * @param {Object} problemContext - Problem context
+ * @param {Function} problemContext.onProgress - Progress listener (optional)
+ * @param {string} problemContext.algorithmName - Name reported as progress.algorithm (optional)
+ * @param {Object} progress - Progress data
+ * @param {number} progress.iteration - Current iteration or generation (1-based)
+ * @param {number} progress.totalIterations - Configured iteration or generation count
+ * @param {number} progress.currentScore - Score of the current solution (lower is better)
+ * @param {number} progress.bestScore - Best score found so far
+ * @param {number} progress.temperature - Current temperature (simulated annealing only)
+ * @param {Array<Array<{playerId, position}>>} progress.bestSolution - Best slot-based solution so far
+ */
+export function reportProgress(problemContext, progress) {
+    const onProgress = problemContext && problemContext.onProgress;
+    if (typeof onProgress !== 'function') return;
+
+    onProgress({
+        algorithm: problemContext.algorithmName || null,
+        ...progress,
+        bestSolution: progress.bestSolution ? cloneSlotTeams(progress.bestSolution) : null
+    });
+}
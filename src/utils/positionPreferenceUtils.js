@@ -0,0 +1,68 @@
+/**
+ * Position Preference Utilities
+ *
+ * Players may rank the positions they play, most wanted first:
+ *
+ *   { id: 7, positions: ['OH', 'MB', 'L'], positionPreferences: ['OH', 'MB'], ... }
+ *
+ * A player at their 1st choice costs nothing; every step down the list
+ * costs PREFERENCE_STEP_PENALTY rating points, and a position missing from
+ * the list counts as one step below the last choice. Players without
+ * preferences and bench slots are ignored. The summed cost is the
+ * `positionPreference` objective component, so its objective weight decides
+ * how much balance is traded for happier players.
+ */
+
+import { BENCH_POSITION } from './benchUtils.js';
+
+// One step down a player's preference list weighs like 25 rating points
+export const PREFERENCE_STEP_PENALTY = 25;
+
+/**
+ * Get the preference rank of a position for a player
+ * @param {Object} player - Player object
+ * @param {string} position - Assigned position
+ * @returns {number|null} 0 for the 1st choice, the list length for an unlisted
+ *   position, or null when the player has no preferences
+ */
+export function getPreferenceRank(player, position) {
+    const preferences = player?.positionPreferences;
+    if (!Array.isArray(preferences) || preferences.length === 0) return null;
+
+    const rank = preferences.indexOf(position);
+    return rank === -1 ? preferences.length : rank;
+}
+
+/**
+ * Calculate how well slot-based teams satisfy player preferences
+ * @param {Array<Array<{playerId, position}>>} teams - Slot-based teams
+ * @param {Object} playerPool - PlayerPool instance
+ * @returns {{penalty: number, byChoice: Array<number>, offPreference: number, rankedPlayers: number}}
+ *   Penalty in rating points; byChoice[0] counts players at their 1st choice,
+ *   byChoice[1] at their 2nd, and so on; offPreference counts players at an unlisted position
+ */
+export function calculatePreferenceSatisfaction(teams, playerPool) {
+    const byChoice = [];
+    let offPreference = 0;
+    let rankedPlayers = 0;
+    let steps = 0;
+
+    teams.forEach(team => team.forEach(slot => {
+        if (slot.position === BENCH_POSITION) return;
+
+        const player = playerPool.getPlayer(slot.playerId);
+        const rank = getPreferenceRank(player, slot.position);
+        if (rank === null) return;
+
+        rankedPlayers++;
+        steps += rank;
+        if (rank < player.positionPreferences.length) {
+            while (byChoice.length <= rank) byChoice.push(0);
+            byChoice[rank]++;
+        } else {
+            offPreference++;
+        }
+    }));
+
+    return { penalty: steps * PREFERENCE_STEP_PENALTY, byChoice, offPreference, rankedPlayers };
+}
@@ -0,0 +1,70 @@
+/**
+ * Random Number Utilities
+ *
+ * Seedable pseudo-random number generation for reproducible optimization runs.
+ * A random source is any function returning a float in [0, 1), so
+ * Math.random can always be used in place of a seeded generator.
+ */
+
+/**
+ * Create a random source.
+ * With a seed, returns a deterministic mulberry32 generator;
+ * without one, returns Math.random.
+ * @param {number|string|undefined} seed - Seed (strings are hashed)
+ * @returns {function(): number} Random source returning floats in [0, 1)
+ */
+export function createRandom(seed) {
+    if (seed === undefined || seed === null) {
+        return Math.random;
+    }
+
+    let state = typeof seed === 'number' ? seed >>> 0 : hashSeed(String(seed));
+
+    return function mulberry32() {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/**
+ * Derive an independent random source from a parent source.
+ * Each algorithm gets its own fork so concurrently running optimizers
+ * do not consume each other's numbers, which keeps seeded runs reproducible
+ * regardless of how their async steps interleave.
+ * @param {function(): number} random - Parent random source
+ * @returns {function(): number} Child random source
+ */
+export function forkRandom(random) {
+    return createRandom(deriveSeed(random));
+}
+
+/**
+ * Draw a seed for a child random source from a parent source.
+ * Unlike forkRandom, the result is a plain number, so it can be sent to a
+ * worker thread and turned into the same child source there.
+ * @param {function(): number} random - Parent random source
+ * @returns {number|null} 32-bit seed, or null for an unseeded (Math.random) parent
+ */
+export function deriveSeed(random) {
+    if (random === Math.random) {
+        return null;
+    }
+    return Math.floor(random() * 4294967296);
+}
+
+/**
+ * Hash a string seed into a 32-bit unsigned integer (FNV-1a)
+ * @param {string} seed - Seed string
+ * @returns {number} 32-bit hash
+ */
+function hashSeed(seed) {
+    let hash = 0x811C9DC5;
+    for (let i = 0; i < seed.length; i++) {
+        hash ^= seed.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+}
@@ -0,0 +1,113 @@
+/**
+ * Rating Utilities
+ *
+ * Strategies for positions a player has no rating for. A rating is missing
+ * when it is absent or not a finite number; 0 is a real rating.
+ *
+ *   missingRatings: 'default'                                  // 1500 everywhere
+ *   missingRatings: { strategy: 'default', positionDefaults: { L: 1400 } }
+ *   missingRatings: { strategy: 'otherPositions', discount: 100 }
+ *   missingRatings: 'poolAverage'
+ *
+ * - default: a fixed rating, optionally per position
+ * - otherPositions: the player's best rating elsewhere minus the off-position discount
+ * - poolAverage: the average known rating of the position over the player pool
+ *
+ * The last two fall back to the default when there is nothing to derive from.
+ *
+ * Players may also carry a Glicko-style rating deviation per position
+ * (ratingDeviations: { OH: 250 }): how far the rating may be off. Players
+ * without one are treated as exactly rated.
+ */
+
+export const DEFAULT_RATING = 1500;
+
+export const MISSING_RATING_STRATEGIES = ['default', 'otherPositions', 'poolAverage'];
+
+const DEFAULT_OFF_POSITION_DISCOUNT = 100;
+
+/**
+ * Normalize the missingRatings option
+ * @param {string|Object|undefined} missingRatings - Strategy name, or
+ *   {strategy, default, positionDefaults, discount}
+ * @returns {{strategy: string, default: number, positionDefaults: Object, discount: number}} Settings
+ * @throws {Error} On unknown strategies or non-numeric values
+ */
+export function normalizeMissingRatings(missingRatings) {
+    if (missingRatings === undefined || missingRatings === null) {
+        missingRatings = {};
+    } else if (typeof missingRatings === 'string') {
+        missingRatings = { strategy: missingRatings };
+    }
+
+    const {
+        strategy = 'default',
+        default: defaultRating = DEFAULT_RATING,
+        positionDefaults = {},
+        discount = DEFAULT_OFF_POSITION_DISCOUNT
+    } = missingRatings;
+
+    if (!MISSING_RATING_STRATEGIES.includes(strategy)) {
+        throw new Error(`Unknown missing rating strategy "${strategy}", expected one of: ${MISSING_RATING_STRATEGIES.join(', ')}`);
+    }
+    if (!Number.isFinite(defaultRating)) {
+        throw new Error(`Default rating must be a finite number, got ${defaultRating}`);
+    }
+    const invalidDefaults = Object.entries(positionDefaults).filter(([, rating]) => !Number.isFinite(rating));
+    if (invalidDefaults.length > 0) {
+        throw new Error(`Position default ratings must be finite numbers: ${invalidDefaults.map(([pos]) => pos).join(', ')}`);
+    }
+    if (!Number.isFinite(discount) || discount < 0) {
+        throw new Error(`Off-position discount must be a non-negative number, got ${discount}`);
+    }
+
+    return { strategy, default: defaultRating, positionDefaults, discount };
+}
+
+/**
+ * Get a rating the player actually has
+ * @param {Object} player - Player object
+ * @param {string} position - Position code
+ * @returns {number|undefined} Rating, or undefined when missing
+ */
+export function getKnownRating(player, position) {
+    const rating = player?.ratings?.[position];
+    return typeof rating === 'number' && Number.isFinite(rating) ? rating : undefined;
+}
+
+/**
+ * Impute a missing rating
+ * @param {Object} player - Player object
+ * @param {string} position - Position without a known rating
+ * @param {Object} settings - Normalized settings (see normalizeMissingRatings)
+ * @param {function(string): number|undefined} getPositionAverage - Pool average of a position
+ *   (only used by the poolAverage strategy)
+ * @returns {number} Imputed rating
+ */
+export function imputeRating(player, position, settings, getPositionAverage = () => undefined) {
+    const fallback = settings.positionDefaults[position] ?? settings.default;
+
+    if (settings.strategy === 'otherPositions') {
+        const others = Object.keys(player?.ratings || {})
+            .map(pos => getKnownRating(player, pos))
+            .filter(rating => rating !== undefined);
+        return others.length > 0 ? Math.max(...others) - settings.discount : fallback;
+    }
+
+    if (settings.strategy === 'poolAverage') {
+        return getPositionAverage(position) ?? fallback;
+    }
+
+    return fallback;
+}
+
+/**
+ * Get a player's rating deviation for a position
+ * @param {Object} player - Player object
+ * @param {string} position - Position code
+ * @returns {number} Deviation, or 0 when the player has none for the position
+ */
+export function getRatingDeviation(player, position) {
+    const deviation = player?.ratingDeviations?.[position];
+    return typeof deviation === 'number' && Number.isFinite(deviation) && deviation > 0 ? deviation : 0;
+}
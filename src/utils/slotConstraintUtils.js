@@ -0,0 +1,749 @@
+/**
+ * Slot Constraint Utilities
+ *
+ * Hard player constraints for the slot-based team structure:
+ * - keepTogether: groups of players that must end up on the same team
+ * - keepApart: groups of players that must all end up on different teams
+ * - locks: players pinned to a team index and optionally a position
+ * - quotas: min/max number of players per team with an attribute value
+ *   (e.g. at least 2 players with gender 'F' on every team)
+ *
+ * Constraints are normalized once per optimization run into lookup maps,
+ * so guarding a swap costs a single pass over the teams and unconstrained
+ * players skip the check entirely.
+ *
+ * A keepTogether group is rostered as a unit: either all of its members
+ * are on one team or none of them are, so a couple never loses a partner
+ * to the unused players. keepApart players may be left out freely, while
+ * locked players must always be on their team.
+ */
+
+import { getPlayerAttribute } from './attributeBalanceUtils.js';
+import { getTeamComposition, getCompositionPositions } from './configHelpers.js';
+
+/**
+ * Normalize pairing options into a constraints object.
+ * Overlapping keepTogether groups are merged (A+B and B+C become A+B+C).
+ * @param {Object} options - Optimization options
+ * @param {Array<Array<number|string>>} options.keepTogether - Groups of player IDs to keep on one team
+ * @param {Array<Array<number|string>>} options.keepApart - Groups of player IDs to spread over different teams
+ * @param {Object|Map} options.locks - Player ID -> team index, or -> {team, position}
+ * @param {Array<{field, value, min, max}>} options.quotas - Per-team attribute quotas
+ * @param {Array} players - Available players (used to map object keys back to numeric IDs)
+ * @returns {Object|null} Normalized constraints, or null if there are none
+ */
+export function buildSlotConstraints(options = {}, players = []) {
+    const keepTogether = (options.keepTogether || []).filter(group => Array.isArray(group) && group.length > 1);
+    const keepApart = (options.keepApart || []).filter(group => Array.isArray(group) && group.length > 1);
+    const locks = normalizeLocks(options.locks, players);
+    const quotas = normalizeQuotas(options.quotas, players);
+
+    if (keepTogether.length === 0 && keepApart.length === 0 && locks.size === 0 && quotas.length === 0) {
+        return null;
+    }
+
+    // Union-find over keepTogether groups
+    const parent = new Map();
+    const find = (id) => {
+        if (!parent.has(id)) parent.set(id, id);
+        let root = id;
+        while (parent.get(root) !== root) root = parent.get(root);
+        parent.set(id, root);
+        return root;
+    };
+
+    keepTogether.forEach(group => {
+        const root = find(group[0]);
+        group.slice(1).forEach(id => parent.set(find(id), root));
+    });
+
+    const groupsByRoot = new Map();
+    parent.forEach((_, id) => {
+        const root = find(id);
+        if (!groupsByRoot.has(root)) groupsByRoot.set(root, []);
+        groupsByRoot.get(root).push(id);
+    });
+
+    const togetherGroups = Array.from(groupsByRoot.values());
+    const togetherGroupOf = new Map();
+    togetherGroups.forEach((group, groupIdx) => {
+        group.forEach(id => togetherGroupOf.set(id, groupIdx));
+    });
+
+    // Expand keepApart groups into unique pairs
+    const apartPairs = [];
+    const apartOf = new Map();
+    keepApart.forEach(group => {
+        for (let i = 0; i < group.length; i++) {
+            for (let j = i + 1; j < group.length; j++) {
+                const a = group[i];
+                const b = group[j];
+                if (a === b || apartOf.get(a)?.has(b)) continue;
+
+                apartPairs.push([a, b]);
+                if (!apartOf.has(a)) apartOf.set(a, new Set());
+                if (!apartOf.has(b)) apartOf.set(b, new Set());
+                apartOf.get(a).add(b);
+                apartOf.get(b).add(a);
+            }
+        }
+    });
+
+    // Only players matching a quota are guarded by it; swapping two
+    // non-matching players never changes any team's count
+    const quotaOf = new Map();
+    quotas.forEach((quota, quotaIdx) => {
+        quota.playerIds.forEach(id => {
+            if (!quotaOf.has(id)) quotaOf.set(id, []);
+            quotaOf.get(id).push(quotaIdx);
+        });
+    });
+
+    return {
+        keepTogether,
+        keepApart,
+        togetherGroups,
+        togetherGroupOf,
+        apartPairs,
+        apartOf,
+        locks,
+        quotas,
+        quotaOf
+    };
+}
+
+/**
+ * Normalize the quotas option: missing bounds become 0 / Infinity and the
+ * IDs of the players matching each quota are collected once.
+ * @param {Array<{field: string, value: *, min?: number, max?: number}>|undefined} quotas - Quotas option
+ * @param {Array} players - Available players
+ * @returns {Array<{field, value, min, max, label, playerIds: Set}>} Normalized quotas
+ */
+function normalizeQuotas(quotas, players) {
+    if (!Array.isArray(quotas)) return [];
+
+    return quotas
+        .filter(quota => quota && quota.field)
+        .map(quota => ({
+            field: quota.field,
+            value: quota.value,
+            min: quota.min ?? 0,
+            max: quota.max ?? Infinity,
+            label: `${quota.field} "${quota.value}"`,
+            playerIds: new Set(players
+                .filter(p => getPlayerAttribute(p, quota.field) === quota.value)
+                .map(p => p.id))
+        }));
+}
+
+/**
+ * Normalize the locks option into Map<playerId, {team, position}>.
+ * Plain-object keys are strings, so they are mapped back to the matching
+ * player ID (e.g. '7' -> 7) when a player list is available.
+ * @param {Object|Map|undefined} locks - Locks option
+ * @param {Array} players - Available players
+ * @returns {Map<number|string, {team: number, position: string|null}>} Normalized locks
+ */
+function normalizeLocks(locks, players) {
+    const normalized = new Map();
+    if (!locks) return normalized;
+
+    const idByKey = new Map(players.map(p => [String(p.id), p.id]));
+    const entries = locks instanceof Map ? [...locks.entries()] : Object.entries(locks);
+
+    entries.forEach(([key, value]) => {
+        const playerId = locks instanceof Map ? key : (idByKey.has(String(key)) ? idByKey.get(String(key)) : key);
+        const lock = typeof value === 'object' && value !== null
+            ? { team: value.team, position: value.position || null }
+            : { team: value, position: null };
+        normalized.set(playerId, lock);
+    });
+
+    return normalized;
+}
+
+/**
+ * Get the player ID of a team member (slot or resolved player)
+ * @param {Object} member - Slot {playerId, position} or resolved player {id, ...}
+ * @returns {number|string} Player ID
+ */
+function getMemberId(member) {
+    return member.playerId !== undefined ? member.playerId : member.id;
+}
+
+/**
+ * Build a lookup of player ID -> team index and position
+ * @param {Array<Array<Object>>} teams - Slot-based or resolved teams
+ * @returns {Map<number|string, {teamIdx: number, position: string}>} Placement by player ID
+ */
+function buildPlacementIndex(teams) {
+    const placement = new Map();
+    teams.forEach((team, teamIdx) => {
+        team.forEach(member => placement.set(getMemberId(member), {
+            teamIdx,
+            position: member.assignedPosition !== undefined ? member.assignedPosition : member.position
+        }));
+    });
+    return placement;
+}
+
+/**
+ * Build a lookup of player ID -> team index
+ * @param {Array<Array<Object>>} teams - Slot-based or resolved teams
+ * @returns {Map<number|string, number>} Team index by player ID
+ */
+function buildTeamIndex(teams) {
+    const teamOf = new Map();
+    teams.forEach((team, teamIdx) => {
+        team.forEach(member => teamOf.set(getMemberId(member), teamIdx));
+    });
+    return teamOf;
+}
+
+/**
+ * Check whether a player takes part in any constraint
+ * @param {Object|null} constraints - Normalized constraints
+ * @param {number|string} playerId - Player ID
+ * @returns {boolean} True if the player is constrained
+ */
+export function isConstrainedPlayer(constraints, playerId) {
+    if (!constraints) return false;
+    return constraints.togetherGroupOf.has(playerId) ||
+           constraints.apartOf.has(playerId) ||
+           constraints.locks.has(playerId) ||
+           constraints.quotaOf.has(playerId);
+}
+
+/**
+ * Count the players of a team that match a quota
+ * @param {Array<Object>} team - Slot-based or resolved team
+ * @param {Object} quota - Normalized quota
+ * @returns {number} Matching players on the team
+ */
+function countQuotaMembers(team, quota) {
+    return team.reduce((count, member) => count + (quota.playerIds.has(getMemberId(member)) ? 1 : 0), 0);
+}
+
+/**
+ * Resolve the position a locked player occupies on their team: the locked
+ * position if given, otherwise the first of the player's positions that the
+ * composition needs and the team still has room for.
+ * @param {Object} lock - Normalized lock {team, position}
+ * @param {Object} player - Player object
+ * @param {Object} composition - Composition of the locked team
+ * @param {Array<{playerId, position}>} team - Slots already on the locked team
+ * @returns {string|null} Position, or null if none fits
+ */
+export function resolveLockPosition(lock, player, composition, team = []) {
+    if (lock.position) return lock.position;
+
+    const positions = player?.positions || [];
+    return positions.find(position => {
+        const needed = composition[position] || 0;
+        return needed > 0 && team.filter(s => s.position === position).length < needed;
+    }) || null;
+}
+
+/**
+ * Create empty teams with all locked players already placed, then fill
+ * each team up to the minimum of every quota.
+ * Constructive generators start from these teams so locks and quota
+ * minimums are honoured on construction instead of being repaired afterwards.
+ * Quota players are dealt strongest first in snake order, so no team
+ * receives all of the best ones.
+ * @param {Object|Array<Object>} composition - Position composition, shared or one per team
+ * @param {number} teamCount - Number of teams
+ * @param {Object} playerPool - PlayerPool instance
+ * @param {Object|null} constraints - Normalized constraints
+ * @returns {{teams: Array<Array<{playerId, position}>>, usedIds: Set}} Seeded teams and used IDs
+ */
+export function createLockedTeams(composition, teamCount, playerPool, constraints) {
+    const teams = Array.from({ length: teamCount }, () => []);
+    const usedIds = new Set();
+
+    if (!constraints) return { teams, usedIds };
+
+    constraints.locks.forEach((lock, playerId) => {
+        const player = playerPool.getPlayer(playerId);
+        if (!player || !teams[lock.team]) return;
+
+        const position = resolveLockPosition(lock, player, getTeamComposition(composition, lock.team), teams[lock.team]);
+        if (!position) return;
+
+        teams[lock.team].push({ playerId, position });
+        usedIds.add(playerId);
+    });
+
+    constraints.quotas.forEach(quota => {
+        if (quota.min <= 0) return;
+
+        const candidates = [...quota.playerIds]
+            .filter(id => !usedIds.has(id) && playerPool.getPlayer(id))
+            .sort((a, b) => getBestRating(playerPool, b, composition) - getBestRating(playerPool, a, composition));
+
+        let forward = true;
+        let placedInRound = true;
+        while (placedInRound && candidates.length > 0) {
+            placedInRound = false;
+            const order = forward ? teams.map((_, t) => t) : teams.map((_, t) => teams.length - 1 - t);
+            forward = !forward;
+
+            for (const teamIdx of order) {
+                if (countQuotaMembers(teams[teamIdx], quota) >= quota.min) continue;
+
+                const teamComposition = getTeamComposition(composition, teamIdx);
+                const candidateIdx = candidates.findIndex(id =>
+                    canPlaceOnTeam(constraints, id, teamIdx, teams) &&
+                    resolveLockPosition({ position: null }, playerPool.getPlayer(id), teamComposition, teams[teamIdx])
+                );
+                if (candidateIdx === -1) continue;
+
+                const [playerId] = candidates.splice(candidateIdx, 1);
+                const position = resolveLockPosition({ position: null }, playerPool.getPlayer(playerId), teamComposition, teams[teamIdx]);
+                teams[teamIdx].push({ playerId, position });
+                usedIds.add(playerId);
+                placedInRound = true;
+            }
+        }
+    });
+
+    return { teams, usedIds };
+}
+
+/**
+ * Best rating of a player over the positions the composition needs
+ * @param {Object} playerPool - PlayerPool instance
+ * @param {number|string} playerId - Player ID
+ * @param {Object|Array<Object>} composition - Shared or per-team composition
+ * @returns {number} Best rating, or 0 if the player fits no needed position
+ */
+function getBestRating(playerPool, playerId, composition) {
+    const needed = getCompositionPositions(composition);
+    const positions = (playerPool.getPlayer(playerId)?.positions || []).filter(pos => needed.includes(pos));
+    return positions.reduce((best, pos) => Math.max(best, playerPool.getPlayerRating(playerId, pos)), 0);
+}
+
+/**
+ * Count constraint violations in a solution (0 = all constraints satisfied).
+ * A keepTogether group split over k teams counts as k - 1 violations, a
+ * group only partly on the roster counts one per member on the smaller
+ * side (rostered or unused), each keepApart pair sharing a team counts as one, each locked player
+ * off their team or position counts as one, and each player a team is
+ * below a quota's minimum or above its maximum counts as one.
+ * @param {Array<Array<Object>>} teams - Slot-based or resolved teams
+ * @param {Object|null} constraints - Normalized constraints
+ * @returns {number} Number of violations
+ */
+export function countConstraintViolations(teams, constraints) {
+    if (!constraints) return 0;
+
+    const placement = buildPlacementIndex(teams);
+    const teamOf = new Map([...placement].map(([id, p]) => [id, p.teamIdx]));
+    let violations = 0;
+
+    constraints.locks.forEach((lock, playerId) => {
+        const placed = placement.get(playerId);
+        if (!placed || placed.teamIdx !== lock.team ||
+            (lock.position && placed.position !== lock.position)) {
+            violations++;
+        }
+    });
+
+    constraints.togetherGroups.forEach(group => {
+        const groupTeams = new Set();
+        let rostered = 0;
+        group.forEach(id => {
+            if (teamOf.has(id)) {
+                groupTeams.add(teamOf.get(id));
+                rostered++;
+            }
+        });
+        if (groupTeams.size > 1) {
+            violations += groupTeams.size - 1;
+        }
+        violations += Math.min(rostered, group.length - rostered);
+    });
+
+    constraints.apartPairs.forEach(([a, b]) => {
+        if (teamOf.has(a) && teamOf.get(a) === teamOf.get(b)) {
+            violations++;
+        }
+    });
+
+    constraints.quotas.forEach(quota => {
+        teams.forEach(team => {
+            const count = countQuotaMembers(team, quota);
+            violations += Math.max(0, quota.min - count) + Math.max(0, count - quota.max);
+        });
+    });
+
+    return violations;
+}
+
+/**
+ * Validate that every locked player is on their team (and position)
+ * @param {Array<Array<Object>>} teams - Slot-based or resolved teams
+ * @param {Object|null} constraints - Normalized constraints
+ * @returns {{isValid: boolean, errors: Array}} Validation result
+ */
+export function validateSlotLocks(teams, constraints) {
+    const errors = [];
+    if (!constraints) {
+        return { isValid: true, errors };
+    }
+
+    const placement = buildPlacementIndex(teams);
+
+    constraints.locks.forEach((lock, playerId) => {
+        const placed = placement.get(playerId);
+        if (!placed) {
+            errors.push(`Player ${playerId}: locked to team ${lock.team + 1}, but not assigned`);
+        } else if (placed.teamIdx !== lock.team) {
+            errors.push(`Player ${playerId}: locked to team ${lock.team + 1}, got team ${placed.teamIdx + 1}`);
+        } else if (lock.position && placed.position !== lock.position) {
+            errors.push(`Player ${playerId}: locked to position ${lock.position}, got ${placed.position}`);
+        }
+    });
+
+    return {
+        isValid: errors.length === 0,
+        errors
+    };
+}
+
+/**
+ * Validate all constraints (pairings, locks and quotas) for all teams
+ * @param {Array<Array<Object>>} teams - Slot-based or resolved teams
+ * @param {Object|null} constraints - Normalized constraints
+ * @returns {{isValid: boolean, errors: Array}} Validation result
+ */
+export function validateSlotConstraints(teams, constraints) {
+    const errors = [];
+    if (!constraints) {
+        return { isValid: true, errors };
+    }
+
+    const teamOf = buildTeamIndex(teams);
+
+    errors.push(...validateSlotLocks(teams, constraints).errors);
+
+    constraints.togetherGroups.forEach(group => {
+        const placed = group.filter(id => teamOf.has(id));
+        const groupTeams = new Set(placed.map(id => teamOf.get(id)));
+        if (groupTeams.size > 1) {
+            const where = placed.map(id => `${id} (team ${teamOf.get(id) + 1})`).join(', ');
+            errors.push(`Players must be on the same team: ${where}`);
+        }
+        if (placed.length > 0 && placed.length < group.length) {
+            const unassigned = group.filter(id => !teamOf.has(id)).join(', ');
+            errors.push(`Players must play together: ${placed.join(', ')} assigned, but not ${unassigned}`);
+        }
+    });
+
+    constraints.apartPairs.forEach(([a, b]) => {
+        if (teamOf.has(a) && teamOf.get(a) === teamOf.get(b)) {
+            errors.push(`Players ${a} and ${b} must be on different teams (both on team ${teamOf.get(a) + 1})`);
+        }
+    });
+
+    constraints.quotas.forEach(quota => {
+        teams.forEach((team, teamIdx) => {
+            const count = countQuotaMembers(team, quota);
+            if (count < quota.min) {
+                errors.push(`Team ${teamIdx + 1} has ${count} players with ${quota.label}, needs at least ${quota.min}`);
+            } else if (count > quota.max) {
+                errors.push(`Team ${teamIdx + 1} has ${count} players with ${quota.label}, allows at most ${quota.max}`);
+            }
+        });
+    });
+
+    return {
+        isValid: errors.length === 0,
+        errors
+    };
+}
+
+/**
+ * Check whether a player can join a team without breaking a constraint,
+ * given the players already placed. Used by constructive algorithms.
+ * @param {Object|null} constraints - Normalized constraints
+ * @param {number|string} playerId - Player ID to place
+ * @param {number} teamIdx - Target team index
+ * @param {Array<Array<{playerId, position}>>} teams - Partially built teams
+ * @param {string|null} position - Position the player would take (optional)
+ * @returns {boolean} True if placement keeps all constraints satisfiable
+ */
+export function canPlaceOnTeam(constraints, playerId, teamIdx, teams, position = null) {
+    if (!isConstrainedPlayer(constraints, playerId)) return true;
+
+    const lock = constraints.locks.get(playerId);
+    if (lock && (lock.team !== teamIdx || (position && lock.position && lock.position !== position))) {
+        return false;
+    }
+
+    const apartMates = constraints.apartOf.get(playerId);
+    if (apartMates && teams[teamIdx].some(slot => apartMates.has(slot.playerId))) {
+        return false;
+    }
+
+    const groupIdx = constraints.togetherGroupOf.get(playerId);
+    if (groupIdx !== undefined) {
+        const group = constraints.togetherGroups[groupIdx];
+        for (let t = 0; t < teams.length; t++) {
+            if (t === teamIdx) continue;
+            if (teams[t].some(slot => slot.playerId !== playerId && group.includes(slot.playerId))) {
+                return false;
+            }
+        }
+    }
+
+    // Minimums are seeded by createLockedTeams; only maximums can be broken here
+    const quotaIdxs = constraints.quotaOf.get(playerId);
+    if (quotaIdxs && quotaIdxs.some(q => countQuotaMembers(teams[teamIdx], constraints.quotas[q]) >= constraints.quotas[q].max)) {
+        return false;
+    }
+
+    return true;
+}
+
+/**
+ * Swap two members between teams unless it adds constraint violations.
+ * Works for slot-based and resolved teams; unconstrained players take the
+ * fast path without counting violations.
+ * @param {Array<Array<Object>>} teams - Teams (mutated)
+ * @param {number} team1Idx - First team index
+ * @param {number} slot1Idx - First slot index
+ * @param {number} team2Idx - Second team index
+ * @param {number} slot2Idx - Second slot index
+ * @param {Object|null} constraints - Normalized constraints
+ * @returns {boolean} True if the swap was kept
+ */
+export function swapSlotsWithConstraints(teams, team1Idx, slot1Idx, team2Idx, slot2Idx, constraints) {
+    const first = teams[team1Idx][slot1Idx];
+    const second = teams[team2Idx][slot2Idx];
+
+    const guarded = isConstrainedPlayer(constraints, getMemberId(first)) ||
+                    isConstrainedPlayer(constraints, getMemberId(second));
+    const before = guarded ? countConstraintViolations(teams, constraints) : 0;
+
+    teams[team1Idx][slot1Idx] = second;
+    teams[team2Idx][slot2Idx] = first;
+
+    if (guarded && countConstraintViolations(teams, constraints) > before) {
+        // Revert swap
+        teams[team1Idx][slot1Idx] = first;
+        teams[team2Idx][slot2Idx] = second;
+        return false;
+    }
+
+    return true;
+}
+
+/**
+ * Greedily repair constraint violations with same-position swaps.
+ * Constructive generators build teams without looking at constraints;
+ * this pass completes keepTogether groups that are only partly rostered
+ * (bringing the missing members in, or else taking the rostered ones out),
+ * moves split members onto their group's main team,
+ * moves keepApart players away from each other, and trades quota players
+ * from teams above a maximum (or above a minimum) to teams that need fewer
+ * (or more) of them. A swap is kept only if it strictly reduces the number
+ * of violations.
+ * @param {Array<Array<{playerId, position}>>} teams - Slot-based teams (mutated)
+ * @param {Object|null} constraints - Normalized constraints
+ * @param {Object|null} playerPool - PlayerPool instance; needed to exchange rostered and
+ *   unused players (without it, partly rostered groups are left as they are)
+ * @param {number} maxPasses - Maximum repair passes
+ * @returns {Array<Array<{playerId, position}>>} The same teams array
+ */
+export function repairSlotConstraints(teams, constraints, playerPool = null, maxPasses = 3) {
+    if (!constraints) return teams;
+
+    let violations = countConstraintViolations(teams, constraints);
+
+    // Put players who are not on the roster into slots, keeping each slot's position.
+    // The batch is checked as a whole: completing or dropping a group of three or
+    // more only lowers the violation count once every member has moved.
+    const tryReplace = (replacements) => {
+        const previous = replacements.map(({ teamIdx, slotIdx, playerId }) => {
+            const slot = teams[teamIdx][slotIdx];
+            teams[teamIdx][slotIdx] = { playerId, position: slot.position };
+            return slot;
+        });
+
+        const after = countConstraintViolations(teams, constraints);
+        if (after < violations) {
+            violations = after;
+            return true;
+        }
+
+        replacements.forEach(({ teamIdx, slotIdx }, idx) => {
+            teams[teamIdx][slotIdx] = previous[idx];
+        });
+        return false;
+    };
+
+    const trySwap = (t1, i1, t2, i2) => {
+        const temp = teams[t1][i1];
+        teams[t1][i1] = teams[t2][i2];
+        teams[t2][i2] = temp;
+
+        const after = countConstraintViolations(teams, constraints);
+        if (after < violations) {
+            violations = after;
+            return true;
+        }
+
+        teams[t2][i2] = teams[t1][i1];
+        teams[t1][i1] = temp;
+        return false;
+    };
+
+    for (let pass = 0; pass < maxPasses && violations > 0; pass++) {
+        // Roster keepTogether groups as a unit
+        if (playerPool) {
+            constraints.togetherGroups.forEach(group => repairPartialGroup(teams, group, constraints, playerPool, tryReplace));
+        }
+
+        // Pull split keepTogether members onto the team holding most of the group
+        constraints.togetherGroups.forEach(group => {
+            const teamOf = buildTeamIndex(teams);
+            const counts = new Map();
+            group.forEach(id => {
+                if (teamOf.has(id)) counts.set(teamOf.get(id), (counts.get(teamOf.get(id)) || 0) + 1);
+            });
+            if (counts.size < 2) return;
+
+            const targetTeam = [...counts.entries()].sort((a, b) => b[1] - a[1])[0][0];
+
+            group.forEach(id => {
+                const currentTeam = buildTeamIndex(teams).get(id);
+                if (currentTeam === undefined || currentTeam === targetTeam) return;
+
+                const slotIdx = teams[currentTeam].findIndex(slot => slot.playerId === id);
+                const position = teams[currentTeam][slotIdx].position;
+
+                for (let i = 0; i < teams[targetTeam].length; i++) {
+                    const candidate = teams[targetTeam][i];
+                    if (candidate.position !== position || group.includes(candidate.playerId)) continue;
+                    if (trySwap(currentTeam, slotIdx, targetTeam, i)) break;
+                }
+            });
+        });
+
+        // Move one player of each conflicting keepApart pair to another team
+        constraints.apartPairs.forEach(([a, b]) => {
+            const teamOf = buildTeamIndex(teams);
+            if (!teamOf.has(a) || teamOf.get(a) !== teamOf.get(b)) return;
+
+            for (const id of [b, a]) {
+                const currentTeam = teamOf.get(id);
+                const slotIdx = teams[currentTeam].findIndex(slot => slot.playerId === id);
+                const position = teams[currentTeam][slotIdx].position;
+                let moved = false;
+
+                for (let t = 0; t < teams.length && !moved; t++) {
+                    if (t === currentTeam) continue;
+                    for (let i = 0; i < teams[t].length; i++) {
+                        if (teams[t][i].position !== position) continue;
+                        if (trySwap(currentTeam, slotIdx, t, i)) {
+                            moved = true;
+                            break;
+                        }
+                    }
+                }
+                if (moved) break;
+            }
+        });
+
+        // Trade matching for non-matching players of the same position
+        constraints.quotas.forEach(quota => {
+            teams.forEach((team, teamIdx) => {
+                const count = countQuotaMembers(team, quota);
+                const over = count > quota.max;
+                if (!over && count >= quota.min) return;
+
+                // Over the maximum: send matching players away; under the minimum: send others away
+                for (let i = 0; i < team.length; i++) {
+                    if (quota.playerIds.has(team[i].playerId) !== over) continue;
+
+                    let moved = false;
+                    for (let t = 0; t < teams.length && !moved; t++) {
+                        if (t === teamIdx) continue;
+                        for (let j = 0; j < teams[t].length; j++) {
+                            if (teams[t][j].position !== team[i].position ||
+                                quota.playerIds.has(teams[t][j].playerId) === over) continue;
+                            if (trySwap(teamIdx, i, t, j)) {
+                                moved = true;
+                                break;
+                            }
+                        }
+                    }
+                }
+            });
+        });
+    }
+
+    return teams;
+}
+
+/**
+ * Complete a keepTogether group that is only partly on the roster: bring all
+ * missing members in on the group's main team in place of unconstrained
+ * players of positions they play; if they do not all fit, replace all rostered
+ * members with the best unused unconstrained players of their positions.
+ * Either move is applied as one batch.
+ * @param {Array<Array<{playerId, position}>>} teams - Slot-based teams (mutated)
+ * @param {Array<number|string>} group - Player IDs of the group
+ * @param {Object} constraints - Normalized constraints
+ * @param {Object} playerPool - PlayerPool instance
+ * @param {function(Array<{teamIdx, slotIdx, playerId}>): boolean} tryReplace - Replaces the
+ *   slots' players if that reduces the violations
+ */
+function repairPartialGroup(teams, group, constraints, playerPool, tryReplace) {
+    const teamOf = buildTeamIndex(teams);
+    const rostered = group.filter(id => teamOf.has(id));
+    if (rostered.length === 0 || rostered.length === group.length) return;
+
+    const counts = new Map();
+    rostered.forEach(id => counts.set(teamOf.get(id), (counts.get(teamOf.get(id)) || 0) + 1));
+    const targetTeam = [...counts.entries()].sort((a, b) => b[1] - a[1])[0][0];
+
+    // Bring the missing members in, each into its own slot
+    const joining = [];
+    const freed = new Set();
+    const allJoin = group.filter(id => !teamOf.has(id)).every(id => {
+        const positions = playerPool.getPlayer(id)?.positions || [];
+        const slotIdx = teams[targetTeam].findIndex((slot, idx) =>
+            !freed.has(idx) &&
+            !isConstrainedPlayer(constraints, slot.playerId) &&
+            positions.includes(slot.position));
+        if (slotIdx === -1) return false;
+
+        freed.add(slotIdx);
+        joining.push({ teamIdx: targetTeam, slotIdx, playerId: id });
+        return true;
+    });
+    if (allJoin && tryReplace(joining)) return;
+
+    // Otherwise take the rostered members off, each for a different replacement
+    const leaving = [];
+    const picked = new Set();
+    const allLeave = rostered.every(id => {
+        const teamIdx = teamOf.get(id);
+        const slotIdx = teams[teamIdx].findIndex(slot => slot.playerId === id);
+        const { position } = teams[teamIdx][slotIdx];
+
+        const replacement = playerPool.getAllPlayers()
+            .filter(player => !teamOf.has(player.id) && !picked.has(player.id) &&
+                !isConstrainedPlayer(constraints, player.id) &&
+                (player.positions || []).includes(position))
+            .sort((a, b) => playerPool.getPlayerRating(b.id, position) - playerPool.getPlayerRating(a.id, position))[0];
+        if (!replacement) return false;
+
+        picked.add(replacement.id);
+        leaving.push({ teamIdx, slotIdx, playerId: replacement.id });
+        return true;
+    });
+    if (allLeave) tryReplace(leaving);
+}
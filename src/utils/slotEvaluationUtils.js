@@ -5,18 +5,29 @@
  * Works with PlayerPool to resolve player information.
  */
 
+import { calculateAttributeBalance, normalizeBalanceAttributes } from './attributeBalanceUtils.js';
+import { calculatePreferenceSatisfaction } from './positionPreferenceUtils.js';
+import { calculateTeammateRepeatPenalty, normalizeTeammateHistory } from './teammateHistoryUtils.js';
+import { getTeamComposition, getPositionTotals } from './configHelpers.js';
+
 /**
  * Calculate simple team strength (slot-based)
+ * With an uncertainty factor k, each player counts as rating - k * deviation:
+ * 0 gives the expected strength, 1-2 a pessimistic (conservative) one.
  * @param {Array<{playerId, position}>} team - Slot-based team
  * @param {Object} playerPool - PlayerPool instance
  * @param {Object} positionWeights - Position weights
+ * @param {number} uncertaintyFactor - Rating deviations subtracted per player (default: 0)
  * @returns {number} Team strength
  */
-export function calculateSlotTeamStrength(team, playerPool, positionWeights) {
+export function calculateSlotTeamStrength(team, playerPool, positionWeights, uncertaintyFactor = 0) {
     let totalStrength = 0;
 
     team.forEach(slot => {
-        const rating = playerPool.getPlayerRating(slot.playerId, slot.position);
+        let rating = playerPool.getPlayerRating(slot.playerId, slot.position);
+        if (uncertaintyFactor !== 0) {
+            rating -= uncertaintyFactor * playerPool.getRatingDeviation(slot.playerId, slot.position);
+        }
         const weight = positionWeights[slot.position] || 1.0;
         totalStrength += rating * weight;
     });
@@ -24,6 +35,27 @@ export function calculateSlotTeamStrength(team, playerPool, positionWeights) {
     return totalStrength;
 }
 
+/**
+ * Calculate the rating uncertainty of a team: the deviation of its weighted
+ * strength when player deviations are independent, sqrt(sum((weight * deviation)^2))
+ * @param {Array<{playerId, position}>} team - Slot-based team
+ * @param {Object} playerPool - PlayerPool instance
+ * @param {Object} positionWeights - Position weights
+ * @returns {number} Team strength deviation (0 when no player has a deviation)
+ */
+export function calculateSlotTeamUncertainty(team, playerPool, positionWeights) {
+    if (!playerPool.hasRatingDeviations()) return 0;
+
+    let variance = 0;
+    team.forEach(slot => {
+        const deviation = playerPool.getRatingDeviation(slot.playerId, slot.position);
+        const weight = positionWeights[slot.position] || 1.0;
+        variance += (deviation * weight) ** 2;
+    });
+
+    return Math.sqrt(variance);
+}
+
 /**
  * Calculate detailed team strength with ratings breakdown
  * @param {Array<{playerId, position}>} team - Slot-based team
@@ -69,118 +101,407 @@ export function calculateSlotTeamStrengthDetailed(team, playerPool, positionWeig
     };
 }
 
+/**
+ * Scale team strengths to the average team size, so a team of 7 is
+ * compared with a team of 8 per capita rather than by raw sum.
+ * Strengths of equally sized teams are returned unchanged.
+ * @param {Array<number>} strengths - Team strengths (sums)
+ * @param {Array<number>} sizes - Team sizes
+ * @returns {Array<number>} Size-adjusted strengths
+ */
+export function adjustStrengthsForTeamSize(strengths, sizes) {
+    if (sizes.every(size => size === sizes[0])) return strengths;
+
+    const averageSize = sizes.reduce((sum, size) => sum + size, 0) / sizes.length;
+    return strengths.map((strength, idx) => (sizes[idx] > 0 ? strength * averageSize / sizes[idx] : 0));
+}
+
 /**
  * Calculate team balance metrics (slot-based)
+ * Statistics are computed on size-adjusted strengths, which equal the raw
+ * team strengths unless the teams differ in size.
  * @param {Array<Array<{playerId, position}>>} teams - Slot-based teams
  * @param {Object} playerPool - PlayerPool instance
  * @param {Object} positionWeights - Position weights
- * @returns {{teamStrengths: Array, average: number, standardDeviation: number, difference: number}}
+ * @param {number} uncertaintyFactor - Pessimism of team strengths (see calculateSlotTeamStrength)
+ * @returns {{teamStrengths: Array, adjustedStrengths: Array, average: number, standardDeviation: number,
+ *   difference: number, teamUncertainties: Array, uncertaintySpread: number}}
  */
-export function calculateSlotTeamBalance(teams, playerPool, positionWeights) {
+export function calculateSlotTeamBalance(teams, playerPool, positionWeights, uncertaintyFactor = 0) {
     const teamStrengths = teams.map(team =>
-        calculateSlotTeamStrength(team, playerPool, positionWeights)
+        calculateSlotTeamStrength(team, playerPool, positionWeights, uncertaintyFactor)
     );
+    const adjustedStrengths = adjustStrengthsForTeamSize(teamStrengths, teams.map(team => team.length));
 
-    const average = teamStrengths.reduce((sum, strength) => sum + strength, 0) / teamStrengths.length;
+    const average = adjustedStrengths.reduce((sum, strength) => sum + strength, 0) / adjustedStrengths.length;
 
-    const squaredDiffs = teamStrengths.map(strength => Math.pow(strength - average, 2));
-    const variance = squaredDiffs.reduce((sum, diff) => sum + diff, 0) / teamStrengths.length;
+    const squaredDiffs = adjustedStrengths.map(strength => Math.pow(strength - average, 2));
+    const variance = squaredDiffs.reduce((sum, diff) => sum + diff, 0) / adjustedStrengths.length;
     const standardDeviation = Math.sqrt(variance);
 
-    const maxStrength = Math.max(...teamStrengths);
-    const minStrength = Math.min(...teamStrengths);
+    const maxStrength = Math.max(...adjustedStrengths);
+    const minStrength = Math.min(...adjustedStrengths);
     const difference = maxStrength - minStrength;
 
+    // Most minus least uncertain team: unknown players should not stack up on one team
+    const teamUncertainties = teams.map(team => calculateSlotTeamUncertainty(team, playerPool, positionWeights));
+    const uncertaintySpread = Math.max(...teamUncertainties) - Math.min(...teamUncertainties);
+
     return {
         teamStrengths,
+        adjustedStrengths,
         average,
         standardDeviation,
         difference,
         maxStrength,
-        minStrength
+        minStrength,
+        teamUncertainties,
+        uncertaintySpread
     };
 }
 
 /**
- * Evaluate solution quality (lower is better) - slot-based, FULL metrics.
- *
- * Optimizes 6 components (merged from the original 7):
- * 1. Base balance: stdDev + maxDiff (overall team strength variance)
- * 2. Position consistency: per-position rating variance between teams
- * 3. Fairness: top-player distribution across teams
- * 4. Role balance: importance-weighted (weight²) strength variance
- * 5. Depth: backup player quality (subtracted — higher is better)
+ * Pair teams into matches with the closest strengths
+ * Pairing neighbours in strength order (1st vs 2nd, 3rd vs 4th, ...) minimizes
+ * the squared strength differences over all possible pairings.
+ * @param {Array<number>} strengths - Team strengths (size-adjusted, see adjustStrengthsForTeamSize)
+ * @returns {Array<Array<number>>} Team indices of each match, strongest match first;
+ *   with an odd team count the weakest team is left without a match
+ */
+export function pairTeamsByStrength(strengths) {
+    const order = strengths
+        .map((strength, teamIdx) => ({ strength, teamIdx }))
+        .sort((a, b) => (b.strength - a.strength) || (a.teamIdx - b.teamIdx))
+        .map(({ teamIdx }) => teamIdx);
+
+    const pairs = [];
+    for (let i = 0; i + 1 < order.length; i += 2) {
+        pairs.push([order[i], order[i + 1]]);
+    }
+    return pairs;
+}
+
+/**
+ * Read a match-up graph: the pairs of teams that will play each other
+ * @param {Array|null} matchups - Edges as [teamA, teamB] or {teams: [teamA, teamB], weight}
+ *   (weight defaults to 1, e.g. 2 for a final that matters twice as much)
+ * @returns {Array<{teams: Array<number>, weight: number}>|null} Normalized edges, or null when none
+ * @throws {Error} When an edge is not a pair of distinct team indices or has a non-positive weight
+ */
+export function normalizeMatchups(matchups) {
+    if (matchups === undefined || matchups === null) return null;
+    if (!Array.isArray(matchups)) {
+        throw new Error('Matchups must be a list of [teamA, teamB] pairs');
+    }
+
+    const normalized = matchups.map(edge => {
+        const { teams, weight = 1 } = Array.isArray(edge) ? { teams: edge } : (edge || {});
+        if (!Array.isArray(teams) || teams.length !== 2 ||
+            !teams.every(teamIdx => Number.isInteger(teamIdx) && teamIdx >= 0) || teams[0] === teams[1]) {
+            throw new Error(`Invalid matchup ${JSON.stringify(edge)}: expected two different team indices`);
+        }
+        if (typeof weight !== 'number' || !Number.isFinite(weight) || weight <= 0) {
+            throw new Error(`Matchup weight must be a positive number, got ${weight}`);
+        }
+        return { teams: [teams[0], teams[1]], weight };
+    });
+
+    return normalized.length > 0 ? normalized : null;
+}
+
+/**
+ * Calculate how close each match is
+ * @param {Array<number>} strengths - Team strengths (size-adjusted)
+ * @param {Array<Array<number>>} pairs - Team indices of each match (see pairTeamsByStrength)
+ * @param {Array<number>|null} weights - Weight per match (default: all equal)
+ * @returns {{differences: Array<number>, penalty: number}} Strength difference per match, and the
+ *   (weighted) root mean square of those differences, so the most lopsided match weighs most
+ */
+export function calculateMatchBalance(strengths, pairs, weights = null) {
+    const differences = pairs.map(([a, b]) => Math.abs(strengths[a] - strengths[b]));
+
+    let weightedSquares = 0;
+    let totalWeight = 0;
+    differences.forEach((difference, idx) => {
+        const weight = weights ? weights[idx] : 1;
+        weightedSquares += weight * difference ** 2;
+        totalWeight += weight;
+    });
+    return { differences, penalty: totalWeight > 0 ? Math.sqrt(weightedSquares / totalWeight) : 0 };
+}
+
+/**
+ * Named components of the slot objective.
+ * Each component returns a penalty for slot-based teams (lower is better);
+ * the objective score is the weighted sum of all components. Components are
+ * called as (teams, context, shared), where context holds {playerPool,
+ * positionWeights, composition, topPlayerPercent, balanceAttributes,
+ * uncertaintyFactor, teammateHistory, matches, matchups} and
+ * shared is a per-evaluation cache for values that several components need.
+ */
+export const OBJECTIVE_COMPONENTS = {
+    // Strongest minus weakest team
+    difference: (teams, context, shared) => getSharedBalance(teams, context, shared).difference,
+
+    // Spread of all team strengths around the average
+    standardDeviation: (teams, context, shared) => getSharedBalance(teams, context, shared).standardDeviation,
+
+    // Strength difference within each match: along the given match-up graph,
+    // or over the closest pairing when teams are paired into matches
+    matchBalance: (teams, context, shared) => {
+        if (context.matchups) {
+            const { adjustedStrengths } = getSharedBalance(teams, context, shared);
+            return calculateMatchBalance(
+                adjustedStrengths,
+                context.matchups.map(edge => edge.teams),
+                context.matchups.map(edge => edge.weight)
+            ).penalty;
+        }
+        if (!context.matches) return 0;
+        const { adjustedStrengths } = getSharedBalance(teams, context, shared);
+        return calculateMatchBalance(adjustedStrengths, pairTeamsByStrength(adjustedStrengths)).penalty;
+    },
+
+    // Uneven spread of rating deviations (unknown players) across teams
+    uncertaintyBalance: (teams, context, shared) => getSharedBalance(teams, context, shared).uncertaintySpread,
+
+    // Per-position rating variance between teams
+    positionConsistency: (teams, { playerPool, composition, positionWeights }) => composition
+        ? calculateSlotPositionConsistency(teams, playerPool, composition, positionWeights)
+        : 0,
+
+    // Top-player distribution across teams
+    fairness: (teams, { playerPool, positionWeights, topPlayerPercent }) =>
+        calculateSlotFairness(teams, playerPool, positionWeights, topPlayerPercent),
+
+    // Importance-weighted (weight²) strength variance
+    roleBalance: (teams, { playerPool, positionWeights }) =>
+        calculateSlotRoleBalance(teams, playerPool, positionWeights),
+
+    // Backup player quality is a reward, so it enters the sum negated
+    depth: (teams, { playerPool, composition, positionWeights }) => composition
+        ? -calculateSlotDepth(teams, playerPool, composition, positionWeights)
+        : 0,
+
+    // Even spread of configured player attributes (see attributeBalanceUtils.js)
+    attributeBalance: (teams, { playerPool, balanceAttributes }) => balanceAttributes.length > 0
+        ? calculateAttributeBalance(teams, playerPool, balanceAttributes).penalty
+        : 0,
+
+    // Players placed below their 1st choice (see positionPreferenceUtils.js)
+    positionPreference: (teams, { playerPool }) => calculatePreferenceSatisfaction(teams, playerPool).penalty,
+
+    // Pairs who were already teammates (see teammateHistoryUtils.js)
+    teammateRepeat: (teams, { teammateHistory }) => calculateTeammateRepeatPenalty(teams, teammateHistory)
+};
+
+/**
+ * Default weight of each objective component
+ */
+export const DEFAULT_OBJECTIVE_WEIGHTS = {
+    difference: 1.0,
+    standardDeviation: 0.5,
+    matchBalance: 1.0,
+    uncertaintyBalance: 0.5,
+    positionConsistency: 0.4,
+    fairness: 0.3,
+    roleBalance: 0.15,
+    depth: 0.05,
+    attributeBalance: 1.0,
+    positionPreference: 0.4,
+    teammateRepeat: 1.0
+};
+
+/**
+ * Merge objective weights over the defaults
+ * @param {Object} weights - Component name -> weight (0 disables a component)
+ * @returns {Object} Complete weights for every component
+ * @throws {Error} On unknown component names or non-numeric weights
+ */
+export function resolveObjectiveWeights(weights = {}) {
+    const unknown = Object.keys(weights).filter(name => !(name in OBJECTIVE_COMPONENTS));
+    if (unknown.length > 0) {
+        throw new Error(`Unknown objective component: ${unknown.join(', ')}`);
+    }
+
+    const invalid = Object.entries(weights).filter(([, weight]) => !Number.isFinite(weight));
+    if (invalid.length > 0) {
+        throw new Error(`Objective weights must be finite numbers: ${invalid.map(([name]) => name).join(', ')}`);
+    }
+
+    return { ...DEFAULT_OBJECTIVE_WEIGHTS, ...weights };
+}
+
+/**
+ * Create the objective for one problem.
+ * The same objective drives the optimizers and the reported scores, so the
+ * score shown for a lineup is the score that was minimized.
+ * @param {Object} context - {playerPool, positionWeights, composition, topPlayerPercent, balanceAttributes,
+ *   uncertaintyFactor, teammateHistory, matches, matchups}
+ * @param {Object} weights - Component weights (merged over DEFAULT_OBJECTIVE_WEIGHTS)
+ * @returns {{weights: Object, evaluate: Function, breakdown: Function}} Objective
+ */
+export function createSlotObjective(context, weights = {}) {
+    const resolvedWeights = resolveObjectiveWeights(weights);
+    const componentContext = {
+        playerPool: context.playerPool,
+        positionWeights: context.positionWeights || {},
+        composition: context.composition || null,
+        topPlayerPercent: context.topPlayerPercent ?? 0.2,
+        balanceAttributes: normalizeBalanceAttributes(context.balanceAttributes),
+        uncertaintyFactor: context.uncertaintyFactor || 0,
+        teammateHistory: normalizeTeammateHistory(context.teammateHistory),
+        matches: Boolean(context.matches),
+        matchups: normalizeMatchups(context.matchups)
+    };
+
+    // Zero-weight components, and those whose input was not supplied (always 0),
+    // are skipped in the hot path
+    const activeComponents = Object.entries(resolvedWeights).filter(([name, weight]) =>
+        weight !== 0 && (!COMPONENT_INPUTS[name] || COMPONENT_INPUTS[name](componentContext))
+    );
+
+    return {
+        weights: resolvedWeights,
+
+        /**
+         * @param {Array<Array<{playerId, position}>>} teams - Slot-based teams
+         * @returns {number} Objective score (lower is better)
+         */
+        evaluate(teams) {
+            const shared = {};
+            let score = 0;
+            for (const [name, weight] of activeComponents) {
+                score += OBJECTIVE_COMPONENTS[name](teams, componentContext, shared) * weight;
+            }
+            return score;
+        },
+
+        /**
+         * @param {Array<Array<{playerId, position}>>} teams - Slot-based teams
+         * @returns {{score: number, components: Object}} Score and per-component
+         *   {value, weight, contribution}
+         */
+        breakdown(teams) {
+            const shared = {};
+            const components = {};
+            let score = 0;
+            for (const [name, weight] of Object.entries(resolvedWeights)) {
+                const value = OBJECTIVE_COMPONENTS[name](teams, componentContext, shared);
+                const contribution = weight !== 0 ? value * weight : 0;
+                components[name] = { value, weight, contribution };
+                score += contribution;
+            }
+            return { score, components };
+        }
+    };
+}
+
+/**
+ * Input checks for components that score 0 unless the problem supplies their data
+ */
+const COMPONENT_INPUTS = {
+    matchBalance: ({ matches, matchups }) => matches || matchups !== null,
+    attributeBalance: ({ balanceAttributes }) => balanceAttributes.length > 0,
+    positionPreference: ({ playerPool }) => playerPool.getAllPlayers()
+        .some(player => Array.isArray(player.positionPreferences) && player.positionPreferences.length > 0),
+    teammateRepeat: ({ teammateHistory }) => teammateHistory !== null
+};
+
+/**
+ * evaluateSlotSolution() parameter names from before the named-component
+ * objective, and the components they now weight
+ */
+const LEGACY_WEIGHT_KEYS = {
+    varianceWeight: 'standardDeviation',
+    positionConsistencyWeight: 'positionConsistency',
+    fairnessWeight: 'fairness',
+    roleBalanceWeight: 'roleBalance',
+    depthWeight: 'depth'
+};
+
+/**
+ * Evaluate solution quality (lower is better) with the slot objective.
+ * Convenience wrapper for one-off scoring; optimizers use getSlotEvaluator().
  *
  * @param {Array<Array<{playerId, position}>>} teams - Slot-based teams
  * @param {Object} playerPool - PlayerPool instance
  * @param {Object} positionWeights - Position weights
- * @param {Object} composition - Position composition (e.g. {S:1, OH:2, MB:2, L:1})
- * @param {Object} params - Evaluation parameters (weights)
+ * @param {Object|Array<Object>} composition - Position composition (e.g. {S:1, OH:2, MB:2, L:1}), or one per team
+ * @param {Object} params - Component weights (see DEFAULT_OBJECTIVE_WEIGHTS), topPlayerPercent and
+ *   matchups (match-up graph scored by matchBalance, see normalizeMatchups).
+ *   The old varianceWeight, positionConsistencyWeight, fairnessWeight, roleBalanceWeight and
+ *   depthWeight keys are deprecated aliases for standardDeviation, positionConsistency, fairness,
+ *   roleBalance and depth; the component name wins when both are given.
  * @returns {number} Quality score (lower is better)
  */
 export function evaluateSlotSolution(teams, playerPool, positionWeights, composition = null, params = {}) {
-    const {
-        varianceWeight = 0.5,
-        positionConsistencyWeight = 0.4,
-        fairnessWeight = 0.3,
-        roleBalanceWeight = 0.15,
-        depthWeight = 0.05,
-        topPlayerPercent = 0.2
-    } = params;
-
-    // 1. Base balance (~60 ops)
-    const balance = calculateSlotTeamBalance(teams, playerPool, positionWeights);
-    let score = balance.difference + balance.standardDeviation * varianceWeight;
-
-    // 2. Position consistency (~140 ops)
-    if (positionConsistencyWeight > 0 && composition) {
-        score += calculateSlotPositionConsistency(teams, playerPool, composition, positionWeights)
-                 * positionConsistencyWeight;
-    }
-
-    // 3. Fairness (~200 ops)
-    if (fairnessWeight > 0) {
-        score += calculateSlotFairness(teams, playerPool, positionWeights, topPlayerPercent)
-                 * fairnessWeight;
+    const { topPlayerPercent, matchups, ...rest } = params;
+    const weights = {};
+    for (const [key, weight] of Object.entries(rest)) {
+        const component = LEGACY_WEIGHT_KEYS[key];
+        if (!component) {
+            weights[key] = weight;
+        } else if (!(component in rest)) {
+            weights[component] = weight;
+        }
     }
+    return createSlotObjective(
+        { playerPool, positionWeights, composition, topPlayerPercent, matchups },
+        weights
+    ).evaluate(teams);
+}
 
-    // 4. Role balance (~30 ops)
-    if (roleBalanceWeight > 0) {
-        score += calculateSlotRoleBalance(teams, playerPool, positionWeights)
-                 * roleBalanceWeight;
+/**
+ * Team balance shared by the difference and standardDeviation components
+ */
+function getSharedBalance(teams, { playerPool, positionWeights, uncertaintyFactor }, shared) {
+    if (!shared.balance) {
+        shared.balance = calculateSlotTeamBalance(teams, playerPool, positionWeights, uncertaintyFactor);
     }
+    return shared.balance;
+}
 
-    // 5. Depth (~200 ops, only for positions with 2+ players)
-    if (depthWeight > 0 && composition) {
-        score -= calculateSlotDepth(teams, playerPool, composition, positionWeights)
-                 * depthWeight;
+/**
+ * Get the objective optimizers should minimize for a problem context.
+ * Uses problemContext.evaluate when the service supplied a custom objective,
+ * otherwise the slot objective with problemContext.objectiveWeights.
+ * @param {Object} problemContext - Problem context
+ * @returns {function(Array<Array<{playerId, position}>>): number} Objective (lower is better)
+ */
+export function getSlotEvaluator(problemContext) {
+    if (typeof problemContext.evaluate === 'function') {
+        return problemContext.evaluate;
     }
 
-    return score;
+    return createSlotObjective(problemContext, problemContext.objectiveWeights).evaluate;
 }
 
 /**
  * Per-position rating variance between teams (lower is better).
  * Ensures each position is balanced, not just total team strength.
+ * Teams that field no player at a position (per-team compositions, or a
+ * position range down to zero) are left out of its variance.
  */
 function calculateSlotPositionConsistency(teams, playerPool, composition, positionWeights) {
     let totalWeightedVariance = 0;
     let totalWeight = 0;
 
-    for (const [position, count] of Object.entries(composition)) {
+    for (const [position, count] of Object.entries(getPositionTotals(composition, teams.length))) {
         if (!count) continue;
         const weight = positionWeights[position] || 1.0;
 
-        const teamAvgs = teams.map(team => {
+        const teamsWithPosition = teams.filter(team => team.some(s => s.position === position));
+        if (teamsWithPosition.length === 0) continue;
+        const teamAvgs = teamsWithPosition.map(team => {
             const slots = team.filter(s => s.position === position);
-            if (slots.length === 0) return 0;
             const sum = slots.reduce((s, slot) =>
                 s + playerPool.getPlayerRating(slot.playerId, position), 0);
             return sum / slots.length;
         });
 
-        const avg = teamAvgs.reduce((a, b) => a + b, 0) / teams.length;
-        const variance = teamAvgs.reduce((s, v) => s + (v - avg) ** 2, 0) / teams.length;
+        const avg = teamAvgs.reduce((a, b) => a + b, 0) / teamsWithPosition.length;
+        const variance = teamAvgs.reduce((s, v) => s + (v - avg) ** 2, 0) / teamsWithPosition.length;
         totalWeightedVariance += variance * weight;
         totalWeight += weight;
     }
@@ -190,7 +511,8 @@ function calculateSlotPositionConsistency(teams, playerPool, composition, positi
 
 /**
  * Top-player distribution fairness (lower is better).
- * Measures variance in top-player count across teams from ideal equal distribution.
+ * Measures variance in top-player count across teams from the ideal
+ * distribution, which is proportional to team size.
  */
 function calculateSlotFairness(teams, playerPool, positionWeights, topPercent) {
     const allRatings = [];
@@ -208,8 +530,10 @@ function calculateSlotFairness(teams, playerPool, positionWeights, topPercent) {
     const topPerTeam = new Array(teams.length).fill(0);
     allRatings.slice(0, topCount).forEach(r => topPerTeam[r.teamIdx]++);
 
-    const ideal = topCount / teams.length;
-    const variance = topPerTeam.reduce((s, c) => s + (c - ideal) ** 2, 0) / teams.length;
+    const variance = topPerTeam.reduce((s, c, teamIdx) => {
+        const ideal = topCount * teams[teamIdx].length / allRatings.length;
+        return s + (c - ideal) ** 2;
+    }, 0) / teams.length;
     return Math.sqrt(variance) * 100;
 }
 
@@ -237,11 +561,11 @@ function calculateSlotRoleBalance(teams, playerPool, positionWeights) {
  * For positions with 2+ players, measures average quality of non-best players.
  */
 function calculateSlotDepth(teams, playerPool, composition, positionWeights) {
-    const teamDepths = teams.map(team => {
+    const teamDepths = teams.map((team, teamIdx) => {
         let depthSum = 0;
         let posCount = 0;
 
-        for (const [position, count] of Object.entries(composition)) {
+        for (const [position, count] of Object.entries(getTeamComposition(composition, teamIdx))) {
             if (!count || count <= 1) continue;
 
             const slots = team.filter(s => s.position === position);
@@ -5,32 +5,44 @@
  * - No duplicate player objects
  * - Teams are arrays of {playerId, position} slots
  * - PlayerPool provides single source of truth
+ * - Locked players are placed first, pairing constraints are repaired after construction
+ * - Compositions may differ per team (see configHelpers.js), so per-team
+ *   counts are looked up for each team while totals drive scarcity
+ * - Randomization draws from an optional random source (see random.js)
+ * - Greedy results that leave slots empty are replaced by a matching of
+ *   players to slots, which fills every slot whenever the players can
  */
 
+import { createLockedTeams, repairSlotConstraints } from './slotConstraintUtils.js';
+import { getTeamCompositions, getPositionTotals } from './configHelpers.js';
+import { BENCH_POSITION } from './benchUtils.js';
+import { validateAllSlotTeamsComposition } from './teamSlotUtils.js';
+
 /**
- * Sort positions by scarcity (scarcer positions first).
+ * Positions needed by any team, as [position, total over all teams],
+ * sorted by scarcity (scarcer positions first).
  * This prevents multi-position players from being consumed by common positions
  * before scarcer positions are filled.
- * @param {Array<[string, number]>} positionOrder - Array of [position, count]
+ * @param {Object|Array<Object>} composition - Shared or per-team composition
  * @param {number} teamCount - Number of teams
  * @param {Object} playerPool - PlayerPool instance
  * @returns {Array<[string, number]>} Sorted position order
  */
-function sortPositionsByScarcity(positionOrder, teamCount, playerPool) {
-    return positionOrder.sort((a, b) => {
-        const [posA, countA] = a;
-        const [posB, countB] = b;
-        const availableA = playerPool.getPlayerIdsForPosition(posA).length;
-        const availableB = playerPool.getPlayerIdsForPosition(posB).length;
-        const scarcityA = availableA / (countA * teamCount);
-        const scarcityB = availableB / (countB * teamCount);
-        return scarcityA - scarcityB; // Scarcer first
-    });
+function getPositionOrderByScarcity(composition, teamCount, playerPool) {
+    return Object.entries(getPositionTotals(composition, teamCount))
+        .filter(([, total]) => total > 0)
+        .sort((a, b) => {
+            const [posA, totalA] = a;
+            const [posB, totalB] = b;
+            const availableA = playerPool.getPlayerIdsForPosition(posA).length;
+            const availableB = playerPool.getPlayerIdsForPosition(posB).length;
+            return availableA / totalA - availableB / totalB; // Scarcer first
+        });
 }
 
 /**
  * Calculate position scarcity for smart allocation
- * @param {Object} composition - Position requirements
+ * @param {Object|Array<Object>} composition - Position requirements, shared or per team
  * @param {number} teamCount - Number of teams
  * @param {Object} playerPool - PlayerPool instance
  * @param {Set} usedIds - Already allocated player IDs
@@ -39,13 +51,12 @@ function sortPositionsByScarcity(positionOrder, teamCount, playerPool) {
 function calculatePositionScarcity(composition, teamCount, playerPool, usedIds) {
     const scarcity = {};
 
-    Object.entries(composition).forEach(([position, neededPerTeam]) => {
-        if (!neededPerTeam || neededPerTeam === 0) {
+    Object.entries(getPositionTotals(composition, teamCount)).forEach(([position, totalNeeded]) => {
+        if (!totalNeeded) {
             scarcity[position] = Infinity;
             return;
         }
 
-        const totalNeeded = neededPerTeam * teamCount;
         const availableIds = playerPool.getPlayerIdsForPosition(position)
             .filter(id => !usedIds.has(id));
         const availableCount = availableIds.length;
@@ -58,38 +69,44 @@ function calculatePositionScarcity(composition, teamCount, playerPool, usedIds)
 
 /**
  * Create a smart solution using slot-based structure
- * @param {Object} composition - Position composition
+ * @param {Object|Array<Object>} composition - Position composition, shared or one per team
  * @param {number} teamCount - Number of teams
  * @param {Object} playerPool - PlayerPool instance
  * @param {boolean} randomize - Add randomization
+ * @param {Object|null} constraints - Normalized constraints (optional)
+ * @param {function(): number} random - Random source (optional, defaults to Math.random)
  * @returns {Array<Array<{playerId, position}>>} Slot-based teams
  */
-export function createSmartSlotSolution(composition, teamCount, playerPool, randomize = false) {
-    const teams = Array.from({ length: teamCount }, () => []);
-    const usedIds = new Set();
+export function createSmartSlotSolution(composition, teamCount, playerPool, randomize = false, constraints = null, random = Math.random) {
+    const { teams, usedIds } = createLockedTeams(composition, teamCount, playerPool, constraints);
+    const teamCompositions = getTeamCompositions(composition, teamCount);
+
+    const positionsNeeded = Object.entries(getPositionTotals(composition, teamCount))
+        .filter(([, total]) => total > 0)
+        .map(([pos]) => ({ position: pos }));
 
-    const positionsNeeded = Object.entries(composition)
-        .filter(([, count]) => count && count > 0)
-        .map(([pos, count]) => ({ position: pos, count }));
+    // Anyone can take a bench slot, so it does not count towards versatility
+    const countPositions = playerId =>
+        playerPool.getPlayer(playerId).positions.filter(pos => pos !== BENCH_POSITION).length;
 
     // Phase 1: Allocate specialist players (one position only)
-    positionsNeeded.forEach(({ position, count: neededCount }) => {
+    positionsNeeded.forEach(({ position }) => {
+        if (position === BENCH_POSITION) return;
+
         const playerIds = playerPool.getPlayerIdsForPosition(position)
-            .filter(id => {
-                const player = playerPool.getPlayer(id);
-                return !usedIds.has(id) && player.positions.length === 1;
-            })
+            .filter(id => !usedIds.has(id) && countPositions(id) === 1)
             .sort((a, b) => {
                 const aRating = playerPool.getPlayerRating(a, position);
                 const bRating = playerPool.getPlayerRating(b, position);
                 if (randomize) {
-                    return (bRating + (Math.random() - 0.5) * 30) - (aRating + (Math.random() - 0.5) * 30);
+                    return (bRating + (random() - 0.5) * 30) - (aRating + (random() - 0.5) * 30);
                 }
                 return bRating - aRating;
             });
 
         let playerIdx = 0;
         for (let teamIdx = 0; teamIdx < teamCount && playerIdx < playerIds.length; teamIdx++) {
+            const neededCount = teamCompositions[teamIdx][position] || 0;
             for (let slot = 0; slot < neededCount && playerIdx < playerIds.length; slot++) {
                 const currentCount = teams[teamIdx].filter(s => s.position === position).length;
                 if (currentCount < neededCount) {
@@ -113,15 +130,18 @@ export function createSmartSlotSolution(composition, teamCount, playerPool, rand
         const positionsByScarcity = positionsNeeded
             .map(({ position }) => ({ position, scarcity: scarcity[position] }))
             .filter(({ scarcity }) => scarcity < Infinity)
-            .sort((a, b) => a.scarcity - b.scarcity);
+            .sort((a, b) => ((a.position === BENCH_POSITION) - (b.position === BENCH_POSITION)) || (a.scarcity - b.scarcity));
 
         for (const { position } of positionsByScarcity) {
-            const neededCount = composition[position];
+            // Bench slots wait until every other position is filled
+            if (position === BENCH_POSITION && madeProgress) continue;
+
+            const neededFor = teamIdx => teamCompositions[teamIdx][position] || 0;
 
             let needsMore = false;
             for (let teamIdx = 0; teamIdx < teamCount; teamIdx++) {
                 const currentCount = teams[teamIdx].filter(s => s.position === position).length;
-                if (currentCount < neededCount) {
+                if (currentCount < neededFor(teamIdx)) {
                     needsMore = true;
                     break;
                 }
@@ -132,17 +152,14 @@ export function createSmartSlotSolution(composition, teamCount, playerPool, rand
             const availablePlayerIds = playerPool.getPlayerIdsForPosition(position)
                 .filter(id => !usedIds.has(id))
                 .sort((a, b) => {
-                    const playerA = playerPool.getPlayer(a);
-                    const playerB = playerPool.getPlayer(b);
-
-                    if (playerA.positions.length !== playerB.positions.length) {
-                        return playerA.positions.length - playerB.positions.length;
+                    if (countPositions(a) !== countPositions(b)) {
+                        return countPositions(a) - countPositions(b);
                     }
 
                     const aRating = playerPool.getPlayerRating(a, position);
                     const bRating = playerPool.getPlayerRating(b, position);
                     if (randomize) {
-                        return (bRating + (Math.random() - 0.5) * 30) - (aRating + (Math.random() - 0.5) * 30);
+                        return (bRating + (random() - 0.5) * 30) - (aRating + (random() - 0.5) * 30);
                     }
                     return bRating - aRating;
                 });
@@ -152,7 +169,7 @@ export function createSmartSlotSolution(composition, teamCount, playerPool, rand
             for (let teamIdx = 0; teamIdx < teamCount && availablePlayerIds.length > 0; teamIdx++) {
                 const currentCount = teams[teamIdx].filter(s => s.position === position).length;
 
-                if (currentCount < neededCount) {
+                if (currentCount < neededFor(teamIdx)) {
                     const playerId = availablePlayerIds.shift();
                     teams[teamIdx].push({ playerId, position });
                     usedIds.add(playerId);
@@ -164,44 +181,45 @@ export function createSmartSlotSolution(composition, teamCount, playerPool, rand
         if (!madeProgress) break;
     }
 
-    return teams;
+    return repairSlotConstraints(teams, constraints, playerPool);
 }
 
 /**
  * Create greedy solution (strongest players first)
- * @param {Object} composition - Position composition
+ * @param {Object|Array<Object>} composition - Position composition, shared or one per team
  * @param {number} teamCount - Number of teams
  * @param {Object} playerPool - PlayerPool instance
  * @param {boolean} randomize - Add randomization
+ * @param {Object|null} constraints - Normalized constraints (optional)
+ * @param {function(): number} random - Random source (optional, defaults to Math.random)
  * @returns {Array<Array<{playerId, position}>>} Slot-based teams
  */
-export function createGreedySlotSolution(composition, teamCount, playerPool, randomize = false) {
-    const teams = Array.from({ length: teamCount }, () => []);
-    const usedIds = new Set();
+export function createGreedySlotSolution(composition, teamCount, playerPool, randomize = false, constraints = null, random = Math.random) {
+    const { teams, usedIds } = createLockedTeams(composition, teamCount, playerPool, constraints);
 
-    let positionOrder = Object.keys(composition)
-        .map(pos => [pos, composition[pos]])
-        .filter(([, count]) => count && count > 0);
+    const teamCompositions = getTeamCompositions(composition, teamCount);
 
     // Always sort by scarcity to prevent multi-position players being consumed
     // by common positions before scarcer ones. Randomness comes from player selection.
-    sortPositionsByScarcity(positionOrder, teamCount, playerPool);
+    const positionOrder = getPositionOrderByScarcity(composition, teamCount, playerPool);
 
-    positionOrder.forEach(([position, neededCount]) => {
+    positionOrder.forEach(([position]) => {
+        const neededFor = teamIdx => teamCompositions[teamIdx][position] || 0;
         const playerIds = playerPool.getPlayerIdsForPosition(position)
             .filter(id => !usedIds.has(id))
             .sort((a, b) => {
                 const aRating = playerPool.getPlayerRating(a, position);
                 const bRating = playerPool.getPlayerRating(b, position);
                 if (randomize) {
-                    return (bRating + (Math.random() - 0.5) * 50) - (aRating + (Math.random() - 0.5) * 50);
+                    return (bRating + (random() - 0.5) * 50) - (aRating + (random() - 0.5) * 50);
                 }
                 return bRating - aRating;
             });
 
         let playerIdx = 0;
         for (let teamIdx = 0; teamIdx < teamCount; teamIdx++) {
-            for (let slot = 0; slot < neededCount; slot++) {
+            // Start after slots already taken by locked players
+            for (let slot = teams[teamIdx].filter(s => s.position === position).length; slot < neededFor(teamIdx); slot++) {
                 if (playerIdx < playerIds.length) {
                     teams[teamIdx].push({ playerId: playerIds[playerIdx], position });
                     usedIds.add(playerIds[playerIdx]);
@@ -211,48 +229,51 @@ export function createGreedySlotSolution(composition, teamCount, playerPool, ran
         }
     });
 
-    return teams;
+    return repairSlotConstraints(teams, constraints, playerPool);
 }
 
 /**
  * Create balanced solution (round-robin)
- * @param {Object} composition - Position composition
+ * @param {Object|Array<Object>} composition - Position composition, shared or one per team
  * @param {number} teamCount - Number of teams
  * @param {Object} playerPool - PlayerPool instance
  * @param {boolean} randomize - Add randomization
+ * @param {Object|null} constraints - Normalized constraints (optional)
+ * @param {function(): number} random - Random source (optional, defaults to Math.random)
  * @returns {Array<Array<{playerId, position}>>} Slot-based teams
  */
-export function createBalancedSlotSolution(composition, teamCount, playerPool, randomize = false) {
-    const teams = Array.from({ length: teamCount }, () => []);
-    const usedIds = new Set();
+export function createBalancedSlotSolution(composition, teamCount, playerPool, randomize = false, constraints = null, random = Math.random) {
+    const { teams, usedIds } = createLockedTeams(composition, teamCount, playerPool, constraints);
 
-    let positionOrder = Object.keys(composition)
-        .map(pos => [pos, composition[pos]])
-        .filter(([, count]) => count && count > 0);
+    const teamCompositions = getTeamCompositions(composition, teamCount);
 
     // Always sort by scarcity to prevent multi-position players being consumed
     // by common positions before scarcer ones. Randomness comes from player selection.
-    sortPositionsByScarcity(positionOrder, teamCount, playerPool);
+    const positionOrder = getPositionOrderByScarcity(composition, teamCount, playerPool);
 
-    positionOrder.forEach(([position, neededCount]) => {
+    positionOrder.forEach(([position]) => {
+        const neededFor = teamIdx => teamCompositions[teamIdx][position] || 0;
         const playerIds = playerPool.getPlayerIdsForPosition(position)
             .filter(id => !usedIds.has(id))
             .sort((a, b) => {
                 const aRating = playerPool.getPlayerRating(a, position);
                 const bRating = playerPool.getPlayerRating(b, position);
                 if (randomize) {
-                    return (bRating + (Math.random() - 0.5) * 40) - (aRating + (Math.random() - 0.5) * 40);
+                    return (bRating + (random() - 0.5) * 40) - (aRating + (random() - 0.5) * 40);
                 }
                 return bRating - aRating;
             });
 
         let playerIdx = 0;
-        const startOffset = randomize ? Math.floor(Math.random() * teamCount) : 0;
+        const startOffset = randomize ? Math.floor(random() * teamCount) : 0;
+
+        const rounds = Math.max(...teamCompositions.map(teamComposition => teamComposition[position] || 0));
 
-        for (let round = 0; round < neededCount; round++) {
+        for (let round = 0; round < rounds; round++) {
             for (let i = 0; i < teamCount; i++) {
                 const teamIdx = (i + startOffset) % teamCount;
-                if (playerIdx < playerIds.length) {
+                const currentCount = teams[teamIdx].filter(s => s.position === position).length;
+                if (currentCount < neededFor(teamIdx) && playerIdx < playerIds.length) {
                     teams[teamIdx].push({ playerId: playerIds[playerIdx], position });
                     usedIds.add(playerIds[playerIdx]);
                     playerIdx++;
@@ -261,30 +282,30 @@ export function createBalancedSlotSolution(composition, teamCount, playerPool, r
         }
     });
 
-    return teams;
+    return repairSlotConstraints(teams, constraints, playerPool);
 }
 
 /**
  * Create snake draft solution
- * @param {Object} composition - Position composition
+ * @param {Object|Array<Object>} composition - Position composition, shared or one per team
  * @param {number} teamCount - Number of teams
  * @param {Object} playerPool - PlayerPool instance
  * @param {boolean} randomize - Add randomization
+ * @param {Object|null} constraints - Normalized constraints (optional)
+ * @param {function(): number} random - Random source (optional, defaults to Math.random)
  * @returns {Array<Array<{playerId, position}>>} Slot-based teams
  */
-export function createSnakeDraftSlotSolution(composition, teamCount, playerPool, randomize = false) {
-    const teams = Array.from({ length: teamCount }, () => []);
-    const usedIds = new Set();
+export function createSnakeDraftSlotSolution(composition, teamCount, playerPool, randomize = false, constraints = null, random = Math.random) {
+    const { teams, usedIds } = createLockedTeams(composition, teamCount, playerPool, constraints);
 
-    let positionOrder = Object.keys(composition)
-        .map(pos => [pos, composition[pos]])
-        .filter(([, count]) => count && count > 0);
+    const teamCompositions = getTeamCompositions(composition, teamCount);
 
     // Always sort by scarcity to prevent multi-position players being consumed
     // by common positions before scarcer ones. Randomness comes from player selection.
-    sortPositionsByScarcity(positionOrder, teamCount, playerPool);
+    const positionOrder = getPositionOrderByScarcity(composition, teamCount, playerPool);
 
-    positionOrder.forEach(([position, neededCount]) => {
+    positionOrder.forEach(([position]) => {
+        const neededFor = teamIdx => teamCompositions[teamIdx][position] || 0;
         const playerIds = playerPool.getPlayerIdsForPosition(position)
             .filter(id => !usedIds.has(id))
             .sort((a, b) => {
@@ -298,13 +319,13 @@ export function createSnakeDraftSlotSolution(composition, teamCount, playerPool,
                 const aRating = playerPool.getPlayerRating(a, position);
                 const bRating = playerPool.getPlayerRating(b, position);
                 if (randomize) {
-                    return (bRating + (Math.random() - 0.5) * 30) - (aRating + (Math.random() - 0.5) * 30);
+                    return (bRating + (random() - 0.5) * 30) - (aRating + (random() - 0.5) * 30);
                 }
                 return bRating - aRating;
             });
 
         let playerIdx = 0;
-        let round = randomize && Math.random() > 0.5 ? 1 : 0;
+        let round = randomize && random() > 0.5 ? 1 : 0;
 
         while (playerIdx < playerIds.length) {
             const isReverseRound = round % 2 === 1;
@@ -313,7 +334,7 @@ export function createSnakeDraftSlotSolution(composition, teamCount, playerPool,
                 const teamIdx = isReverseRound ? (teamCount - 1 - slotInRound) : slotInRound;
                 const currentCount = teams[teamIdx].filter(s => s.position === position).length;
 
-                if (currentCount < neededCount && playerIdx < playerIds.length) {
+                if (currentCount < neededFor(teamIdx) && playerIdx < playerIds.length) {
                     teams[teamIdx].push({ playerId: playerIds[playerIdx], position });
                     usedIds.add(playerIds[playerIdx]);
                     playerIdx++;
@@ -325,30 +346,29 @@ export function createSnakeDraftSlotSolution(composition, teamCount, playerPool,
         }
     });
 
-    return teams;
+    return repairSlotConstraints(teams, constraints, playerPool);
 }
 
 /**
  * Create random solution
- * @param {Object} composition - Position composition
+ * @param {Object|Array<Object>} composition - Position composition, shared or one per team
  * @param {number} teamCount - Number of teams
  * @param {Object} playerPool - PlayerPool instance
+ * @param {Object|null} constraints - Normalized constraints (optional)
+ * @param {function(): number} random - Random source (optional, defaults to Math.random)
  * @returns {Array<Array<{playerId, position}>>} Slot-based teams
  */
-export function createRandomSlotSolution(composition, teamCount, playerPool) {
-    const teams = Array.from({ length: teamCount }, () => []);
-    const usedIds = new Set();
+export function createRandomSlotSolution(composition, teamCount, playerPool, constraints = null, random = Math.random) {
+    const { teams, usedIds } = createLockedTeams(composition, teamCount, playerPool, constraints);
 
-    let positionOrder = Object.keys(composition)
-        .map(pos => [pos, composition[pos]])
-        .filter(([, count]) => count && count > 0);
+    const teamCompositions = getTeamCompositions(composition, teamCount);
 
     // Sort by scarcity to prevent multi-position players being consumed
     // by common positions before scarcer ones
-    sortPositionsByScarcity(positionOrder, teamCount, playerPool);
+    const positionOrder = getPositionOrderByScarcity(composition, teamCount, playerPool);
 
-    positionOrder.forEach(([position, neededCount]) => {
-        if (neededCount === 0) return;
+    positionOrder.forEach(([position]) => {
+        const neededFor = teamIdx => teamCompositions[teamIdx][position] || 0;
 
         const playerIds = playerPool.getPlayerIdsForPosition(position)
             .filter(id => !usedIds.has(id));
@@ -366,11 +386,11 @@ export function createRandomSlotSolution(composition, teamCount, playerPool) {
 
         // Shuffle each group separately
         for (let i = specialists.length - 1; i > 0; i--) {
-            const j = Math.floor(Math.random() * (i + 1));
+            const j = Math.floor(random() * (i + 1));
             [specialists[i], specialists[j]] = [specialists[j], specialists[i]];
         }
         for (let i = multiPos.length - 1; i > 0; i--) {
-            const j = Math.floor(Math.random() * (i + 1));
+            const j = Math.floor(random() * (i + 1));
             [multiPos[i], multiPos[j]] = [multiPos[j], multiPos[i]];
         }
 
@@ -379,7 +399,8 @@ export function createRandomSlotSolution(composition, teamCount, playerPool) {
 
         let playerIdx = 0;
         for (let teamIdx = 0; teamIdx < teamCount; teamIdx++) {
-            for (let slot = 0; slot < neededCount; slot++) {
+            // Start after slots already taken by locked players
+            for (let slot = teams[teamIdx].filter(s => s.position === position).length; slot < neededFor(teamIdx); slot++) {
                 if (playerIdx < sortedPlayerIds.length) {
                     teams[teamIdx].push({ playerId: sortedPlayerIds[playerIdx], position });
                     usedIds.add(sortedPlayerIds[playerIdx]);
@@ -389,23 +410,82 @@ export function createRandomSlotSolution(composition, teamCount, playerPool) {
         }
     });
 
-    return teams;
+    return repairSlotConstraints(teams, constraints, playerPool);
+}
+
+/**
+ * Create a solution by matching players to the open slots with augmenting
+ * paths: it fills every slot whenever the unlocked players can fill them,
+ * which the greedy generators miss on tight compositions (e.g. uneven teams
+ * where several players are the only ones for a position they share)
+ * @param {Object|Array<Object>} composition - Position composition, shared or one per team
+ * @param {number} teamCount - Number of teams
+ * @param {Object} playerPool - PlayerPool instance
+ * @param {Object|null} constraints - Normalized constraints (optional)
+ * @param {function(): number} random - Random source (optional, defaults to Math.random)
+ * @returns {Array<Array<{playerId, position}>>} Slot-based teams
+ */
+export function createMatchedSlotSolution(composition, teamCount, playerPool, constraints = null, random = Math.random) {
+    const { teams, usedIds } = createLockedTeams(composition, teamCount, playerPool, constraints);
+
+    const slots = [];
+    getTeamCompositions(composition, teamCount).forEach((teamComposition, teamIdx) => {
+        Object.entries(teamComposition).forEach(([position, count]) => {
+            const taken = teams[teamIdx].filter(s => s.position === position).length;
+            for (let i = taken; i < (count || 0); i++) slots.push({ teamIdx, position });
+        });
+    });
+
+    const playerIds = playerPool.getAllPlayers().map(p => p.id).filter(id => !usedIds.has(id));
+    for (let i = playerIds.length - 1; i > 0; i--) {
+        const j = Math.floor(random() * (i + 1));
+        [playerIds[i], playerIds[j]] = [playerIds[j], playerIds[i]];
+    }
+
+    const slotOwner = new Array(slots.length).fill(null);
+    const place = (playerId, visited) => {
+        for (let s = 0; s < slots.length; s++) {
+            if (visited[s] || !playerPool.canPlayPosition(playerId, slots[s].position)) continue;
+            visited[s] = true;
+            if (slotOwner[s] === null || place(slotOwner[s], visited)) {
+                slotOwner[s] = playerId;
+                return true;
+            }
+        }
+        return false;
+    };
+
+    for (const playerId of playerIds) {
+        if (slotOwner.every(owner => owner !== null)) break;
+        place(playerId, new Array(slots.length).fill(false));
+    }
+
+    slotOwner.forEach((playerId, s) => {
+        if (playerId !== null) teams[slots[s].teamIdx].push({ playerId, position: slots[s].position });
+    });
+
+    return repairSlotConstraints(teams, constraints, playerPool);
 }
 
 /**
- * Generate multiple initial solutions
- * @param {Object} composition - Position composition
+ * Generate multiple initial solutions; any that leaves slots empty is
+ * replaced by createMatchedSlotSolution()
+ * @param {Object|Array<Object>} composition - Position composition, shared or one per team
  * @param {number} teamCount - Number of teams
  * @param {Object} playerPool - PlayerPool instance
+ * @param {Object|null} constraints - Normalized constraints (optional)
+ * @param {function(): number} random - Random source (optional, defaults to Math.random)
  * @returns {Array<Array<Array<{playerId, position}>>>} Array of initial solutions
  */
-export function generateInitialSlotSolutions(composition, teamCount, playerPool) {
+export function generateInitialSlotSolutions(composition, teamCount, playerPool, constraints = null, random = Math.random) {
     return [
-        createSmartSlotSolution(composition, teamCount, playerPool, true),
-        createSmartSlotSolution(composition, teamCount, playerPool, true),
-        createGreedySlotSolution(composition, teamCount, playerPool, true),
-        createBalancedSlotSolution(composition, teamCount, playerPool, true),
-        createSnakeDraftSlotSolution(composition, teamCount, playerPool, true),
-        createRandomSlotSolution(composition, teamCount, playerPool)
-    ];
+        createSmartSlotSolution(composition, teamCount, playerPool, true, constraints, random),
+        createSmartSlotSolution(composition, teamCount, playerPool, true, constraints, random),
+        createGreedySlotSolution(composition, teamCount, playerPool, true, constraints, random),
+        createBalancedSlotSolution(composition, teamCount, playerPool, true, constraints, random),
+        createSnakeDraftSlotSolution(composition, teamCount, playerPool, true, constraints, random),
+        createRandomSlotSolution(composition, teamCount, playerPool, constraints, random)
+    ].map(teams => validateAllSlotTeamsComposition(teams, composition).isValid
+        ? teams
+        : createMatchedSlotSolution(composition, teamCount, playerPool, constraints, random));
 }
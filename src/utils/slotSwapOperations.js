@@ -12,35 +12,61 @@
  * 2. Random cross-team: exploration
  * 3. Position-targeted: balance the most imbalanced position
  * 4. Chain swap: cyclic 3-team exchange
+ *
+ * With position ranges ({min, max} composition entries) a fifth operator,
+ * the position mix swap, changes how many players of each position a team fields.
+ *
+ * All operators accept optional pairing constraints and locks (see slotConstraintUtils.js)
+ * and revert any exchange that would add a constraint violation, plus an
+ * optional random source (see random.js) for reproducible seeded runs.
+ * Teams of different sizes are compared per capita (see adjustStrengthsForTeamSize).
  */
 
-import { findSlotsByPosition, swapSlots } from './teamSlotUtils.js';
-import { calculateSlotTeamStrength } from './slotEvaluationUtils.js';
+import { findSlotsByPosition } from './teamSlotUtils.js';
+import { getTeamComposition, getPositionRange } from './configHelpers.js';
+import { calculateSlotTeamStrength, adjustStrengthsForTeamSize } from './slotEvaluationUtils.js';
+import {
+    isConstrainedPlayer,
+    countConstraintViolations,
+    swapSlotsWithConstraints
+} from './slotConstraintUtils.js';
+
+/**
+ * Per-team factor that turns a strength sum into a size-adjusted strength
+ * (all 1 when the teams are equally sized)
+ * @param {Array<Array<{playerId, position}>>} teams - Slot-based teams
+ * @returns {Array<number>} Scale factor per team
+ */
+function getTeamSizeScales(teams) {
+    return adjustStrengthsForTeamSize(teams.map(() => 1), teams.map(team => team.length));
+}
 
 /**
  * Perform a simple random swap between two teams at same position
  * @param {Array<Array<{playerId, position}>>} teams - Slot-based teams
  * @param {Array<string>} positions - Available positions
  * @param {Object} playerPool - PlayerPool instance
+ * @param {Object|null} constraints - Normalized pairing constraints (optional)
+ * @param {function(): number} random - Random source (optional, defaults to Math.random)
  */
-export function performSlotSwap(teams, positions, playerPool) {
+export function performSlotSwap(teams, positions, playerPool, constraints = null, random = Math.random) {
     if (teams.length < 2) return;
 
-    const t1 = Math.floor(Math.random() * teams.length);
-    let t2 = Math.floor(Math.random() * teams.length);
+    const t1 = Math.floor(random() * teams.length);
+    let t2 = Math.floor(random() * teams.length);
     while (t2 === t1 && teams.length > 1) {
-        t2 = Math.floor(Math.random() * teams.length);
+        t2 = Math.floor(random() * teams.length);
     }
 
-    const pos = positions[Math.floor(Math.random() * positions.length)];
+    const pos = positions[Math.floor(random() * positions.length)];
 
     const slots1 = findSlotsByPosition(teams[t1], pos);
     const slots2 = findSlotsByPosition(teams[t2], pos);
 
     if (slots1.length > 0 && slots2.length > 0) {
-        const idx1 = slots1[Math.floor(Math.random() * slots1.length)];
-        const idx2 = slots2[Math.floor(Math.random() * slots2.length)];
-        swapSlots(teams, t1, idx1, t2, idx2);
+        const idx1 = slots1[Math.floor(random() * slots1.length)];
+        const idx2 = slots2[Math.floor(random() * slots2.length)];
+        swapSlotsWithConstraints(teams, t1, idx1, t2, idx2, constraints);
     }
 }
 
@@ -52,16 +78,19 @@ export function performSlotSwap(teams, positions, playerPool) {
  * @param {Array<string>} positions - Available positions
  * @param {Object} playerPool - PlayerPool instance
  * @param {Object} adaptiveParams - Adaptive parameters
+ * @param {Object|null} constraints - Normalized pairing constraints (optional)
+ * @param {function(): number} random - Random source (optional, defaults to Math.random)
  */
-export function performAdaptiveSlotSwap(teams, positions, playerPool, adaptiveParams) {
+export function performAdaptiveSlotSwap(teams, positions, playerPool, adaptiveParams, constraints = null, random = Math.random) {
     if (teams.length < 2) return;
 
     const positionWeights = adaptiveParams.positionWeights || {};
+    const scales = getTeamSizeScales(teams);
 
     // Calculate team strengths with full variance
     const teamStrengths = teams.map((team, idx) => ({
         idx,
-        strength: calculateSlotTeamStrength(team, playerPool, positionWeights)
+        strength: calculateSlotTeamStrength(team, playerPool, positionWeights) * scales[idx]
     }));
 
     const avg = teamStrengths.reduce((s, t) => s + t.strength, 0) / teams.length;
@@ -73,15 +102,15 @@ export function performAdaptiveSlotSwap(teams, positions, playerPool, adaptivePa
     const weakIdx = teamStrengths[teamStrengths.length - 1].idx;
 
     if (strongIdx === weakIdx) {
-        return performSlotSwap(teams, positions, playerPool);
+        return performSlotSwap(teams, positions, playerPool, constraints, random);
     }
 
-    const pos = positions[Math.floor(Math.random() * positions.length)];
+    const pos = positions[Math.floor(random() * positions.length)];
     const strongSlots = findSlotsByPosition(teams[strongIdx], pos);
     const weakSlots = findSlotsByPosition(teams[weakIdx], pos);
 
     if (strongSlots.length === 0 || weakSlots.length === 0) {
-        return performSlotSwap(teams, positions, playerPool);
+        return performSlotSwap(teams, positions, playerPool, constraints, random);
     }
 
     // Find best in strong team, worst in weak team
@@ -102,12 +131,12 @@ export function performAdaptiveSlotSwap(teams, positions, playerPool, adaptivePa
     const worstR = playerPool.getPlayerRating(teams[weakIdx][worstIdx].playerId, pos) * weight;
     const delta = bestR - worstR;
 
-    if (delta <= 0) return performSlotSwap(teams, positions, playerPool);
+    if (delta <= 0) return performSlotSwap(teams, positions, playerPool, constraints, random);
 
     // Check if swap improves FULL variance
     const newStrengths = teamStrengths.map(t => {
-        if (t.idx === strongIdx) return { ...t, strength: t.strength - delta };
-        if (t.idx === weakIdx) return { ...t, strength: t.strength + delta };
+        if (t.idx === strongIdx) return { ...t, strength: t.strength - delta * scales[strongIdx] };
+        if (t.idx === weakIdx) return { ...t, strength: t.strength + delta * scales[weakIdx] };
         return t;
     });
     const newAvg = newStrengths.reduce((s, t) => s + t.strength, 0) / teams.length;
@@ -115,9 +144,9 @@ export function performAdaptiveSlotSwap(teams, positions, playerPool, adaptivePa
         s + (t.strength - newAvg) ** 2, 0) / teams.length;
 
     if (newVariance < currentVariance) {
-        swapSlots(teams, strongIdx, bestIdx, weakIdx, worstIdx);
+        swapSlotsWithConstraints(teams, strongIdx, bestIdx, weakIdx, worstIdx, constraints);
     } else {
-        performSlotSwap(teams, positions, playerPool);
+        performSlotSwap(teams, positions, playerPool, constraints, random);
     }
 }
 
@@ -127,8 +156,9 @@ export function performAdaptiveSlotSwap(teams, positions, playerPool, adaptivePa
  * @param {Array<string>} positions - Available positions
  * @param {Object} playerPool - PlayerPool instance
  * @param {Object} adaptiveParams - Adaptive parameters
+ * @param {Object|null} constraints - Normalized pairing constraints (optional)
  */
-export function performPositionTargetedSwap(teams, positions, playerPool, adaptiveParams) {
+export function performPositionTargetedSwap(teams, positions, playerPool, adaptiveParams, constraints = null) {
     if (teams.length < 2) return;
     const positionWeights = adaptiveParams.positionWeights || {};
 
@@ -137,15 +167,16 @@ export function performPositionTargetedSwap(teams, positions, playerPool, adapti
     let worstVariance = 0;
 
     for (const pos of positions) {
-        const teamAvgs = teams.map(team => {
-            const slots = team.filter(s => s.position === pos);
-            if (slots.length === 0) return 0;
-            return slots.reduce((sum, s) =>
-                sum + playerPool.getPlayerRating(s.playerId, pos), 0) / slots.length;
-        });
-
-        const avg = teamAvgs.reduce((a, b) => a + b, 0) / teams.length;
-        const variance = teamAvgs.reduce((s, v) => s + (v - avg) ** 2, 0) / teams.length;
+        // Teams without this position (per-team compositions) are left out
+        const teamAvgs = teams
+            .map(team => team.filter(s => s.position === pos))
+            .filter(slots => slots.length > 0)
+            .map(slots => slots.reduce((sum, s) =>
+                sum + playerPool.getPlayerRating(s.playerId, pos), 0) / slots.length);
+        if (teamAvgs.length < 2) continue;
+
+        const avg = teamAvgs.reduce((a, b) => a + b, 0) / teamAvgs.length;
+        const variance = teamAvgs.reduce((s, v) => s + (v - avg) ** 2, 0) / teamAvgs.length;
         const weight = positionWeights[pos] || 1.0;
 
         if (variance * weight > worstVariance) {
@@ -162,7 +193,7 @@ export function performPositionTargetedSwap(teams, positions, playerPool, adapti
         const strength = slots.reduce((sum, s) =>
             sum + playerPool.getPlayerRating(s.playerId, worstPosition), 0);
         return { idx, strength, slots };
-    }).sort((a, b) => b.strength - a.strength);
+    }).filter(t => t.slots.length > 0).sort((a, b) => b.strength - a.strength);
 
     const strong = teamStrengths[0];
     const weak = teamStrengths[teamStrengths.length - 1];
@@ -184,8 +215,9 @@ export function performPositionTargetedSwap(teams, positions, playerPool, adapti
     if (bestSlotIdx === -1 || worstSlotIdx === -1) return;
 
     // Verify swap improves overall team balance (not just this position)
-    const overallStrengths = teams.map(team =>
-        calculateSlotTeamStrength(team, playerPool, positionWeights));
+    const scales = getTeamSizeScales(teams);
+    const overallStrengths = teams.map((team, idx) =>
+        calculateSlotTeamStrength(team, playerPool, positionWeights) * scales[idx]);
     const overallAvg = overallStrengths.reduce((a, b) => a + b, 0) / teams.length;
     const currentVariance = overallStrengths.reduce((s, v) => s + (v - overallAvg) ** 2, 0) / teams.length;
 
@@ -194,15 +226,15 @@ export function performPositionTargetedSwap(teams, positions, playerPool, adapti
     const delta = (bestR - worstR) * (positionWeights[worstPosition] || 1.0);
 
     const newStrengths = overallStrengths.map((s, i) => {
-        if (i === strong.idx) return s - delta;
-        if (i === weak.idx) return s + delta;
+        if (i === strong.idx) return s - delta * scales[i];
+        if (i === weak.idx) return s + delta * scales[i];
         return s;
     });
     const newAvg = newStrengths.reduce((a, b) => a + b, 0) / teams.length;
     const newVariance = newStrengths.reduce((s, v) => s + (v - newAvg) ** 2, 0) / teams.length;
 
     if (newVariance < currentVariance) {
-        swapSlots(teams, strong.idx, bestSlotIdx, weak.idx, worstSlotIdx);
+        swapSlotsWithConstraints(teams, strong.idx, bestSlotIdx, weak.idx, worstSlotIdx, constraints);
     }
 }
 
@@ -213,18 +245,20 @@ export function performPositionTargetedSwap(teams, positions, playerPool, adapti
  * @param {Array<Array<{playerId, position}>>} teams - Slot-based teams
  * @param {Array<string>} positions - Available positions
  * @param {Object} playerPool - PlayerPool instance
+ * @param {Object|null} constraints - Normalized pairing constraints (optional)
+ * @param {function(): number} random - Random source (optional, defaults to Math.random)
  */
-export function performChainSlotSwap(teams, positions, playerPool) {
-    if (teams.length < 3) return performSlotSwap(teams, positions, playerPool);
+export function performChainSlotSwap(teams, positions, playerPool, constraints = null, random = Math.random) {
+    if (teams.length < 3) return performSlotSwap(teams, positions, playerPool, constraints, random);
 
     // Select 3 random teams
     const indices = [];
     while (indices.length < 3) {
-        const idx = Math.floor(Math.random() * teams.length);
+        const idx = Math.floor(random() * teams.length);
         if (!indices.includes(idx)) indices.push(idx);
     }
 
-    const pos = positions[Math.floor(Math.random() * positions.length)];
+    const pos = positions[Math.floor(random() * positions.length)];
 
     // Find one player at this position in each team
     const slots = indices.map(idx => {
@@ -232,16 +266,105 @@ export function performChainSlotSwap(teams, positions, playerPool) {
             .map((s, i) => ({ ...s, slotIdx: i }))
             .filter(s => s.position === pos);
         if (posSlots.length === 0) return null;
-        return { teamIdx: idx, slotIdx: posSlots[Math.floor(Math.random() * posSlots.length)].slotIdx };
+        return { teamIdx: idx, slotIdx: posSlots[Math.floor(random() * posSlots.length)].slotIdx };
     });
 
     if (slots.some(s => s === null)) return;
 
+    const [a, b, c] = slots.map(s => teams[s.teamIdx][s.slotIdx]);
+    const guarded = [a, b, c].some(slot => isConstrainedPlayer(constraints, slot.playerId));
+    const before = guarded ? countConstraintViolations(teams, constraints) : 0;
+
     // Cyclic exchange: A→B, B→C, C→A
-    const temp = teams[slots[0].teamIdx][slots[0].slotIdx];
-    teams[slots[0].teamIdx][slots[0].slotIdx] = teams[slots[2].teamIdx][slots[2].slotIdx];
-    teams[slots[2].teamIdx][slots[2].slotIdx] = teams[slots[1].teamIdx][slots[1].slotIdx];
-    teams[slots[1].teamIdx][slots[1].slotIdx] = temp;
+    teams[slots[0].teamIdx][slots[0].slotIdx] = c;
+    teams[slots[2].teamIdx][slots[2].slotIdx] = b;
+    teams[slots[1].teamIdx][slots[1].slotIdx] = a;
+
+    if (guarded && countConstraintViolations(teams, constraints) > before) {
+        // Revert cyclic exchange
+        teams[slots[0].teamIdx][slots[0].slotIdx] = a;
+        teams[slots[1].teamIdx][slots[1].slotIdx] = b;
+        teams[slots[2].teamIdx][slots[2].slotIdx] = c;
+    }
+}
+
+/**
+ * Position mix swap: move one slot of a team from position A to position B
+ * within the composition ranges. The player either switches to B themselves
+ * or trades places with a player of another team who plays B and whose
+ * slot they can take over. Exact composition entries never change.
+ *
+ * @param {Array<Array<{playerId, position}>>} teams - Slot-based teams
+ * @param {Object|Array<Object>} compositionRanges - Composition with {min, max} ranges, shared or one per team
+ * @param {Object} playerPool - PlayerPool instance
+ * @param {Object|null} constraints - Normalized pairing constraints (optional)
+ * @param {function(): number} random - Random source (optional, defaults to Math.random)
+ * @returns {boolean} True if the mix changed
+ */
+export function performPositionMixSwap(teams, compositionRanges, playerPool, constraints = null, random = Math.random) {
+    const teamIdx = Math.floor(random() * teams.length);
+    const team = teams[teamIdx];
+    const ranges = {};
+    Object.entries(getTeamComposition(compositionRanges, teamIdx)).forEach(([position, count]) => {
+        ranges[position] = getPositionRange(count);
+    });
+
+    const counts = {};
+    team.forEach(slot => { counts[slot.position] = (counts[slot.position] || 0) + 1; });
+
+    // A slot whose position may shrink, and the positions that may grow
+    const sources = team
+        .map((slot, slotIdx) => slotIdx)
+        .filter(slotIdx => {
+            const range = ranges[team[slotIdx].position];
+            return range && range.min < range.max && counts[team[slotIdx].position] > range.min;
+        });
+    const targets = Object.keys(ranges).filter(position => (counts[position] || 0) < ranges[position].max);
+    if (sources.length === 0) return false;
+
+    const slotIdx = sources[Math.floor(random() * sources.length)];
+    const { playerId, position: from } = team[slotIdx];
+    const candidates = targets.filter(position => position !== from);
+    if (candidates.length === 0) return false;
+    const to = candidates[Math.floor(random() * candidates.length)];
+
+    const guarded = [];
+    const changes = [];
+
+    if (playerPool.canPlayPosition(playerId, to)) {
+        changes.push([teamIdx, slotIdx, { playerId, position: to }]);
+        guarded.push(playerId);
+    } else {
+        // Trade with a player elsewhere who plays `to`, taking over their slot
+        const trades = [];
+        teams.forEach((other, otherIdx) => {
+            if (otherIdx === teamIdx) return;
+            other.forEach((slot, otherSlotIdx) => {
+                if (playerPool.canPlayPosition(slot.playerId, to) && playerPool.canPlayPosition(playerId, slot.position)) {
+                    trades.push({ otherIdx, otherSlotIdx });
+                }
+            });
+        });
+        if (trades.length === 0) return false;
+
+        const { otherIdx, otherSlotIdx } = trades[Math.floor(random() * trades.length)];
+        const otherSlot = teams[otherIdx][otherSlotIdx];
+        changes.push([teamIdx, slotIdx, { playerId: otherSlot.playerId, position: to }]);
+        changes.push([otherIdx, otherSlotIdx, { playerId, position: otherSlot.position }]);
+        guarded.push(playerId, otherSlot.playerId);
+    }
+
+    const checked = guarded.some(id => isConstrainedPlayer(constraints, id));
+    const before = checked ? countConstraintViolations(teams, constraints) : 0;
+    const previous = changes.map(([t, i]) => teams[t][i]);
+
+    changes.forEach(([t, i, slot]) => { teams[t][i] = slot; });
+
+    if (checked && countConstraintViolations(teams, constraints) > before) {
+        changes.forEach(([t, i], idx) => { teams[t][i] = previous[idx]; });
+        return false;
+    }
+    return true;
 }
 
 /**
@@ -253,22 +376,33 @@ export function performChainSlotSwap(teams, positions, playerPool) {
  *   20% Position-targeted (fix most imbalanced position)
  *   10% Chain swap (3-team cyclic, reachable only this way)
  *
+ * When composition ranges are given, 15% of calls change a team's
+ * position mix instead (see performPositionMixSwap).
+ *
  * @param {Array<Array<{playerId, position}>>} teams - Slot-based teams
  * @param {Array<string>} positions - Available positions
  * @param {Object} playerPool - PlayerPool instance
  * @param {Object} adaptiveParams - Adaptive parameters
+ * @param {Object|null} constraints - Normalized pairing constraints (optional)
+ * @param {function(): number} random - Random source (optional, defaults to Math.random)
+ * @param {Object|Array<Object>|null} compositionRanges - Composition with {min, max} ranges (optional)
  */
-export function performUniversalSlotSwap(teams, positions, playerPool, adaptiveParams) {
-    const rand = Math.random();
+export function performUniversalSlotSwap(teams, positions, playerPool, adaptiveParams, constraints = null, random = Math.random, compositionRanges = null) {
+    if (compositionRanges && random() < 0.15 &&
+        performPositionMixSwap(teams, compositionRanges, playerPool, constraints, random)) {
+        return;
+    }
+
+    const rand = random();
 
     if (rand < 0.40) {
-        performAdaptiveSlotSwap(teams, positions, playerPool, adaptiveParams);
+        performAdaptiveSlotSwap(teams, positions, playerPool, adaptiveParams, constraints, random);
     } else if (rand < 0.70) {
-        performSlotSwap(teams, positions, playerPool);
+        performSlotSwap(teams, positions, playerPool, constraints, random);
     } else if (rand < 0.90) {
-        performPositionTargetedSwap(teams, positions, playerPool, adaptiveParams);
+        performPositionTargetedSwap(teams, positions, playerPool, adaptiveParams, constraints);
     } else {
-        performChainSlotSwap(teams, positions, playerPool);
+        performChainSlotSwap(teams, positions, playerPool, constraints, random);
     }
 }
 
@@ -4,6 +4,8 @@
  * Utility functions for working with team solutions
  */
 
+import { getTeamComposition } from './configHelpers.js';
+
 /**
  * Deep clone teams array
  * @param {Array} teams - Array of teams to clone
@@ -108,13 +110,13 @@ export function validateTeamComposition(team, composition) {
 /**
  * Validate that all teams have the correct composition
  * @param {Array} teams - Array of teams to validate
- * @param {Object} composition - Required composition
+ * @param {Object|Array<Object>} composition - Required composition, shared or one per team
  * @returns {Object} Validation result { isValid: boolean, errors: Array, teamValidations: Array }
  */
 export function validateAllTeamsComposition(teams, composition) {
     const teamValidations = teams.map((team, idx) => ({
         teamIndex: idx,
-        ...validateTeamComposition(team, composition)
+        ...validateTeamComposition(team, getTeamComposition(composition, idx))
     }));
 
     const allErrors = teamValidations.flatMap((v, idx) =>
@@ -8,6 +8,8 @@
  * Old Team Structure: Array<{id, name, positions, ratings, assignedPosition, ...}>
  */
 
+import { getTeamComposition, isPositionRange, getPositionRange } from './configHelpers.js';
+
 /**
  * Clone teams (slot-based structure)
  * Much faster than deep cloning player objects
@@ -67,6 +69,7 @@ export function getUnusedPlayerIds(teams, allPlayerIds) {
 
 /**
  * Validate team composition (slot-based)
+ * Entries are exact counts or {min, max} ranges (e.g. {MB: {min: 1, max: 2}}).
  * @param {Array<{playerId, position}>} team - Single team (slots)
  * @param {Object} composition - Required composition {S: 1, OH: 2, ...}
  * @returns {{isValid: boolean, errors: Array}} Validation result
@@ -85,7 +88,12 @@ export function validateSlotTeamComposition(team, composition) {
         const required = composition[position];
         const actual = positionCounts[position] || 0;
 
-        if (actual !== required) {
+        if (isPositionRange(required)) {
+            const { min, max } = getPositionRange(required);
+            if (actual < min || actual > max) {
+                errors.push(`Position ${position}: expected ${min}-${max}, got ${actual}`);
+            }
+        } else if (actual !== required) {
             errors.push(`Position ${position}: expected ${required}, got ${actual}`);
         }
     });
@@ -99,14 +107,18 @@ export function validateSlotTeamComposition(team, composition) {
 /**
  * Validate all teams composition
  * @param {Array<Array<{playerId, position}>>} teams - Slot-based teams
- * @param {Object} composition - Required composition
+ * @param {Object|Array<Object>} composition - Required composition, shared or one per team
  * @returns {{isValid: boolean, errors: Array}} Validation result
  */
 export function validateAllSlotTeamsComposition(teams, composition) {
     const allErrors = [];
 
+    if (Array.isArray(composition) && composition.length !== teams.length) {
+        allErrors.push(`Expected ${composition.length} teams, got ${teams.length}`);
+    }
+
     teams.forEach((team, idx) => {
-        const validation = validateSlotTeamComposition(team, composition);
+        const validation = validateSlotTeamComposition(team, getTeamComposition(composition, idx));
         if (!validation.isValid) {
             validation.errors.forEach(error => {
                 allErrors.push(`Team ${idx + 1}: ${error}`);
@@ -120,6 +132,30 @@ export function validateAllSlotTeamsComposition(teams, composition) {
     };
 }
 
+/**
+ * Check whether one more player can take a position on a team that is being built
+ * The position must be below its maximum, and the team must keep enough free
+ * slots for the minimums of its other positions.
+ * @param {Array<{playerId, position}>} team - Slots placed so far
+ * @param {Object} composition - Composition of the team, exact counts or {min, max} ranges
+ * @param {string} position - Position to add
+ * @param {number} teamSize - Final size of the team
+ * @returns {boolean} True if the slot fits
+ */
+export function hasRoomForPosition(team, composition, position, teamSize) {
+    const counts = {};
+    team.forEach(slot => { counts[slot.position] = (counts[slot.position] || 0) + 1; });
+
+    const { min, max } = getPositionRange(composition[position]);
+    if ((counts[position] || 0) >= max) return false;
+    // Filling a minimum never takes room another minimum needs
+    if ((counts[position] || 0) < min) return true;
+
+    const reserved = Object.entries(composition).reduce((sum, [pos, count]) =>
+        sum + Math.max(0, getPositionRange(count).min - (counts[pos] || 0)), 0);
+    return team.length + 1 + reserved <= teamSize;
+}
+
 /**
  * Create hash for tabu search (slot-based)
  * @param {Array<Array<{playerId, position}>>} teams - Slot-based teams
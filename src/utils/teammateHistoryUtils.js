@@ -0,0 +1,130 @@
+/**
+ * Teammate History Utilities
+ *
+ * A teammate history counts how often two players shared a team, as a
+ * Map from pair key to count:
+ *
+ *   Map { '3|7' => 2, '3|12' => 1 }   // players 3 and 7 were teammates twice
+ *
+ * Passed to optimize() as options.teammateHistory, it drives the
+ * `teammateRepeat` objective component: every pair placed together again
+ * costs TEAMMATE_REPEAT_PENALTY rating points per earlier time together.
+ * Plain objects with the same keys, and TeammateHistoryStore instances
+ * (decayed history across sessions), are accepted wherever a history is read.
+ */
+
+// Meeting a former teammate again weighs like 30 rating points of imbalance
+export const TEAMMATE_REPEAT_PENALTY = 30;
+
+/**
+ * Key of an unordered pair of players
+ * @param {number|string} playerIdA - First player ID
+ * @param {number|string} playerIdB - Second player ID
+ * @returns {string} Pair key, the same for (a, b) and (b, a)
+ */
+export function getPairKey(playerIdA, playerIdB) {
+    const [a, b] = [String(playerIdA), String(playerIdB)];
+    return a < b ? `${a}|${b}` : `${b}|${a}`;
+}
+
+/**
+ * Read a teammate history
+ * @param {Map|Object|null} history - Map or plain object of pair key -> count,
+ *   or an object with getHistory() such as a TeammateHistoryStore
+ * @returns {Map<string, number>|null} History as a Map, or null when empty
+ * @throws {Error} When the history is not a Map/object or holds negative or non-numeric counts
+ */
+export function normalizeTeammateHistory(history) {
+    if (history === undefined || history === null) return null;
+    if (typeof history.getHistory === 'function') {
+        history = history.getHistory();
+    }
+    if (typeof history !== 'object') {
+        throw new Error('Teammate history must be a Map or an object of pair key -> count');
+    }
+
+    const entries = history instanceof Map ? [...history.entries()] : Object.entries(history);
+    const invalid = entries.filter(([, count]) => typeof count !== 'number' || !Number.isFinite(count) || count < 0);
+    if (invalid.length > 0) {
+        throw new Error(`Teammate history counts must be non-negative numbers: ${invalid.map(([key]) => key).join(', ')}`);
+    }
+
+    const normalized = new Map(entries.filter(([, count]) => count > 0));
+    return normalized.size > 0 ? normalized : null;
+}
+
+/**
+ * Add one round of teams to a history
+ * @param {Map<string, number>} history - History to update (modified in place)
+ * @param {Array<Array<Object>>} teams - Slot teams ({playerId, position}) or resolved teams (players with id)
+ * @param {number} amount - Count added per pair (default: 1)
+ * @returns {Map<string, number>} The updated history
+ */
+export function recordTeammates(history, teams, amount = 1) {
+    teams.forEach(team => {
+        const ids = getTeamPlayerIds(team);
+        for (let i = 0; i < ids.length; i++) {
+            for (let j = i + 1; j < ids.length; j++) {
+                const key = getPairKey(ids[i], ids[j]);
+                history.set(key, (history.get(key) || 0) + amount);
+            }
+        }
+    });
+    return history;
+}
+
+/**
+ * Find pairs that are teammates again
+ * @param {Array<Array<Object>>} teams - Slot teams or resolved teams
+ * @param {Map<string, number>|null} history - Normalized history
+ * @returns {{penalty: number, pairs: Array<{playerIds: Array, team: number, count: number}>}}
+ *   Penalty in rating points and every repeated pair with its earlier count
+ */
+export function calculateTeammateRepeats(teams, history) {
+    const pairs = [];
+    let total = 0;
+    if (!history) return { penalty: 0, pairs };
+
+    teams.forEach((team, teamIdx) => {
+        const ids = getTeamPlayerIds(team);
+        for (let i = 0; i < ids.length; i++) {
+            for (let j = i + 1; j < ids.length; j++) {
+                const count = history.get(getPairKey(ids[i], ids[j]));
+                if (count) {
+                    total += count;
+                    pairs.push({ playerIds: [ids[i], ids[j]], team: teamIdx, count });
+                }
+            }
+        }
+    });
+
+    return { penalty: total * TEAMMATE_REPEAT_PENALTY, pairs };
+}
+
+/**
+ * Objective penalty of repeated teammates, without building the pair list
+ * @param {Array<Array<{playerId, position}>>} teams - Slot-based teams
+ * @param {Map<string, number>|null} history - Normalized history
+ * @returns {number} Penalty in rating points
+ */
+export function calculateTeammateRepeatPenalty(teams, history) {
+    if (!history) return 0;
+
+    let total = 0;
+    for (const team of teams) {
+        const ids = getTeamPlayerIds(team);
+        for (let i = 0; i < ids.length; i++) {
+            for (let j = i + 1; j < ids.length; j++) {
+                total += history.get(getPairKey(ids[i], ids[j])) || 0;
+            }
+        }
+    }
+    return total * TEAMMATE_REPEAT_PENALTY;
+}
+
+/**
+ * Player IDs of a slot team or a resolved team (substitutes included)
+ */
+function getTeamPlayerIds(team) {
+    return team.map(member => member.playerId ?? member.id);
+}
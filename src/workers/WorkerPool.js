@@ -0,0 +1,197 @@
+/**
+ * WorkerPool - Runs optimizer jobs in parallel worker threads
+ *
+ * Uses Node worker_threads or browser module Web Workers, whichever the
+ * environment provides. Every job gets its own worker, at most maxWorkers
+ * run at once, and each worker is terminated when its job settles.
+ *
+ * A job also settles when its worker dies without answering (Node 'exit'),
+ * and when the worker does not stop within STOP_GRACE_MS of an abort or of
+ * the deadline: the worker is then terminated and the job rejected, so a
+ * crashed or stuck worker never keeps optimize() waiting.
+ *
+ * Message protocol (see optimizerWorker.js):
+ *   main -> worker: {type: 'run', job, problem, reportProgress, aborted} | {type: 'abort'}
+ *   worker -> main: {type: 'progress', progress} | {type: 'result', solution, stats} | {type: 'error', message}
+ */
+
+import { serializeProblemContext } from '../core/optimizerJobs.js';
+
+const WORKER_URL = new URL('./optimizerWorker.js', import.meta.url);
+
+// Time a worker gets to post its best-so-far result after an abort or the deadline
+const STOP_GRACE_MS = 1000;
+
+let platformPromise = null;
+
+/**
+ * Detect the worker implementation once per process
+ * @returns {Promise<Object|null>} {createWorker, concurrency}, or null if workers are unavailable
+ */
+function detectPlatform() {
+    if (!platformPromise) {
+        platformPromise = loadPlatform().catch(() => null);
+    }
+    return platformPromise;
+}
+
+async function loadPlatform() {
+    // Browser: module Web Workers
+    if (typeof Worker !== 'undefined' && typeof window !== 'undefined') {
+        return {
+            concurrency: navigator.hardwareConcurrency || 2,
+            createWorker: () => {
+                const worker = new Worker(WORKER_URL, { type: 'module' });
+                return {
+                    post: (message) => worker.postMessage(message),
+                    onMessage: (handler) => { worker.onmessage = (event) => handler(event.data); },
+                    onError: (handler) => { worker.onerror = (event) => handler(new Error(event.message)); },
+                    // Web Workers have no exit event; a dead worker is caught by the stop timers
+                    onExit: () => {},
+                    terminate: () => worker.terminate()
+                };
+            }
+        };
+    }
+
+    // Node.js: worker_threads
+    const { Worker: NodeWorker } = await import('node:worker_threads');
+    const os = await import('node:os');
+
+    return {
+        concurrency: os.availableParallelism ? os.availableParallelism() : os.cpus().length,
+        createWorker: () => {
+            const worker = new NodeWorker(WORKER_URL);
+            return {
+                post: (message) => worker.postMessage(message),
+                onMessage: (handler) => worker.on('message', handler),
+                onError: (handler) => worker.on('error', handler),
+                onExit: (handler) => worker.on('exit', handler),
+                terminate: () => worker.terminate()
+            };
+        }
+    };
+}
+
+class WorkerPool {
+    /**
+     * @param {number|null} maxWorkers - Maximum concurrent workers (default: number of cores)
+     */
+    constructor(maxWorkers = null) {
+        this.maxWorkers = maxWorkers;
+    }
+
+    /**
+     * Check whether workers can be started in this environment
+     * @returns {Promise<boolean>} True if worker_threads or Web Workers are available
+     */
+    static async isSupported() {
+        return (await detectPlatform()) !== null;
+    }
+
+    /**
+     * Run jobs in workers, at most maxWorkers at a time
+     * @param {Array<Object>} jobs - Optimizer jobs (see optimizerJobs.js)
+     * @param {Object} problemContext - Problem context; signal and onProgress are bridged to the workers
+     * @returns {Promise<Array<Object>>} Results in job order, shaped like Promise.allSettled
+     */
+    async runJobs(jobs, problemContext) {
+        const platform = await detectPlatform();
+        if (!platform) {
+            throw new Error('Workers are not supported in this environment');
+        }
+
+        const problem = serializeProblemContext(problemContext);
+        const limit = Math.max(1, Math.min(this.maxWorkers || platform.concurrency, jobs.length));
+        const results = new Array(jobs.length);
+        let nextJob = 0;
+
+        const runNext = async () => {
+            while (nextJob < jobs.length) {
+                const idx = nextJob++;
+                try {
+                    const value = await this.runJob(platform, jobs[idx], problem, problemContext);
+                    results[idx] = { status: 'fulfilled', value };
+                } catch (reason) {
+                    results[idx] = { status: 'rejected', reason };
+                }
+            }
+        };
+
+        await Promise.all(Array.from({ length: limit }, runNext));
+
+        return results;
+    }
+
+    /**
+     * Run a single job in a fresh worker
+     * @param {Object} platform - Detected worker platform
+     * @param {Object} job - Optimizer job
+     * @param {Object} problem - Serialized problem context
+     * @param {Object} problemContext - Original problem context (signal, onProgress)
+     * @returns {Promise<{solution: Array, stats: Object}>} Job result
+     */
+    runJob(platform, job, problem, problemContext) {
+        const { signal = null, onProgress = null } = problemContext;
+
+        return new Promise((resolve, reject) => {
+            const worker = platform.createWorker();
+            let settled = false;
+            let abortTimer = null;
+            let deadlineTimer = null;
+
+            const finish = (settle, value) => {
+                if (settled) return;
+                settled = true;
+                if (signal) signal.removeEventListener('abort', onAbort);
+                clearTimeout(abortTimer);
+                clearTimeout(deadlineTimer);
+                worker.terminate();
+                settle(value);
+            };
+
+            // Give the worker a moment to return its best solution, then stop it
+            const stopAfterGrace = (reason) => setTimeout(
+                () => finish(reject, new Error(`Worker did not stop after ${reason}`)),
+                STOP_GRACE_MS
+            );
+            const onAbort = () => {
+                worker.post({ type: 'abort' });
+                if (!abortTimer) abortTimer = stopAfterGrace('the run was aborted');
+            };
+
+            worker.onMessage((message) => {
+                if (message.type === 'progress') {
+                    if (onProgress) onProgress(message.progress);
+                } else if (message.type === 'result') {
+                    finish(resolve, { solution: message.solution, stats: message.stats });
+                } else if (message.type === 'error') {
+                    finish(reject, new Error(message.message));
+                }
+            });
+            worker.onError((error) => finish(reject, error));
+            worker.onExit((code) => finish(reject, new Error(`Worker exited with code ${code} before returning a result`)));
+
+            if (signal) {
+                if (signal.aborted) abortTimer = stopAfterGrace('the run was aborted');
+                else signal.addEventListener('abort', onAbort);
+            }
+            if (problem.deadline) {
+                deadlineTimer = setTimeout(
+                    () => finish(reject, new Error('Worker did not stop at the time limit')),
+                    Math.max(0, problem.deadline - Date.now()) + STOP_GRACE_MS
+                );
+            }
+
+            worker.post({
+                type: 'run',
+                job,
+                problem,
+                reportProgress: typeof onProgress === 'function',
+                aborted: Boolean(signal && signal.aborted)
+            });
+        });
+    }
+}
+
+export default WorkerPool;
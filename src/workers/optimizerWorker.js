@@ -0,0 +1,57 @@
+/**
+ * Optimizer Worker - entry point for WorkerPool
+ *
+ * Runs one optimizer job and posts the result back. Works both as a Node
+ * worker_threads worker and as a browser module Web Worker. Progress events
+ * and aborts are bridged over messages; the time limit travels as a plain
+ * deadline inside the serialized problem context.
+ */
+
+import { runOptimizerJob, deserializeProblemContext } from '../core/optimizerJobs.js';
+
+const port = await connectToParent();
+const controller = new AbortController();
+
+port.onMessage(async (message) => {
+    if (message.type === 'abort') {
+        controller.abort();
+        return;
+    }
+    if (message.type !== 'run') return;
+
+    if (message.aborted) controller.abort();
+
+    try {
+        const problemContext = {
+            ...deserializeProblemContext(message.problem),
+            signal: controller.signal,
+            onProgress: message.reportProgress
+                ? (progress) => port.post({ type: 'progress', progress })
+                : null
+        };
+
+        const { solution, stats } = await runOptimizerJob(message.job, problemContext);
+        port.post({ type: 'result', solution, stats });
+    } catch (error) {
+        port.post({ type: 'error', message: error.message });
+    }
+});
+
+/**
+ * Get a message port to the main thread
+ * @returns {Promise<{post: Function, onMessage: Function}>} Parent port
+ */
+async function connectToParent() {
+    if (typeof WorkerGlobalScope !== 'undefined' && self instanceof WorkerGlobalScope) {
+        return {
+            post: (message) => self.postMessage(message),
+            onMessage: (handler) => self.addEventListener('message', (event) => handler(event.data))
+        };
+    }
+
+    const { parentPort } = await import('node:worker_threads');
+    return {
+        post: (message) => parentPort.postMessage(message),
+        onMessage: (handler) => parentPort.on('message', handler)
+    };
+}
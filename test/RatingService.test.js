@@ -0,0 +1,72 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import RatingService from '../src/services/RatingService.js';
+import { BENCH_POSITION } from '../src/utils/benchUtils.js';
+
+// Resolved teams as optimize() returns them
+const teams = [
+    [
+        { id: 1, positions: ['S'], ratings: { S: 1500 }, assignedPosition: 'S', positionRating: 1500 },
+        { id: 2, positions: ['OH'], ratings: { OH: 1500 }, ratingDeviations: { OH: 50 }, assignedPosition: 'OH', positionRating: 1500 },
+        { id: 3, positions: ['OH'], ratings: { OH: 1700 }, assignedPosition: BENCH_POSITION, positionRating: 1700 }
+    ],
+    [
+        { id: 4, positions: ['S'], ratings: { S: 1400 }, assignedPosition: 'S', positionRating: 1400 },
+        { id: 5, positions: ['OH'], ratings: { OH: 1600 }, assignedPosition: 'OH', positionRating: 1600 }
+    ]
+];
+
+const changeOf = (changes, playerId) => changes.find(change => change.playerId === playerId);
+
+test('options and results are checked', () => {
+    assert.throws(() => new RatingService({ system: 'trueskill' }), /Unknown rating system "trueskill"/);
+    assert.throws(() => new RatingService({ kFactor: 0 }), /kFactor must be a positive number/);
+
+    const service = new RatingService();
+    assert.throws(() => service.updateRatings([teams[0]], { winner: 0 }), /at least two teams/);
+    assert.throws(() => service.updateRatings(teams, { winner: 2 }), /Winner must be a team index from 0 to 1/);
+    assert.throws(() => service.updateRatings(teams, { scores: [25] }), /Expected 2 numeric scores/);
+    assert.throws(() => service.updateRatings(teams, null), /must be \{winner\}, \{draw\} or \{scores\}/);
+});
+
+test('elo moves every player of a team by the same amount', () => {
+    const { players, changes } = new RatingService({ kFactor: 32 }).updateRatings(teams, { scores: [25, 21] });
+
+    // Equal team averages: the winners gain K/2, the losers lose it
+    assert.deepEqual(changes.map(change => [change.playerId, change.after - change.before]),
+        [[1, 16], [2, 16], [4, -16], [5, -16]]);
+    assert.equal(changeOf(changes, 1).deviationAfter, null);
+
+    const updated = players.find(player => player.id === 2);
+    assert.deepEqual(updated.ratings, { OH: 1516 });
+    assert.equal('assignedPosition' in updated, false);
+    // The substitute did not play
+    assert.deepEqual(players.find(player => player.id === 3).ratings, { OH: 1700 });
+});
+
+test('a draw between equal teams changes nothing', () => {
+    const { changes } = new RatingService().updateRatings(teams, { draw: true });
+    assert.ok(changes.every(change => change.after === change.before));
+});
+
+test('glicko moves uncertain players further and shrinks deviations', () => {
+    const { players, changes } = new RatingService({ system: 'glicko' }).updateRatings(teams, { winner: 1 });
+
+    const sure = changeOf(changes, 2);
+    const unsure = changeOf(changes, 1);
+    assert.equal(sure.deviationBefore, 50);
+    assert.equal(unsure.deviationBefore, 350);
+    assert.ok(unsure.after < sure.after && sure.after < 1500);
+    assert.ok(unsure.deviationAfter < 350 && unsure.deviationAfter >= 30);
+    assert.ok(changeOf(changes, 4).after > 1400);
+    assert.equal(players.find(player => player.id === 1).ratingDeviations.S, unsure.deviationAfter);
+});
+
+test('players who did not play are passed through when the full list is given', () => {
+    const bystander = { id: 9, positions: ['L'], ratings: { L: 1500 } };
+    const { players } = new RatingService().updateRatings(teams, { winner: 0 }, [...teams.flat(), bystander]);
+
+    assert.equal(players.length, 6);
+    assert.deepEqual(players.at(-1), bystander);
+});
@@ -0,0 +1,82 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import ScheduleService from '../src/services/ScheduleService.js';
+import volleyballConfig from '../examples/configs/volleyball.js';
+
+// One-player teams; seeds by strength are teams 1, 3, 4, 0, 2, 5
+const teams = [1500, 1700, 1400, 1600, 1550, 1300].map((rating, idx) => [{
+    id: idx + 1,
+    positions: ['S'],
+    ratings: { S: rating },
+    assignedPosition: 'S',
+    positionRating: rating
+}]);
+
+const service = new ScheduleService(volleyballConfig);
+const pairKey = match => [match.home.team, match.away.team].sort().join('-');
+
+test('formats, courts and team counts are checked', () => {
+    assert.throws(() => service.createSchedule(teams, { format: 'swiss' }), /Unknown schedule format "swiss"/);
+    assert.throws(() => service.createSchedule(teams.slice(0, 1)), /at least two teams/);
+    assert.throws(() => service.createSchedule(teams, { courts: 0 }), /Courts must be a positive integer/);
+});
+
+test('teams are seeded strongest first, reusing variant.balance when given', () => {
+    assert.deepEqual(service.seedTeams(teams).map(seed => seed.team), [1, 3, 4, 0, 2, 5]);
+
+    const balance = { adjustedStrengths: [1, 3, 2] };
+    const { seeds } = service.createSchedule({ teams: teams.slice(0, 3), balance });
+    assert.deepEqual(seeds, [
+        { team: 1, seed: 1, strength: 3 },
+        { team: 2, seed: 2, strength: 2 },
+        { team: 0, seed: 3, strength: 1 }
+    ]);
+});
+
+test('a round robin meets every opponent once and gives each team one bye when the count is odd', () => {
+    const { rounds } = service.createSchedule(teams.slice(0, 5));
+
+    assert.equal(rounds.length, 5);
+    const pairs = rounds.flatMap(round => round.matches.map(pairKey));
+    assert.equal(new Set(pairs).size, 10);
+    assert.deepEqual(rounds.flatMap(round => round.byes).sort(), [0, 1, 2, 3, 4]);
+    rounds.forEach(round => {
+        const playing = round.matches.flatMap(match => [match.home.team, match.away.team]);
+        assert.equal(new Set([...playing, ...round.byes]).size, 5);
+    });
+});
+
+test('a double round robin plays every pair twice with home and away swapped', () => {
+    const { rounds } = service.createSchedule(teams.slice(0, 4), { format: 'doubleRoundRobin' });
+    const matches = rounds.flatMap(round => round.matches);
+
+    assert.equal(rounds.length, 6);
+    assert.equal(matches.length, 12);
+    const legs = new Set(matches.map(match => `${match.home.team}>${match.away.team}`));
+    assert.equal(legs.size, 12);
+});
+
+test('single elimination gives byes to the top seeds', () => {
+    const { rounds } = service.createSchedule(teams.slice(0, 3), { format: 'singleElimination' });
+
+    assert.deepEqual(rounds.map(round => round.byes), [[1], []]);
+    assert.deepEqual(rounds[0].matches[0], { id: 'M1', home: { team: 0 }, away: { team: 2 }, court: 1, slot: 1 });
+    assert.deepEqual(rounds[1].matches[0].away, { winnerOf: 'M1' });
+});
+
+test('double elimination ends with a final and an optional reset', () => {
+    const { rounds } = service.createSchedule(teams.slice(0, 4), { format: 'doubleElimination' });
+
+    assert.deepEqual(rounds.map(round => round.bracket), ['winners', 'losers', 'winners', 'losers', 'final', 'final']);
+    assert.deepEqual(rounds[1].matches[0].home, { loserOf: 'M1' });
+    const reset = rounds.at(-1).matches[0];
+    assert.equal(reset.ifNecessary, true);
+    assert.deepEqual([reset.home, reset.away], [{ winnerOf: 'M6' }, { loserOf: 'M6' }]);
+});
+
+test('matches are spread over named courts in time slots', () => {
+    const { rounds } = service.createSchedule(teams, { courts: ['A', 'B'] });
+
+    assert.deepEqual(rounds[0].matches.map(match => [match.court, match.slot]), [['A', 1], ['B', 1], ['A', 2]]);
+});
@@ -0,0 +1,44 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import SlotGeneticAlgorithmOptimizer from '../src/algorithms/SlotGeneticAlgorithmOptimizer.js';
+import PlayerPool from '../src/core/PlayerPool.js';
+import { validateAllSlotTeamsComposition } from '../src/utils/teamSlotUtils.js';
+import { createRandom } from '../src/utils/random.js';
+
+// Setters, and hitters who play both OH and MB
+const players = ['S', 'S', 'H', 'H', 'H', 'H', 'H', 'H', 'H', 'H'].map((role, idx) => ({
+    id: idx + 1,
+    positions: role === 'S' ? ['S'] : ['OH', 'MB'],
+    ratings: role === 'S' ? { S: 1500 } : { OH: 1400 + idx * 10, MB: 1450 + idx * 5 }
+}));
+
+const composition = { S: 1, OH: 2, MB: 2 };
+const compositionRanges = { S: 1, OH: { min: 1, max: 3 }, MB: { min: 1, max: 3 } };
+
+const slots = (playerIds, positions) => playerIds.map((playerId, idx) => ({ playerId, position: positions[idx] }));
+
+test('crossover children take position mixes within the composition ranges', () => {
+    const playerPool = new PlayerPool(players);
+    const parent1 = [
+        slots([1, 3, 4, 5, 6], ['S', 'OH', 'OH', 'MB', 'MB']),
+        slots([2, 7, 8, 9, 10], ['S', 'OH', 'OH', 'MB', 'MB'])
+    ];
+    const parent2 = [
+        slots([1, 3, 4, 5, 6], ['S', 'OH', 'OH', 'OH', 'MB']),
+        slots([2, 7, 8, 9, 10], ['S', 'OH', 'MB', 'MB', 'MB'])
+    ];
+
+    const optimizer = new SlotGeneticAlgorithmOptimizer({}, {});
+    const random = createRandom(3);
+    const mixes = new Set();
+
+    for (let i = 0; i < 50; i++) {
+        const child = optimizer.slotCrossover(parent1, parent2, composition, playerPool, random, compositionRanges);
+        assert.ok(validateAllSlotTeamsComposition(child, compositionRanges).isValid);
+        assert.deepEqual(child.map(team => team.length), [5, 5]);
+        mixes.add(child.map(team => team.filter(slot => slot.position === 'OH').length).join('/'));
+    }
+
+    assert.ok([...mixes].some(mix => mix !== '2/2'), `only exact mixes: ${[...mixes]}`);
+});
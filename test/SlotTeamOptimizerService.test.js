@@ -0,0 +1,501 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import TeamOptimizerService from '../src/core/SlotTeamOptimizerService.js';
+import IOptimizer from '../src/core/IOptimizer.js';
+import volleyballConfig from '../examples/configs/volleyball.js';
+
+const composition = { S: 1, OPP: 1, OH: 2, MB: 2, L: 1 };
+
+// Short runs keep each optimize() call well under a second
+function createService(customEvaluationFn = null) {
+    const service = new TeamOptimizerService(volleyballConfig, customEvaluationFn);
+    const configs = service.algorithmConfigs;
+    configs.geneticAlgorithm.generationCount = 20;
+    configs.tabuSearch.iterations = 200;
+    configs.simulatedAnnealing.iterations = 2000;
+    configs.localSearch.iterations = 200;
+    configs.antColony.iterations = 5;
+    configs.hybrid.phase1.generations = 10;
+    configs.hybrid.phase2.iterations = 200;
+    configs.hybrid.phase3.iterations = 100;
+    configs.constraintProgramming.maxBacktracks = 3000;
+    return service;
+}
+
+function createPlayers(positionsList) {
+    return positionsList.map((positions, idx) => {
+        const list = positions.split('/');
+        return {
+            id: idx + 1,
+            name: `Player ${idx + 1}`,
+            positions: list,
+            ratings: Object.fromEntries(list.map(position => [position, 1400 + ((idx * 37) % 300)]))
+        };
+    });
+}
+
+// One full volleyball lineup per 7 players
+function createRoster(playerCount) {
+    const roles = ['S', 'OPP', 'OH', 'OH', 'MB', 'MB', 'L'];
+    return createPlayers(Array.from({ length: playerCount }, (_, idx) => roles[idx % roles.length]));
+}
+
+// Two quick algorithms are enough to check what a run returns
+const quickRun = { algorithms: ['geneticAlgorithm', 'simulatedAnnealing'], seed: 1 };
+
+function findTeam(variant, playerId) {
+    return variant.teams.findIndex(team => team.some(player => player.id === playerId));
+}
+
+test('uneven teams use every player when a perfect assignment exists', async () => {
+    const players = createPlayers([
+        'OH', 'MB/S', 'OH', 'L', 'MB', 'OH', 'S', 'OH', 'L/MB', 'MB',
+        'S/L', 'MB', 'S', 'MB', 'OPP', 'OPP/L', 'MB', 'OPP', 'OH', 'OH'
+    ]);
+
+    const [variant] = await createService().optimize(composition, 3, players, { unevenTeams: true, seed: 1 });
+
+    assert.deepEqual(variant.teams.map(team => team.length).sort(), [6, 7, 7]);
+    assert.equal(variant.unusedPlayers.length, 0);
+});
+
+test('an abort is honored promptly with the default algorithm configs', async () => {
+    const players = createRoster(28);
+    const controller = new AbortController();
+    // Measured from the requested abort time: a late-firing timer is the failure mode
+    const abortAt = Date.now() + 200;
+    setTimeout(() => controller.abort(), 200);
+
+    const [variant] = await new TeamOptimizerService(volleyballConfig).optimize(composition, 4, players, {
+        signal: controller.signal,
+        seed: 1
+    });
+
+    assert.equal(variant.statistics.stopReason, 'aborted');
+    const latency = Date.now() - abortAt;
+    assert.ok(latency < 1000, `returned ${latency}ms after the abort`);
+});
+
+test('registered optimizers are checked against position ranges', async () => {
+    const players = createPlayers(['S', 'S', 'OH/MB', 'OH/MB', 'OH/MB', 'OH/MB', 'OH/MB', 'OH/MB', 'OH/MB', 'OH/MB']);
+    const slots = (playerIds, positions) => playerIds.map((playerId, idx) => ({ playerId, position: positions[idx] }));
+
+    // Within the ranges, but the reverse of the 3/1 and 1/3 mixes the run starts from
+    class RangeOptimizer extends IOptimizer {
+        async solve() {
+            return [
+                slots([1, 3, 4, 5, 6], ['S', 'OH', 'MB', 'MB', 'MB']),
+                slots([2, 7, 8, 9, 10], ['S', 'OH', 'OH', 'OH', 'MB'])
+            ];
+        }
+    }
+
+    const service = createService();
+    service.registerOptimizer('ranges', RangeOptimizer);
+    const [variant] = await service.optimize({ S: 1, OH: { min: 1, max: 3 }, MB: { min: 1, max: 3 } }, 2, players, {
+        teamSize: 5,
+        algorithms: ['ranges'],
+        seed: 1
+    });
+
+    assert.equal(variant.statistics.ranges.rejected, undefined);
+    assert.deepEqual(variant.teams.map(team => team.length), [5, 5]);
+});
+
+test('a team count whose settings throw is rejected, not fatal', async () => {
+    const players = createRoster(21);
+    const service = createService();
+    const prepareProblem = service.prepareProblem.bind(service);
+    service.prepareProblem = (composition, teamCount, ...rest) => {
+        if (teamCount === 2) throw new Error('Not for two teams');
+        return prepareProblem(composition, teamCount, ...rest);
+    };
+
+    const result = await service.optimizeTeamCount(composition, players, { maxTeams: 3, seed: 1 });
+
+    assert.equal(result.teamCount, 3);
+    assert.deepEqual(result.rejected, [{ teamCount: 2, reasons: ['Not for two teams'] }]);
+});
+
+test('the error lists why every team count was rejected', async () => {
+    const players = createRoster(14);
+
+    await assert.rejects(
+        createService().optimizeTeamCount(composition, players, { maxTeams: 2, bench: { size: -1 } }),
+        /No feasible team count between 2 and 2 \(2 teams: Bench size must be/
+    );
+});
+
+test('keepTogether and keepApart hold in the returned teams', async () => {
+    const players = createRoster(14);
+
+    const variants = await createService().optimize(composition, 2, players, {
+        ...quickRun,
+        keepTogether: [[1, 3, 5]],
+        keepApart: [[3, 10]]
+    });
+
+    variants.forEach(variant => {
+        assert.equal(findTeam(variant, 1), findTeam(variant, 3));
+        assert.equal(findTeam(variant, 3), findTeam(variant, 5));
+        assert.notEqual(findTeam(variant, 3), findTeam(variant, 10));
+        assert.equal(variant.constraintValidation.isValid, true);
+    });
+});
+
+test('locked players keep their team index and position', async () => {
+    const players = createPlayers([
+        'S', 'OPP', 'OH', 'OH', 'MB', 'MB', 'L',
+        'S', 'OPP', 'L', 'OH', 'MB', 'MB', 'L/OH'
+    ]);
+
+    const variants = await createService().optimize(composition, 2, players, {
+        ...quickRun,
+        locks: { 1: 1, 14: { team: 0, position: 'OH' } }
+    });
+
+    variants.forEach(variant => {
+        assert.equal(findTeam(variant, 1), 1);
+        assert.equal(findTeam(variant, 14), 0);
+        assert.equal(variant.teams[0].find(player => player.id === 14).assignedPosition, 'OH');
+        assert.equal(variant.constraintValidation.isValid, true);
+    });
+});
+
+test('the same seed gives the same variants', async () => {
+    const players = createRoster(16);
+    const lineup = variants => variants.map(variant =>
+        variant.teams.map(team => team.map(player => `${player.id}:${player.assignedPosition}`).join(',')));
+
+    const first = await createService().optimize(composition, 2, players, { ...quickRun, variantCount: 2, seed: 'cup' });
+    const again = await createService().optimize(composition, 2, players, { ...quickRun, variantCount: 2, seed: 'cup' });
+
+    assert.deepEqual(lineup(again), lineup(first));
+    assert.deepEqual(again.map(variant => variant.score), first.map(variant => variant.score));
+});
+
+test('seeded runs give the same variants in workers as inline', async () => {
+    const players = createRoster(16);
+    const lineup = variants => variants.map(variant =>
+        variant.teams.map(team => team.map(player => player.id).join(',')));
+
+    const inline = await createService().optimize(composition, 2, players, quickRun);
+    const service = createService();
+    service.config.useWorkers = true;
+    const inWorkers = await service.optimize(composition, 2, players, quickRun);
+
+    assert.equal(inWorkers[0].statistics.executionMode, 'workers');
+    assert.deepEqual(lineup(inWorkers), lineup(inline));
+});
+
+test('a time limit stops the run and is reported', async () => {
+    const startedAt = Date.now();
+    const [variant] = await new TeamOptimizerService(volleyballConfig).optimize(composition, 2, createRoster(16), {
+        seed: 1,
+        timeLimitMs: 150
+    });
+
+    assert.equal(variant.statistics.stopReason, 'timeLimit');
+    assert.ok(Date.now() - startedAt < 1500, `took ${Date.now() - startedAt}ms`);
+});
+
+test('every algorithm reports progress with its best teams so far', async () => {
+    const events = [];
+    await createService().optimize(composition, 2, createRoster(16), {
+        ...quickRun,
+        onProgress: event => events.push(event)
+    });
+
+    const algorithms = new Set(events.map(event => event.algorithm));
+    assert.ok(algorithms.has('Genetic Algorithm') && algorithms.has('Simulated Annealing'), [...algorithms].join(', '));
+    events.forEach(event => {
+        assert.ok(event.iteration >= 1 && event.iteration <= event.totalIterations);
+        assert.ok(Number.isFinite(event.bestScore));
+    });
+
+    const annealing = events.find(event => event.algorithm === 'Simulated Annealing');
+    assert.equal(typeof annealing.temperature, 'number');
+    assert.equal(annealing.bestTeams.length, 2);
+    assert.ok(annealing.bestTeams[0][0].name, 'bestTeams hold resolved players');
+});
+
+test('hybrid and constraint programming run by default and on their own', async () => {
+    const service = createService();
+    const players = createRoster(16);
+
+    assert.ok(service.resolveEnabledAlgorithms().has('hybrid'));
+    assert.ok(service.resolveEnabledAlgorithms().has('constraintProgramming'));
+
+    for (const [algorithm, label] of [['hybrid', 'Hybrid'], ['constraintProgramming', 'Constraint Programming']]) {
+        const [variant] = await service.optimize(composition, 2, players, { algorithms: [algorithm], seed: 1 });
+
+        assert.ok(variant.algorithm.startsWith(label), variant.algorithm);
+        assert.ok(variant.statistics[algorithm], `no ${algorithm} statistics`);
+        assert.deepEqual(variant.teams.map(team => team.length), [7, 7]);
+    }
+});
+
+test('registerOptimizer checks names and classes', () => {
+    class Noop extends IOptimizer {
+        async solve({ initialSolution }) {
+            return initialSolution;
+        }
+    }
+    const service = createService();
+
+    assert.throws(() => service.registerOptimizer('', Noop), /non-empty string/);
+    assert.throws(() => service.registerOptimizer('tabuSearch', Noop), /already registered/);
+    assert.throws(() => service.registerOptimizer('plain', {}), /class implementing solve/);
+    assert.throws(() => service.registerOptimizer('odd', Noop, { initialSolution: 'many' }), /Invalid initialSolution/);
+
+    service.registerOptimizer('noop', Noop, { enabled: false });
+    assert.throws(() => service.registerOptimizer('noop', Noop), /already registered/);
+    assert.equal(service.getAlgorithmNames().at(-1), 'noop');
+    assert.equal(service.resolveEnabledAlgorithms().has('noop'), false);
+    assert.deepEqual([...service.resolveEnabledAlgorithms(['noop', 'tabuSearch'])], ['noop', 'tabuSearch']);
+    assert.equal(service.resolveEnabledAlgorithms({ noop: true, antColony: false }).has('antColony'), false);
+    assert.throws(() => service.resolveEnabledAlgorithms(['nope']), /Unknown optimization algorithm: nope/);
+});
+
+test('a registered optimizer gets the problem and a seeded random source', async () => {
+    const seen = [];
+    class Recorder extends IOptimizer {
+        async solve(problemContext) {
+            seen.push({
+                teamCount: problemContext.teamCount,
+                draw: problemContext.random(),
+                config: this.config,
+                population: Array.isArray(problemContext.initialSolution[0][0])
+            });
+            return problemContext.initialSolution[0];
+        }
+    }
+
+    const players = createRoster(14);
+    for (let run = 0; run < 2; run++) {
+        const service = createService();
+        service.registerOptimizer('recorder', Recorder, { config: { depth: 3 }, initialSolution: 'population' });
+        const [variant] = await service.optimize(composition, 2, players, { algorithms: ['recorder'], seed: 5 });
+        assert.ok(variant.statistics.recorder);
+    }
+
+    assert.equal(seen[0].teamCount, 2);
+    assert.equal(seen[0].config.depth, 3);
+    assert.equal(seen[0].population, true);
+    assert.equal(seen[0].draw, seen[1].draw);
+});
+
+test('a registered optimizer returning incomplete teams is rejected with a reason', async () => {
+    class Broken extends IOptimizer {
+        async solve({ initialSolution }) {
+            return initialSolution.map(team => team.slice(1));
+        }
+    }
+    const service = createService();
+    service.registerOptimizer('broken', Broken);
+
+    const [variant] = await service.optimize(composition, 2, createRoster(14), {
+        algorithms: ['broken', 'simulatedAnnealing'],
+        seed: 1
+    });
+
+    assert.match(variant.statistics.broken.rejected, /does not fill the composition/);
+    assert.ok(variant.algorithm.startsWith('Simulated Annealing'));
+});
+
+test('customEvaluationFn replaces the built-in objective', async () => {
+    assert.throws(() => new TeamOptimizerService(volleyballConfig, 'score'), /customEvaluationFn must be a function/);
+
+    const contexts = [];
+    // Setter 1 and opposite 2 only score well on the same team
+    const keepOneAndTwoTogether = (teams, context) => {
+        contexts.push(context);
+        const teamOf = id => teams.findIndex(team => team.some(slot => slot.playerId === id));
+        return context.evaluateDefault(teams) + (teamOf(1) === teamOf(2) ? 0 : 1000);
+    };
+    const service = createService(keepOneAndTwoTogether);
+    const [variant] = await service.optimize(composition, 2, createRoster(14), quickRun);
+
+    assert.equal(findTeam(variant, 1), findTeam(variant, 2));
+    assert.equal(variant.scoreComponents, null);
+    assert.ok(variant.score < 1000);
+    assert.ok(contexts.length > 0);
+    assert.equal(contexts[0].composition, composition);
+    assert.equal(typeof contexts[0].playerPool.getPlayer, 'function');
+});
+
+test('balanceAttributes spread players evenly and are reported per variant', async () => {
+    const config = { ...volleyballConfig, balanceAttributes: { gender: { type: 'categorical' } } };
+    const players = createRoster(14).map(player => ({
+        ...player,
+        gender: [3, 4, 10, 11].includes(player.id) ? 'f' : 'm'
+    }));
+
+    const [variant] = await new TeamOptimizerService(config).optimize(composition, 2, players, quickRun);
+
+    assert.deepEqual(variant.attributeBalance.gender.spread, { f: 0, m: 0 });
+    assert.equal(variant.scoreComponents.attributeBalance.value, 0);
+});
+
+test('quotas hold in every returned team', async () => {
+    // The four women are all outside hitters, the two pros both setters
+    const players = createRoster(14).map(player => ({
+        ...player,
+        gender: [3, 4, 10, 11].includes(player.id) ? 'f' : 'm',
+        level: [1, 8].includes(player.id) ? 'pro' : 'amateur'
+    }));
+    const quotas = [
+        { field: 'gender', value: 'f', min: 2 },
+        { field: 'level', value: 'amateur', max: 6 }
+    ];
+
+    const variants = await createService().optimize(composition, 2, players, { ...quickRun, quotas });
+
+    for (const variant of variants) {
+        for (const team of variant.teams) {
+            assert.equal(team.filter(player => player.gender === 'f').length, 2);
+            assert.equal(team.filter(player => player.level === 'pro').length, 1);
+        }
+    }
+});
+
+test('bench mode seats surplus players as substitutes', async () => {
+    const players = createRoster(17);
+    const [variant] = await createService().optimize(composition, 2, players, { ...quickRun, bench: 'auto' });
+
+    assert.deepEqual(variant.unusedPlayers, []);
+    assert.deepEqual(variant.teams.map(team => team.length).sort(), [8, 9]);
+    assert.deepEqual(variant.lineups.map(lineup => lineup.starters.length), [7, 7]);
+    assert.deepEqual(variant.lineups.map(lineup => lineup.bench.length).sort(), [1, 2]);
+    // Substitutes are the caller's player objects, not bench-enabled copies
+    const substitute = variant.lineups.flatMap(lineup => lineup.bench)[0];
+    assert.deepEqual(substitute.positions, players.find(player => player.id === substitute.id).positions);
+});
+
+test('position ranges hold in every returned team', async () => {
+    const ranged = { S: 1, OPP: 1, OH: { min: 1, max: 3 }, MB: { min: 1, max: 3 }, L: { max: 1 } };
+    // Six outside hitters and two middle blockers for two teams of 6
+    const players = createPlayers(['S', 'S', 'OPP', 'OPP', 'OH', 'OH', 'OH', 'OH', 'OH', 'OH', 'MB', 'MB']);
+
+    const variants = await createService().optimize(ranged, 2, players, { ...quickRun, teamSize: 6 });
+
+    for (const team of variants[0].teams) {
+        const count = position => team.filter(player => player.assignedPosition === position).length;
+        assert.equal(team.length, 6);
+        assert.equal(count('OH'), 3);
+        assert.equal(count('MB'), 1);
+    }
+    await assert.rejects(createService().optimize(ranged, 2, players, quickRun), /need a team size/);
+});
+
+test('flexible players end up at the position they prefer', async () => {
+    // Player 3 would rather block and player 5 would rather hit; swapping them costs no balance
+    const players = createRoster(14).map(player => {
+        if (player.id === 3) return { ...player, positions: ['OH', 'MB'], ratings: { OH: 1474, MB: 1474 }, positionPreferences: ['MB'] };
+        if (player.id === 5) return { ...player, positions: ['MB', 'OH'], ratings: { MB: 1548, OH: 1548 }, positionPreferences: ['OH'] };
+        return player;
+    });
+
+    const [variant] = await createService().optimize(composition, 2, players, quickRun);
+    const positionOf = id => variant.teams.flat().find(player => player.id === id).assignedPosition;
+
+    assert.equal(positionOf(3), 'MB');
+    assert.equal(positionOf(5), 'OH');
+    assert.deepEqual(variant.preferenceSatisfaction.byChoice, [2]);
+});
+
+test('imputed ratings are listed with the missingRatings strategy applied', async () => {
+    const players = createRoster(14).map(player =>
+        (player.id === 7 ? { ...player, ratings: {} } : player));
+
+    const [variant] = await createService().optimize(composition, 2, players, {
+        ...quickRun,
+        missingRatings: { positionDefaults: { L: 1234 } }
+    });
+
+    assert.deepEqual(variant.imputedRatings.map(({ playerId, position, rating }) => ({ playerId, position, rating })),
+        [{ playerId: 7, position: 'L', rating: 1234 }]);
+    assert.equal(variant.teams.flat().find(player => player.id === 7).positionRating, 1234);
+});
+
+test('players with uncertain ratings are spread over the teams', async () => {
+    // Both outside hitters 3 and 4 are newcomers whose ratings may be far off
+    const players = createRoster(14).map(player =>
+        ([3, 4].includes(player.id) ? { ...player, ratingDeviations: { OH: 350 } } : player));
+
+    const [variant] = await createService().optimize(composition, 2, players, { ...quickRun, uncertaintyFactor: 1 });
+
+    assert.notEqual(findTeam(variant, 3), findTeam(variant, 4));
+    assert.equal(variant.ratingUncertainty.uncertaintyFactor, 1);
+    const [first, second] = variant.ratingUncertainty.teamDeviations;
+    assert.ok(first > 0);
+    assert.equal(first, second);
+    assert.equal(variant.ratingUncertainty.spread, 0);
+});
+
+test('planRotation mixes teammates across rounds', async () => {
+    const service = createService();
+    const plan = await service.planRotation(composition, 2, createRoster(14), { ...quickRun, rounds: 2 });
+
+    assert.deepEqual(plan.rounds.map(round => round.round), [1, 2]);
+    assert.equal(plan.rounds[0].repeatedPairs, 0);
+    // Keeping both teams would repeat all 2 × 21 pairs; a 4/3 mix of each team repeats the fewest, 2 × (6 + 3)
+    assert.equal(plan.rounds[1].repeatedPairs, 18);
+    assert.equal(plan.diversity.pairsTogether, 42 + 42 - plan.rounds[1].repeatedPairs);
+    assert.equal(plan.diversity.repeatedPairs, plan.rounds[1].repeatedPairs);
+    assert.equal(plan.diversity.possiblePairs, 91);
+    assert.equal(plan.teammateHistory.size, plan.diversity.pairsTogether);
+
+    await assert.rejects(service.planRotation(composition, 2, createRoster(14), { rounds: 0 }), /Rounds must be a positive integer/);
+});
+
+test('match mode pairs the teams into close matches on separate courts', async () => {
+    const service = createService();
+    const [variant] = await service.optimize(composition, 4, createRoster(28), { ...quickRun, matches: true });
+
+    assert.deepEqual(variant.matches.map(match => match.court), [1, 2]);
+    assert.deepEqual(variant.matches.flatMap(match => match.teams).sort(), [0, 1, 2, 3]);
+    const [first, second] = variant.matches;
+    assert.ok(Math.min(...first.strengths) >= Math.max(...second.strengths));
+    assert.ok(variant.matches.every(match => match.difference < 20), JSON.stringify(variant.matches));
+    assert.equal(variant.scoreComponents.difference.weight, 0);
+
+    await assert.rejects(service.optimize(composition, 3, createRoster(21), { ...quickRun, matches: true }),
+        /Match mode needs an even number of teams, got 3/);
+});
+
+test('a match-up graph keeps its teams in place and balances along its edges', async () => {
+    const matchups = [[0, 1], { teams: [1, 2], weight: 2 }];
+    const [variant] = await createService().optimize(composition, 3, createRoster(21), { ...quickRun, matchups });
+
+    assert.deepEqual(variant.matches.map(({ teams, weight, court }) => ({ teams, weight, court })), [
+        { teams: [0, 1], weight: 1, court: null },
+        { teams: [1, 2], weight: 2, court: null }
+    ]);
+    variant.matches.forEach(match => {
+        assert.deepEqual(match.strengths, match.teams.map(teamIdx => variant.balance.adjustedStrengths[teamIdx]));
+    });
+    assert.ok(variant.scoreComponents.matchBalance.value < 20);
+});
+
+test('optimizeTeamCount ranks the team counts the roster allows', async () => {
+    const players = createRoster(17);
+    const service = createService();
+
+    // Full teams of 7 only fit twice; a third team needs the 3 spare players
+    const strict = await service.optimizeTeamCount(composition, players, { ...quickRun, maxTeams: 3 });
+    assert.equal(strict.teamCount, 2);
+    assert.equal(strict.alternatives[0].unusedPlayerCount, 3);
+    assert.deepEqual(strict.rejected.map(({ teamCount }) => teamCount), [3]);
+
+    // Smaller teams allow three uneven teams that use everyone
+    const uneven = await service.optimizeTeamCount(composition, players, { ...quickRun, minTeamSize: 5 });
+    const three = uneven.alternatives.find(alternative => alternative.teamCount === 3);
+    assert.deepEqual(three.teamSizes, [6, 6, 5]);
+    assert.equal(three.unusedPlayerCount, 0);
+    assert.deepEqual(uneven.alternatives.map(alternative => alternative.teamCount).sort(), [2, 3]);
+    assert.equal(uneven.variants, uneven.alternatives[0].variants);
+
+    await assert.rejects(service.optimizeTeamCount([composition, composition], players), /one composition shared by all teams/);
+});
@@ -0,0 +1,57 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import TeammateHistoryStore from '../src/services/TeammateHistoryStore.js';
+import { calculateTeammateRepeatPenalty, normalizeTeammateHistory } from '../src/utils/teammateHistoryUtils.js';
+
+const session = [
+    [[{ id: 1 }, { id: 2 }], [{ id: 3 }, { id: 4 }]],
+    [[{ id: 1 }, { id: 3 }], [{ id: 2 }, { id: 4 }]]
+];
+
+test('options are checked', () => {
+    assert.throws(() => new TeammateHistoryStore({ decay: 0 }), /Decay must be a number in \(0, 1\]/);
+    assert.throws(() => new TeammateHistoryStore({ minWeight: -1 }), /minWeight must be a non-negative number/);
+    assert.throws(() => new TeammateHistoryStore().recordSession([[{ id: 1 }]]), /list of team sets/);
+});
+
+test('older sessions weigh less and negligible pairs are forgotten', () => {
+    const store = new TeammateHistoryStore({ decay: 0.5, minWeight: 0.2 });
+    store.recordSession(session);
+    store.recordSession([[[{ playerId: 1, position: 'S' }, { playerId: 2, position: 'OH' }]]]);
+
+    assert.equal(store.sessionCount, 2);
+    assert.equal(store.getWeight(2, 1), 1.5);
+    assert.equal(store.getWeight(3, 4), 0.5);
+    assert.equal(store.getWeight(1, 4), 0);
+    assert.deepEqual(store.getTeammates(1), [{ playerId: 2, weight: 1.5 }, { playerId: 3, weight: 0.5 }]);
+
+    store.recordSession([]);
+    store.recordSession([]);
+    assert.equal(store.getWeight(3, 4), 0);
+    assert.equal(store.getWeight(1, 2), 0.375);
+});
+
+test('the store is a teammate history for optimize()', () => {
+    const store = new TeammateHistoryStore().recordSession(session);
+    const teams = [[{ playerId: 1 }, { playerId: 2 }]];
+
+    assert.deepEqual(normalizeTeammateHistory(store), store.getHistory());
+    assert.equal(calculateTeammateRepeatPenalty(teams, normalizeTeammateHistory(store)), 30);
+});
+
+test('toJSON and fromJSON round-trip the history', () => {
+    const store = new TeammateHistoryStore({ decay: 0.9 }).recordSession(session);
+    const json = JSON.stringify(store);
+    const restored = TeammateHistoryStore.fromJSON(json);
+
+    assert.equal(restored.options.decay, 0.9);
+    assert.equal(restored.sessionCount, 1);
+    assert.deepEqual(restored.getHistory(), store.getHistory());
+    assert.equal(restored.getWeight(1, 2), 1);
+    assert.equal(TeammateHistoryStore.fromJSON(json, { decay: 0.5 }).options.decay, 0.5);
+
+    assert.throws(() => TeammateHistoryStore.fromJSON({ version: 2, pairs: {} }), /Unsupported teammate history data/);
+    assert.throws(() => TeammateHistoryStore.fromJSON({ version: 1, pairs: { 1: { 2: -1 } } }),
+        /Invalid teammate history weight for 1 and 2: -1/);
+});
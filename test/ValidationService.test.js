@@ -0,0 +1,103 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import ValidationService from '../src/services/ValidationService.js';
+
+const activityConfig = { positions: { S: 'Setter', OH: 'Outside Hitter', L: 'Libero' } };
+const composition = { S: 1, OH: 2, L: 1 };
+
+const players = [
+    { id: 1, name: 'Ana', positions: ['L', 'OH'], ratings: { L: 1500, OH: 1500 } },
+    { id: 2, name: 'Ben', positions: ['L'], ratings: { L: 1500 } },
+    ...Array.from({ length: 10 }, (_, idx) => ({
+        id: 10 + idx,
+        name: `Flex ${idx}`,
+        positions: ['S', 'OH', 'L'],
+        ratings: { S: 1500, OH: 1500, L: 1500 }
+    }))
+];
+
+test('locks that need the same single-slot position on one team are rejected', () => {
+    const validation = new ValidationService(activityConfig).validate(composition, 2, players, {
+        locks: { 1: { team: 0, position: 'L' }, 2: 0 }
+    });
+
+    assert.equal(validation.isValid, false);
+    assert.match(validation.errors[0].message, /do not fit its composition/);
+});
+
+test('locks that fit the composition pass', () => {
+    const validation = new ValidationService(activityConfig).validate(composition, 2, players, {
+        locks: { 1: { team: 0, position: 'OH' }, 2: 0 }
+    });
+
+    assert.equal(validation.isValid, true);
+});
+
+test('lock errors number teams from 1', () => {
+    const validation = new ValidationService(activityConfig).validate(composition, 2, players, {
+        locks: { 1: { team: 0, position: 'L' }, 2: 0, 10: 2 }
+    });
+    const messages = validation.errors.map(error => error.message);
+
+    assert.ok(messages.includes('Flex 0 is locked to team 3, but only teams 1-2 exist'), messages.join('; '));
+    assert.ok(messages.some(message => message.startsWith('Players locked to team 1 do not fit')), messages.join('; '));
+});
+
+test('a player locked to a position does not count for the others', () => {
+    // Two liberos are needed, and one of the two who can play libero is locked to OH
+    const roster = [
+        ...['S', 'S', 'OH', 'OH', 'OH', 'L'].map((position, idx) => ({
+            id: 20 + idx, name: `${position} ${idx}`, positions: [position], ratings: { [position]: 1500 }
+        })),
+        { id: 30, name: 'Cleo', positions: ['L', 'OH'], ratings: { L: 1500, OH: 1500 } }
+    ];
+    const validator = new ValidationService(activityConfig);
+
+    assert.equal(validator.validate(composition, 2, roster).errors.some(error => error.position === 'L'), false);
+
+    const validation = validator.validate(composition, 2, roster, { locks: { 30: { team: 0, position: 'OH' } } });
+    assert.ok(validation.errors.some(error => error.position === 'L'), validation.errors.map(e => e.message).join('; '));
+});
+
+test('quotas the player pool cannot fill are rejected', () => {
+    const roster = players.map(player => ({ ...player, level: player.id < 13 ? 'pro' : 'amateur' }));
+    const validate = quotas => new ValidationService(activityConfig).validate(composition, 2, roster, { quotas });
+
+    assert.equal(validate([{ field: 'level', value: 'pro', min: 1, max: 2 }]).isValid, true);
+
+    const tooFew = validate([{ field: 'level', value: 'pro', min: 3 }]);
+    assert.equal(tooFew.isValid, false);
+    assert.equal(tooFew.errors[0].needed, 6);
+    assert.equal(tooFew.errors[0].available, 5);
+
+    const tooMany = validate([{ field: 'level', value: 'amateur', max: 1 }]);
+    assert.match(tooMany.errors[0].message, /At most 1 players per team may have level "amateur"/);
+
+    assert.match(validate([{ field: 'level', value: 'pro', min: 2, max: 1 }]).errors[0].message, /Invalid quota/);
+    assert.match(validate([{ field: 'level', value: 'pro', min: 5 }]).errors[0].message, /smallest team only has 4/);
+});
+
+test('position ranges must be able to add up to the team size', () => {
+    const service = new ValidationService(activityConfig);
+
+    assert.equal(service.validatePositionRanges({ S: 1, OH: { min: 1, max: 3 } }, 2, 4).isValid, true);
+    assert.match(service.validatePositionRanges({ S: 1, OH: { min: 1 } }, 2, null).errors[0].message,
+        /need a team size/);
+    assert.match(service.validatePositionRanges({ S: 1, OH: { min: 3, max: 2 } }, 2, 4).errors[0].message,
+        /Invalid range for Outside Hitter: 3-2/);
+    assert.match(service.validatePositionRanges({ S: 1, OH: { min: 4 } }, 2, 4).errors[0].message,
+        /minimums add up to 5/);
+    assert.match(service.validatePositionRanges([{ S: 1, OH: { max: 1 } }, { S: 1, OH: 3 }], 2, 4).errors[0].message,
+        /^Team 1: Position maximums add up to 2/);
+});
+
+test('matchups must reference existing teams and not be combined with match mode', () => {
+    const service = new ValidationService(activityConfig);
+
+    assert.deepEqual(service.validateMatchups(3, { matchups: [[0, 1], [1, 2]] }), []);
+    assert.deepEqual(service.validateMatchups(2, { matchups: [[0, 2]] }).map(error => error.message),
+        ['Matchup [0, 2] references team index 2, but only indices 0-1 exist (2 teams)']);
+    assert.match(service.validateMatchups(2, { matchups: [[0, 1]], matches: true })[0].message, /not both/);
+    assert.match(service.validateMatchups(2, { matchups: [[0, 0]] })[0].message, /Invalid matchup/);
+});
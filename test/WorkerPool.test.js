@@ -0,0 +1,62 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import WorkerPool from '../src/workers/WorkerPool.js';
+
+/**
+ * Platform whose workers call behave(message, emit) for every posted message;
+ * emit(event, value) fires the handlers WorkerPool registered
+ */
+function createFakePlatform(behave) {
+    const terminated = [];
+    return {
+        terminated,
+        concurrency: 1,
+        createWorker: () => {
+            const handlers = {};
+            const emit = (event, value) => handlers[event] && handlers[event](value);
+            const worker = {
+                post: (message) => behave(message, emit),
+                onMessage: (handler) => { handlers.message = handler; },
+                onError: (handler) => { handlers.error = handler; },
+                onExit: (handler) => { handlers.exit = handler; },
+                terminate: () => terminated.push(worker)
+            };
+            return worker;
+        }
+    };
+}
+
+test('a worker that exits without a result rejects its job', async () => {
+    const platform = createFakePlatform((message, emit) => {
+        if (message.type === 'run') setTimeout(() => emit('exit', 1), 5);
+    });
+
+    await assert.rejects(
+        new WorkerPool().runJob(platform, {}, {}, {}),
+        /exited with code 1/
+    );
+});
+
+test('a worker that ignores an abort is terminated', async () => {
+    const platform = createFakePlatform(() => {});
+    const controller = new AbortController();
+
+    const job = new WorkerPool().runJob(platform, {}, {}, { signal: controller.signal });
+    controller.abort();
+
+    await assert.rejects(job, /did not stop after the run was aborted/);
+    assert.equal(platform.terminated.length, 1);
+});
+
+test('a worker that answers the abort still returns its best solution', async () => {
+    const platform = createFakePlatform((message, emit) => {
+        if (message.type === 'abort') emit('message', { type: 'result', solution: [[]], stats: { stopped: true } });
+    });
+    const controller = new AbortController();
+
+    const job = new WorkerPool().runJob(platform, {}, {}, { signal: controller.signal });
+    controller.abort();
+
+    assert.deepEqual(await job, { solution: [[]], stats: { stopped: true } });
+});
@@ -0,0 +1,62 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import PlayerPool from '../src/core/PlayerPool.js';
+import {
+    calculateAttributeBalance,
+    getPlayerAttribute,
+    normalizeBalanceAttributes
+} from '../src/utils/attributeBalanceUtils.js';
+
+const playerPool = new PlayerPool([
+    { id: 1, name: 'A', positions: ['OH'], ratings: { OH: 1500 }, gender: 'f', profile: { age: 20 } },
+    { id: 2, name: 'B', positions: ['OH'], ratings: { OH: 1500 }, gender: 'f', profile: { age: 30 } },
+    { id: 3, name: 'C', positions: ['OH'], ratings: { OH: 1500 }, gender: 'f', profile: { age: 40 } },
+    { id: 4, name: 'D', positions: ['OH'], ratings: { OH: 1500 }, gender: 'm', profile: { age: 50 } },
+    { id: 5, name: 'E', positions: ['OH'], ratings: { OH: 1500 }, gender: 'm' },
+    { id: 6, name: 'F', positions: ['OH'], ratings: { OH: 1500 } }
+]);
+
+const slots = ids => ids.map(playerId => ({ playerId, position: 'OH' }));
+
+test('normalizeBalanceAttributes fills in fields and default weights', () => {
+    assert.deepEqual(normalizeBalanceAttributes(null), []);
+    assert.deepEqual(normalizeBalanceAttributes({
+        gender: { type: 'categorical' },
+        age: { type: 'numeric', field: 'profile.age', weight: 5 }
+    }), [
+        { name: 'gender', field: 'gender', type: 'categorical', weight: 100 },
+        { name: 'age', field: 'profile.age', type: 'numeric', weight: 5 }
+    ]);
+});
+
+test('getPlayerAttribute reads dotted paths', () => {
+    assert.equal(getPlayerAttribute(playerPool.getPlayer(1), 'profile.age'), 20);
+    assert.equal(getPlayerAttribute(playerPool.getPlayer(6), 'profile.age'), undefined);
+    assert.equal(getPlayerAttribute(null, 'gender'), undefined);
+});
+
+test('categorical balance only penalizes avoidable spread', () => {
+    const attributes = normalizeBalanceAttributes({ gender: { type: 'categorical' } });
+
+    // Three women on two teams can at best split 2/1
+    const even = calculateAttributeBalance([slots([1, 2, 4]), slots([3, 5, 6])], playerPool, attributes);
+    assert.equal(even.penalty, 0);
+    assert.deepEqual(even.attributes.gender.spread, { f: 1, m: 0 });
+
+    const skewed = calculateAttributeBalance([slots([1, 2, 3]), slots([4, 5, 6])], playerPool, attributes);
+    assert.equal(skewed.attributes.gender.penalty, 4);
+    assert.equal(skewed.penalty, 400);
+});
+
+test('numeric balance compares team averages and skips missing values', () => {
+    const attributes = normalizeBalanceAttributes({ age: { type: 'numeric', field: 'profile.age', weight: 2 } });
+
+    const result = calculateAttributeBalance([slots([1, 4, 6]), slots([2, 3, 5])], playerPool, attributes);
+    assert.deepEqual(result.attributes.age.teams, [35, 35]);
+    assert.equal(result.penalty, 0);
+
+    const skewed = calculateAttributeBalance([slots([1, 2, 6]), slots([3, 4, 5])], playerPool, attributes);
+    assert.deepEqual(skewed.attributes.age.teams, [25, 45]);
+    assert.equal(skewed.attributes.age.contribution, 40);
+});
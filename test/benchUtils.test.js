@@ -0,0 +1,59 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+    BENCH_POSITION,
+    addBenchPosition,
+    addBenchSlots,
+    normalizeBenchOption,
+    splitLineup
+} from '../src/utils/benchUtils.js';
+
+test('normalizeBenchOption accepts sizes, auto and objects', () => {
+    assert.equal(normalizeBenchOption(undefined), null);
+    assert.equal(normalizeBenchOption(false), null);
+    assert.deepEqual(normalizeBenchOption(2), { size: 2, weight: 0.5 });
+    assert.deepEqual(normalizeBenchOption(true), { size: 'auto', weight: 0.5 });
+    assert.deepEqual(normalizeBenchOption({ weight: 0.2 }), { size: 'auto', weight: 0.2 });
+
+    assert.throws(() => normalizeBenchOption(-1), /Bench size must be a non-negative integer/);
+    assert.throws(() => normalizeBenchOption({ size: 1, weight: 0 }), /Bench weight must be a positive number/);
+});
+
+test('addBenchPosition rates the bench like the best position', () => {
+    const [rated, unrated] = addBenchPosition([
+        { id: 1, positions: ['S', 'OH'], ratings: { S: 1400, OH: 1600 }, ratingDeviations: { OH: 80 } },
+        { id: 2, positions: ['L'], ratings: {} }
+    ]);
+
+    assert.deepEqual(rated.positions, ['S', 'OH', BENCH_POSITION]);
+    assert.equal(rated.ratings[BENCH_POSITION], 1600);
+    assert.equal(rated.ratingDeviations[BENCH_POSITION], 80);
+    assert.equal(unrated.ratings[BENCH_POSITION], undefined);
+});
+
+test('addBenchSlots spreads surplus players over the smallest rosters', () => {
+    const composition = { S: 1, OH: 2 };
+
+    assert.deepEqual(addBenchSlots(composition, 2, 10, 'auto'), { S: 1, OH: 2, [BENCH_POSITION]: 2 });
+    assert.deepEqual(addBenchSlots(composition, 2, 9, 'auto'), [
+        { S: 1, OH: 2, [BENCH_POSITION]: 2 },
+        { S: 1, OH: 2, [BENCH_POSITION]: 1 }
+    ]);
+    assert.deepEqual(addBenchSlots([{ S: 1, OH: 2 }, { S: 1, OH: 1 }], 2, 8, 'auto'), [
+        { S: 1, OH: 2, [BENCH_POSITION]: 1 },
+        { S: 1, OH: 1, [BENCH_POSITION]: 2 }
+    ]);
+    assert.deepEqual(addBenchSlots(composition, 2, 6, 'auto'), composition);
+    assert.deepEqual(addBenchSlots(composition, 2, 20, 1), { S: 1, OH: 2, [BENCH_POSITION]: 1 });
+});
+
+test('splitLineup separates starters from substitutes', () => {
+    const { starters, bench } = splitLineup([
+        { id: 1, assignedPosition: 'S' },
+        { id: 2, assignedPosition: BENCH_POSITION }
+    ]);
+
+    assert.deepEqual(starters.map(player => player.id), [1]);
+    assert.deepEqual(bench.map(player => player.id), [2]);
+});
@@ -0,0 +1,45 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+    distributeTeamCompositions,
+    getPositionTotals,
+    getRangedTeamSize,
+    resolvePositionRanges
+} from '../src/utils/configHelpers.js';
+
+const composition = { S: 1, OPP: 1, OH: 2, MB: 2, L: 1 };
+
+// 20 players for 3 teams of 7; a few play two positions
+const unevenPlayers = [
+    'OH', 'MB/S', 'OH', 'L', 'MB', 'OH', 'S', 'OH', 'L/MB', 'MB',
+    'S/L', 'MB', 'S', 'MB', 'OPP', 'OPP/L', 'MB', 'OPP', 'OH', 'OH'
+].map((positions, idx) => ({ id: idx + 1, positions: positions.split('/') }));
+
+test('uneven teams drop slots that leave every player a position', () => {
+    const compositions = distributeTeamCompositions(composition, 3, unevenPlayers);
+
+    assert.deepEqual(compositions.map(teamComposition =>
+        Object.values(teamComposition).reduce((sum, count) => sum + count, 0)), [7, 7, 6]);
+    // Six players only play OH, so all six OH slots must stay
+    assert.equal(getPositionTotals(compositions, 3).OH, 6);
+});
+
+test('getRangedTeamSize uses the fixed size or the only possible one', () => {
+    assert.equal(getRangedTeamSize({ S: 1, OH: { min: 1, max: 3 } }, 4), 4);
+    assert.equal(getRangedTeamSize({ S: 1, OH: { min: 1, max: 3 } }), null);
+    assert.equal(getRangedTeamSize({ S: 1, OH: { min: 2, max: 2 } }), 3);
+});
+
+test('resolvePositionRanges starts at the minimums and fills from the deepest position', () => {
+    const players = ['S', 'S', 'OH', 'OH', 'OH', 'OH', 'OH', 'MB', 'MB', 'MB']
+        .map((position, idx) => ({ id: idx + 1, positions: [position] }));
+    const ranged = { S: 1, OH: { min: 1, max: 3 }, MB: { min: 1 } };
+
+    // Two spare outside hitters and one spare middle blocker: OH, MB, then OH again
+    assert.deepEqual(resolvePositionRanges(ranged, 2, players, 5), [
+        { S: 1, OH: 3, MB: 1 },
+        { S: 1, OH: 2, MB: 2 }
+    ]);
+    assert.deepEqual(resolvePositionRanges(ranged, 1, players, 4), { S: 1, OH: 2, MB: 1 });
+});
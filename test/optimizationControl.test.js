@@ -0,0 +1,55 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+    createDeadline,
+    createYieldTimer,
+    getStopReason,
+    isOptimizationStopped,
+    reportProgress
+} from '../src/utils/optimizationControl.js';
+
+test('a time budget becomes an absolute deadline', () => {
+    const before = Date.now();
+    const deadline = createDeadline(500);
+
+    assert.ok(deadline >= before + 500 && deadline <= Date.now() + 500);
+    assert.equal(createDeadline(undefined), null);
+    assert.equal(createDeadline(Infinity), null);
+    assert.ok(createDeadline(-10) <= Date.now());
+});
+
+test('an abort wins over an expired deadline', () => {
+    const controller = new AbortController();
+    const expired = { signal: controller.signal, deadline: Date.now() - 1 };
+
+    assert.equal(getStopReason(expired), 'timeLimit');
+    controller.abort();
+    assert.equal(getStopReason(expired), 'aborted');
+    assert.equal(getStopReason({ deadline: Date.now() + 60000 }), null);
+    assert.equal(isOptimizationStopped(null), false);
+});
+
+test('the yield timer is due at first and again after its interval', async () => {
+    const timer = createYieldTimer(30);
+
+    assert.equal(timer.isDue(), true);
+    await timer.yield();
+    assert.equal(timer.isDue(), false);
+    await new Promise(resolve => setTimeout(resolve, 40));
+    assert.equal(timer.isDue(), true);
+});
+
+test('progress reports carry the algorithm name and a copy of the best solution', () => {
+    const events = [];
+    const bestSolution = [[{ playerId: 1, position: 'S' }]];
+
+    reportProgress({ onProgress: event => events.push(event), algorithmName: 'Tabu Search #1' },
+        { iteration: 1, totalIterations: 10, bestScore: 3, bestSolution });
+    reportProgress({}, { iteration: 2 });
+    bestSolution[0][0].playerId = 2;
+
+    assert.equal(events.length, 1);
+    assert.equal(events[0].algorithm, 'Tabu Search #1');
+    assert.equal(events[0].bestSolution[0][0].playerId, 1);
+});
@@ -0,0 +1,62 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import PlayerPool from '../src/core/PlayerPool.js';
+import { deserializeProblemContext, runOptimizerJob, serializeProblemContext } from '../src/core/optimizerJobs.js';
+import { buildSlotConstraints } from '../src/utils/slotConstraintUtils.js';
+import { generateInitialSlotSolutions } from '../src/utils/slotSolutionGenerators.js';
+import { createRandom } from '../src/utils/random.js';
+
+const composition = { S: 1, OH: 2, MB: 1 };
+const players = Array.from({ length: 10 }, (_, idx) => {
+    const position = ['S', 'OH', 'OH', 'MB', 'OH'][idx % 5];
+    return { id: idx + 1, name: `P${idx + 1}`, positions: [position], ratings: { [position]: 1350 + idx * 31 % 300 } };
+});
+
+function createProblemContext() {
+    const playerPool = new PlayerPool(players);
+    const constraints = buildSlotConstraints({ keepTogether: [[1, 2]], locks: { 3: 1 } }, players);
+    return {
+        composition,
+        compositionRanges: null,
+        teamCount: 2,
+        playerPool,
+        positions: ['S', 'OH', 'MB'],
+        positionWeights: { S: 1.2, OH: 1, MB: 1 },
+        objectiveWeights: {},
+        constraints,
+        deadline: null,
+        initialSolutions: generateInitialSlotSolutions(composition, 2, playerPool, constraints, createRandom(5))
+    };
+}
+
+test('a serialized problem survives structured cloning', () => {
+    const problemContext = createProblemContext();
+    const data = structuredClone(serializeProblemContext({ ...problemContext, random: createRandom(1), onProgress: () => {} }));
+    const rebuilt = deserializeProblemContext(data);
+
+    assert.equal(rebuilt.random, undefined);
+    assert.equal(rebuilt.onProgress, undefined);
+    assert.ok(rebuilt.playerPool instanceof PlayerPool);
+    assert.equal(rebuilt.playerPool.getPlayerRating(4, 'MB'), problemContext.playerPool.getPlayerRating(4, 'MB'));
+    assert.deepEqual([...rebuilt.constraints.locks], [...problemContext.constraints.locks]);
+});
+
+test('a job gives the same solution on a rebuilt problem', async () => {
+    const problemContext = createProblemContext();
+    const job = {
+        algorithm: 'tabuSearch',
+        name: 'Tabu Search #1',
+        config: { iterations: 50, tabuTenure: 10, neighborCount: 10, diversificationFrequency: 20 },
+        adaptiveParams: {},
+        initialSolution: problemContext.initialSolutions[0],
+        seed: 11
+    };
+    const rebuilt = deserializeProblemContext(structuredClone(serializeProblemContext(problemContext)));
+
+    const direct = await runOptimizerJob(job, problemContext);
+    const viaClone = await runOptimizerJob(structuredClone(job), rebuilt);
+
+    assert.deepEqual(viaClone.solution, direct.solution);
+    assert.equal(direct.solution.length, 2);
+});
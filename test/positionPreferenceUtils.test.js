@@ -0,0 +1,43 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import PlayerPool from '../src/core/PlayerPool.js';
+import { BENCH_POSITION } from '../src/utils/benchUtils.js';
+import {
+    PREFERENCE_STEP_PENALTY,
+    calculatePreferenceSatisfaction,
+    getPreferenceRank
+} from '../src/utils/positionPreferenceUtils.js';
+
+const playerPool = new PlayerPool([
+    { id: 1, name: 'A', positions: ['OH', 'MB', 'L'], ratings: { OH: 1500, MB: 1500, L: 1500 }, positionPreferences: ['OH', 'MB'] },
+    { id: 2, name: 'B', positions: ['OH', 'MB'], ratings: { OH: 1500, MB: 1500 }, positionPreferences: ['MB'] },
+    { id: 3, name: 'C', positions: ['OH'], ratings: { OH: 1500 } }
+]);
+
+test('getPreferenceRank ranks unlisted positions below the last choice', () => {
+    const player = playerPool.getPlayer(1);
+
+    assert.equal(getPreferenceRank(player, 'OH'), 0);
+    assert.equal(getPreferenceRank(player, 'MB'), 1);
+    assert.equal(getPreferenceRank(player, 'L'), 2);
+    assert.equal(getPreferenceRank(playerPool.getPlayer(3), 'OH'), null);
+});
+
+test('calculatePreferenceSatisfaction counts choices and skips unranked and bench slots', () => {
+    const result = calculatePreferenceSatisfaction([
+        [{ playerId: 1, position: 'MB' }, { playerId: 3, position: 'OH' }],
+        [{ playerId: 2, position: 'OH' }]
+    ], playerPool);
+
+    assert.deepEqual(result, {
+        penalty: 2 * PREFERENCE_STEP_PENALTY,
+        byChoice: [0, 1],
+        offPreference: 1,
+        rankedPlayers: 2
+    });
+
+    const benched = calculatePreferenceSatisfaction([[{ playerId: 2, position: BENCH_POSITION }]], playerPool);
+    assert.equal(benched.rankedPlayers, 0);
+    assert.equal(benched.penalty, 0);
+});
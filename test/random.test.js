@@ -0,0 +1,32 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { createRandom, deriveSeed, forkRandom } from '../src/utils/random.js';
+
+const draw = (random, count = 5) => Array.from({ length: count }, () => random());
+
+test('the same seed gives the same sequence', () => {
+    assert.deepEqual(draw(createRandom(42)), draw(createRandom(42)));
+    assert.deepEqual(draw(createRandom('league night')), draw(createRandom('league night')));
+    assert.notDeepEqual(draw(createRandom(42)), draw(createRandom(43)));
+});
+
+test('seeded values stay in [0, 1)', () => {
+    draw(createRandom(7), 1000).forEach(value => assert.ok(value >= 0 && value < 1));
+});
+
+test('without a seed the source is Math.random and forks stay unseeded', () => {
+    assert.equal(createRandom(), Math.random);
+    assert.equal(createRandom(null), Math.random);
+    assert.equal(deriveSeed(Math.random), null);
+    assert.equal(forkRandom(Math.random), Math.random);
+});
+
+test('forks are reproducible and independent of their parent', () => {
+    const parent = createRandom(1);
+    const child = forkRandom(parent);
+    const again = forkRandom(createRandom(1));
+
+    assert.deepEqual(draw(child), draw(again));
+    assert.notDeepEqual(draw(forkRandom(createRandom(1))), draw(createRandom(1)));
+});
@@ -0,0 +1,51 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import PlayerPool from '../src/core/PlayerPool.js';
+import { getKnownRating, imputeRating, normalizeMissingRatings } from '../src/utils/ratingUtils.js';
+
+const players = [
+    { id: 1, name: 'A', positions: ['OH', 'L'], ratings: { OH: 1700, L: null } },
+    { id: 2, name: 'B', positions: ['OH', 'L'], ratings: { OH: 1400, L: 1600 } },
+    { id: 3, name: 'C', positions: ['L'], ratings: { L: 0 } },
+    { id: 4, name: 'D', positions: ['S'] }
+];
+
+test('normalizeMissingRatings fills defaults and rejects bad settings', () => {
+    assert.deepEqual(normalizeMissingRatings(undefined), {
+        strategy: 'default', default: 1500, positionDefaults: {}, discount: 100
+    });
+    assert.equal(normalizeMissingRatings('poolAverage').strategy, 'poolAverage');
+
+    assert.throws(() => normalizeMissingRatings('median'), /Unknown missing rating strategy "median"/);
+    assert.throws(() => normalizeMissingRatings({ default: 'high' }), /Default rating must be a finite number/);
+    assert.throws(() => normalizeMissingRatings({ positionDefaults: { L: NaN } }), /must be finite numbers: L/);
+    assert.throws(() => normalizeMissingRatings({ discount: -1 }), /non-negative number/);
+});
+
+test('a rating of 0 is known, null is missing', () => {
+    assert.equal(getKnownRating(players[2], 'L'), 0);
+    assert.equal(getKnownRating(players[0], 'L'), undefined);
+});
+
+test('each strategy imputes missing ratings its own way', () => {
+    const impute = (missingRatings, average) =>
+        imputeRating(players[0], 'L', normalizeMissingRatings(missingRatings), () => average);
+
+    assert.equal(impute({ positionDefaults: { L: 1400 } }), 1400);
+    assert.equal(impute({ strategy: 'otherPositions', discount: 50 }), 1650);
+    assert.equal(impute('poolAverage', 1525), 1525);
+    assert.equal(impute({ strategy: 'poolAverage', default: 1450 }, undefined), 1450);
+    // Nothing to derive from falls back to the default
+    assert.equal(imputeRating(players[3], 'S', normalizeMissingRatings('otherPositions')), 1500);
+});
+
+test('PlayerPool imputes from the pool and reports imputed ratings', () => {
+    const pool = new PlayerPool(players, { missingRatings: 'poolAverage' });
+
+    // Known libero ratings are 1600 and 0
+    assert.equal(pool.getPlayerRating(1, 'L'), 800);
+    assert.equal(pool.isRatingImputed(1, 'L'), true);
+    assert.equal(pool.isRatingImputed(3, 'L'), false);
+    assert.equal(pool.getPlayerRating(4, 'S'), 1500);
+});
@@ -0,0 +1,101 @@
+// Run with: node --test test/
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import PlayerPool from '../src/core/PlayerPool.js';
+import {
+    buildSlotConstraints,
+    countConstraintViolations,
+    repairSlotConstraints,
+    validateSlotConstraints
+} from '../src/utils/slotConstraintUtils.js';
+import { generateInitialSlotSolutions } from '../src/utils/slotSolutionGenerators.js';
+import { createRandom } from '../src/utils/random.js';
+
+const composition = { S: 1, OH: 2, MB: 1 };
+
+// 24 players for 2 teams of 4 slots: 16 of them stay unused
+function createPlayers() {
+    const positions = ['S', 'OH', 'OH', 'MB'];
+    return Array.from({ length: 24 }, (_, idx) => {
+        const position = positions[idx % positions.length];
+        return { id: idx + 1, name: `P${idx + 1}`, positions: [position], ratings: { [position]: 1300 + idx * 17 % 400 } };
+    });
+}
+
+test('a keepTogether group partly on the roster is a violation', () => {
+    const players = createPlayers();
+    const constraints = buildSlotConstraints({ keepTogether: [[2, 6]] }, players);
+    const teams = [
+        [{ playerId: 1, position: 'S' }, { playerId: 2, position: 'OH' }, { playerId: 3, position: 'OH' }, { playerId: 4, position: 'MB' }],
+        [{ playerId: 5, position: 'S' }, { playerId: 7, position: 'OH' }, { playerId: 10, position: 'OH' }, { playerId: 8, position: 'MB' }]
+    ];
+
+    assert.equal(countConstraintViolations(teams, constraints), 1);
+    assert.equal(validateSlotConstraints(teams, constraints).isValid, false);
+});
+
+test('a keepTogether group left out entirely is fine', () => {
+    const players = createPlayers();
+    const constraints = buildSlotConstraints({ keepTogether: [[22, 23]] }, players);
+    const teams = [
+        [{ playerId: 1, position: 'S' }, { playerId: 2, position: 'OH' }, { playerId: 3, position: 'OH' }, { playerId: 4, position: 'MB' }],
+        [{ playerId: 5, position: 'S' }, { playerId: 6, position: 'OH' }, { playerId: 7, position: 'OH' }, { playerId: 8, position: 'MB' }]
+    ];
+
+    assert.equal(countConstraintViolations(teams, constraints), 0);
+    assert.equal(validateSlotConstraints(teams, constraints).isValid, true);
+});
+
+test('initial solutions roster keepTogether groups as a unit when players outnumber slots', () => {
+    const players = createPlayers();
+    const keepTogether = [[2, 6], [3, 11], [4, 8], [10, 14], [1, 2], [18, 19]];
+    const constraints = buildSlotConstraints({ keepTogether }, players);
+    const playerPool = new PlayerPool(players);
+
+    for (let seed = 1; seed <= 5; seed++) {
+        const solutions = generateInitialSlotSolutions(composition, 2, playerPool, constraints, createRandom(seed));
+        solutions.forEach(teams => {
+            const onRoster = new Set(teams.flat().map(slot => slot.playerId));
+            constraints.togetherGroups.forEach(group => {
+                const rostered = group.filter(id => onRoster.has(id)).length;
+                assert.ok(rostered === 0 || rostered === group.length, `group ${group} partly rostered (seed ${seed})`);
+            });
+            assert.equal(countConstraintViolations(teams, constraints), 0);
+        });
+    }
+});
+
+test('repair drops a group of three that cannot fit one team', () => {
+    const players = createPlayers();
+    // Three hitters, but a team has only two OH slots
+    const constraints = buildSlotConstraints({ keepTogether: [[2, 6, 10]] }, players);
+    const teams = [
+        [{ playerId: 1, position: 'S' }, { playerId: 2, position: 'OH' }, { playerId: 6, position: 'OH' }, { playerId: 4, position: 'MB' }],
+        [{ playerId: 5, position: 'S' }, { playerId: 3, position: 'OH' }, { playerId: 7, position: 'OH' }, { playerId: 8, position: 'MB' }]
+    ];
+    assert.equal(countConstraintViolations(teams, constraints), 1);
+
+    repairSlotConstraints(teams, constraints, new PlayerPool(players));
+
+    const onRoster = new Set(teams.flat().map(slot => slot.playerId));
+    assert.deepEqual([2, 6, 10].filter(id => onRoster.has(id)), []);
+    assert.equal(countConstraintViolations(teams, constraints), 0);
+    assert.deepEqual(teams.map(team => team.map(slot => slot.position)), [['S', 'OH', 'OH', 'MB'], ['S', 'OH', 'OH', 'MB']]);
+});
+
+test('repair completes a group of three when all of them fit', () => {
+    const players = createPlayers();
+    // Setter and two hitters fit one team together
+    const constraints = buildSlotConstraints({ keepTogether: [[9, 2, 6]] }, players);
+    const teams = [
+        [{ playerId: 1, position: 'S' }, { playerId: 2, position: 'OH' }, { playerId: 3, position: 'OH' }, { playerId: 4, position: 'MB' }],
+        [{ playerId: 5, position: 'S' }, { playerId: 7, position: 'OH' }, { playerId: 11, position: 'OH' }, { playerId: 8, position: 'MB' }]
+    ];
+
+    repairSlotConstraints(teams, constraints, new PlayerPool(players));
+
+    assert.equal(countConstraintViolations(teams, constraints), 0);
+    const onRoster = new Set(teams.flat().map(slot => slot.playerId));
+    assert.ok([9, 2, 6].every(id => onRoster.has(id)));
+});
@@ -0,0 +1,128 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import PlayerPool from '../src/core/PlayerPool.js';
+import {
+    calculateMatchBalance,
+    calculateSlotTeamBalance,
+    calculateSlotTeamStrength,
+    createSlotObjective,
+    evaluateSlotSolution,
+    normalizeMatchups,
+    pairTeamsByStrength
+} from '../src/utils/slotEvaluationUtils.js';
+
+const composition = { S: 1, OH: 2 };
+const positionWeights = { S: 1.5, OH: 1.0 };
+
+const playerPool = new PlayerPool([
+    { id: 1, name: 'A', positions: ['S'], ratings: { S: 1700 } },
+    { id: 2, name: 'B', positions: ['S'], ratings: { S: 1400 } },
+    { id: 3, name: 'C', positions: ['OH'], ratings: { OH: 1650 } },
+    { id: 4, name: 'D', positions: ['OH'], ratings: { OH: 1600 } },
+    { id: 5, name: 'E', positions: ['OH'], ratings: { OH: 1450 } },
+    { id: 6, name: 'F', positions: ['OH'], ratings: { OH: 1300 } }
+]);
+
+const teams = [
+    [{ playerId: 1, position: 'S' }, { playerId: 3, position: 'OH' }, { playerId: 6, position: 'OH' }],
+    [{ playerId: 2, position: 'S' }, { playerId: 4, position: 'OH' }, { playerId: 5, position: 'OH' }]
+];
+
+test('legacy weight keys map to their components', () => {
+    const legacy = evaluateSlotSolution(teams, playerPool, positionWeights, composition, {
+        varianceWeight: 2, positionConsistencyWeight: 0, fairnessWeight: 0, roleBalanceWeight: 0, depthWeight: 0
+    });
+    const current = evaluateSlotSolution(teams, playerPool, positionWeights, composition, {
+        standardDeviation: 2, positionConsistency: 0, fairness: 0, roleBalance: 0, depth: 0
+    });
+
+    assert.equal(legacy, current);
+});
+
+test('component names win over legacy keys', () => {
+    const mixed = evaluateSlotSolution(teams, playerPool, positionWeights, composition, {
+        varianceWeight: 5, standardDeviation: 0
+    });
+    const current = evaluateSlotSolution(teams, playerPool, positionWeights, composition, {
+        standardDeviation: 0
+    });
+
+    assert.equal(mixed, current);
+});
+
+test('components without input are skipped but still reported', () => {
+    const pool = Object.create(playerPool);
+    let lookups = 0;
+    pool.getPlayer = id => {
+        lookups++;
+        return playerPool.getPlayer(id);
+    };
+    const countLookups = weights => {
+        const objective = createSlotObjective({ playerPool: pool, positionWeights, composition }, weights);
+        lookups = 0;
+        objective.evaluate(teams);
+        return lookups;
+    };
+
+    assert.equal(countLookups({ positionPreference: 1 }), countLookups({ positionPreference: 0 }));
+
+    const { components } = createSlotObjective({ playerPool, positionWeights, composition }).breakdown(teams);
+    assert.equal(components.positionPreference.value, 0);
+    assert.equal(components.teammateRepeat.value, 0);
+    assert.equal(components.attributeBalance.value, 0);
+});
+
+test('rating deviations make strengths pessimistic and show up as team uncertainty', () => {
+    const uncertainPool = new PlayerPool([
+        { id: 1, name: 'A', positions: ['S'], ratings: { S: 1700 }, ratingDeviations: { S: 300 } },
+        { id: 2, name: 'B', positions: ['S'], ratings: { S: 1400 } },
+        { id: 3, name: 'C', positions: ['OH'], ratings: { OH: 1650 }, ratingDeviations: { OH: 40 } },
+        { id: 4, name: 'D', positions: ['OH'], ratings: { OH: 1600 } },
+        { id: 5, name: 'E', positions: ['OH'], ratings: { OH: 1450 } },
+        { id: 6, name: 'F', positions: ['OH'], ratings: { OH: 1300 } }
+    ]);
+
+    assert.equal(uncertainPool.hasRatingDeviations(), true);
+    assert.equal(calculateSlotTeamStrength(teams[0], uncertainPool, positionWeights, 1),
+        calculateSlotTeamStrength(teams[0], uncertainPool, positionWeights) - 300 * 1.5 - 40);
+
+    const balance = calculateSlotTeamBalance(teams, uncertainPool, positionWeights);
+    assert.equal(balance.teamUncertainties[0], Math.sqrt(450 ** 2 + 40 ** 2));
+    assert.equal(balance.teamUncertainties[1], 0);
+    assert.equal(balance.uncertaintySpread, balance.teamUncertainties[0]);
+
+    // Without deviations there is nothing to spread
+    assert.equal(calculateSlotTeamBalance(teams, playerPool, positionWeights).uncertaintySpread, 0);
+});
+
+test('teams are paired with their neighbours in strength', () => {
+    assert.deepEqual(pairTeamsByStrength([1500, 1800, 1450, 1790]), [[1, 3], [0, 2]]);
+    // With an odd count the weakest team sits out
+    assert.deepEqual(pairTeamsByStrength([1500, 1800, 1450]), [[1, 0]]);
+});
+
+test('match balance is the root mean square of the match differences', () => {
+    const strengths = [1500, 1800, 1450, 1790];
+
+    assert.deepEqual(calculateMatchBalance(strengths, [[1, 3], [0, 2]]), {
+        differences: [10, 50],
+        penalty: Math.sqrt((10 ** 2 + 50 ** 2) / 2)
+    });
+    assert.equal(calculateMatchBalance(strengths, [[1, 3], [0, 2]], [3, 1]).penalty, Math.sqrt((3 * 100 + 2500) / 4));
+    assert.equal(calculateMatchBalance(strengths, []).penalty, 0);
+});
+
+test('normalizeMatchups reads pairs and weighted edges', () => {
+    assert.equal(normalizeMatchups(undefined), null);
+    assert.equal(normalizeMatchups([]), null);
+    assert.deepEqual(normalizeMatchups([[0, 1], { teams: [1, 2], weight: 2 }]), [
+        { teams: [0, 1], weight: 1 },
+        { teams: [1, 2], weight: 2 }
+    ]);
+
+    assert.throws(() => normalizeMatchups({ 0: 1 }), /must be a list of \[teamA, teamB\] pairs/);
+    assert.throws(() => normalizeMatchups([[1, 1]]), /Invalid matchup \[1,1\]: expected two different team indices/);
+    assert.throws(() => normalizeMatchups([[0, 1.5]]), /Invalid matchup/);
+    assert.throws(() => normalizeMatchups([{ teams: [0, 1], weight: 0 }]), /weight must be a positive number, got 0/);
+});
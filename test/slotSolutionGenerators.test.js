@@ -0,0 +1,34 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import PlayerPool from '../src/core/PlayerPool.js';
+import { createMatchedSlotSolution, generateInitialSlotSolutions } from '../src/utils/slotSolutionGenerators.js';
+import { distributeTeamCompositions } from '../src/utils/configHelpers.js';
+import { validateAllSlotTeamsComposition } from '../src/utils/teamSlotUtils.js';
+import { createRandom } from '../src/utils/random.js';
+
+// 20 players for 3 teams of 7: the teams can only be filled one way round
+const players = [
+    'OH', 'MB/S', 'OH', 'L', 'MB', 'OH', 'S', 'OH', 'L/MB', 'MB',
+    'S/L', 'MB', 'S', 'MB', 'OPP', 'OPP/L', 'MB', 'OPP', 'OH', 'OH'
+].map((positions, idx) => {
+    const list = positions.split('/');
+    return { id: idx + 1, positions: list, ratings: Object.fromEntries(list.map(position => [position, 1500 + idx])) };
+});
+const composition = distributeTeamCompositions({ S: 1, OPP: 1, OH: 2, MB: 2, L: 1 }, 3, players);
+
+test('matching fills a tight uneven composition', () => {
+    const playerPool = new PlayerPool(players);
+
+    for (let seed = 1; seed <= 5; seed++) {
+        const teams = createMatchedSlotSolution(composition, 3, playerPool, null, createRandom(seed));
+        assert.ok(validateAllSlotTeamsComposition(teams, composition).isValid, `seed ${seed}`);
+        assert.equal(new Set(teams.flat().map(slot => slot.playerId)).size, 20);
+    }
+});
+
+test('every initial solution fills the composition', () => {
+    const solutions = generateInitialSlotSolutions(composition, 3, new PlayerPool(players), null, createRandom(1));
+
+    solutions.forEach(teams => assert.ok(validateAllSlotTeamsComposition(teams, composition).isValid));
+});
@@ -0,0 +1,44 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+    TEAMMATE_REPEAT_PENALTY,
+    calculateTeammateRepeatPenalty,
+    calculateTeammateRepeats,
+    getPairKey,
+    normalizeTeammateHistory,
+    recordTeammates
+} from '../src/utils/teammateHistoryUtils.js';
+
+test('pair keys do not depend on the order of the players', () => {
+    assert.equal(getPairKey(7, 3), '3|7');
+    assert.equal(getPairKey(3, 7), '3|7');
+});
+
+test('normalizeTeammateHistory accepts maps, objects and stores', () => {
+    assert.equal(normalizeTeammateHistory(undefined), null);
+    assert.equal(normalizeTeammateHistory({ '1|2': 0 }), null);
+    assert.deepEqual(normalizeTeammateHistory({ '1|2': 2, '1|3': 0 }), new Map([['1|2', 2]]));
+    assert.deepEqual(normalizeTeammateHistory({ getHistory: () => new Map([['1|2', 0.5]]) }), new Map([['1|2', 0.5]]));
+
+    assert.throws(() => normalizeTeammateHistory('1|2'), /must be a Map or an object/);
+    assert.throws(() => normalizeTeammateHistory({ '1|2': -1, '2|3': 'x' }), /non-negative numbers: 1\|2, 2\|3/);
+});
+
+test('recorded teammates are found again as repeats', () => {
+    const history = recordTeammates(new Map(), [
+        [{ playerId: 1, position: 'S' }, { playerId: 2, position: 'OH' }, { playerId: 3, position: 'OH' }],
+        [{ playerId: 4, position: 'S' }, { playerId: 5, position: 'OH' }]
+    ]);
+    recordTeammates(history, [[{ id: 1 }, { id: 2 }]]);
+
+    assert.deepEqual(history, new Map([['1|2', 2], ['1|3', 1], ['2|3', 1], ['4|5', 1]]));
+
+    const teams = [[{ playerId: 1 }, { playerId: 2 }, { playerId: 4 }], [{ playerId: 3 }, { playerId: 5 }]];
+    assert.deepEqual(calculateTeammateRepeats(teams, history), {
+        penalty: 2 * TEAMMATE_REPEAT_PENALTY,
+        pairs: [{ playerIds: [1, 2], team: 0, count: 2 }]
+    });
+    assert.equal(calculateTeammateRepeatPenalty(teams, history), 2 * TEAMMATE_REPEAT_PENALTY);
+    assert.equal(calculateTeammateRepeatPenalty(teams, null), 0);
+});